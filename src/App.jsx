@@ -1,11 +1,25 @@
-import { useState } from 'react'
+import { useCallback, useEffect, useRef, useState } from 'react'
 import Simulation1 from './components/Simulation1'
 import Simulation2 from './components/Simulation2'
 import Simulation3 from './components/Simulation3'
+import ShareLink from './components/ShareLink'
 import { Button } from './components/ui/button'
+import { decodeViewLink, encodeViewLink, writeViewHash } from './lib/viewLink'
+
+// Quiet time after the last parameter or camera change before the hash is rewritten
+const HASH_WRITE_DELAY = 400
 
 function App() {
   const [activeSimulation, setActiveSimulation] = useState(3)
+  // The view opened from the URL hash: undefined until it is read, null if none
+  const [linkedView, setLinkedView] = useState(undefined)
+  const [openCount, setOpenCount] = useState(0)
+  const writtenHashRef = useRef(null)
+  const writeTimerRef = useRef(null)
+  const writeCountRef = useRef(0)
+  // JSON of the view the URL stands for; null until the mounted simulation first reports
+  const shownViewRef = useRef(null)
+  const latestViewRef = useRef(null)
 
   const simulations = [
     { id: 1, name: 'Relativistic Accretion Physics', component: Simulation1 },
@@ -13,6 +27,74 @@ function App() {
     { id: 3, name: 'Observatory View', component: Simulation3 },
   ]
 
+  // Open the view in the hash on load, and again when the hash is changed by hand
+  // (or by the host page changing the iframe src); hashes written below are skipped
+  useEffect(() => {
+    const openHash = () => {
+      const hash = window.location.hash
+      if (hash === writtenHashRef.current) return
+
+      decodeViewLink(hash).then(view => {
+        const known = view && simulations.some(s => s.id === view.simulation)
+        if (known) setActiveSimulation(view.simulation)
+        setLinkedView(known ? view : null)
+        setOpenCount(count => count + 1)
+        shownViewRef.current = null
+      })
+    }
+
+    openHash()
+    window.addEventListener('hashchange', openHash)
+    return () => {
+      window.removeEventListener('hashchange', openHash)
+      clearTimeout(writeTimerRef.current)
+    }
+  }, [])
+
+  // The first report after a simulation mounts is the view it opened with, which the
+  // URL already stands for; the hash is rewritten only when a later one differs
+  const onViewChange = useCallback((view) => {
+    latestViewRef.current = { simulation: activeSimulation, ...view }
+    const json = JSON.stringify(view)
+    if (shownViewRef.current === null) shownViewRef.current = json
+    if (json === shownViewRef.current) return
+    shownViewRef.current = json
+
+    clearTimeout(writeTimerRef.current)
+    writeTimerRef.current = setTimeout(() => {
+      const count = ++writeCountRef.current
+      encodeViewLink({ simulation: activeSimulation, ...view }).then(hash => {
+        if (count !== writeCountRef.current) return
+        writtenHashRef.current = hash
+        writeViewHash(hash)
+      })
+    }, HASH_WRITE_DELAY)
+  }, [activeSimulation])
+
+  // Another simulation opens with its defaults, which the bare URL stands for
+  const selectSimulation = (id) => {
+    if (id === activeSimulation) return
+    clearTimeout(writeTimerRef.current)
+    writeCountRef.current++
+    shownViewRef.current = null
+    latestViewRef.current = null
+    writtenHashRef.current = ''
+    writeViewHash('')
+    setLinkedView(null)
+    setActiveSimulation(id)
+  }
+
+  // A link is always copied with the current view in it, changed or not (an unchanged
+  // page still has its own random seed)
+  const currentLink = () => {
+    if (!latestViewRef.current) return Promise.resolve(window.location.href)
+    return encodeViewLink(latestViewRef.current).then(hash => {
+      writtenHashRef.current = hash
+      writeViewHash(hash)
+      return window.location.href
+    })
+  }
+
   const ActiveComponent = simulations.find(s => s.id === activeSimulation)?.component
 
   return (
@@ -24,7 +106,7 @@ function App() {
           {simulations.map(sim => (
             <Button
               key={sim.id}
-              onClick={() => setActiveSimulation(sim.id)}
+              onClick={() => selectSimulation(sim.id)}
               variant={activeSimulation === sim.id ? "default" : "outline"}
               size="sm"
               className="text-xs"
@@ -32,11 +114,14 @@ function App() {
               {sim.id}. {sim.name}
             </Button>
           ))}
+          <ShareLink getLink={currentLink} className="ml-2" />
         </div>
       </div>
 
-      {/* Active Simulation */}
-      {ActiveComponent && <ActiveComponent />}
+      {/* Active Simulation (mounted once the hash is read, remounted for each opened link) */}
+      {ActiveComponent && linkedView !== undefined && (
+        <ActiveComponent key={openCount} linkedView={linkedView} onViewChange={onViewChange} />
+      )}
     </div>
   )
 }
@@ -0,0 +1,145 @@
+import React, { useEffect, useRef, useState } from 'react';
+import * as THREE from 'three';
+import { equatorialEmbedding } from '../physics/KerrMetric';
+
+/**
+ * Equatorial embedding diagram (Flamm's paraboloid, generalized to Kerr) in its own
+ * small three.js viewport. Lengths are scene units scaled by `extent`, so the funnel
+ * widens with mass; it is rebuilt whenever the hole's mass or spin changes.
+ *
+ * `markers` is a list of { key, label, color, source, visible } where source.current
+ * holds an object with a scene-space `position` (camera, CompanionStar, Star); each
+ * is placed at its radius and azimuth on the surface every frame.
+ */
+const EmbeddingDiagram = ({ blackHole, markers, extent = 400, width = 260, height = 170, className = '' }) => {
+  const mountRef = useRef(null);
+  const markersRef = useRef(markers);
+  const [readout, setReadout] = useState([]);
+  markersRef.current = markers;
+
+  useEffect(() => {
+    const mount = mountRef.current;
+    if (!mount) return;
+
+    const scene = new THREE.Scene();
+    const camera = new THREE.PerspectiveCamera(40, width / height, 0.01, 100);
+    camera.position.set(0, 1.5, 2.1);
+    camera.lookAt(0, 0.2, 0);
+
+    const renderer = new THREE.WebGLRenderer({ antialias: true, alpha: true });
+    renderer.setSize(width, height);
+    renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
+    mount.appendChild(renderer.domElement);
+
+    const surfaceMaterial = new THREE.MeshBasicMaterial({
+      color: 0x4f7dff,
+      wireframe: true,
+      transparent: true,
+      opacity: 0.45
+    });
+    let surface = null;
+    let profile = [];
+    let surfaceKey = null;
+
+    // Surface of revolution through (R, z), both in units of the extent
+    const buildSurface = () => {
+      const rg = blackHole.gravitationalRadius;
+      profile = equatorialEmbedding(blackHole.spin, extent / rg, 96).map(p => ({
+        r: p.r * rg / extent,
+        R: p.R * rg / extent,
+        z: p.z * rg / extent
+      }));
+      if (surface) {
+        scene.remove(surface);
+        surface.geometry.dispose();
+      }
+      const outline = profile.map(p => new THREE.Vector2(p.R, p.z));
+      surface = new THREE.Mesh(new THREE.LatheGeometry(outline, 48), surfaceMaterial);
+      scene.add(surface);
+    };
+
+    // (R, z) at coordinate radius r, clamped to the surface
+    const surfacePoint = (r) => {
+      const i = profile.findIndex(p => p.r >= r);
+      if (i <= 0) return i === 0 ? profile[0] : profile[profile.length - 1];
+      const a = profile[i - 1];
+      const b = profile[i];
+      const t = (r - a.r) / (b.r - a.r);
+      return { R: a.R + (b.R - a.R) * t, z: a.z + (b.z - a.z) * t };
+    };
+
+    const markerMeshes = new Map();
+    const markerMesh = (marker) => {
+      if (!markerMeshes.has(marker.key)) {
+        const mesh = new THREE.Mesh(
+          new THREE.SphereGeometry(0.035, 12, 12),
+          new THREE.MeshBasicMaterial({ color: marker.color })
+        );
+        scene.add(mesh);
+        markerMeshes.set(marker.key, mesh);
+      }
+      return markerMeshes.get(marker.key);
+    };
+
+    let frame = 0;
+    let animationId = null;
+    const animate = () => {
+      animationId = requestAnimationFrame(animate);
+
+      const key = `${blackHole.mass}:${blackHole.spin}`;
+      if (key !== surfaceKey) {
+        surfaceKey = key;
+        buildSurface();
+      }
+
+      const rows = [];
+      markersRef.current.forEach(marker => {
+        const mesh = markerMesh(marker);
+        const object = marker.source.current;
+        mesh.visible = Boolean(marker.visible && object && object.position);
+        if (!mesh.visible) return;
+
+        const position = object.position;
+        const r = position.length() / extent;
+        const phi = Math.atan2(position.z, position.x);
+        const { R, z } = surfacePoint(r);
+        mesh.position.set(R * Math.cos(phi), z, R * Math.sin(phi));
+        rows.push({ key: marker.key, label: marker.label, color: marker.color, r: position.length() / blackHole.gravitationalRadius });
+      });
+
+      frame++;
+      if (frame % 20 === 0) setReadout(rows);
+
+      renderer.render(scene, camera);
+    };
+    animate();
+
+    return () => {
+      cancelAnimationFrame(animationId);
+      if (surface) surface.geometry.dispose();
+      surfaceMaterial.dispose();
+      markerMeshes.forEach(mesh => {
+        mesh.geometry.dispose();
+        mesh.material.dispose();
+      });
+      mount.removeChild(renderer.domElement);
+      renderer.dispose();
+    };
+  }, [blackHole, extent, width, height]);
+
+  return (
+    <div className={className}>
+      <div ref={mountRef} style={{ width, height }} />
+      <div className="mt-1 space-y-0.5 text-[10px] font-mono">
+        {readout.map(row => (
+          <p key={row.key}>
+            <span style={{ color: `#${new THREE.Color(row.color).getHexString()}` }}>●</span>{' '}
+            <span className="text-gray-300">{row.label}: r = {row.r.toFixed(1)} M</span>
+          </p>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default EmbeddingDiagram;
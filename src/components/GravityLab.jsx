@@ -0,0 +1,298 @@
+import React, { useEffect, useRef } from 'react';
+import {
+  horizonRadius,
+  ergosphereRadius,
+  photonOrbitRadius,
+  iscoRadius,
+  zamoLapse,
+  zamoAcceleration,
+  properRadialDistance,
+  circularOrbitSpeed,
+  tidalGradient
+} from '../physics/KerrMetric';
+import { gravitationalAcceleration, gravitationalRadiusMeters } from '../physics/Units';
+
+const PLOT_WIDTH = 160;
+const PLOT_HEIGHT = 100;
+const LEFT = 26;
+const BOTTOM = 12;
+const SAMPLES = 160;
+const LOG_DECADES = 5; // Dynamic range of the log plots
+const BODY_LENGTH = 2; // m, the tidal stretch across a human
+
+const MARKERS = [
+  { key: 'horizon', label: 'r₊', color: '#ff4444' },
+  { key: 'photon', label: 'r_ph', color: '#ffcc00' },
+  { key: 'isco', label: 'ISCO', color: '#ff00ff' }
+];
+
+const formatValue = (value) => (Math.abs(value) >= 1e3 || Math.abs(value) < 1e-2 ? value.toExponential(1) : value.toFixed(2));
+
+/**
+ * Radial profile plot: curves are { f(r), color, dashed } sampled over 0 < r ≤ rMax (M);
+ * non-finite values are skipped. Log plots span LOG_DECADES down from the peak.
+ */
+function drawProfile(canvas, { rMax, curves, yMin, yMax, log = false, radii, cursor }) {
+  const ctx = canvas.getContext('2d');
+  const w = canvas.width;
+  const h = canvas.height;
+  ctx.fillStyle = '#000';
+  ctx.fillRect(0, 0, w, h);
+
+  const sampled = curves.map(curve => {
+    const points = [];
+    for (let i = 1; i <= SAMPLES; i++) {
+      const r = i / SAMPLES * rMax;
+      const y = curve.f(r);
+      if (Number.isFinite(y) && (!log || y > 0)) points.push([r, y]);
+    }
+    return points;
+  });
+
+  if (log) {
+    const values = sampled.flat().map(([, y]) => y);
+    yMax = Math.max(...values);
+    yMin = Math.max(Math.min(...values), yMax / 10 ** LOG_DECADES);
+  }
+  const scaleY = (y) => (log ? Math.log10(y / yMin) / Math.log10(yMax / yMin) : (y - yMin) / (yMax - yMin));
+  const toX = (r) => LEFT + r / rMax * (w - LEFT - 2);
+  const toY = (y) => h - BOTTOM - Math.min(1.05, Math.max(-0.05, scaleY(y))) * (h - BOTTOM - 4);
+
+  ctx.strokeStyle = '#333';
+  ctx.lineWidth = 1;
+  ctx.beginPath();
+  ctx.moveTo(LEFT, 0);
+  ctx.lineTo(LEFT, h - BOTTOM);
+  ctx.lineTo(w, h - BOTTOM);
+  ctx.stroke();
+
+  ctx.fillStyle = '#888';
+  ctx.font = '8px monospace';
+  ctx.fillText(formatValue(yMax), 1, 9);
+  ctx.fillText(formatValue(yMin), 1, h - BOTTOM);
+  ctx.fillText('0', LEFT - 2, h - 2);
+  ctx.fillText(`${rMax} M`, w - 24, h - 2);
+
+  drawMarkers(ctx, radii, toX, 0, h - BOTTOM);
+  if (cursor !== null && cursor <= rMax) drawCursor(ctx, toX(cursor), 0, h - BOTTOM);
+
+  sampled.forEach((points, i) => {
+    const curve = curves[i];
+    ctx.strokeStyle = curve.color;
+    ctx.setLineDash(curve.dashed ? [3, 2] : []);
+    ctx.beginPath();
+    points.forEach(([r, y], j) => (j === 0 ? ctx.moveTo(toX(r), toY(y)) : ctx.lineTo(toX(r), toY(y))));
+    ctx.stroke();
+  });
+  ctx.setLineDash([]);
+}
+
+/**
+ * Vertical lines at the horizon, photon orbit and ISCO
+ */
+function drawMarkers(ctx, radii, toX, top, bottom) {
+  ctx.setLineDash([2, 2]);
+  MARKERS.forEach(marker => {
+    const x = toX(radii[marker.key]);
+    ctx.strokeStyle = marker.color;
+    ctx.beginPath();
+    ctx.moveTo(x, top);
+    ctx.lineTo(x, bottom);
+    ctx.stroke();
+  });
+  ctx.setLineDash([]);
+}
+
+/**
+ * Hover cursor linked to the 3D view
+ */
+function drawCursor(ctx, x, top, bottom) {
+  ctx.strokeStyle = '#ffffff';
+  ctx.lineWidth = 1;
+  ctx.beginPath();
+  ctx.moveTo(x, top);
+  ctx.lineTo(x, bottom);
+  ctx.stroke();
+}
+
+/**
+ * Meridional cutaway: horizon and ergosphere r_ergo(θ) (Boyer–Lindquist r drawn as
+ * radius), spin axis vertical, with the equatorial photon orbit and ISCO marked
+ */
+function drawErgosphere(canvas, { spin, radii, cursor }) {
+  const ctx = canvas.getContext('2d');
+  const w = canvas.width;
+  const h = canvas.height;
+  ctx.fillStyle = '#000';
+  ctx.fillRect(0, 0, w, h);
+
+  const extent = 1.15 * Math.max(radii.photon, 2.2);
+  const scale = (w / 2 - 4) / extent;
+  const cx = w / 2;
+  const cy = h / 2;
+  const outline = (radius) => {
+    ctx.beginPath();
+    for (let i = 0; i <= 72; i++) {
+      const theta = i / 72 * Math.PI * 2;
+      const r = radius(theta);
+      ctx.lineTo(cx + r * Math.sin(theta) * scale, cy - r * Math.cos(theta) * scale);
+    }
+    ctx.closePath();
+  };
+
+  outline(theta => ergosphereRadius(spin, theta));
+  ctx.fillStyle = 'rgba(170, 102, 255, 0.35)';
+  ctx.fill();
+  ctx.strokeStyle = '#aa66ff';
+  ctx.stroke();
+
+  outline(() => radii.horizon);
+  ctx.fillStyle = '#000';
+  ctx.fill();
+  ctx.strokeStyle = '#ff4444';
+  ctx.stroke();
+
+  ctx.strokeStyle = '#333';
+  ctx.beginPath();
+  ctx.moveTo(cx, 2);
+  ctx.lineTo(cx, h - 2);
+  ctx.moveTo(2, cy);
+  ctx.lineTo(w - 2, cy);
+  ctx.stroke();
+
+  // Equatorial marks on both sides; an ISCO beyond the frame is pinned to its edge
+  ctx.font = '8px monospace';
+  MARKERS.forEach(marker => {
+    const r = Math.min(radii[marker.key], extent * 0.98);
+    ctx.fillStyle = marker.color;
+    [-1, 1].forEach(side => ctx.fillRect(cx + side * r * scale - 1, cy - 4, 2, 8));
+  });
+  if (radii.isco > extent) {
+    ctx.fillStyle = '#ff00ff';
+    ctx.fillText('ISCO →', w - 34, cy - 6);
+  }
+
+  if (cursor !== null && cursor < extent) {
+    [-1, 1].forEach(side => drawCursor(ctx, cx + side * cursor * scale, cy - 10, cy + 10));
+  }
+}
+
+/**
+ * Gravity Lab - six radial instrument plots for the current mass and spin, on the
+ * equator of the Kerr hole (r in units of M). Each marks r₊, the photon orbit and the
+ * ISCO of the disk (prograde in the iscoRadius sense, so a < 0 is a retrograde disk),
+ * plus a cursor at `cursorRadius` (M) linked to the hovered point in the 3D view.
+ */
+const GravityLab = ({ mass, spin, cursorRadius = null, rMax = 20, className = '' }) => {
+  const canvasRefs = useRef({});
+
+  const radii = {
+    horizon: horizonRadius(spin),
+    photon: photonOrbitRadius(spin),
+    isco: iscoRadius(spin)
+  };
+  const accelerationUnit = gravitationalAcceleration(mass); // m/s² per c⁴/GM
+  const tidalUnit = accelerationUnit / gravitationalRadiusMeters(mass) * BODY_LENGTH; // m/s² across the body
+
+  const panels = [
+    {
+      key: 'distance',
+      title: 'Proper vs coordinate distance (M)',
+      plot: {
+        curves: [
+          { f: r => (r > radii.horizon ? properRadialDistance(r, spin) : NaN), color: '#33ccff' },
+          { f: r => (r > radii.horizon ? r - radii.horizon : NaN), color: '#888', dashed: true }
+        ],
+        yMin: 0,
+        yMax: properRadialDistance(rMax, spin)
+      },
+      readout: `ℓ(ISCO) = ${properRadialDistance(radii.isco, spin).toFixed(2)} M vs ${(radii.isco - radii.horizon).toFixed(2)} M`
+    },
+    {
+      key: 'acceleration',
+      title: 'Hover acceleration (m/s²)',
+      plot: {
+        curves: [{ f: r => (r > radii.horizon ? zamoAcceleration(r, spin) * accelerationUnit : NaN), color: '#66ff99' }],
+        log: true
+      },
+      readout: `at ISCO ${(zamoAcceleration(radii.isco, spin) * accelerationUnit / 9.81).toFixed(2)} g`
+    },
+    {
+      key: 'orbit',
+      title: 'Circular orbit speed (c)',
+      plot: {
+        curves: [
+          { f: r => circularOrbitSpeed(r, spin, spin >= 0), color: '#33ccff' },
+          { f: r => circularOrbitSpeed(r, spin, spin < 0), color: '#ff9933' }
+        ],
+        yMin: 0,
+        yMax: 1
+      },
+      readout: (
+        <>
+          <span className="text-cyan-300">prograde</span> / <span className="text-orange-300">retrograde</span> • disk ISCO {circularOrbitSpeed(radii.isco, spin, true).toFixed(3)}c
+        </>
+      )
+    },
+    {
+      key: 'dilation',
+      title: 'Time dilation dτ/dt',
+      plot: {
+        curves: [{ f: r => (r > radii.horizon ? zamoLapse(r, spin) : NaN), color: '#ffcc66' }],
+        yMin: 0,
+        yMax: 1
+      },
+      readout: `at ISCO ${zamoLapse(radii.isco, spin).toFixed(3)} (1 yr ↔ ${(1 / zamoLapse(radii.isco, spin)).toFixed(2)} yr far away)`
+    },
+    {
+      key: 'tidal',
+      title: `Tidal Δg across ${BODY_LENGTH} m (m/s²)`,
+      plot: {
+        curves: [{ f: r => (r > radii.horizon ? tidalGradient(r) * tidalUnit : NaN), color: '#ff6666' }],
+        log: true
+      },
+      readout: `at r₊ ${(tidalGradient(radii.horizon) * tidalUnit).toExponential(1)} m/s², a gentle crossing`
+    },
+    {
+      key: 'ergosphere',
+      title: 'Ergosphere cutaway (axis ↑)',
+      ergosphere: true,
+      readout: `equator ${ergosphereRadius(spin, Math.PI / 2).toFixed(2)} M • pole ${radii.horizon.toFixed(2)} M`
+    }
+  ];
+
+  useEffect(() => {
+    panels.forEach(panel => {
+      const canvas = canvasRefs.current[panel.key];
+      if (!canvas) return;
+      if (panel.ergosphere) drawErgosphere(canvas, { spin, radii, cursor: cursorRadius });
+      else drawProfile(canvas, { ...panel.plot, rMax, radii, cursor: cursorRadius });
+    });
+  }, [mass, spin, rMax, cursorRadius]);
+
+  return (
+    <div className={className}>
+      <div className="grid grid-cols-2 gap-2">
+        {panels.map(panel => (
+          <div key={panel.key}>
+            <p className="text-[10px] text-gray-300 mb-0.5">{panel.title}</p>
+            <canvas
+              ref={el => { canvasRefs.current[panel.key] = el; }}
+              width={PLOT_WIDTH}
+              height={PLOT_HEIGHT}
+              className="rounded w-full"
+            />
+            <p className="text-[9px] text-gray-400 leading-tight">{panel.readout}</p>
+          </div>
+        ))}
+      </div>
+      <p className="text-[10px] font-mono mt-1">
+        {MARKERS.map(marker => (
+          <span key={marker.key} className="mr-2" style={{ color: marker.color }}>┆ {marker.label} {radii[marker.key].toFixed(2)} M</span>
+        ))}
+      </p>
+    </div>
+  );
+};
+
+export default GravityLab;
@@ -0,0 +1,41 @@
+import React from 'react';
+import { horizonRadius, circularOrbitRedshift, circularOrbitSpeed, properTimeRate, zamoLapse } from '../physics/KerrMetric';
+
+/**
+ * Readout for the disk-plane point under the cursor. `hover` is
+ * { x, y (px in the render), r (M), phi (deg), cosPsi } with ψ the angle between the
+ * orbital velocity (+φ) and the direction to the camera, as in getDiskRedshift.
+ * Gas there is taken on a circular Keplerian orbit: dτ/dt = α/γ, g as in circularOrbitRedshift.
+ */
+const HoverTooltip = ({ hover, spin }) => {
+  if (!hover) return null;
+
+  const inside = hover.r <= horizonRadius(spin);
+  const speed = inside ? NaN : circularOrbitSpeed(hover.r, spin, true);
+  const orbiting = Number.isFinite(speed);
+
+  return (
+    <div
+      className="absolute pointer-events-none bg-black/85 text-white px-2 py-1 rounded border border-gray-600 text-[10px] font-mono z-10"
+      style={{ left: hover.x + 14, top: hover.y + 14 }}
+    >
+      <p className="text-gray-300">r = {hover.r.toFixed(2)} M • φ = {hover.phi.toFixed(0)}°</p>
+      {inside && <p className="text-red-400">inside r₊</p>}
+      {!inside && orbiting && (
+        <>
+          <p>g = {circularOrbitRedshift(hover.r, spin, hover.cosPsi).total.toFixed(3)}</p>
+          <p>dτ/dt = {properTimeRate(hover.r, spin, speed).toFixed(3)}</p>
+          <p>v_orb = {speed.toFixed(3)}c</p>
+        </>
+      )}
+      {!inside && !orbiting && (
+        <>
+          <p className="text-orange-300">inside the photon orbit: no circular orbit</p>
+          <p>dτ/dt (ZAMO) = {zamoLapse(hover.r, spin).toFixed(3)}</p>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default HoverTooltip;
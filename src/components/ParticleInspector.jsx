@@ -0,0 +1,64 @@
+import React from 'react';
+
+const KIND_LABELS = {
+  disk: 'Disk particle',
+  debris: 'TDE debris',
+  jet: 'Jet particle'
+};
+
+const formatNumber = (value, digits = 3) => (value === null || !Number.isFinite(value) ? '—' : value.toFixed(digits));
+const formatScientific = (value) => (value === null || !Number.isFinite(value) ? '—' : value.toExponential(2));
+
+/**
+ * Inspector for one clicked particle. `inspection` is
+ * { kind ('disk' | 'debris' | 'jet'), index, r (M), speed (c, ZAMO frame), lapse (dτ/dt),
+ *   g, temperature (K), density (kg/m³), age, maxAge (frames), state, fate, pinned, following };
+ * values that do not apply are null. A set `fate` means the particle is gone and the
+ * readout is its last state.
+ */
+const ParticleInspector = ({ inspection, onPin, onFollow, onClose, className = '' }) => {
+  if (!inspection) return null;
+
+  const gamma = inspection.speed !== null && inspection.speed < 1 ? 1 / Math.sqrt(1 - inspection.speed ** 2) : null;
+
+  return (
+    <div className={`text-white bg-black/85 px-4 py-3 rounded-lg backdrop-blur-sm shadow-xl text-xs font-mono space-y-1 ${className}`}>
+      <div className="flex items-center justify-between gap-4">
+        <h3 className="text-sm font-semibold font-sans">
+          {KIND_LABELS[inspection.kind]} #{inspection.index}
+        </h3>
+        <button onClick={onClose} className="text-gray-400 hover:text-white">✕</button>
+      </div>
+      <p className="text-cyan-300">{inspection.state}</p>
+      {inspection.fate && <p className="text-red-400">{inspection.fate}</p>}
+      <p>r = {formatNumber(inspection.r, 2)} M</p>
+      <p>v = {formatNumber(inspection.speed)}c{gamma !== null && ` • γ = ${formatNumber(gamma, 2)}`}</p>
+      <p>dτ/dt = {formatNumber(inspection.lapse)}</p>
+      <p>g = E_obs/E_emit = {formatNumber(inspection.g)}</p>
+      <p>T = {inspection.temperature === null ? '— (non-thermal)' : `${formatNumber(inspection.temperature, 0)} K`}</p>
+      <p>ρ = {formatScientific(inspection.density)} kg/m³</p>
+      <p>
+        Age: {inspection.age} frames
+        {Number.isFinite(inspection.maxAge) && <span className="text-gray-400"> of {inspection.maxAge.toFixed(0)}</span>}
+      </p>
+      {!inspection.fate && (
+        <div className="flex gap-2 pt-1 font-sans">
+          <button
+            onClick={onPin}
+            className={`px-2 py-0.5 rounded border ${inspection.pinned ? 'border-yellow-400 text-yellow-300' : 'border-gray-600 text-gray-300 hover:text-white'}`}
+          >
+            📌 {inspection.pinned ? 'Pinned' : 'Pin'}
+          </button>
+          <button
+            onClick={onFollow}
+            className={`px-2 py-0.5 rounded border ${inspection.following ? 'border-cyan-400 text-cyan-300' : 'border-gray-600 text-gray-300 hover:text-white'}`}
+          >
+            🎥 {inspection.following ? 'Following' : 'Follow'}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ParticleInspector;
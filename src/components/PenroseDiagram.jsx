@@ -0,0 +1,117 @@
+import React, { useEffect, useRef } from 'react';
+
+const KIND_STYLES = {
+  camera: { color: '#ffffff', label: 'Camera', width: 2 },
+  star: { color: '#ffaa33', label: 'TDE star', width: 1.5 },
+  debris: { color: '#ff6644', label: 'Infalling debris', width: 1 },
+  hawking: { color: '#4dff4d', label: 'Hawking escapee', width: 1 }
+};
+
+/**
+ * Penrose diagram of the maximally extended hole with the radial worldlines of
+ * Worldlines.project(): T up, X right, light rays at 45°. Region I (our exterior) is
+ * the right diamond, II the black-hole interior above, III the other exterior and IV
+ * the white hole. For a = 0 the interior ends on the r = 0 singularity; for a ≠ 0 it
+ * is a diamond closed by the Cauchy horizon r_-.
+ */
+const PenroseDiagram = ({ diagram, width = 260, height = 200, className = '' }) => {
+  const canvasRef = useRef(null);
+  const rotating = Boolean(diagram && diagram.spin !== 0);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || !diagram) return;
+
+    const ctx = canvas.getContext('2d');
+    const w = canvas.width;
+    const h = canvas.height;
+    const top = rotating ? 1 : 0.5;
+    const scale = Math.min(w / 2.2, h / (2 * top + 0.2));
+    const toX = (X) => w / 2 + X * scale;
+    const toY = (T) => h / 2 - T * scale;
+    const path = (points, close = false) => {
+      ctx.beginPath();
+      points.forEach(([X, T], i) => (i === 0 ? ctx.moveTo(toX(X), toY(T)) : ctx.lineTo(toX(X), toY(T))));
+      if (close) ctx.closePath();
+      ctx.stroke();
+    };
+
+    ctx.fillStyle = '#000';
+    ctx.fillRect(0, 0, w, h);
+
+    // Exteriors I and III, horizons r_+ through the bifurcation point
+    ctx.strokeStyle = '#556';
+    ctx.lineWidth = 1;
+    path([[0.5, 0.5], [1, 0], [0.5, -0.5]]);
+    path([[-0.5, 0.5], [-1, 0], [-0.5, -0.5]]);
+    ctx.strokeStyle = '#4f7dff';
+    path([[-0.5, -0.5], [0.5, 0.5]]);
+    path([[0.5, -0.5], [-0.5, 0.5]]);
+
+    // Interior edges: the r = 0 singularities, or the Cauchy horizons r_-
+    if (rotating) {
+      ctx.setLineDash([3, 3]);
+      ctx.strokeStyle = '#aa66ff';
+      path([[0.5, 0.5], [0, 1], [-0.5, 0.5]]);
+      path([[0.5, -0.5], [0, -1], [-0.5, -0.5]]);
+      ctx.setLineDash([]);
+    } else {
+      ctx.strokeStyle = '#ff4444';
+      [0.5, -0.5].forEach(T => {
+        const zigzag = [];
+        for (let i = 0; i <= 20; i++) zigzag.push([-0.5 + i / 20, T + (i % 2 ? 0.012 : -0.012)]);
+        path(zigzag);
+      });
+    }
+
+    ctx.fillStyle = '#889';
+    ctx.font = '9px monospace';
+    ctx.fillText('I', toX(0.6), toY(0) + 3);
+    ctx.fillText('III', toX(-0.7), toY(0) + 3);
+    ctx.fillText('II', toX(-0.04), toY(rotating ? 0.55 : 0.3));
+    ctx.fillText('IV', toX(-0.04), toY(rotating ? -0.5 : -0.25));
+    ctx.fillText('i⁰', toX(1) - 12, toY(0) - 4);
+    ctx.fillText('i⁺', toX(0.5) + 4, toY(0.5) - 2);
+    ctx.fillText('ℐ⁺', toX(0.8) + 2, toY(0.25));
+    ctx.fillText('ℐ⁻', toX(0.8) + 2, toY(-0.25) + 8);
+    ctx.fillStyle = rotating ? '#aa66ff' : '#ff4444';
+    ctx.fillText(rotating ? 'r₋' : 'r = 0', toX(rotating ? 0.3 : -0.12), toY(rotating ? 0.8 : 0.5) - 4);
+
+    // Worldlines: finished ones faded, live ones with a marker at "now"
+    diagram.lines.forEach(line => {
+      const style = KIND_STYLES[line.kind] || KIND_STYLES.debris;
+      const points = line.points.map(point => [point.X, point.T]);
+      ctx.globalAlpha = line.fate ? 0.45 : 1;
+      ctx.strokeStyle = style.color;
+      ctx.lineWidth = style.width;
+      path(points);
+
+      const [X, T] = points[points.length - 1];
+      ctx.fillStyle = style.color;
+      if (!line.fate) {
+        ctx.beginPath();
+        ctx.arc(toX(X), toY(T), line.kind === 'camera' ? 3 : 2, 0, Math.PI * 2);
+        ctx.fill();
+      } else if (line.fate === 'horizon' || line.fate === 'interior') {
+        ctx.fillText('×', toX(X) - 3, toY(T) + 3);
+      }
+    });
+    ctx.globalAlpha = 1;
+    ctx.lineWidth = 1;
+  }, [diagram, rotating]);
+
+  return (
+    <div className={className}>
+      <canvas ref={canvasRef} width={width} height={height} className="rounded" />
+      <div className="grid grid-cols-2 gap-x-2 mt-1 text-[10px] font-mono text-gray-300">
+        {Object.entries(KIND_STYLES).map(([kind, style]) => (
+          <p key={kind}>
+            <span style={{ color: style.color }}>●</span> {style.label}
+          </p>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default PenroseDiagram;
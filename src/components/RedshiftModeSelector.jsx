@@ -0,0 +1,34 @@
+import React from 'react';
+
+/**
+ * Which part of the disk redshift factor g is applied to emission
+ * Keys match the fields returned by circularOrbitRedshift
+ */
+export const REDSHIFT_MODES = {
+  doppler: 'Doppler only',
+  gravitational: 'Gravitational only',
+  total: 'Both'
+};
+
+/**
+ * Compact selector for the disk redshift contribution
+ */
+const RedshiftModeSelector = ({ value, onChange, className = '' }) => {
+  return (
+    <div className={`flex flex-wrap gap-1 ${className}`}>
+      {Object.entries(REDSHIFT_MODES).map(([key, label]) => (
+        <button
+          key={key}
+          onClick={() => onChange(key)}
+          className={`px-1.5 py-0.5 rounded text-[10px] font-mono transition-colors ${
+            value === key ? 'bg-blue-600 text-white' : 'bg-gray-800 text-gray-400 hover:bg-gray-700'
+          }`}
+        >
+          {label}
+        </button>
+      ))}
+    </div>
+  );
+};
+
+export default RedshiftModeSelector;
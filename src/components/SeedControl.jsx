@@ -0,0 +1,46 @@
+import React, { useEffect, useState } from 'react';
+import { MAX_SEED, randomSeed } from '../physics/Random';
+
+/**
+ * Seed of the run's random streams. Typing a seed (Enter or leaving the field) or
+ * rolling a new one calls onSeed(seed); the same seed and parameters replay the run.
+ */
+const SeedControl = ({ seed, onSeed, className = '' }) => {
+  const [draft, setDraft] = useState(String(seed));
+
+  useEffect(() => setDraft(String(seed)), [seed]);
+
+  const commit = () => {
+    const value = Number(draft);
+    if (Number.isInteger(value) && value >= 0 && value <= MAX_SEED) {
+      if (value !== seed) onSeed(value);
+    } else {
+      setDraft(String(seed));
+    }
+  };
+
+  return (
+    <div className={`flex items-center gap-2 text-xs ${className}`}>
+      <span className="text-gray-400">Seed</span>
+      <input
+        value={draft}
+        onChange={(e) => setDraft(e.target.value.trim())}
+        onBlur={commit}
+        onKeyDown={(e) => {
+          if (e.key === 'Enter') e.currentTarget.blur();
+        }}
+        inputMode="numeric"
+        className="flex-1 min-w-0 bg-gray-800 border border-gray-700 rounded px-2 py-0.5 font-mono text-gray-200"
+      />
+      <button
+        onClick={() => onSeed(randomSeed())}
+        className="px-1.5 py-0.5 rounded bg-gray-800 text-gray-300 hover:bg-gray-700"
+        title="New random seed"
+      >
+        🎲
+      </button>
+    </div>
+  );
+};
+
+export default SeedControl;
@@ -0,0 +1,40 @@
+import React, { useState } from 'react';
+import { Button } from '@/components/ui/button';
+
+/**
+ * Copies the link to the current view; getLink() resolves to it. Where the clipboard
+ * is blocked, as in an iframe without clipboard-write, the link is shown selected for
+ * copying by hand.
+ */
+const ShareLink = ({ getLink, className = '' }) => {
+  const [status, setStatus] = useState(null);
+
+  const copy = () => {
+    getLink().then(link => {
+      const copied = navigator.clipboard ? navigator.clipboard.writeText(link) : Promise.reject();
+      copied
+        .then(() => setStatus({ copied: true }))
+        .catch(() => setStatus({ copied: false, link }));
+    });
+  };
+
+  return (
+    <div className={`relative ${className}`}>
+      <Button onClick={copy} onMouseLeave={() => status && status.copied && setStatus(null)} variant="outline" size="sm" className="text-xs">
+        {status && status.copied ? '✓ Link copied' : '🔗 Copy link'}
+      </Button>
+      {status && !status.copied && (
+        <input
+          readOnly
+          autoFocus
+          value={status.link}
+          onFocus={(e) => e.target.select()}
+          onBlur={() => setStatus(null)}
+          className="absolute right-0 top-full mt-2 w-80 bg-gray-900 border border-cyan-500/50 rounded px-2 py-1 font-mono text-[10px] text-gray-200"
+        />
+      )}
+    </div>
+  );
+};
+
+export default ShareLink;
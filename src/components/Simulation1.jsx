@@ -1,13 +1,112 @@
-import React, { useEffect, useRef, useState } from 'react';
+import React, { useEffect, useMemo, useRef, useState } from 'react';
 import * as THREE from 'three';
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
 import { Slider } from '@/components/ui/slider';
 import { Label } from '@/components/ui/label';
 import { Button } from '@/components/ui/button';
 import CompanionStar from '../physics/CompanionStar';
+import KerrGeodesic, { validateShadow, backTracePhoton } from '../physics/KerrGeodesic';
+import LensedSky from '../physics/LensedSky';
+import BlackHole from '../physics/BlackHole';
+import { formatLength, gravitationalTimeSeconds } from '../physics/Units';
+import NovikovThorneDisk from '../physics/NovikovThorneDisk';
+import BlandfordZnajekJet, { MAD_MAGNETIC_FLUX } from '../physics/BlandfordZnajekJet';
+import {
+  MIN_JET_SPEED,
+  MAX_JET_SPEED,
+  MIN_SPECTRAL_INDEX,
+  MAX_SPECTRAL_INDEX,
+  lorentzFactor,
+  dopplerFactor,
+  synchrotronBoost,
+  jetCounterJetRatio,
+  randomSpectralIndex,
+  boostBrightness
+} from '../physics/RelativisticJet';
+import JetKnots from '../physics/JetKnots';
+import VlbiMap from './VlbiMap';
+import UnitSelector from './UnitSelector';
+import GravityLab from './GravityLab';
+import HoverTooltip from './HoverTooltip';
+import ParticleInspector from './ParticleInspector';
+import TimeControls from './TimeControls';
+import SeedControl from './SeedControl';
+import SimulationClock, { FRAME_SECONDS } from '../physics/SimulationClock';
+import FixedTimestep, { InstanceInterpolator } from '../physics/FixedTimestep';
+import Random, { MAX_SEED, randomSeed } from '../physics/Random';
+import { blackbodyColor } from '../physics/Blackbody';
+import RedshiftModeSelector, { REDSHIFT_MODES } from './RedshiftModeSelector';
+import { linkedCameraAngle, withLinkedView } from '../lib/viewLink';
+import {
+  MAX_SPIN,
+  iscoRadius,
+  radiativeEfficiency,
+  circularOrbitRedshift,
+  circularOrbitSpeed,
+  properTimeRate,
+  movingEmitterRedshift,
+  shadowBoundary,
+  frameDraggingRate,
+  horizonAngularVelocity,
+  keplerianPeriod
+} from '../physics/KerrMetric';
+
+const KNOT_JET_HEIGHT = 180; // Scene height of the drawn jet
+const PULSE_RATE = 0.03; // Phase (rad) per M of clock time of the cosmetic glows and flickers
+const SHADOW_CHECK_DELAY = 300; // ms the view must rest before the shadow check traces rays
+
+// What a shared link may set, matching the controls (see mergeParams)
+const PARAM_RANGES = {
+  seed: [0, MAX_SEED],
+  blackHoleMass: [10, 100],
+  spinParameter: [-MAX_SPIN, MAX_SPIN],
+  magneticFlux: [0, MAD_MAGNETIC_FLUX],
+  jetVelocity: [MIN_JET_SPEED, MAX_JET_SPEED],
+  inclination: [0, 90],
+  spiralStrength: [0, 3],
+  diskTemperature: [0.2, 2],
+  redshiftMode: Object.keys(REDSHIFT_MODES),
+  cameraDistance: [60, 500],
+  companionStarDistance: [25, 500],
+  companionStarMass: [15, 90],
+  companionStarTemperature: [30000, 50000],
+  orbitalSpeedMultiplier: [0.001, 2],
+  windVelocity: [1000, 3000],
+  windDensity: [0.1, 3],
+  gravitationalStrength: [0.1, 5],
+  hawkingRadiationIntensity: [0.1, 2]
+};
 
-const Ton618Simulation = () => {
+// Settings that only change how the run is drawn; the running scene reads them as they
+// change, so they neither rebuild the scene nor rewind the clock
+const DISPLAY_PARAMS = [
+  'inclination',
+  'diskTemperature',
+  'metricLensing',
+  'redshiftMode',
+  'cameraDistance',
+  'showPhotonSphere',
+  'showShadowOutline',
+  'showGeodesics',
+  'showMagneticField',
+  'showISCO',
+  'showErgosphere',
+  'showFrameDraggingField',
+  'showReferenceFrames',
+  'showParticleTrails',
+  'showInfluenceSphere'
+];
+
+const Ton618Simulation = ({ linkedView = null, onViewChange }) => {
   const containerRef = useRef(null);
+  const shadowOutlineRef = useRef(null);
+  const shadowCheckRef = useRef(null);
+  const jetViewRef = useRef(null);
+  const knotModelRef = useRef(null);
+  const photonTraceRef = useRef(null);
+  const photonPathRef = useRef(null);
+  const drawPhotonPathRef = useRef(null); // The scene's drawPhotonPath(), for the trace panel
+  const inspectedRef = useRef(null); // { kind, index, target, pinned, following, lastAge, fate }
   const rendererRef = useRef(null);
   const cameraRef = useRef(null);
   const sceneRef = useRef(null);
@@ -18,29 +117,35 @@ const Ton618Simulation = () => {
   const particleTrailsRef = useRef([]);
   const magneticFieldLinesRef = useRef([]);
   const photonPathsRef = useRef([]);
-  const cameraAngleRef = useRef({ theta: Math.PI / 4, phi: Math.PI / 3 });
-  const starPositionsRef = useRef([]);
+  const cameraAngleRef = useRef(linkedCameraAngle(linkedView, { theta: Math.PI / 4, phi: Math.PI / 3 }));
   const spectrumCanvasRef = useRef(null);
   const companionStarRef = useRef(null);
+  const blackHoleRef = useRef(null);
+  const diskModelRef = useRef(null);
+  const jetModelRef = useRef(null);
+  const clockRef = useRef(null);
   
-  const [params, setParams] = useState({
+  const [params, setParams] = useState(withLinkedView({
+    seed: randomSeed(), // Fixes every random stream of the run
     blackHoleMass: 66,
     spinParameter: 0.7,
-    diskRotationSpeed: 1.0,
     diskTemperature: 1.0,
-    magneticFieldStrength: 1.0,
+    magneticFlux: 15,
+    jetVelocity: 0.98, // β = v/c
     inclination: 60,
-    lensingStrength: 1.0,
+    metricLensing: true,
+    redshiftMode: 'total',
     cameraDistance: 200,
     showPhotonSphere: true,
+    showShadowOutline: true,
     showGeodesics: true,
     showMagneticField: true,
     showISCO: true,
     showErgosphere: true,
     showFrameDragging: true,
+    showFrameDraggingField: false,
     showReferenceFrames: true,
     showParticleTrails: true,
-    jetLaunchRate: 1.0,
     spiralStrength: 1.0,
     // Companion star parameters
     showCompanionStar: true,
@@ -58,11 +163,22 @@ const Ton618Simulation = () => {
     // Quantum effects
     enableQuantumEffects: true,
     hawkingRadiationIntensity: 0.5
-  });
+  }, linkedView, PARAM_RANGES));
+  // The scene reads display settings from liveParamsRef and is rebuilt from the seed
+  // (rewinding the clock) only when one of the others changes
+  const liveParamsRef = useRef({});
+  Object.assign(liveParamsRef.current, params);
+  const sceneParams = JSON.stringify(params, (key, value) => (DISPLAY_PARAMS.includes(key) ? undefined : value));
 
-  const [isPlaying, setIsPlaying] = useState(true);
   const [fps, setFps] = useState(60);
   const [launchedCount, setLaunchedCount] = useState(0);
+  const [starStatsUnit, setStarStatsUnit] = useState('au');
+  const [shadowCheck, setShadowCheck] = useState(null);
+  const [jetView, setJetView] = useState(null);
+  const [knotMap, setKnotMap] = useState(null);
+  const [photonTrace, setPhotonTrace] = useState(null);
+  const [hover, setHover] = useState(null);
+  const [inspection, setInspection] = useState(null);
   const [starStats, setStarStats] = useState({
     windParticleCount: 0,
     quantumParticleCount: 0,
@@ -70,40 +186,88 @@ const Ton618Simulation = () => {
     massLossRate: 0
   });
 
-  // Schwarzschild radius
-  const getSchwarzschildRadius = (mass) => {
-    return mass / 66 * 10;
+  // Shared black hole model (radii in scene units) with the Novikov–Thorne disk and
+  // Blandford–Znajek jet on it. The scene effect keeps them in sync with the sliders;
+  // the hole's onChange listeners (CompanionStar) must not run during render.
+  if (!blackHoleRef.current) blackHoleRef.current = new BlackHole();
+  if (!diskModelRef.current) diskModelRef.current = new NovikovThorneDisk(blackHoleRef.current);
+  if (!jetModelRef.current) jetModelRef.current = new BlandfordZnajekJet(diskModelRef.current);
+
+  // The same hole, disk and jet at this render's sliders, for the values derived below
+  const preview = useMemo(() => {
+    const blackHole = new BlackHole({ mass: params.blackHoleMass * 1e9, spin: params.spinParameter });
+    const disk = new NovikovThorneDisk(blackHole);
+    return { blackHole, disk, jet: new BlandfordZnajekJet(disk, { magneticFlux: params.magneticFlux }) };
+  }, [params.blackHoleMass, params.spinParameter, params.magneticFlux]);
+
+  const diskStats = preview.disk.getStats();
+
+  // Jet powered by the hole's spin and the flux φ_BH threading the horizon
+  const jetStats = preview.jet.getStats();
+  // Launch rate and brightness follow P_BZ (√-compressed, 1 at 1% L_Edd)
+  const jetPowerScale = preview.jet.powerScale();
+  // The slider sets β up to the terminal speed the jet power reaches, so Γ never
+  // exceeds the Blandford–Znajek Γ_∞ (no jet speed above MIN_JET_SPEED without spin)
+  const maxJetVelocity = Math.min(MAX_JET_SPEED, Math.max(MIN_JET_SPEED, preview.jet.speed));
+  const jetVelocity = Math.min(params.jetVelocity, maxJetVelocity);
+  const jetLorentzFactor = lorentzFactor(jetVelocity);
+
+  // Internal-shock knots ejected around the jet Γ; their history restarts with the clock
+  if (!knotModelRef.current) knotModelRef.current = new JetKnots();
+
+  // Physical clock (M, GM/c³) driving every module; each scene rebuild rewinds it to 0.
+  // An earlier time is reached by rebuilding the run from its seed and replaying it.
+  if (!clockRef.current) clockRef.current = new SimulationClock(blackHoleRef.current);
+  const [clockStats, setClockStats] = useState(() => clockRef.current.getStats());
+  const [rewinds, setRewinds] = useState(0);
+  const updateClock = (change) => {
+    change(clockRef.current);
+    setClockStats(clockRef.current.getStats());
+    if (clockRef.current.needsRewind) setRewinds(count => count + 1);
   };
 
-  // ISCO radius
-  const getISCO = (mass, spin) => {
-    const rs = getSchwarzschildRadius(mass);
-    const iscoFactor = 6 - 5 * spin;
-    return rs * iscoFactor / 6;
+  // Disk particle color: blackbody at the Novikov–Thorne temperature (normalized to the peak),
+  // seen with redshift factor g; sRGB-encoded for the raw disk shader
+  const getDiskColor = (normalizedTemperature, g, target) => {
+    const peakTemperature = diskModelRef.current.getStats().peakTemperature;
+    return blackbodyColor(normalizedTemperature * peakTemperature, g, target, {
+      referenceTemperature: peakTemperature,
+      exposure: 0.25,
+      encoding: 'srgb'
+    });
   };
 
-  // Blandford-Znajek Energy Extraction
-  // Power ∝ a²B²M² where a=spin, B=magnetic field, M=mass
-  const getBlandfordZnajekPower = (radius, spin, bField) => {
-    const rs = getSchwarzschildRadius(params.blackHoleMass);
-    // Energy extraction peaks near horizon
-    const horizonFactor = Math.exp(-(radius - rs) / rs);
-    return spin * spin * bField * horizonFactor;
+  // Redshift factor of a disk particle on a Keplerian orbit seen from the observer
+  // (both in the disk frame); the redshift mode picks Doppler, gravitational or both
+  const getDiskRedshift = (position, angle, observer) => {
+    const dx = observer.x - position.x;
+    const dy = observer.y - position.y;
+    const dz = observer.z - position.z;
+    const cosPsi = (-Math.sin(angle) * dx + Math.cos(angle) * dz) / Math.sqrt(dx * dx + dy * dy + dz * dz);
+    const r = Math.sqrt(position.x * position.x + position.z * position.z) / blackHoleRef.current.gravitationalRadius;
+    return circularOrbitRedshift(r, blackHoleRef.current.spin, cosPsi)[liveParamsRef.current.redshiftMode];
   };
 
-  // Frame dragging rate: Ω = 2aM/r³
-  const getFrameDraggingRate = (r, spin) => {
-    const rs = getSchwarzschildRadius(params.blackHoleMass);
-    const a = spin;
-    return (2 * a * rs * rs * rs) / (r * r * r) * 0.01;
+  // Fraction of the spectrum width per e-fold of shift, for the hovered H-α marker
+  const SPECTRUM_SHIFT_SCALE = 0.3;
+
+  // Frame-dragging rotation per physics step at scene radius r (polar angle θ, equator by
+  // default) from the ZAMO angular velocity ω = -g_tφ/g_φφ, over one step of clock time
+  const getFrameDraggingRate = (r, theta = Math.PI / 2) => {
+    const blackHole = blackHoleRef.current;
+    const rM = Math.max(r / blackHole.gravitationalRadius, blackHole.horizonRadius / blackHole.gravitationalRadius);
+    return frameDraggingRate(rM, theta, blackHole.spin) * FRAME_SECONDS * clockRef.current.timeScale;
   };
 
-  // Lorentz factor for particle in magnetic field
-  const getLorentzFactor = (energy) => {
-    return 1 + energy * 10; // γ = 1 + extracted energy
+  // Pin or follow toggles on the inspected particle
+  const toggleInspector = (flag) => {
+    const selection = inspectedRef.current;
+    if (!selection) return;
+    selection[flag] = !selection[flag];
+    setInspection(prev => prev && { ...prev, [flag]: selection[flag] });
   };
 
-  // Draw emission spectrum
+  // Draw emission spectrum, with H-α as emitted at the hovered disk point
   useEffect(() => {
     if (!spectrumCanvasRef.current) return;
     
@@ -149,12 +313,35 @@ const Ton618Simulation = () => {
       ctx.fillText(line.label, x - 15, h - 35 - lineHeight);
     });
     
+    if (hover && hover.r > blackHoleRef.current.horizonRadius / blackHoleRef.current.gravitationalRadius) {
+      const g = circularOrbitRedshift(hover.r, blackHoleRef.current.spin, hover.cosPsi).total;
+      if (Number.isFinite(g) && g > 0) {
+        const x = THREE.MathUtils.clamp(0.42 + SPECTRUM_SHIFT_SCALE * Math.log(1 / g), 0.01, 0.99) * w;
+        ctx.strokeStyle = '#ffffff';
+        ctx.lineWidth = 1;
+        ctx.setLineDash([3, 2]);
+        ctx.beginPath();
+        ctx.moveTo(x, 0);
+        ctx.lineTo(x, h - 30);
+        ctx.stroke();
+        ctx.setLineDash([]);
+        ctx.fillStyle = '#fff';
+        ctx.font = '10px monospace';
+        ctx.fillText(`H-α × ${g.toFixed(2)}`, Math.min(x + 3, w - 80), 10);
+      }
+    }
+    
     ctx.fillStyle = '#888';
     ctx.font = '11px monospace';
     ctx.fillText('Blue shift ←', 10, h - 5);
     ctx.fillText('→ Red shift', w - 90, h - 5);
     
-  }, []);
+  }, [hover]);
+
+  // Share link: report every parameter change, display settings included
+  useEffect(() => {
+    if (onViewChange) onViewChange({ params, camera: { ...cameraAngleRef.current, distance: params.cameraDistance } });
+  }, [params]);
 
   useEffect(() => {
     if (!containerRef.current) return;
@@ -163,6 +350,16 @@ const Ton618Simulation = () => {
     const width = container.clientWidth;
     const height = container.clientHeight;
 
+    const live = liveParamsRef.current;
+    const blackHoleModel = blackHoleRef.current;
+    blackHoleModel.setParameters({ mass: params.blackHoleMass * 1e9, spin: params.spinParameter });
+    jetModelRef.current.setParameters({ magneticFlux: params.magneticFlux });
+    knotModelRef.current.setParameters({ speed: jetVelocity });
+
+    // Random streams of the run, one per module, all fixed by the seed
+    const random = new Random(params.seed);
+    const sceneRandom = random.fork('scene');
+
     // Scene
     const scene = new THREE.Scene();
     scene.background = new THREE.Color(0x000510);
@@ -222,8 +419,15 @@ const Ton618Simulation = () => {
     const glow = new THREE.Mesh(glowGeometry, glowMaterial);
     scene.add(glow);
 
-    // Ergosphere
-    const ergosphereGeometry = new THREE.SphereGeometry(14, 64, 64);
+    // Ergosphere: the static limit r_ergo(θ) = M + √(M² - a²cos²θ) as a surface of revolution
+    // about the spin axis, touching the horizon at the poles
+    const ergosphereProfile = [];
+    for (let k = 0; k <= 64; k++) {
+      const theta = (k / 64) * Math.PI;
+      const r = blackHoleModel.ergosphereRadius(theta);
+      ergosphereProfile.push(new THREE.Vector2(r * Math.sin(theta), r * Math.cos(theta)));
+    }
+    const ergosphereGeometry = new THREE.LatheGeometry(ergosphereProfile, 64);
     const ergosphereMaterial = new THREE.MeshBasicMaterial({
       color: 0xff8800,
       transparent: true,
@@ -231,9 +435,64 @@ const Ton618Simulation = () => {
       wireframe: true
     });
     const ergosphere = new THREE.Mesh(ergosphereGeometry, ergosphereMaterial);
-    ergosphere.scale.y = 0.7;
     scene.add(ergosphere);
 
+    // Frame-dragging field: azimuthal arrows of length ∝ ZAMO speed ω·ϖ on shells outside
+    // the horizon, colored from slow (blue) to fast (white); they point with the hole's spin
+    const frameDraggingField = (() => {
+      const rg = blackHoleModel.gravitationalRadius;
+      const rHorizon = blackHoleModel.horizonRadius / rg;
+      const positions = [];
+      const colors = [];
+      const color = new THREE.Color();
+      const ARROW_SCALE = 60; // Scene units per unit of c
+
+      for (let shell = 0; shell < 6; shell++) {
+        const r = rHorizon * 1.15 * Math.pow(1.35, shell);
+        for (let band = 1; band <= 5; band++) {
+          const theta = (band / 6) * Math.PI;
+          const omega = frameDraggingRate(r, theta, blackHoleModel.spin);
+          const cylindricalRadius = r * Math.sin(theta);
+          const length = Math.max(0.5, Math.abs(omega) * cylindricalRadius * ARROW_SCALE);
+          const sense = Math.sign(omega) || 1;
+          color.setHSL(0.6, 1, 0.35 + Math.min(0.6, Math.abs(omega) * cylindricalRadius * 2));
+
+          for (let k = 0; k < 12; k++) {
+            const phi = (k / 12) * Math.PI * 2;
+            const base = new THREE.Vector3(
+              cylindricalRadius * Math.cos(phi),
+              r * Math.cos(theta),
+              cylindricalRadius * Math.sin(phi)
+            ).multiplyScalar(rg);
+            const direction = new THREE.Vector3(-Math.sin(phi), 0, Math.cos(phi)).multiplyScalar(sense);
+            const tip = base.clone().addScaledVector(direction, length);
+            const radial = new THREE.Vector3(Math.cos(phi), 0, Math.sin(phi));
+            const headBack = tip.clone().addScaledVector(direction, -length * 0.3);
+            const heads = [
+              headBack.clone().addScaledVector(radial, length * 0.15),
+              headBack.clone().addScaledVector(radial, -length * 0.15)
+            ];
+
+            [[base, tip], [tip, heads[0]], [tip, heads[1]]].forEach(([from, to]) => {
+              positions.push(from.x, from.y, from.z, to.x, to.y, to.z);
+              colors.push(color.r, color.g, color.b, color.r, color.g, color.b);
+            });
+          }
+        }
+      }
+
+      const geometry = new THREE.BufferGeometry();
+      geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+      geometry.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
+      const field = new THREE.LineSegments(geometry, new THREE.LineBasicMaterial({
+        vertexColors: true,
+        transparent: true,
+        opacity: 0.7
+      }));
+      scene.add(field);
+      return field;
+    })();
+
     // Reference Frame Grids
     const referenceFrames = [];
     const frameRadii = [20, 30, 45, 60];
@@ -309,6 +568,24 @@ const Ton618Simulation = () => {
     const photonSphere = new THREE.Mesh(photonSphereGeometry, photonSphereMaterial);
     scene.add(photonSphere);
 
+    // Equatorial circular photon orbits (unit radius, scaled to r_ph each frame)
+    // Prograde co-rotates with the hole and is always the inner one
+    const createPhotonOrbitLoop = (color) => {
+      const points = [];
+      for (let k = 0; k < 128; k++) {
+        const angle = (k / 128) * Math.PI * 2;
+        points.push(new THREE.Vector3(Math.cos(angle), 0, Math.sin(angle)));
+      }
+      const loop = new THREE.LineLoop(
+        new THREE.BufferGeometry().setFromPoints(points),
+        new THREE.LineBasicMaterial({ color, transparent: true, opacity: 0.8 })
+      );
+      scene.add(loop);
+      return loop;
+    };
+    const progradePhotonOrbit = createPhotonOrbitLoop(0x66ddff);
+    const retrogradePhotonOrbit = createPhotonOrbitLoop(0xff9966);
+
     // ISCO Ring
     const iscoGeometry = new THREE.RingGeometry(17, 18, 128);
     const iscoMaterial = new THREE.MeshBasicMaterial({
@@ -369,37 +646,43 @@ const Ton618Simulation = () => {
     }
     magneticFieldLinesRef.current = magneticFieldLines;
 
-    // Photon Geodesics
+    // Photon Geodesics - null geodesics traced through the Kerr metric
+    // Integrated in units of M, then scaled so r_s matches the horizon mesh.
+    // Kerr frame has the spin axis on +z; the scene uses +y, so (x, y, z) → (x, z, y).
     const geodesicPaths = [];
     const numGeodesics = 12;
-    
+    const sceneM = blackHoleModel.gravitationalRadius;
+    const geodesicTracer = new KerrGeodesic({
+      spin: params.spinParameter,
+      tolerance: 1e-8,
+      maxSteps: 4000,
+      celestialRadius: 30
+    });
+
     for (let i = 0; i < numGeodesics; i++) {
-      const points = [];
-      const steps = 200;
       const phi0 = (i / numGeodesics) * Math.PI * 2;
-      
-      for (let s = 0; s < steps; s++) {
-        const t = (s / steps) * Math.PI * 4;
-        const r = 15 + Math.sin(t * 3) * 0.5;
-        const theta = Math.PI / 2 + Math.sin(t * 2) * 0.1;
-        const phi = phi0 + t + Math.sin(t * 5) * 0.05;
-        
-        const x = r * Math.sin(theta) * Math.cos(phi);
-        const y = r * Math.cos(theta);
-        const z = r * Math.sin(theta) * Math.sin(phi);
-        
-        points.push(new THREE.Vector3(x, y, z));
-      }
-      
+      const tilt = Math.sin(i * 2.4) * 0.6; // Orbital plane inclination
+      const impactParameter = 5.0 + (i % 4) * 0.4; // Around the critical b ≈ 3√3 M
+      const startRadius = 20;
+
+      const start = [startRadius * Math.cos(phi0), startRadius * Math.sin(phi0), 0];
+      const direction = [
+        -Math.cos(phi0) - (impactParameter / startRadius) * Math.sin(phi0) * Math.cos(tilt),
+        -Math.sin(phi0) + (impactParameter / startRadius) * Math.cos(phi0) * Math.cos(tilt),
+        (impactParameter / startRadius) * Math.sin(tilt)
+      ];
+
+      const ray = geodesicTracer.traceRay(start, direction, { recordPath: true });
+      const points = ray.path.map(([x, y, z]) => new THREE.Vector3(x * sceneM, z * sceneM, y * sceneM));
+
       const geometry = new THREE.BufferGeometry().setFromPoints(points);
       const material = new THREE.LineBasicMaterial({
-        color: 0xffaa00,
+        color: ray.termination === 'horizon' ? 0xff6600 : 0xffaa00,
         transparent: true,
         opacity: 0.5
       });
-      
       const path = new THREE.Line(geometry, material);
-      path.userData = { phase: Math.random() * Math.PI * 2 };
+      path.userData = { phase: sceneRandom.next() * Math.PI * 2 };
       geodesicPaths.push(path);
       scene.add(path);
     }
@@ -476,48 +759,39 @@ const Ton618Simulation = () => {
     let tempMatrix = new THREE.Matrix4();
     let tempColor = new THREE.Color();
     
+    // Disk inner edge sits on the ISCO; structure from the Novikov–Thorne model
+    const diskInnerRadius = blackHoleModel.iscoRadius();
+    const ntDisk = diskModelRef.current;
+    const rg = blackHoleModel.gravitationalRadius;
+
     // Create multi-layered 3D disk structure
     for (let i = 0; i < particleCount; i++) {
-      const angle = Math.random() * Math.PI * 2;
-      const radiusRandom = Math.random();
+      const angle = sceneRandom.next() * Math.PI * 2;
+      const radiusRandom = sceneRandom.next();
       
       // Power law distribution - more particles in inner regions (more physics!)
-      const radius = 18 + Math.pow(radiusRandom, 1.5) * 80;
+      const radius = diskInnerRadius + Math.pow(radiusRandom, 1.5) * 80;
       
-      // 3D disk thickness - follows H/R relationship (H = height scale)
-      // Thinner near black hole due to higher gravity
-      const aspectRatio = 0.1 * Math.pow(radius / 50, 0.5); // H/R ∝ √r
-      const diskThickness = radius * aspectRatio;
+      // 3D disk thickness - Novikov–Thorne half-thickness H(r)
+      // Radiation pressure keeps H nearly constant, collapsing to zero at the ISCO
+      const diskThickness = Math.max(ntDisk.scaleHeight(radius / rg) * rg, 0.05);
       
       // Vertical distribution - Gaussian in height
-      const heightRandom = (Math.random() + Math.random() + Math.random()) / 3 - 0.5;
+      const heightRandom = (sceneRandom.next() + sceneRandom.next() + sceneRandom.next()) / 3 - 0.5;
       const height = heightRandom * diskThickness;
       
-      // Calculate orbital velocity using Keplerian motion: v ∝ 1/√r
-      const keplerianSpeed = 0.007 * Math.pow(98 / radius, 1.5);
+      // Temperature and flux from the Novikov–Thorne profile (normalized to the peak)
+      const profile = ntDisk.sample(radius / rg);
+      const temp = profile.temperature;
       
-      // Temperature from Shakura-Sunyaev disk model: T ∝ r^(-3/4)
-      const temp = Math.pow(1 - (radius - 18) / 80, 0.75);
+      // Initial color - blackbody at the local temperature
+      getDiskColor(temp, 1, tempColor).multiplyScalar(1.5);
       
-      // Initial color based on temperature
-      // Blackbody temperature color
-      if (temp > 0.8) {
-        tempColor.setRGB(0.8, 0.9, 1.0).multiplyScalar(1.5);
-      } else if (temp > 0.6) {
-        tempColor.setRGB(1.0, 1.0, 0.95).multiplyScalar(1.3);
-      } else if (temp > 0.4) {
-        tempColor.setRGB(1.0, 0.95, 0.7).multiplyScalar(1.2);
-      } else if (temp > 0.2) {
-        tempColor.setRGB(1.0, 0.7, 0.4).multiplyScalar(1.0);
-      } else {
-        tempColor.setRGB(1.0, 0.5, 0.2).multiplyScalar(0.8);
-      }
-      
-      // Density falls off with radius and height
-      const density = Math.exp(-Math.abs(height) / diskThickness) * Math.pow(50 / radius, 1.5);
+      // Density falls off with height above the midplane (scale height H)
+      const density = Math.exp(-Math.abs(height) / diskThickness);
 
       // Particle mass proportional to density (more massive in denser regions)
-      const particleMass = 0.7 + density * 0.5 + Math.random() * 0.3;
+      const particleMass = 0.7 + density * 0.5 + sceneRandom.next() * 0.3;
 
       diskData.push({
         // Position
@@ -532,19 +806,18 @@ const Ton618Simulation = () => {
         frameDragAccumulated: 0,
 
         // Dynamics
-        speed: keplerianSpeed,
-        baseSpeed: keplerianSpeed,
-        verticalPhase: Math.random() * Math.PI * 2,
+        verticalPhase: sceneRandom.next() * Math.PI * 2,
         infallSpeed: 0.012 * (1 / radius), // Viscous infall
 
         // Velocity fields for proper F=ma integration
         vRadial: 0,      // Radial velocity (inward/outward)
-        vTangential: 0,  // Tangential velocity (orbital motion)
+        vTangential: 0,  // Tangential velocity on top of the orbit (companion's pull)
         vVertical: 0,    // Vertical velocity (perpendicular to disk)
 
         // Thermodynamics
         temp: temp,
         baseTemp: temp,
+        flux: profile.flux,
         heatFromViscosity: 0,
 
         // Physical properties
@@ -553,9 +826,10 @@ const Ton618Simulation = () => {
         mass: particleMass, // Particle mass (proportional to density)
 
         // State
-        magneticFieldLine: Math.floor(Math.random() * numFieldLines),
+        magneticFieldLine: Math.floor(sceneRandom.next() * numFieldLines),
         isInISCO: false,
-        timeInISCO: 0
+        timeInISCO: 0,
+        age: 0 // Frames since (re)spawning at the outer disk
       });
       
       // Initial transform with size variation
@@ -572,50 +846,15 @@ const Ton618Simulation = () => {
     
     diskDataRef.current = diskData;
 
-    // Background Stars
-    const starsGeometry = new THREE.BufferGeometry();
-    const starPositions = [];
-    const starColors = [];
-    
-    for (let i = 0; i < 5000; i++) {
-      const theta = Math.random() * Math.PI * 2;
-      const phi = Math.acos(2 * Math.random() - 1);
-      const radius = 400 + Math.random() * 900;
-      
-      starPositions.push(
-        radius * Math.sin(phi) * Math.cos(theta),
-        radius * Math.sin(phi) * Math.sin(theta),
-        radius * Math.cos(phi)
-      );
-      
-      const brightness = 0.3 + Math.random() * 0.7;
-      const temp = Math.random();
-      starColors.push(
-        brightness * (0.7 + temp * 0.3),
-        brightness * (0.7 + temp * 0.3),
-        brightness
-      );
-    }
-    
-    starPositionsRef.current = starPositions;
-    
-    starsGeometry.setAttribute('position', new THREE.Float32BufferAttribute(starPositions, 3));
-    starsGeometry.setAttribute('color', new THREE.Float32BufferAttribute(starColors, 3));
-    
-    const starsMaterial = new THREE.PointsMaterial({
-      size: 2,
-      vertexColors: true,
-      transparent: true,
-      opacity: 0.85,
-      sizeAttenuation: true
+    // Background Stars - celestial sphere ray-traced through the metric
+    const lensedSky = new LensedSky(scene, {
+      sceneM,
+      spin: params.spinParameter,
+      metricLensing: live.metricLensing
     });
-    
-    const stars = new THREE.Points(starsGeometry, starsMaterial);
-    scene.add(stars);
 
     // Initialize companion star (massive O-type supergiant)
-    const blackHoleMass = 66e9; // 66 billion solar masses
-    const companionStar = new CompanionStar(scene, blackHoleMass, {
+    const companionStar = new CompanionStar(scene, blackHoleModel, {
       mass: params.companionStarMass,
       temperature: params.companionStarTemperature,
       orbitalRadius: params.companionStarDistance,
@@ -627,21 +866,268 @@ const Ton618Simulation = () => {
       gravitationalStrength: params.gravitationalStrength,
       enableQuantumEffects: params.enableQuantumEffects,
       hawkingRadiationIntensity: params.hawkingRadiationIntensity,
-      showInfluenceSphere: params.showInfluenceSphere
+      showInfluenceSphere: live.showInfluenceSphere,
+      random: random.fork('companion')
     });
     companionStarRef.current = companionStar;
 
-    // Mouse Controls
+    // Photon path back-traced from a clicked pixel, drawn as a 3D polyline
+    // Scene (X, Y, Z) ↔ Kerr (x, y, z) = (X, Z, Y); Kerr lengths in M
+    const PHOTON_PATH_COLORS = { disk: 0xffaa33, horizon: 0xff3355, escaped: 0x33ddff, 'max-steps': 0x888888 };
+    const photonRaycaster = new THREE.Raycaster();
+
+    const drawPhotonPath = (trace) => {
+      if (photonPathRef.current) {
+        scene.remove(photonPathRef.current);
+        photonPathRef.current.traverse(child => {
+          if (child.geometry) child.geometry.dispose();
+          if (child.material) child.material.dispose();
+        });
+        photonPathRef.current = null;
+      }
+      if (!trace) return;
+
+      const rg = blackHoleModel.gravitationalRadius;
+      const points = trace.path.map(([x, y, z]) => new THREE.Vector3(x * rg, z * rg, y * rg));
+      const color = PHOTON_PATH_COLORS[trace.termination];
+      const path = new THREE.Group();
+      path.add(new THREE.Line(
+        new THREE.BufferGeometry().setFromPoints(points),
+        new THREE.LineBasicMaterial({ color, transparent: true, opacity: 0.95 })
+      ));
+      const end = new THREE.Mesh(new THREE.SphereGeometry(1.2, 12, 12), new THREE.MeshBasicMaterial({ color }));
+      end.position.copy(points[points.length - 1]);
+      path.add(end);
+      scene.add(path);
+      photonPathRef.current = path;
+    };
+    drawPhotonPathRef.current = drawPhotonPath;
+
+    const tracePixel = (clientX, clientY) => {
+      const rect = renderer.domElement.getBoundingClientRect();
+      const pointer = new THREE.Vector2(
+        (clientX - rect.left) / rect.width * 2 - 1,
+        -(clientY - rect.top) / rect.height * 2 + 1
+      );
+      photonRaycaster.setFromCamera(pointer, camera);
+      const { origin, direction } = photonRaycaster.ray;
+      const rg = blackHoleModel.gravitationalRadius;
+
+      const trace = backTracePhoton(
+        params.spinParameter,
+        [origin.x / rg, origin.z / rg, origin.y / rg],
+        [direction.x, direction.z, direction.y],
+        { innerRadius: diskInnerRadius / rg, outerRadius: (diskInnerRadius + 80) / rg }
+      );
+      const [dx, dy, dz] = trace.direction;
+      photonTraceRef.current = {
+        spin: params.spinParameter,
+        pixel: { x: Math.round(clientX - rect.left), y: Math.round(clientY - rect.top) },
+        termination: trace.termination,
+        path: trace.path,
+        diskRadius: trace.diskHit ? trace.diskHit.radius : null,
+        skyTheta: THREE.MathUtils.radToDeg(Math.acos(Math.max(-1, Math.min(1, dz)))),
+        skyPhi: THREE.MathUtils.radToDeg(Math.atan2(dy, dx)),
+        windings: trace.windings,
+        equatorCrossings: trace.equatorCrossings,
+        E: trace.E,
+        Lz: trace.Lz,
+        Q: trace.Q,
+        redshift: trace.redshift,
+        drift: Math.max(trace.drift.E, trace.drift.Lz, trace.drift.Q)
+      };
+      drawPhotonPath(photonTraceRef.current);
+      setPhotonTrace(photonTraceRef.current);
+    };
+
+    // Keep the last trace across scene rebuilds while the spin is unchanged
+    if (photonTraceRef.current && photonTraceRef.current.spin === params.spinParameter) {
+      drawPhotonPath(photonTraceRef.current);
+    } else {
+      drawPhotonPath(null);
+      photonTraceRef.current = null;
+      setPhotonTrace(null);
+    }
+
+    // Hover picking on the inclined disk plane, linked to the Gravity Lab and spectrum
+    const hoverRaycaster = new THREE.Raycaster();
+    const diskPlane = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0);
+    const HOVER_INTERVAL = 40; // ms between readout updates
+    let lastHoverTime = 0;
+
+    const pickHover = (clientX, clientY) => {
+      const now = performance.now();
+      if (now - lastHoverTime < HOVER_INTERVAL) return;
+      lastHoverTime = now;
+
+      const rect = renderer.domElement.getBoundingClientRect();
+      const pointer = new THREE.Vector2(
+        (clientX - rect.left) / rect.width * 2 - 1,
+        -(clientY - rect.top) / rect.height * 2 + 1
+      );
+      hoverRaycaster.setFromCamera(pointer, camera);
+      diskInstance.updateMatrixWorld();
+      const ray = hoverRaycaster.ray.clone().applyMatrix4(diskInstance.matrixWorld.clone().invert());
+      const hit = ray.intersectPlane(diskPlane, new THREE.Vector3());
+      if (!hit) {
+        setHover(null);
+        return;
+      }
+
+      const observer = diskInstance.worldToLocal(camera.position.clone());
+      const angle = Math.atan2(hit.z, hit.x);
+      const toObserver = observer.sub(hit);
+      setHover({
+        x: clientX - rect.left,
+        y: clientY - rect.top,
+        r: Math.round(Math.hypot(hit.x, hit.z) / blackHoleModel.gravitationalRadius * 50) / 50,
+        phi: THREE.MathUtils.radToDeg(angle),
+        cosPsi: (-Math.sin(angle) * toObserver.x + Math.cos(angle) * toObserver.z) / toObserver.length()
+      });
+    };
+
+    // Particle inspector: a click near a disk or jet particle selects it (screen space)
+    const PICK_RADIUS = 8; // px
+    const pickMatrix = new THREE.Matrix4();
+    const pickPoint = new THREE.Vector3();
+    const selectionMarker = new THREE.Mesh(
+      new THREE.SphereGeometry(3, 12, 8),
+      new THREE.MeshBasicMaterial({ color: 0xffffff, wireframe: true, transparent: true, opacity: 0.8 })
+    );
+    selectionMarker.visible = false;
+    scene.add(selectionMarker);
+
+    // World position of the selected particle into `target`; false once it is gone
+    const particlePosition = (selection, target) => {
+      if (selection.kind === 'disk') {
+        diskInstance.getMatrixAt(selection.index, pickMatrix);
+        target.setFromMatrixPosition(pickMatrix).applyMatrix4(diskInstance.matrixWorld);
+        return true;
+      }
+      if (!launchedParticles.includes(selection.target)) return false;
+      target.copy(selection.target.position);
+      return true;
+    };
+
+    const pickParticle = (clientX, clientY) => {
+      const rect = renderer.domElement.getBoundingClientRect();
+      const x = clientX - rect.left;
+      const y = clientY - rect.top;
+      let best = null;
+      let bestDistance = PICK_RADIUS;
+      const consider = (candidate) => {
+        pickPoint.project(camera);
+        if (pickPoint.z > 1) return;
+        const distance = Math.hypot((pickPoint.x + 1) / 2 * rect.width - x, (1 - pickPoint.y) / 2 * rect.height - y);
+        if (distance < bestDistance) {
+          bestDistance = distance;
+          best = candidate;
+        }
+      };
+
+      diskInstance.updateMatrixWorld();
+      diskDataRef.current.forEach((p, index) => {
+        particlePosition({ kind: 'disk', index }, pickPoint);
+        consider({ kind: 'disk', index, target: p });
+      });
+      launchedParticles.forEach((lp, index) => {
+        if (lp.knot || !lp.mesh) return;
+        pickPoint.copy(lp.position);
+        consider({ kind: 'jet', index, target: lp });
+      });
+      return best;
+    };
+
+    // Physical state for ParticleInspector; disk gas is on a circular Keplerian orbit
+    // with the Novikov–Thorne T and ρ at its radius, jet gas moves along the axis at β
+    const inspectSelection = (selection) => {
+      const rg = blackHoleModel.gravitationalRadius;
+      const spin = blackHoleModel.spin;
+
+      if (selection.kind === 'disk') {
+        const p = selection.target;
+        if (p.age < selection.lastAge) selection.fate = 'Recycled to the outer disk (launched or fell in)';
+        selection.lastAge = p.age;
+
+        diskInstance.getMatrixAt(selection.index, pickMatrix);
+        const local = new THREE.Vector3().setFromMatrixPosition(pickMatrix);
+        diskInstance.updateMatrixWorld();
+        const toObserver = diskInstance.worldToLocal(camera.position.clone()).sub(local);
+        const angle = Math.atan2(local.z, local.x);
+        const cosPsi = (-Math.sin(angle) * toObserver.x + Math.cos(angle) * toObserver.z) / toObserver.length();
+        const r = Math.hypot(local.x, local.z) / rg;
+        const speed = circularOrbitSpeed(r, spin, true);
+        const scaleHeight = ntDisk.scaleHeight(r);
+
+        return {
+          kind: 'disk',
+          index: selection.index,
+          r,
+          speed: Number.isFinite(speed) ? speed : null,
+          lapse: properTimeRate(r, spin, Number.isFinite(speed) ? speed : 0),
+          g: circularOrbitRedshift(r, spin, cosPsi).total,
+          temperature: ntDisk.temperature(r),
+          density: scaleHeight > 0 ? ntDisk.density(r) * Math.exp(-Math.abs(local.y) / (scaleHeight * rg)) : 0,
+          age: p.age,
+          maxAge: null,
+          state: r < blackHoleModel.iscoRadius() / rg ? 'Plunging inside the ISCO' : p.isInISCO ? 'At the ISCO, jet-launch zone' : 'Keplerian orbit',
+          fate: selection.fate,
+          pinned: selection.pinned,
+          following: selection.following
+        };
+      }
+
+      const lp = selection.target;
+      if (!launchedParticles.includes(lp)) selection.fate = 'Faded out along the jet';
+      const r = lp.position.length() / rg;
+      const toObserver = camera.position.clone().sub(lp.position).normalize();
+      const cosTheta = lp.isUpper ? toObserver.y : -toObserver.y;
+
+      return {
+        kind: 'jet',
+        index: selection.index,
+        r,
+        speed: lp.speed,
+        lapse: properTimeRate(r, spin, lp.speed),
+        g: movingEmitterRedshift(r, spin, lp.speed, cosTheta),
+        temperature: null,
+        density: null,
+        age: lp.age,
+        maxAge: lp.maxAge,
+        state: `${lp.isUpper ? 'Jet' : 'Counter-jet'} on field line ${lp.magneticFieldLine}, synchrotron α = ${lp.spectralIndex.toFixed(2)}`,
+        fate: selection.fate,
+        pinned: selection.pinned,
+        following: selection.following
+      };
+    };
+
+    const selectParticle = (picked) => {
+      inspectedRef.current = { ...picked, pinned: false, following: false, lastAge: picked.target.age, fate: null };
+      setInspection(inspectSelection(inspectedRef.current));
+    };
+
+    // Share link: report the parameters and camera after each drag
+    const reportView = () => {
+      if (onViewChange) onViewChange({ params: { ...live }, camera: { ...cameraAngleRef.current, distance: live.cameraDistance } });
+    };
+
+    // Mouse Controls (a press released without dragging back-traces that pixel)
     let isDragging = false;
     let previousMousePosition = { x: 0, y: 0 };
+    let mouseDownPosition = { x: 0, y: 0 };
     
     const onMouseDown = (e) => {
       isDragging = true;
       previousMousePosition = { x: e.clientX, y: e.clientY };
+      mouseDownPosition = { x: e.clientX, y: e.clientY };
+      setHover(null);
     };
     
     const onMouseMove = (e) => {
-      if (!isDragging) return;
+      if (!isDragging) {
+        pickHover(e.clientX, e.clientY);
+        return;
+      }
       
       const deltaX = e.clientX - previousMousePosition.x;
       const deltaY = e.clientY - previousMousePosition.y;
@@ -653,8 +1139,22 @@ const Ton618Simulation = () => {
       previousMousePosition = { x: e.clientX, y: e.clientY };
     };
     
-    const onMouseUp = () => {
+    // A click selects the particle under it, unless one is pinned or Shift is held
+    const onMouseUp = (e) => {
+      isDragging = false;
+      reportView();
+      if (Math.hypot(e.clientX - mouseDownPosition.x, e.clientY - mouseDownPosition.y) < 4) {
+        const pinned = inspectedRef.current && inspectedRef.current.pinned && !inspectedRef.current.fate;
+        const picked = e.shiftKey || pinned ? null : pickParticle(e.clientX, e.clientY);
+        if (picked) selectParticle(picked);
+        else tracePixel(e.clientX, e.clientY);
+      }
+    };
+
+    const onMouseLeave = () => {
+      if (isDragging) reportView();
       isDragging = false;
+      setHover(null);
     };
 
     const onWheel = (e) => {
@@ -668,6 +1168,7 @@ const Ton618Simulation = () => {
     renderer.domElement.addEventListener('mousedown', onMouseDown);
     renderer.domElement.addEventListener('mousemove', onMouseMove);
     renderer.domElement.addEventListener('mouseup', onMouseUp);
+    renderer.domElement.addEventListener('mouseleave', onMouseLeave);
     renderer.domElement.addEventListener('wheel', onWheel, { passive: false });
 
     // Launched Particles Array
@@ -682,7 +1183,7 @@ const Ton618Simulation = () => {
     // ========================================
     
     // Function: Update Disk Particles
-    const updateDiskParticles = (diskData, diskInstance, iscoRadius, time, launchedParticles, particleTrails, scene) => {
+    const updateDiskParticles = (diskData, diskInstance, iscoRadius, time, frames, launchedParticles, particleTrails, scene) => {
       const updateMatrix = new THREE.Matrix4();
       const updatePosition = new THREE.Vector3();
       const quaternion = new THREE.Quaternion();
@@ -698,6 +1199,10 @@ const Ton618Simulation = () => {
 
       let launchesThisFrame = 0;
 
+      // Camera in the (inclined) disk frame, for the per-particle redshift factor
+      diskInstance.updateMatrixWorld();
+      const observer = diskInstance.worldToLocal(camera.position.clone());
+
       // === ADAPTIVE TIME STEPPING ===
       // Calculate maximum acceleration magnitude to determine safe time step
       let maxAccelMagnitude = 0;
@@ -752,17 +1257,25 @@ const Ton618Simulation = () => {
         const safeDt = courantFactor * Math.sqrt(characteristicLength / maxAccelMagnitude);
         adaptiveDt = Math.min(baseTimestep, Math.max(safeDt, 0.001)); // Clamp between 0.001 and 0.016
       }
+      adaptiveDt *= frames; // On the simulation clock
+
+      // The orbits themselves run on the clock: a particle sweeps 2π per Keplerian period
+      // P(r, a) (units of M) and a step is FRAME_SECONDS · timeScale M; gas plunging
+      // inside the ISCO keeps the ISCO rate
+      const rg = blackHoleModel.gravitationalRadius;
+      const orbitTime = 2 * Math.PI * FRAME_SECONDS * clock.timeScale * frames;
+      const pulse = time * PULSE_RATE;
 
       // === PHYSICS INTEGRATION WITH ADAPTIVE TIME STEP ===
       for (let i = 0; i < diskData.length; i++) {
         const p = diskData[i];
+        p.age++;
 
         // === PHYSICS: PROPER VELOCITY-BASED FORCE INTEGRATION ===
         // F = ma → a = F/m → v += a×Δt → x += v×Δt
 
         // 1. Calculate intrinsic forces (gravity, viscosity)
         const baseRadialAccel = -p.infallSpeed * params.spiralStrength * 0.018 * 60; // Inward acceleration
-        const baseTangentialVel = p.speed * params.diskRotationSpeed * 60; // Orbital velocity
         const baseVerticalAccel = 0; // No base vertical forces
 
         // 2. Apply companion star gravitational/magnetic influence
@@ -801,7 +1314,7 @@ const Ton618Simulation = () => {
 
         // 4. Update velocities: v += a × Δt (using adaptive timestep)
         p.vRadial += totalRadialAccel * adaptiveDt;
-        p.vTangential = baseTangentialVel + totalTangentialAccel; // Mix with base orbital velocity
+        p.vTangential = totalTangentialAccel; // Companion's push along the orbit
         p.vVertical += totalVerticalAccel * adaptiveDt;
 
         // 5. Apply damping to prevent runaway velocities
@@ -810,16 +1323,17 @@ const Ton618Simulation = () => {
 
         // 6. Update positions: x += v × Δt (using adaptive timestep)
         p.radius += p.vRadial * adaptiveDt;
-        p.angle += (p.vTangential / (p.radius + 1)) * adaptiveDt; // Convert linear to angular velocity
+        p.angle += orbitTime / keplerianPeriod(Math.max(p.radius, iscoRadius) / rg, blackHoleModel.spin) +
+          (p.vTangential / (p.radius + 1)) * adaptiveDt; // Convert linear to angular velocity
         p.height += p.vVertical * adaptiveDt;
 
         // Clamp height to reasonable bounds
         p.height = Math.max(-15, Math.min(15, p.height));
 
         // === FRAME DRAGGING ===
-        const frameDragRate = getFrameDraggingRate(p.radius, params.spinParameter);
-        p.orbitalPlaneAngle += frameDragRate * params.showFrameDragging;
-        p.frameDragAccumulated += frameDragRate * params.showFrameDragging;
+        const frameDragRate = getFrameDraggingRate(p.radius);
+        p.orbitalPlaneAngle += frameDragRate * params.showFrameDragging * frames;
+        p.frameDragAccumulated += frameDragRate * params.showFrameDragging * frames;
         
         const precessionTilt = Math.sin(p.frameDragAccumulated) * 0.3;
         const draggedHeight = p.height * Math.cos(p.orbitalPlaneAngle) + 
@@ -829,15 +1343,14 @@ const Ton618Simulation = () => {
         p.isInISCO = (p.radius >= iscoRadius - 3 && p.radius <= iscoRadius + 3);
         
         if (p.isInISCO) {
-          p.timeInISCO++;
+          p.timeInISCO += frames;
           p.heatFromViscosity = Math.min(1, p.timeInISCO / 50);
           
-          // JET LAUNCH CONDITION - More aggressive
-          const launchProbability = 0.015 * params.jetLaunchRate * (1 + p.heatFromViscosity);
+          // JET LAUNCH CONDITION - rate tracks the Blandford–Znajek power
+          const launchProbability = 0.015 * jetPowerScale * (1 + p.heatFromViscosity);
           
-          if (Math.random() < launchProbability) {
-            const bzPower = getBlandfordZnajekPower(p.radius, params.spinParameter, params.magneticFieldStrength);
-            const lorentzFactor = getLorentzFactor(bzPower);
+          if (sceneRandom.next() < launchProbability * frames) {
+            const brightness = 0.4 + 0.12 * jetPowerScale;
             
             const launchParticle = {
               position: new THREE.Vector3(
@@ -847,19 +1360,21 @@ const Ton618Simulation = () => {
               ),
               magneticFieldLine: p.magneticFieldLine,
               fieldProgress: 0,
-              lorentzFactor: lorentzFactor,
-              energy: bzPower,
+              speed: jetVelocity,
+              lorentzFactor: jetLorentzFactor,
+              spectralIndex: randomSpectralIndex(sceneRandom),
+              energy: jetStats.efficiency,
               age: 0,
               maxAge: 250,
-              isUpper: Math.random() < 0.5,
-              color: new THREE.Color(0, 0.9 + bzPower * 0.1, 1),
+              isUpper: sceneRandom.next() < 0.5,
+              color: new THREE.Color(0, 0.9, 1).multiplyScalar(brightness),
               mesh: null
             };
             
             launchedParticles.push(launchParticle);
             launchesThisFrame++;
             
-            if (params.showParticleTrails) {
+            if (live.showParticleTrails) {
               const trailGeometry = new THREE.BufferGeometry();
               const trailMaterial = new THREE.LineBasicMaterial({
                 color: 0x00ffff,
@@ -883,7 +1398,8 @@ const Ton618Simulation = () => {
             
             // Reset particle
             p.radius = p.initialRadius;
-            p.angle = Math.random() * Math.PI * 2;
+            p.angle = sceneRandom.next() * Math.PI * 2;
+            p.age = 0;
             p.timeInISCO = 0;
             p.heatFromViscosity = 0;
           }
@@ -895,7 +1411,8 @@ const Ton618Simulation = () => {
         // Fall into black hole
         if (p.radius < iscoRadius - 3) {
           p.radius = p.initialRadius;
-          p.angle = Math.random() * Math.PI * 2;
+          p.angle = sceneRandom.next() * Math.PI * 2;
+          p.age = 0;
           p.frameDragAccumulated = 0;
         }
         
@@ -905,7 +1422,7 @@ const Ton618Simulation = () => {
         const spiralOffset = params.spiralStrength * spiralPattern * 2;
         
         // === VERTICAL TURBULENCE ===
-        p.verticalPhase += 0.018;
+        p.verticalPhase += 0.018 * frames;
         const turbulenceAmplitude = 1.5 * (1 + p.heatFromViscosity);
         const verticalMotion = Math.sin(p.verticalPhase) * turbulenceAmplitude;
         
@@ -920,7 +1437,7 @@ const Ton618Simulation = () => {
         
         // === SIZE VARIATION ===
         const densityScale = 0.8 + p.density * 0.6;
-        const iscoGlow = p.isInISCO ? 1.2 + Math.sin(time * 10) * 0.2 : 1.0;
+        const iscoGlow = p.isInISCO ? 1.2 + Math.sin(pulse * 10) * 0.2 : 1.0;
         scaleVec.set(
           densityScale * iscoGlow,
           densityScale * iscoGlow,
@@ -931,38 +1448,20 @@ const Ton618Simulation = () => {
         diskInstance.setMatrixAt(i, updateMatrix);
         
         // === COLOR PHYSICS ===
-        let temp = Math.pow(1 - (p.radius - 18) / 80, 0.75) * params.diskTemperature;
+        const profile = ntDisk.sample(p.radius / rg);
+        p.flux = profile.flux;
+        let temp = profile.temperature * live.diskTemperature;
         temp += p.heatFromViscosity * 0.3;
 
-        const dragStrength = Math.min(1, frameDragRate * 5);
-        const brightness = 0.5 + temp * 0.5 + p.heatFromViscosity * 0.15;
+        const heatGlow = 1.5 + p.heatFromViscosity * 0.15;
 
-        // Blackbody temperature colors with frame dragging effects
+        // Blackbody color seen with redshift factor g: the approaching side is boosted
+        // and blueshifted, the receding side and the inner disk dimmed and reddened
+        const g = getDiskRedshift(updatePosition, p.angle, observer);
+        getDiskColor(temp, g, updateColor).multiplyScalar(heatGlow);
         if (p.isInISCO) {
-          // ISCO - super hot blue-white with pulsing
-          const iscoIntensity = 0.5 + Math.sin(time * 8 + i * 0.1) * 0.3;
-          updateColor.setRGB(0.8, 0.9, 1.0).multiplyScalar(1.5 + iscoIntensity * 0.5);
-        } else if (temp > 0.8) {
-          // Very hot - blue-white (10000K+)
-          updateColor.setRGB(0.8, 0.9, 1.0).multiplyScalar(1.5 + brightness);
-        } else if (temp > 0.6) {
-          // Hot - white (6000-10000K)
-          updateColor.setRGB(1.0, 1.0, 0.95).multiplyScalar(1.3 + brightness);
-        } else if (temp > 0.4) {
-          // Warm - yellow-white (4000-6000K)
-          updateColor.setRGB(1.0, 0.95, 0.7).multiplyScalar(1.2 + brightness * 0.8);
-        } else if (temp > 0.2) {
-          // Cool - orange (3000-4000K)
-          updateColor.setRGB(1.0, 0.7, 0.4).multiplyScalar(1.0 + brightness * 0.6);
-        } else {
-          // Very cool - red (2000-3000K)
-          updateColor.setRGB(1.0, 0.5, 0.2).multiplyScalar(0.8 + brightness * 0.4);
-        }
-
-        // Frame dragging adds blue shift
-        if (dragStrength > 0.3) {
-          const blueShift = new THREE.Color(0.3, 0.5, 1.0);
-          updateColor.lerp(blueShift, dragStrength * 0.3);
+          // ISCO - plunging gas flickers as it crosses the inner edge
+          updateColor.multiplyScalar(1 + Math.sin(pulse * 8 + i * 0.1) * 0.3);
         }
 
         diskInstance.setColorAt(i, updateColor);
@@ -976,12 +1475,62 @@ const Ton618Simulation = () => {
       return launchesThisFrame;
     };
     
+    // Function: Update Jet Knots
+    // Advances the shell model and adds a launched-particle entry for each new knot;
+    // knots travel straight up the axis, compressed from r_g onto the visible jet
+    const KNOT_TIME_STEP = 15; // r_g/c per frame
+    const knotModel = knotModelRef.current;
+    knotModel.setParameters({ random: random.fork('knots') });
+    const knotsWithMesh = new WeakSet();
+    let knotMapFrame = 0;
+
+    const updateJetKnots = (launchedParticles, scene, frames) => {
+      knotModel.update(KNOT_TIME_STEP * frames);
+
+      knotModel.knots.forEach(knot => {
+        if (knotsWithMesh.has(knot)) return;
+        knotsWithMesh.add(knot);
+        const mesh = new THREE.Mesh(
+          new THREE.SphereGeometry(1.5, 12, 12),
+          new THREE.MeshBasicMaterial({ color: 0x99ddff, transparent: true, opacity: 0.9 })
+        );
+        scene.add(mesh);
+        launchedParticles.push({ knot, mesh, isUpper: knot.isUpper, age: 0, maxAge: Infinity });
+      });
+
+      knotMapFrame++;
+      if (knotMapFrame % 10 === 0) {
+        setKnotMap(knotModel.skyMap(Math.cos(cameraAngleRef.current.phi)));
+      }
+    };
+
     // Function: Update Jet Particles
-    const updateJetParticles = (launchedParticles, particleTrails, scene, time) => {
+    const jetViewDirection = new THREE.Vector3();
+    const updateJetParticles = (launchedParticles, particleTrails, scene, time, frames) => {
       const magneticFieldLines = magneticFieldLinesRef.current;
       
       for (let i = launchedParticles.length - 1; i >= 0; i--) {
         const lp = launchedParticles[i];
+
+        // === JET KNOT: position from the shell model, flare × δ^(3+α) brightness ===
+        if (lp.knot) {
+          if (!lp.knot.alive) {
+            scene.remove(lp.mesh);
+            lp.mesh.geometry.dispose();
+            lp.mesh.material.dispose();
+            launchedParticles.splice(i, 1);
+            continue;
+          }
+          const height = lp.knot.z / knotModel.length * KNOT_JET_HEIGHT;
+          lp.mesh.position.set(0, lp.isUpper ? height : -height, 0);
+          jetViewDirection.subVectors(camera.position, lp.mesh.position).normalize();
+          const knotBrightness = boostBrightness(knotModel.observedBrightness(lp.knot, jetViewDirection.y), 0.25, 3);
+          lp.mesh.material.color.setRGB(0.6, 0.87, 1).multiplyScalar(knotBrightness);
+          lp.mesh.material.opacity = Math.min(0.95, knotBrightness);
+          lp.mesh.scale.setScalar(1 + lp.knot.flare * 0.5);
+          continue;
+        }
+
         lp.age++;
         
         if (lp.age > lp.maxAge) {
@@ -1004,7 +1553,7 @@ const Ton618Simulation = () => {
         }
         
         // === MAGNETIC FIELD LINE TRAJECTORY ===
-        lp.fieldProgress += 0.025 * lp.lorentzFactor * params.magneticFieldStrength;
+        lp.fieldProgress += 0.025 * lp.speed * frames;
         const t = Math.min(1, lp.fieldProgress);
         
         const fieldAngle = magneticFieldLines[lp.magneticFieldLine].userData.angle;
@@ -1020,12 +1569,18 @@ const Ton618Simulation = () => {
           r * Math.sin(theta)
         );
         
+        // === SYNCHROTRON BEAMING: δ^(2+α) toward the camera ===
+        jetViewDirection.subVectors(camera.position, lp.position).normalize();
+        const cosTheta = lp.isUpper ? jetViewDirection.y : -jetViewDirection.y;
+        const beaming = boostBrightness(synchrotronBoost(lp.speed, cosTheta, lp.spectralIndex));
+        
         // === RENDER JET PARTICLE ===
         if (lp.mesh) {
           lp.mesh.position.copy(lp.position);
-          lp.mesh.material.opacity = 0.9 * (1 - (lp.age / lp.maxAge));
+          lp.mesh.material.color.copy(lp.color).multiplyScalar(beaming);
+          lp.mesh.material.opacity = 0.9 * (1 - (lp.age / lp.maxAge)) * Math.min(1, beaming);
         } else {
-          const particleGeom = new THREE.SphereGeometry(0.5 + lp.lorentzFactor * 0.3, 8, 8);
+          const particleGeom = new THREE.SphereGeometry(0.5 + Math.log(lp.lorentzFactor) * 0.6, 8, 8);
           const particleMat = new THREE.MeshBasicMaterial({
             color: lp.color,
             transparent: true,
@@ -1039,13 +1594,14 @@ const Ton618Simulation = () => {
         
         // === UPDATE TRAIL ===
         const trail = particleTrails.find(t => t.userData.particle === lp);
-        if (trail && params.showParticleTrails) {
+        if (trail) trail.visible = live.showParticleTrails;
+        if (trail && live.showParticleTrails) {
           trail.userData.points.push(lp.position.clone());
           if (trail.userData.points.length > 40) {
             trail.userData.points.shift();
           }
           trail.geometry.setFromPoints(trail.userData.points);
-          trail.material.opacity = 0.7 * (1 - lp.age / lp.maxAge);
+          trail.material.opacity = 0.7 * (1 - lp.age / lp.maxAge) * Math.min(1, beaming);
         }
       }
     };
@@ -1054,12 +1610,101 @@ const Ton618Simulation = () => {
     // MAIN ANIMATION LOOP
     // ========================================
     
-    let time = 0;
+    // The scene is built at t = 0, so the clock and the knot history restart with it
+    // (and replay up to the scrub target when this rebuild is a rewind)
+    const clock = clockRef.current;
+    clock.rewind();
+    knotModel.reset();
+    setClockStats(clock.getStats());
+    const stepper = new FixedTimestep();
+    const diskInterpolator = new InstanceInterpolator(diskInstance);
     let lastTime = performance.now();
     let frameCount = 0;
     let fpsUpdateTime = 0;
     let launchCounter = 0;
+    let inspectFrame = 0;
+    const followCenter = new THREE.Vector3();
     
+    // Bardeen shadow boundary projected onto the screen over the ray-traced render
+    // Sky axes: α along (line of sight × spin axis) in the scene frame, β along the projected spin axis
+    const spinAxis = new THREE.Vector3(0, 1, 0);
+    const toObserver = new THREE.Vector3();
+    const shadowAlphaAxis = new THREE.Vector3();
+    const shadowBetaAxis = new THREE.Vector3();
+    const shadowPoint = new THREE.Vector3();
+    let shadowCheckTimer = null;
+    let pendingShadowCheck = null;
+    const updateShadowOutline = () => {
+      const outline = shadowOutlineRef.current;
+      if (!outline) return;
+      outline.style.display = live.showShadowOutline ? '' : 'none';
+      if (!live.showShadowOutline) return;
+
+      toObserver.copy(camera.position).normalize();
+      const inclination = Math.acos(THREE.MathUtils.clamp(toObserver.dot(spinAxis), -1, 1));
+      shadowAlphaAxis.crossVectors(toObserver, spinAxis);
+      if (shadowAlphaAxis.lengthSq() < 1e-12) shadowAlphaAxis.set(1, 0, 0);
+      shadowAlphaAxis.normalize();
+      shadowBetaAxis.crossVectors(shadowAlphaAxis, toObserver);
+
+      // Finite observer distance r_o: a ray with impact parameter b arrives at
+      // sin θ = b √(1 - 2M/r_o) / r_o; place it where it subtends θ at the hole
+      const rg = blackHoleModel.gravitationalRadius;
+      const observerRadius = camera.position.length() / rg;
+      const redshift = Math.sqrt(Math.max(0, 1 - 2 / observerRadius));
+      const width = container.clientWidth;
+      const height = container.clientHeight;
+
+      const points = shadowBoundary(params.spinParameter, inclination, 120).map(({ alpha, beta }) => {
+        const b = Math.hypot(alpha, beta);
+        const theta = Math.asin(Math.min(1, b * redshift / observerRadius));
+        const scale = b > 0 ? observerRadius * rg * Math.tan(theta) / b : 0;
+        shadowPoint.copy(shadowAlphaAxis).multiplyScalar(alpha * scale)
+          .addScaledVector(shadowBetaAxis, beta * scale)
+          .project(camera);
+        return `${((shadowPoint.x + 1) / 2 * width).toFixed(1)},${((1 - shadowPoint.y) / 2 * height).toFixed(1)}`;
+      });
+      outline.setAttribute('points', points.join(' '));
+
+      // Built-in validation: trace rays just inside and outside the curve (per 5° of
+      // inclination), off the frame loop and only once the view has come to rest
+      const inclinationDegrees = Math.round(THREE.MathUtils.radToDeg(inclination) / 5) * 5;
+      const check = shadowCheckRef.current;
+      const checked = check && check.spin === params.spinParameter && check.inclinationDegrees === inclinationDegrees;
+      if (!checked && pendingShadowCheck !== inclinationDegrees) {
+        pendingShadowCheck = inclinationDegrees;
+        clearTimeout(shadowCheckTimer);
+        shadowCheckTimer = setTimeout(() => {
+          pendingShadowCheck = null;
+          const result = validateShadow(params.spinParameter, THREE.MathUtils.degToRad(inclinationDegrees), 8, 0.01);
+          shadowCheckRef.current = { ...result, inclinationDegrees };
+          setShadowCheck(shadowCheckRef.current);
+        }, SHADOW_CHECK_DELAY);
+      } else if (checked && pendingShadowCheck !== null) {
+        pendingShadowCheck = null;
+        clearTimeout(shadowCheckTimer);
+      }
+    };
+
+    // Jet vs counter-jet beaming at the current viewing angle (per degree), α = 0.75
+    const updateJetView = () => {
+      const polarDegrees = Math.round(THREE.MathUtils.radToDeg(cameraAngleRef.current.phi));
+      const view = jetViewRef.current;
+      if (view && view.polarDegrees === polarDegrees && view.speed === jetVelocity) return;
+
+      const cosTheta = Math.abs(Math.cos(THREE.MathUtils.degToRad(polarDegrees)));
+      const spectralIndex = (MIN_SPECTRAL_INDEX + MAX_SPECTRAL_INDEX) / 2;
+      jetViewRef.current = {
+        polarDegrees,
+        speed: jetVelocity,
+        viewingAngle: THREE.MathUtils.radToDeg(Math.acos(cosTheta)),
+        doppler: dopplerFactor(jetVelocity, cosTheta),
+        counterDoppler: dopplerFactor(jetVelocity, -cosTheta),
+        ratio: jetCounterJetRatio(jetVelocity, cosTheta, spectralIndex)
+      };
+      setJetView(jetViewRef.current);
+    };
+
     const animate = () => {
       animationRef.current = requestAnimationFrame(animate);
       
@@ -1075,18 +1720,30 @@ const Ton618Simulation = () => {
         fpsUpdateTime = 0;
       }
 
-      if (isPlaying) {
-        time += 0.01;
+      // Clock seconds this frame, run as whole fixed physics steps (a scrub runs as
+      // many as the frame has time for)
+      const { steps } = stepper.advanceClock(clock, deltaTime);
+      const stepsStart = performance.now();
+      if (frameCount % 10 === 0) setClockStats(clock.getStats());
 
-        const iscoRadius = getISCO(params.blackHoleMass, params.spinParameter);
+      // Clock time (M) before this frame's steps; the clock has run past the last
+      // one by the stepper's carried remainder
+      let time = clock.time - (stepper.accumulator + steps * stepper.step) * clock.timeScale;
+
+      for (let step = 0; step < steps; step++) {
+        const frames = 1; // Each step is one nominal 60 fps frame
+        time += stepper.step * clock.timeScale * frames;
+        const pulse = time * PULSE_RATE;
+
+        const iscoRadius = blackHoleModel.iscoRadius();
         const diskData = diskDataRef.current;
         const diskInstance = diskInstanceRef.current;
 
         // Update reference frames
         referenceFrames.forEach(frame => {
-          frame.visible = params.showReferenceFrames;
-          if (params.showReferenceFrames && frame.userData.isDragged) {
-            const dragRate = getFrameDraggingRate(frame.userData.radius, params.spinParameter);
+          frame.visible = live.showReferenceFrames;
+          if (live.showReferenceFrames && frame.userData.isDragged) {
+            const dragRate = getFrameDraggingRate(frame.userData.radius);
             
             if (frame.userData.isSpoke) {
               const currentAngle = frame.userData.baseAngle + frame.userData.baseRotation;
@@ -1099,9 +1756,9 @@ const Ton618Simulation = () => {
                 )
               ];
               frame.geometry.setFromPoints(points);
-              frame.userData.baseRotation += dragRate * params.showFrameDragging;
+              frame.userData.baseRotation += dragRate * params.showFrameDragging * frames;
             } else {
-              frame.rotation.y += dragRate * params.showFrameDragging;
+              frame.rotation.y += dragRate * params.showFrameDragging * frames;
             }
             
             const dragStrength = Math.min(1, dragRate * 10);
@@ -1110,18 +1767,19 @@ const Ton618Simulation = () => {
         });
 
         photonPathsRef.current.forEach((path) => {
-          path.visible = params.showGeodesics;
-          if (params.showGeodesics) {
+          path.visible = live.showGeodesics;
+          if (live.showGeodesics) {
             path.userData.phase += 0.03;
             path.material.opacity = 0.4 + Math.sin(path.userData.phase) * 0.2;
           }
         });
 
         magneticFieldLinesRef.current.forEach((line, i) => {
-          line.visible = params.showMagneticField;
-          if (params.showMagneticField) {
-            line.material.opacity = 0.3 + Math.sin(time * 2 + i * 0.5) * 0.1;
-            line.rotation.y = time * 0.1 * params.spinParameter;
+          line.visible = live.showMagneticField;
+          if (live.showMagneticField) {
+            line.material.opacity = 0.3 + Math.sin(pulse * 2 + i * 0.5) * 0.1;
+            // Field lines threading the horizon turn at Ω_F ≈ Ω_H / 2
+            line.rotation.y = time * horizonAngularVelocity(params.spinParameter) / 2;
           }
         });
 
@@ -1131,6 +1789,7 @@ const Ton618Simulation = () => {
           diskInstance, 
           iscoRadius, 
           time,
+          frames,
           launchedParticles,
           particleTrails,
           scene
@@ -1138,75 +1797,78 @@ const Ton618Simulation = () => {
         
         launchCounter += launchesThisFrame;
         
-        // === UPDATE JET PARTICLES ===
+        // === UPDATE JET KNOTS AND PARTICLES ===
+        updateJetKnots(launchedParticles, scene, frames);
         updateJetParticles(
           launchedParticles,
           particleTrails,
           scene,
-          time
+          time,
+          frames
         );
-        
-        setLaunchedCount(launchCounter);
 
         emissionZones.forEach((ring, i) => {
-          ring.material.opacity = 0.2 + Math.sin(time * 2 + i) * 0.08;
+          ring.material.opacity = 0.2 + Math.sin(pulse * 2 + i) * 0.08;
         });
 
-        diskLight1.position.x = Math.cos(time * 0.4) * 35;
-        diskLight1.position.z = Math.sin(time * 0.4) * 35;
-        diskLight2.position.x = Math.cos(time * 0.4 + Math.PI) * 35;
-        diskLight2.position.z = Math.sin(time * 0.4 + Math.PI) * 35;
-
-        const lensing = params.lensingStrength;
-        const starPos = stars.geometry.attributes.position;
-        for (let i = 0; i < starPos.count; i++) {
-          const x = starPositionsRef.current[i * 3];
-          const y = starPositionsRef.current[i * 3 + 1];
-          const z = starPositionsRef.current[i * 3 + 2];
-          
-          const dist = Math.sqrt(x * x + y * y + z * z);
-          const lensFactor = (150 / dist) * lensing * 0.15;
-          
-          starPos.setXYZ(
-            i,
-            x - x * lensFactor,
-            y - y * lensFactor,
-            z - z * lensFactor
-          );
-        }
-        starPos.needsUpdate = true;
+        diskLight1.position.x = Math.cos(pulse * 0.4) * 35;
+        diskLight1.position.z = Math.sin(pulse * 0.4) * 35;
+        diskLight2.position.x = Math.cos(pulse * 0.4 + Math.PI) * 35;
+        diskLight2.position.z = Math.sin(pulse * 0.4 + Math.PI) * 35;
+        diskInterpolator.capture();
+      }
+      stepper.measure(steps, performance.now() - stepsStart);
+      diskInterpolator.apply(stepper.alpha);
+      if (steps > 0) setLaunchedCount(launchCounter);
+
+      // Inspected particle: marker, live readout, and the camera orbiting it when following
+      const selection = inspectedRef.current;
+      const selectionAlive = Boolean(selection && !selection.fate && particlePosition(selection, selectionMarker.position));
+      selectionMarker.visible = selectionAlive;
+      if (selection && !selection.fate && ++inspectFrame % 10 === 0) {
+        setInspection(inspectSelection(selection));
       }
+      followCenter.set(0, 0, 0);
+      if (selectionAlive && selection.following) followCenter.copy(selectionMarker.position);
 
-      const distance = params.cameraDistance;
+      const distance = live.cameraDistance;
       camera.position.x = distance * Math.sin(cameraAngleRef.current.phi) * Math.cos(cameraAngleRef.current.theta);
       camera.position.y = distance * Math.cos(cameraAngleRef.current.phi);
       camera.position.z = distance * Math.sin(cameraAngleRef.current.phi) * Math.sin(cameraAngleRef.current.theta);
-      camera.lookAt(0, 0, 0);
+      camera.position.add(followCenter);
+      camera.lookAt(followCenter);
 
-      const bhScale = params.blackHoleMass / 66;
-      blackHole.scale.setScalar(bhScale);
-      glow.scale.setScalar(bhScale);
+      // Meshes are built at r = 10 (horizon) and 15 (photon sphere); the ergosphere at its true size
+      const horizonScale = blackHoleModel.horizonRadius / 10;
+      blackHole.scale.setScalar(horizonScale);
+      glow.scale.setScalar(horizonScale);
       
-      const psScale = bhScale * 1.5;
-      photonSphere.scale.setScalar(psScale);
-      photonSphere.visible = params.showPhotonSphere;
+      photonSphere.scale.setScalar(blackHoleModel.photonSphereRadius / 15);
+      photonSphere.visible = live.showPhotonSphere;
+      const photonOrbitRadii = [blackHoleModel.photonOrbitRadius(true), blackHoleModel.photonOrbitRadius(false)];
+      progradePhotonOrbit.scale.setScalar(Math.min(...photonOrbitRadii));
+      retrogradePhotonOrbit.scale.setScalar(Math.max(...photonOrbitRadii));
+      progradePhotonOrbit.visible = live.showPhotonSphere;
+      retrogradePhotonOrbit.visible = live.showPhotonSphere;
       
-      ergosphere.scale.set(bhScale * 1.4, bhScale * 1.4 * 0.7, bhScale * 1.4);
-      ergosphere.visible = params.showErgosphere;
+      ergosphere.visible = live.showErgosphere;
+      frameDraggingField.visible = live.showFrameDraggingField;
       
-      const iscoRadius = getISCO(params.blackHoleMass, params.spinParameter);
+      const iscoRadius = blackHoleModel.iscoRadius();
       iscoRing.scale.setScalar(iscoRadius / 17);
-      iscoRing.visible = params.showISCO;
+      iscoRing.visible = live.showISCO;
 
-      diskInstance.rotation.x = (params.inclination / 180) * Math.PI;
-      iscoRing.rotation.x = Math.PI / 2 + (params.inclination / 180) * Math.PI;
+      diskInstance.rotation.x = (live.inclination / 180) * Math.PI;
+      iscoRing.rotation.x = Math.PI / 2 + (live.inclination / 180) * Math.PI;
       emissionZones.forEach(ring => {
-        ring.rotation.x = Math.PI / 2 + (params.inclination / 180) * Math.PI;
+        ring.rotation.x = Math.PI / 2 + (live.inclination / 180) * Math.PI;
       });
 
       // Update companion star
       if (params.showCompanionStar && companionStar) {
-        companionStar.update(deltaTime);
+        for (let step = 0; step < steps; step++) {
+          companionStar.update(FRAME_SECONDS);
+        }
 
         // Update star statistics
         const stats = companionStar.getStats();
@@ -1218,7 +1880,11 @@ const Ton618Simulation = () => {
         });
       }
 
+      lensedSky.setParameters({ metricLensing: live.metricLensing });
+      lensedSky.update(camera);
       renderer.render(scene, camera);
+      updateShadowOutline();
+      updateJetView();
     };
 
     animate();
@@ -1234,6 +1900,7 @@ const Ton618Simulation = () => {
 
     return () => {
       window.removeEventListener('resize', handleResize);
+      clearTimeout(shadowCheckTimer);
       if (animationRef.current) {
         cancelAnimationFrame(animationRef.current);
       }
@@ -1246,16 +1913,28 @@ const Ton618Simulation = () => {
 
       // Cleanup companion star
       if (companionStar) companionStar.destroy();
+      lensedSky.destroy();
+
+      // The inspected particle does not survive the rebuild
+      scene.remove(selectionMarker);
+      selectionMarker.geometry.dispose();
+      selectionMarker.material.dispose();
+      inspectedRef.current = null;
+      setInspection(null);
 
       container.removeChild(renderer.domElement);
       renderer.dispose();
     };
-  }, [params, isPlaying]);
+  }, [sceneParams, rewinds]);
 
   return (
     <div className="w-full h-screen bg-gray-950 flex flex-row">
       <div className="flex-1 relative">
         <div ref={containerRef} className="w-full h-full" />
+        <HoverTooltip hover={hover} spin={params.spinParameter} />
+        <svg className="absolute inset-0 w-full h-full pointer-events-none">
+          <polygon ref={shadowOutlineRef} fill="none" stroke="#fbbf24" strokeWidth="1.5" strokeDasharray="6 4" />
+        </svg>
         
         <div className="absolute top-6 left-6 text-white bg-black/80 px-6 py-4 rounded-lg backdrop-blur-sm shadow-xl">
           <h1 className="text-3xl font-bold mb-1 text-blue-100">Ton 618</h1>
@@ -1268,17 +1947,69 @@ const Ton618Simulation = () => {
             <p className="text-green-300">🟢 Green = Frame Dragging</p>
             <p className="text-white">⚪ White Pulse = ISCO Region</p>
             <p className="text-cyan-300">🔷 Cyan = Jet Particles</p>
+            <p className="text-sky-300">◯ Blue / orange rings = prograde / retrograde photon orbits</p>
+            <p className="text-amber-300">┅ Dashed = Bardeen shadow (analytic)</p>
           </div>
+          {params.showShadowOutline && shadowCheck && (
+            <p className="text-xs text-gray-400 mt-2">
+              Shadow check at i = {shadowCheck.inclinationDegrees}°: {shadowCheck.agreed}/{shadowCheck.points} traced rays
+              agree within ±{(shadowCheck.margin * 100).toFixed(0)}%
+            </p>
+          )}
+          <p className="text-xs text-orange-300 mt-2">Click any pixel to trace its photon back</p>
+          <p className="text-xs text-cyan-300">Click a particle to inspect it • Shift+click always traces</p>
         </div>
 
+        {photonTrace && (
+          <div className="absolute top-6 right-6 text-white bg-black/80 px-4 py-3 rounded-lg backdrop-blur-sm shadow-xl text-xs font-mono space-y-1">
+            <div className="flex items-center justify-between gap-4">
+              <h3 className="text-sm font-semibold font-sans">Photon at pixel ({photonTrace.pixel.x}, {photonTrace.pixel.y})</h3>
+              <button
+                onClick={() => {
+                  photonTraceRef.current = null;
+                  drawPhotonPathRef.current(null);
+                  setPhotonTrace(null);
+                }}
+                className="text-gray-400 hover:text-white"
+              >
+                ✕
+              </button>
+            </div>
+            <p className="text-orange-300">
+              From: {photonTrace.termination === 'disk' && `disk at r = ${photonTrace.diskRadius.toFixed(2)} M`}
+              {photonTrace.termination === 'horizon' && 'event horizon (shadow)'}
+              {photonTrace.termination === 'escaped' && `sky at θ = ${photonTrace.skyTheta.toFixed(1)}°, φ = ${photonTrace.skyPhi.toFixed(1)}°`}
+              {photonTrace.termination === 'max-steps' && 'unresolved (step limit)'}
+            </p>
+            <p>Wraps: {photonTrace.windings.toFixed(2)} turns • equator crossings: {photonTrace.equatorCrossings}</p>
+            <p>E = {photonTrace.E.toFixed(4)} • L_z = {photonTrace.Lz.toFixed(3)} M • Q = {photonTrace.Q.toFixed(3)} M²</p>
+            <p>
+              g = E_obs/E_emit = {photonTrace.redshift !== null ? photonTrace.redshift.toFixed(3) : '—'}
+              <span className="text-gray-400"> • drift {photonTrace.drift.toExponential(1)}</span>
+            </p>
+          </div>
+        )}
+
+        <ParticleInspector
+          inspection={inspection}
+          onPin={() => toggleInspector('pinned')}
+          onFollow={() => toggleInspector('following')}
+          onClose={() => {
+            inspectedRef.current = null;
+            setInspection(null);
+          }}
+          className="absolute bottom-6 right-6"
+        />
+
         <div className="absolute bottom-6 left-6 text-white bg-black/80 px-4 py-3 rounded-lg backdrop-blur-sm shadow-xl max-w-md">
           <h3 className="text-sm font-semibold mb-2">Accretion Disk Physics Layer</h3>
           <canvas ref={spectrumCanvasRef} width="400" height="80" className="rounded" />
           <div className="text-xs text-gray-300 mt-2 space-y-1">
             <p><strong>Keplerian Orbits:</strong> v ∝ 1/√r (inner faster)</p>
+            <p><strong>Novikov–Thorne:</strong> T_peak = {diskStats.peakTemperature.toFixed(0)} K at {diskStats.peakRadius.toFixed(1)} M (ṁ = {diskModelRef.current.eddingtonRatio})</p>
             <p><strong>Viscous Infall:</strong> Angular momentum → heat + inward drift</p>
-            <p><strong>Frame Dragging:</strong> Ω_LT = 2aM/r³ (spacetime twist)</p>
-            <p><strong>ISCO Launch:</strong> Magnetic capture → Blandford-Znajek → Jets</p>
+            <p><strong>Frame Dragging:</strong> ω = −g_tφ/g_φφ → 2aM/r³ far out (spacetime twist)</p>
+            <p><strong>ISCO Launch:</strong> Magnetic capture → Blandford-Znajek → Jets (η_jet = P_jet/Ṁc²)</p>
             <p className="text-cyan-300 font-semibold">White pulsing = about to launch!</p>
           </div>
         </div>
@@ -1288,12 +2019,29 @@ const Ton618Simulation = () => {
         <div className="p-6 space-y-6">
           <div>
             <h2 className="text-xl font-bold text-white mb-4">Relativistic Disk Physics</h2>
-            <Button 
-              onClick={() => setIsPlaying(!isPlaying)}
-              className="w-full bg-blue-600 hover:bg-blue-700"
-            >
-              {isPlaying ? '⏸ Pause' : '▶ Play'}
-            </Button>
+            <TimeControls
+              stats={clockStats}
+              mass={params.blackHoleMass * 1e9}
+              timescales={clockRef.current.timescales({
+                innerRadius: diskStats.peakRadius,
+                jetLength: KNOT_JET_HEIGHT,
+                jetSpeed: jetVelocity
+              })}
+              onToggle={() => updateClock(clock => clock.setParameters({ playing: !clock.playing }))}
+              onStep={(frames) => updateClock(clock => clock.step(frames))}
+              onSpeed={(speed) => updateClock(clock => clock.setParameters({ speed, playing: true }))}
+              onScrub={(time) => updateClock(clock => clock.scrub(time))}
+            />
+            <SeedControl
+              seed={params.seed}
+              onSeed={(seed) => {
+                // A new seed starts a fresh run
+                updateClock(clock => clock.reset());
+                knotModelRef.current.reset();
+                setParams(p => ({ ...p, seed }));
+              }}
+              className="mt-3"
+            />
           </div>
 
           <div className="space-y-4">
@@ -1314,52 +2062,78 @@ const Ton618Simulation = () => {
               <Slider
                 value={[params.spinParameter]}
                 onValueChange={(v) => setParams(p => ({ ...p, spinParameter: v[0] }))}
-                min={0}
-                max={0.998}
+                min={-MAX_SPIN}
+                max={MAX_SPIN}
                 step={0.01}
                 className="mt-2"
               />
-              <p className="text-xs text-gray-400 mt-1">Higher spin = more energy extraction</p>
+              <p className="text-xs text-gray-400 mt-1">Higher spin = more energy extraction • Negative = retrograde disk</p>
+              <p className="text-xs text-purple-300 mt-1">
+                r_ISCO = {iscoRadius(params.spinParameter).toFixed(2)} M • η = {(radiativeEfficiency(params.spinParameter) * 100).toFixed(1)}%
+              </p>
             </div>
 
             <div>
-              <Label className="text-gray-200">Magnetic Field (B): {params.magneticFieldStrength.toFixed(1)}x</Label>
+              <Label className="text-gray-200">Horizon Magnetic Flux φ_BH: {params.magneticFlux.toFixed(0)}</Label>
               <Slider
-                value={[params.magneticFieldStrength]}
-                onValueChange={(v) => setParams(p => ({ ...p, magneticFieldStrength: v[0] }))}
-                min={0.1}
-                max={3}
-                step={0.1}
+                value={[params.magneticFlux]}
+                onValueChange={(v) => setParams(p => ({ ...p, magneticFlux: v[0] }))}
+                min={0}
+                max={MAD_MAGNETIC_FLUX}
+                step={1}
                 className="mt-2"
               />
-              <p className="text-xs text-gray-400 mt-1">Power ∝ B² (magnetic field squared)</p>
+              <p className="text-xs text-gray-400 mt-1">P_BZ ∝ κ Φ² Ω_H² f(Ω_H) • SANE ≲ 15, MAD ≈ {MAD_MAGNETIC_FLUX}</p>
+              <p className="text-xs text-cyan-300 mt-1">
+                η_jet = {(jetStats.efficiency * 100).toFixed(1)}% • P_jet = {jetStats.power.toExponential(2)} W ({jetStats.eddingtonRatio.toFixed(3)} L_Edd)
+              </p>
+              <p className="text-xs text-cyan-300">
+                Ω_H = {jetStats.horizonAngularVelocity.toFixed(3)} c/r_g • Γ_∞ = {jetStats.lorentzFactor.toFixed(1)} (magnetization, caps the jet velocity)
+              </p>
             </div>
 
             <div>
-              <Label className="text-gray-200">Jet Launch Rate: {params.jetLaunchRate.toFixed(1)}x</Label>
+              <Label className="text-gray-200">Jet Velocity: {jetVelocity.toFixed(3)}c (Γ = {jetLorentzFactor.toFixed(2)})</Label>
               <Slider
-                value={[params.jetLaunchRate]}
-                onValueChange={(v) => setParams(p => ({ ...p, jetLaunchRate: v[0] }))}
-                min={0.1}
-                max={5}
-                step={0.1}
+                value={[jetVelocity]}
+                onValueChange={(v) => setParams(p => ({ ...p, jetVelocity: v[0] }))}
+                min={MIN_JET_SPEED}
+                max={maxJetVelocity}
+                disabled={maxJetVelocity <= MIN_JET_SPEED}
+                step={0.001}
                 className="mt-2"
               />
-              <p className="text-xs text-gray-400 mt-1">Higher = more frequent launches from ISCO</p>
-              <p className="text-xs text-cyan-300 mt-1">⚡ Try 3x+ to see lots of jets!</p>
+              <p className="text-xs text-gray-400 mt-1">Synchrotron S_ν ∝ ν^−α (α = 0.5–1) boosted by δ^(2+α)</p>
+              {jetView && (
+                <p className="text-xs text-cyan-300 mt-1">
+                  θ = {jetView.viewingAngle.toFixed(0)}° • δ = {jetView.doppler.toFixed(2)} / {jetView.counterDoppler.toFixed(2)} •
+                  jet/counter-jet = {jetView.ratio.toExponential(1)}
+                </p>
+              )}
+              <p className="text-xs text-gray-500">Pole-on = blazar (one jet) • Edge-on = radio galaxy (two faint jets)</p>
             </div>
 
             <div>
-              <Label className="text-gray-200">Frame Dragging: {params.showFrameDragging ? 'ON' : 'OFF'}</Label>
-              <Slider
-                value={[params.showFrameDragging ? 1 : 0]}
-                onValueChange={(v) => setParams(p => ({ ...p, showFrameDragging: v[0] > 0.5 }))}
-                min={0}
-                max={1}
-                step={1}
+              <Label className="text-gray-200">VLBI Map: knot separation vs epoch</Label>
+              <VlbiMap
+                map={knotMap}
+                timeUnitSeconds={gravitationalTimeSeconds(params.blackHoleMass * 1e9)}
                 className="mt-2"
               />
-              <p className="text-xs text-gray-400 mt-1">Ω_fd = 2aM/r³</p>
+              <p className="text-xs text-gray-400 mt-1">
+                Internal shocks: faster shells catch slower ones and flare (✶) • slope = β_app = β sin θ / (1 − β cos θ)
+              </p>
+            </div>
+
+            <div>
+              <Button
+                variant={params.showFrameDragging ? "default" : "outline"}
+                onClick={() => setParams(p => ({ ...p, showFrameDragging: !p.showFrameDragging }))}
+                className="w-full text-xs"
+              >
+                Frame Dragging: {params.showFrameDragging ? 'On' : 'Off'}
+              </Button>
+              <p className="text-xs text-gray-400 mt-1">ω = −g_tφ/g_φφ = 2Mar / [(r² + a²)² − a²Δ sin²θ]</p>
             </div>
 
             <div>
@@ -1375,28 +2149,26 @@ const Ton618Simulation = () => {
             </div>
 
             <div>
-              <Label className="text-gray-200">Infall/Spiral: {params.spiralStrength.toFixed(1)}x</Label>
-              <Slider
-                value={[params.spiralStrength]}
-                onValueChange={(v) => setParams(p => ({ ...p, spiralStrength: v[0] }))}
-                min={0}
-                max={3}
-                step={0.1}
+              <Label className="text-gray-200">Disk Redshift</Label>
+              <RedshiftModeSelector
+                value={params.redshiftMode}
+                onChange={(mode) => setParams(p => ({ ...p, redshiftMode: mode }))}
                 className="mt-2"
               />
-              <p className="text-xs text-gray-400 mt-1">Higher = particles reach ISCO faster</p>
+              <p className="text-xs text-gray-400 mt-1">g = α·δ, δ = 1/γ(1 − v cos ψ)</p>
             </div>
 
             <div>
-              <Label className="text-gray-200">Rotation Speed: {params.diskRotationSpeed.toFixed(1)}x</Label>
+              <Label className="text-gray-200">Infall/Spiral: {params.spiralStrength.toFixed(1)}x</Label>
               <Slider
-                value={[params.diskRotationSpeed]}
-                onValueChange={(v) => setParams(p => ({ ...p, diskRotationSpeed: v[0] }))}
+                value={[params.spiralStrength]}
+                onValueChange={(v) => setParams(p => ({ ...p, spiralStrength: v[0] }))}
                 min={0}
                 max={3}
                 step={0.1}
                 className="mt-2"
               />
+              <p className="text-xs text-gray-400 mt-1">Higher = particles reach ISCO faster</p>
             </div>
 
             <div>
@@ -1412,15 +2184,14 @@ const Ton618Simulation = () => {
             </div>
 
             <div>
-              <Label className="text-gray-200">Lensing: {params.lensingStrength.toFixed(1)}x</Label>
-              <Slider
-                value={[params.lensingStrength]}
-                onValueChange={(v) => setParams(p => ({ ...p, lensingStrength: v[0] }))}
-                min={0}
-                max={3}
-                step={0.1}
-                className="mt-2"
-              />
+              <Button
+                variant={params.metricLensing ? "default" : "outline"}
+                onClick={() => setParams(p => ({ ...p, metricLensing: !p.metricLensing }))}
+                className="w-full text-xs"
+              >
+                Lensing: {params.metricLensing ? 'Kerr Metric' : 'Newtonian'}
+              </Button>
+              <p className="text-xs text-gray-400 mt-1">{params.metricLensing ? 'Ray-traced geodesics: Einstein ring + shadow' : 'Straight rays, α = 2M/b'}</p>
             </div>
 
             <div>
@@ -1472,6 +2243,13 @@ const Ton618Simulation = () => {
             >
               Ergosphere
             </Button>
+            <Button
+              variant={params.showFrameDraggingField ? "default" : "outline"}
+              onClick={() => setParams(p => ({ ...p, showFrameDraggingField: !p.showFrameDraggingField }))}
+              className="text-xs"
+            >
+              Drag Field
+            </Button>
             <Button
               variant={params.showReferenceFrames ? "default" : "outline"}
               onClick={() => setParams(p => ({ ...p, showReferenceFrames: !p.showReferenceFrames }))}
@@ -1479,6 +2257,13 @@ const Ton618Simulation = () => {
             >
               Ref. Frames
             </Button>
+            <Button
+              variant={params.showShadowOutline ? "default" : "outline"}
+              onClick={() => setParams(p => ({ ...p, showShadowOutline: !p.showShadowOutline }))}
+              className="text-xs"
+            >
+              Kerr Shadow
+            </Button>
             <Button
               variant={params.showParticleTrails ? "default" : "outline"}
               onClick={() => setParams(p => ({ ...p, showParticleTrails: !p.showParticleTrails }))}
@@ -1488,6 +2273,12 @@ const Ton618Simulation = () => {
             </Button>
           </div>
 
+          <div className="pt-4 border-t border-gray-700">
+            <h3 className="font-semibold text-white mb-1">Gravity Lab</h3>
+            <p className="text-xs text-gray-400 mb-2">Equatorial profiles for {params.blackHoleMass} billion M☉, a = {params.spinParameter.toFixed(2)}</p>
+            <GravityLab mass={params.blackHoleMass * 1e9} spin={params.spinParameter} cursorRadius={hover ? hover.r : null} />
+          </div>
+
           <div className="pt-4 border-t border-gray-700">
             <h3 className="font-semibold text-white mb-3">Companion Star (O-type)</h3>
 
@@ -1516,7 +2307,7 @@ const Ton618Simulation = () => {
                     step={5}
                     className="mt-1"
                   />
-                  <p className="text-xs text-gray-500 mt-1">Distance from black hole (ISCO≈18)</p>
+                  <p className="text-xs text-gray-500 mt-1">Distance from black hole (ISCO≈{preview.blackHole.iscoRadius().toFixed(0)})</p>
                 </div>
 
                 <div>
@@ -1723,9 +2514,11 @@ const Ton618Simulation = () => {
 
                 <div className="pt-2 border-t border-gray-600 text-xs">
                   <h4 className="text-xs font-semibold text-white mb-1">Star Statistics</h4>
+                  <UnitSelector value={starStatsUnit} onChange={setStarStatsUnit} className="mb-1" />
                   <p className="text-gray-400">Wind Particles: <span className="text-cyan-400">{starStats.windParticleCount}</span></p>
                   <p className="text-gray-400">Quantum Particles: <span className="text-green-400">{starStats.quantumParticleCount}</span></p>
-                  <p className="text-gray-400">Hill Radius: <span className="text-purple-400">{starStats.influenceRadius} units</span></p>
+                  <p className="text-gray-400">Orbital Radius: <span className="text-blue-400">{formatLength(params.companionStarDistance, starStatsUnit, blackHoleRef.current)}</span></p>
+                  <p className="text-gray-400">Hill Radius: <span className="text-purple-400">{formatLength(starStats.influenceRadius, starStatsUnit, blackHoleRef.current)}</span></p>
                   <p className="text-gray-400">Mass Loss: <span className="text-yellow-400">{starStats.massLossRate} M☉/yr</span></p>
                 </div>
               </div>
@@ -1736,18 +2529,18 @@ const Ton618Simulation = () => {
             <h3 className="font-semibold text-white mb-3">Visible Disk Physics</h3>
             <ul className="text-sm text-gray-300 space-y-2">
               <li>• <strong>Color Temperature:</strong> Blue/white = hot inner disk, Red/orange = cooler outer</li>
-              <li>• <strong>Green Tint:</strong> Strong frame dragging (Ω = 2aM/r³)</li>
+              <li>• <strong>Green Tint:</strong> Strong frame dragging (ω = −g_tφ/g_φφ)</li>
               <li>• <strong>White Glow (pulsing):</strong> Particles in ISCO region</li>
               <li>• <strong>Particle Size:</strong> Larger = higher density regions</li>
               <li>• <strong>Speed:</strong> Inner particles orbit faster (v ∝ 1/√r)</li>
-              <li>• <strong>3D Thickness:</strong> H/R ∝ √r (thinner closer to BH)</li>
+              <li>• <strong>3D Thickness:</strong> Novikov–Thorne H = √(H_rad² + H_gas²): nearly constant where radiation pressure dominates, zero at the ISCO</li>
               <li>• <strong>Spiral Arms:</strong> 3-armed density waves from instabilities</li>
               <li>• <strong>Vertical Motion:</strong> Turbulence from magnetic fields</li>
               <li>• <strong>Inward Spiral:</strong> Viscous angular momentum transport</li>
             </ul>
             <div className="mt-3 p-2 bg-cyan-900/30 rounded border border-cyan-500/50">
               <p className="text-xs text-cyan-300 font-semibold">💡 TO SEE JETS LAUNCHING:</p>
-              <p className="text-xs text-gray-300 mt-1">1. Increase "Jet Launch Rate" to 3-5x</p>
+              <p className="text-xs text-gray-300 mt-1">1. Raise "Kerr Spin" and "Horizon Magnetic Flux φ_BH" (jet power P_BZ ∝ φ_BH² Ω_H²)</p>
               <p className="text-xs text-gray-300">2. Increase "Infall/Spiral" to 2x+</p>
               <p className="text-xs text-gray-300">3. Watch pink ISCO ring for white particles</p>
               <p className="text-xs text-gray-300">4. Enable "Particle Trails" to see paths</p>
@@ -1,12 +1,82 @@
-import React, { useEffect, useRef, useState } from 'react';
+import React, { useEffect, useMemo, useRef, useState } from 'react';
 import * as THREE from 'three';
 import { Card } from '@/components/ui/card';
 import { Slider } from '@/components/ui/slider';
 import { Label } from '@/components/ui/label';
 import { Button } from '@/components/ui/button';
 import CompanionStar from '../physics/CompanionStar';
+import BlackHole from '../physics/BlackHole';
+import { formatLength, gravitationalTimeSeconds } from '../physics/Units';
+import AccretionFlow, { MIN_EDDINGTON_RATIO, MAX_EDDINGTON_RATIO } from '../physics/AccretionFlow';
+import BlandfordZnajekJet, { MAD_MAGNETIC_FLUX } from '../physics/BlandfordZnajekJet';
+import {
+  MIN_JET_SPEED,
+  MAX_JET_SPEED,
+  MIN_SPECTRAL_INDEX,
+  MAX_SPECTRAL_INDEX,
+  lorentzFactor,
+  synchrotronBoost,
+  jetCounterJetRatio,
+  randomSpectralIndex,
+  boostBrightness
+} from '../physics/RelativisticJet';
+import JetKnots from '../physics/JetKnots';
+import VlbiMap from './VlbiMap';
+import UnitSelector from './UnitSelector';
+import TimeControls from './TimeControls';
+import SeedControl from './SeedControl';
+import SimulationClock, { FRAME_SECONDS } from '../physics/SimulationClock';
+import FixedTimestep, { InstanceInterpolator } from '../physics/FixedTimestep';
+import Random, { MAX_SEED, randomSeed } from '../physics/Random';
+import { blackbodyColor } from '../physics/Blackbody';
+import RedshiftModeSelector, { REDSHIFT_MODES } from './RedshiftModeSelector';
+import { linkedCameraAngle, withLinkedView } from '../lib/viewLink';
+import { MAX_SPIN, iscoRadius, radiativeEfficiency, circularOrbitRedshift, keplerianPeriod } from '../physics/KerrMetric';
+
+const KNOT_JET_HEIGHT = 250; // Scene height of the drawn jet
+const PULSE_RATE = 0.045; // Phase (rad) per M of clock time of the cosmetic glows and flickers
+
+// What a shared link may set, matching the controls (see mergeParams)
+const PARAM_RANGES = {
+  seed: [0, MAX_SEED],
+  spinParameter: [-MAX_SPIN, MAX_SPIN],
+  eddingtonRatio: [MIN_EDDINGTON_RATIO, MAX_EDDINGTON_RATIO],
+  viscosity: [0.1, 3],
+  magneticFlux: [0, MAD_MAGNETIC_FLUX],
+  turbulence: [0, 3],
+  jetAcceleration: [0.1, 5],
+  jetVelocity: [MIN_JET_SPEED, MAX_JET_SPEED],
+  tidalForce: [0, 3],
+  shockHeating: [0, 3],
+  redshiftMode: Object.keys(REDSHIFT_MODES),
+  verticalMotion: [0, 3],
+  cameraDistance: [30, 1000],
+  companionStarDistance: [25, 500],
+  companionStarMass: [15, 90],
+  companionStarTemperature: [30000, 50000],
+  orbitalSpeedMultiplier: [0.001, 2],
+  windVelocity: [1000, 3000],
+  windDensity: [0.1, 3],
+  gravitationalStrength: [0.1, 5],
+  hawkingRadiationIntensity: [0.1, 2]
+};
 
-const AdvancedAccretionPhysics = () => {
+// Settings that only change how the run is drawn; the running scene reads them as they
+// change, so they neither rebuild the scene nor rewind the clock
+const DISPLAY_PARAMS = [
+  'redshiftMode',
+  'cameraDistance',
+  'showTrails',
+  'showJets',
+  'showMagneticField',
+  'showShockWaves',
+  'showFrameDragging',
+  'showSpaghettification',
+  'showPhotonOrbiters',
+  'showInfluenceSphere'
+];
+
+const AdvancedAccretionPhysics = ({ linkedView = null, onViewChange }) => {
   const containerRef = useRef(null);
   const rendererRef = useRef(null);
   const cameraRef = useRef(null);
@@ -19,21 +89,31 @@ const AdvancedAccretionPhysics = () => {
   const photonOrbitersRef = useRef([]);
   const shockWavesRef = useRef([]);
   const magneticFieldRef = useRef([]);
-  const cameraAngleRef = useRef({ theta: Math.PI / 4, phi: Math.PI / 3 });
+  const cameraAngleRef = useRef(linkedCameraAngle(linkedView, { theta: Math.PI / 4, phi: Math.PI / 3 }));
   const companionStarRef = useRef(null);
+  const blackHoleRef = useRef(null);
+  const diskModelRef = useRef(null);
+  const jetModelRef = useRef(null);
+  const jetViewRef = useRef(null);
+  const knotModelRef = useRef(null);
+  const clockRef = useRef(null);
+  const diskInterpolatorRef = useRef(null);
+  const sceneRandomRef = useRef(null);
   
-  const [params, setParams] = useState({
+  const [params, setParams] = useState(withLinkedView({
+    seed: randomSeed(), // Fixes every random stream of the run
     blackHoleMass: 66,
     spinParameter: 0.95,
-    accretionRate: 2.5,
+    eddingtonRatio: 0.25, // ṁ = Ṁ / Ṁ_Edd
     viscosity: 1.5,
-    magneticFieldStrength: 2.5,
+    magneticFlux: 30, // φ_BH
     turbulence: 2.0,
-    jetLaunchRate: 2.0,
     jetAcceleration: 2.0,
+    jetVelocity: 0.98, // β = v/c
     frameDragging: 1.5,
     tidalForce: 1.5,
     shockHeating: 2.0,
+    redshiftMode: 'total',
     verticalMotion: 1.5,
     cameraDistance: 180,
     showTrails: true,
@@ -43,7 +123,6 @@ const AdvancedAccretionPhysics = () => {
     showFrameDragging: true,
     showSpaghettification: true,
     showPhotonOrbiters: true,
-    timeScale: 1.0,
     // Companion star parameters
     showCompanionStar: true,
     companionStarDistance: 250,
@@ -60,9 +139,14 @@ const AdvancedAccretionPhysics = () => {
     // Quantum effects
     enableQuantumEffects: true,
     hawkingRadiationIntensity: 0.5
-  });
-
-  const [isPlaying, setIsPlaying] = useState(true);
+  }, linkedView, PARAM_RANGES));
+  // The scene reads display settings from liveParamsRef and is rebuilt from the seed
+  // (rewinding the clock) only when one of the others changes
+  const liveParamsRef = useRef({});
+  Object.assign(liveParamsRef.current, params);
+  const sceneParams = JSON.stringify(params, (key, value) => (DISPLAY_PARAMS.includes(key) ? undefined : value));
+
+  const [starStatsUnit, setStarStatsUnit] = useState('au');
   const [starStats, setStarStats] = useState({
     windParticleCount: 0,
     quantumParticleCount: 0,
@@ -78,10 +162,83 @@ const AdvancedAccretionPhysics = () => {
     powerOutput: 0,
     avgJetSpeed: 0
   });
+  const [jetView, setJetView] = useState(null);
+  const [knotMap, setKnotMap] = useState(null);
+
+  // Shared black hole model (radii in scene units) with the accretion flow and
+  // Blandford–Znajek jet on it. The scene effect keeps them in sync with params;
+  // the hole's onChange listeners (CompanionStar) must not run during render.
+  if (!blackHoleRef.current) blackHoleRef.current = new BlackHole();
+  if (!diskModelRef.current) diskModelRef.current = new AccretionFlow(blackHoleRef.current);
+  if (!jetModelRef.current) jetModelRef.current = new BlandfordZnajekJet(diskModelRef.current);
+
+  // The same hole, flow and jet at this render's params, for the values derived below
+  const preview = useMemo(() => {
+    const blackHole = new BlackHole({ mass: params.blackHoleMass * 1e9, spin: params.spinParameter });
+    const disk = new AccretionFlow(blackHole, { eddingtonRatio: params.eddingtonRatio });
+    return { blackHole, disk, jet: new BlandfordZnajekJet(disk, { magneticFlux: params.magneticFlux }) };
+  }, [params.blackHoleMass, params.spinParameter, params.eddingtonRatio, params.magneticFlux]);
+  const EVENT_HORIZON = preview.blackHole.horizonRadius;
+  const ISCO = preview.blackHole.iscoRadius();
+  const PHOTON_SPHERE = preview.blackHole.photonSphereRadius;
+
+  // ṁ picks the flow's regime (ADAF, thin, slim, super-Eddington)
+  const diskRegime = preview.disk.regime;
+
+  // Regime-driven inflow speed and display brightness, relative to a thin disk at ṁ ≈ 0.1
+  const diskInflowScale = Math.min(5, Math.max(0.1, preview.disk.inflowFactor()));
+  const diskLuminosityScale = Math.pow(preview.disk.luminosityRatio / 0.1, 0.25);
+
+  // Jet fed by the same flow; launch rate, brightness and Γ follow P_BZ
+  const jetStats = preview.jet.getStats();
+  const jetPowerScale = preview.jet.powerScale();
+  // The slider sets β up to the terminal speed the jet power reaches, so Γ never
+  // exceeds the Blandford–Znajek Γ_∞ (no jet speed above MIN_JET_SPEED without spin)
+  const maxJetVelocity = Math.min(MAX_JET_SPEED, Math.max(MIN_JET_SPEED, preview.jet.speed));
+  const jetVelocity = Math.min(params.jetVelocity, maxJetVelocity);
+  const jetLorentzFactor = lorentzFactor(jetVelocity);
+
+  // Internal-shock knots ejected around the jet Γ; the model outlives scene rebuilds
+  if (!knotModelRef.current) knotModelRef.current = new JetKnots();
+
+  // Physical clock (M, GM/c³) driving every module; each scene rebuild rewinds it to 0.
+  // An earlier time is reached by rebuilding the run from its seed and replaying it.
+  if (!clockRef.current) clockRef.current = new SimulationClock(blackHoleRef.current);
+  const [clockStats, setClockStats] = useState(() => clockRef.current.getStats());
+  const [rewinds, setRewinds] = useState(0);
+  const updateClock = (change) => {
+    change(clockRef.current);
+    setClockStats(clockRef.current.getStats());
+    if (clockRef.current.needsRewind) setRewinds(count => count + 1);
+  };
+
+  // Disk half-thickness H(r) in scene units
+  const getDiskScaleHeight = (radius) => {
+    const rg = blackHoleRef.current.gravitationalRadius;
+    return Math.max(diskModelRef.current.scaleHeight(radius / rg) * rg, 0.05);
+  };
 
-  const EVENT_HORIZON = 13;
-  const ISCO = 18;
-  const PHOTON_SPHERE = 19.5;
+  // Disk particle color: blackbody at the normalized temperature × the flow's peak temperature,
+  // seen with redshift factor g and scaled by the regime's luminosity; sRGB-encoded for the raw disk shader
+  const getDiskColor = (normalizedTemperature, g, target) => {
+    const peakTemperature = diskModelRef.current.getStats().peakTemperature;
+    return blackbodyColor(normalizedTemperature * peakTemperature, g, target, {
+      referenceTemperature: peakTemperature,
+      exposure: 0.25,
+      encoding: 'srgb'
+    }).multiplyScalar(diskLuminosityScale);
+  };
+
+  // Redshift factor of a disk particle on a Keplerian orbit seen from the observer
+  // (both in the disk frame); the redshift mode picks Doppler, gravitational or both
+  const getDiskRedshift = (position, angle, observer) => {
+    const dx = observer.x - position.x;
+    const dy = observer.y - position.y;
+    const dz = observer.z - position.z;
+    const cosPsi = (-Math.sin(angle) * dx + Math.cos(angle) * dz) / Math.sqrt(dx * dx + dy * dy + dz * dz);
+    const r = Math.sqrt(position.x * position.x + position.z * position.z) / blackHoleRef.current.gravitationalRadius;
+    return circularOrbitRedshift(r, blackHoleRef.current.spin, cosPsi)[liveParamsRef.current.redshiftMode];
+  };
 
   // Calculate position along magnetic field line
   const getFieldLinePosition = (fieldLineIndex, progress, spinParam, isUpper) => {
@@ -118,19 +275,20 @@ const AdvancedAccretionPhysics = () => {
     const diskData = diskDataRef.current;
     const diskInstance = diskInstanceRef.current;
     if (!diskData || !diskInstance) return;
+    const random = sceneRandomRef.current;
 
     const tempMatrix = new THREE.Matrix4();
     const tempColor = new THREE.Color();
     
     for (let i = 0; i < diskData.length; i++) {
-      const angle = Math.random() * Math.PI * 2;
-      const radius = ISCO * 1.5 + Math.pow(Math.random(), 0.8) * 150;
-      const height = (Math.random() - 0.5) * radius * 0.15;
+      const angle = random.next() * Math.PI * 2;
+      const radius = ISCO * 1.5 + Math.pow(random.next(), 0.8) * 150;
+      const height = (random.next() - 0.5) * 2 * getDiskScaleHeight(radius);
       const speed = 0.012 * Math.pow(100 / radius, 1.5);
-      const verticalSpeed = (Math.random() - 0.5) * 0.1;
+      const verticalSpeed = (random.next() - 0.5) * 0.1;
 
       // Particle mass varies with radius (inner particles more massive)
-      const particleMass = 0.8 + Math.random() * 0.4 + (1.0 - (radius - ISCO * 1.5) / 150) * 0.3;
+      const particleMass = 0.8 + random.next() * 0.4 + (1.0 - (radius - ISCO * 1.5) / 150) * 0.3;
 
       diskData[i] = {
         angle: angle,
@@ -145,8 +303,8 @@ const AdvancedAccretionPhysics = () => {
         stretchFactor: 1.0,
         brightness: 0.5,
         age: 0,
-        orbitalTilt: (Math.random() - 0.5) * 0.3,
-        verticalPhase: Math.random() * Math.PI * 2,
+        orbitalTilt: (random.next() - 0.5) * 0.3,
+        verticalPhase: random.next() * Math.PI * 2,
         trail: [],
         vRadial: 0,
         vTangential: 0,
@@ -161,12 +319,13 @@ const AdvancedAccretionPhysics = () => {
       );
       diskInstance.setMatrixAt(i, tempMatrix);
       // Initial blackbody color
-      tempColor.setRGB(1.0, 0.7, 0.4).multiplyScalar(1.0);
+      getDiskColor(0.3, 1, tempColor);
       diskInstance.setColorAt(i, tempColor);
     }
     
     diskInstance.instanceMatrix.needsUpdate = true;
     diskInstance.instanceColor?.needsUpdate && (diskInstance.instanceColor.needsUpdate = true);
+    diskInterpolatorRef.current?.reset();
     
     // Clear effects
     accretionTrailsRef.current.forEach(trail => {
@@ -180,6 +339,9 @@ const AdvancedAccretionPhysics = () => {
       if (jet.mesh) sceneRef.current.remove(jet.mesh);
     });
     jetParticlesRef.current = [];
+    knotModelRef.current.reset();
+    setKnotMap(null);
+    updateClock(clock => clock.reset());
     
     photonOrbitersRef.current.forEach(photon => {
       if (photon.mesh) sceneRef.current.remove(photon.mesh);
@@ -196,12 +358,28 @@ const AdvancedAccretionPhysics = () => {
     setStats({ fps: 60, particlesAccreted: 0, jetsLaunched: 0, avgInfallSpeed: 0, maxTemperature: 0, powerOutput: 0, avgJetSpeed: 0 });
   };
 
+  // Share link: report every parameter change, display settings included
+  useEffect(() => {
+    if (onViewChange) onViewChange({ params, camera: { ...cameraAngleRef.current, distance: params.cameraDistance } });
+  }, [params]);
+
   useEffect(() => {
     if (!containerRef.current) return;
 
     const container = containerRef.current;
     const width = container.clientWidth;
     const height = container.clientHeight;
+    const live = liveParamsRef.current;
+
+    blackHoleRef.current.setParameters({ mass: params.blackHoleMass * 1e9, spin: params.spinParameter });
+    diskModelRef.current.setParameters({ eddingtonRatio: params.eddingtonRatio });
+    jetModelRef.current.setParameters({ magneticFlux: params.magneticFlux });
+    knotModelRef.current.setParameters({ speed: jetVelocity });
+
+    // Random streams of the run, one per module, all fixed by the seed
+    const random = new Random(params.seed);
+    const sceneRandom = random.fork('scene');
+    sceneRandomRef.current = sceneRandom;
 
     const scene = new THREE.Scene();
     scene.background = new THREE.Color(0x000000);
@@ -480,14 +658,14 @@ const AdvancedAccretionPhysics = () => {
     const tempColor = new THREE.Color();
     
     for (let i = 0; i < particleCount; i++) {
-      const angle = Math.random() * Math.PI * 2;
-      const radius = ISCO * 1.5 + Math.pow(Math.random(), 0.8) * 150;
-      const height = (Math.random() - 0.5) * radius * 0.15;
+      const angle = sceneRandom.next() * Math.PI * 2;
+      const radius = ISCO * 1.5 + Math.pow(sceneRandom.next(), 0.8) * 150;
+      const height = (sceneRandom.next() - 0.5) * 2 * getDiskScaleHeight(radius);
       const speed = 0.012 * Math.pow(100 / radius, 1.5);
-      const verticalSpeed = (Math.random() - 0.5) * 0.1;
+      const verticalSpeed = (sceneRandom.next() - 0.5) * 0.1;
 
       // Particle mass varies with radius (inner particles more massive)
-      const particleMass = 0.8 + Math.random() * 0.4 + (1.0 - (radius - ISCO * 1.5) / 150) * 0.3;
+      const particleMass = 0.8 + sceneRandom.next() * 0.4 + (1.0 - (radius - ISCO * 1.5) / 150) * 0.3;
 
       diskData.push({
         angle: angle,
@@ -502,8 +680,8 @@ const AdvancedAccretionPhysics = () => {
         stretchFactor: 1.0,
         brightness: 0.5,
         age: 0,
-        orbitalTilt: (Math.random() - 0.5) * 0.3,
-        verticalPhase: Math.random() * Math.PI * 2,
+        orbitalTilt: (sceneRandom.next() - 0.5) * 0.3,
+        verticalPhase: sceneRandom.next() * Math.PI * 2,
         trail: [],
         // Velocity fields for proper F=ma integration
         vRadial: 0,      // Radial velocity (inward/outward)
@@ -520,7 +698,7 @@ const AdvancedAccretionPhysics = () => {
       );
       diskInstance.setMatrixAt(i, tempMatrix);
       // Initial blackbody color
-      tempColor.setRGB(1.0, 0.7, 0.4).multiplyScalar(1.0);
+      getDiskColor(0.3, 1, tempColor);
       diskInstance.setColorAt(i, tempColor);
     }
     
@@ -532,9 +710,9 @@ const AdvancedAccretionPhysics = () => {
     const starColors = [];
     
     for (let i = 0; i < 8000; i++) {
-      const theta = Math.random() * Math.PI * 2;
-      const phi = Math.acos(2 * Math.random() - 1);
-      const radius = 1500 + Math.random() * 2500;
+      const theta = sceneRandom.next() * Math.PI * 2;
+      const phi = Math.acos(2 * sceneRandom.next() - 1);
+      const radius = 1500 + sceneRandom.next() * 2500;
       
       starPositions.push(
         radius * Math.sin(phi) * Math.cos(theta),
@@ -542,7 +720,7 @@ const AdvancedAccretionPhysics = () => {
         radius * Math.cos(phi)
       );
       
-      const brightness = 0.3 + Math.random() * 0.7;
+      const brightness = 0.3 + sceneRandom.next() * 0.7;
       starColors.push(brightness, brightness, brightness * 1.1);
     }
     
@@ -560,8 +738,7 @@ const AdvancedAccretionPhysics = () => {
     scene.add(stars);
 
     // Initialize companion star (massive O-type supergiant)
-    const blackHoleMass = 66e9; // 66 billion solar masses
-    const companionStar = new CompanionStar(scene, blackHoleMass, {
+    const companionStar = new CompanionStar(scene, blackHoleRef.current, {
       mass: params.companionStarMass,
       temperature: params.companionStarTemperature,
       orbitalRadius: params.companionStarDistance,
@@ -573,10 +750,16 @@ const AdvancedAccretionPhysics = () => {
       gravitationalStrength: params.gravitationalStrength,
       enableQuantumEffects: params.enableQuantumEffects,
       hawkingRadiationIntensity: params.hawkingRadiationIntensity,
-      showInfluenceSphere: params.showInfluenceSphere
+      showInfluenceSphere: live.showInfluenceSphere,
+      random: random.fork('companion')
     });
     companionStarRef.current = companionStar;
 
+    // Share link: report the parameters and camera after each drag
+    const reportView = () => {
+      if (onViewChange) onViewChange({ params: { ...live }, camera: { ...cameraAngleRef.current, distance: live.cameraDistance } });
+    };
+
     // Mouse controls
     let isDragging = false;
     let previousMousePosition = { x: 0, y: 0 };
@@ -601,6 +784,7 @@ const AdvancedAccretionPhysics = () => {
     
     const onMouseUp = () => {
       isDragging = false;
+      reportView();
     };
 
     const onWheel = (e) => {
@@ -630,12 +814,28 @@ const AdvancedAccretionPhysics = () => {
     shockWavesRef.current = shockWaves;
 
     // Animation loop
-    let time = 0;
     let lastTime = performance.now();
     let frameCount = 0;
     let fpsUpdateTime = 0;
     let particlesAccreted = 0;
     let jetsLaunched = 0;
+
+    // Jet knots share the jet particle list; they run straight up the axis,
+    // compressed from r_g onto the visible jet
+    const KNOT_TIME_STEP = 15; // r_g/c per frame
+    const knotModel = knotModelRef.current;
+    knotModel.setParameters({ random: random.fork('knots') });
+    // The scene is built at t = 0, so the clock and the knot history restart with it
+    // (and replay up to the scrub target when this rebuild is a rewind)
+    const clock = clockRef.current;
+    clock.rewind();
+    knotModel.reset();
+    setClockStats(clock.getStats());
+    const stepper = new FixedTimestep();
+    const diskInterpolator = new InstanceInterpolator(diskInstance);
+    diskInterpolatorRef.current = diskInterpolator;
+    const knotsWithMesh = new WeakSet();
+    let knotMapFrame = 0;
     
     const animate = () => {
       animationRef.current = requestAnimationFrame(animate);
@@ -652,44 +852,58 @@ const AdvancedAccretionPhysics = () => {
         fpsUpdateTime = 0;
       }
 
-      if (isPlaying) {
-        time += 0.015 * params.timeScale;
+      // Clock seconds this frame, run as whole fixed physics steps (a scrub runs as
+      // many as the frame has time for)
+      const { steps } = stepper.advanceClock(clock, deltaTime);
+      const stepsStart = performance.now();
+      if (frameCount % 10 === 0) setClockStats(clock.getStats());
+
+      // Clock time (M) before this frame's steps; the clock has run past the last
+      // one by the stepper's carried remainder
+      let time = clock.time - (stepper.accumulator + steps * stepper.step) * clock.timeScale;
+
+      for (let step = 0; step < steps; step++) {
+        const frames = 1; // Each step is one nominal 60 fps frame
+        time += stepper.step * clock.timeScale * frames;
+        const pulse = time * PULSE_RATE;
 
         // Update shaders
-        photonSphere.material.uniforms.time.value = time;
-        iscoRing.material.uniforms.time.value = time;
+        photonSphere.material.uniforms.time.value = pulse;
+        iscoRing.material.uniforms.time.value = pulse;
 
         // Animate disk lights
         diskLights.forEach((light, i) => {
-          const angle = (i / diskLights.length) * Math.PI * 2 + time * 0.5;
+          const angle = (i / diskLights.length) * Math.PI * 2 + pulse * 0.5;
           light.position.x = Math.cos(angle) * 60;
           light.position.z = Math.sin(angle) * 60;
-          light.position.y = Math.sin(time * 2 + i) * 15;
-          light.intensity = 5 + Math.sin(time * 3 + i) * 2;
+          light.position.y = Math.sin(pulse * 2 + i) * 15;
+          light.intensity = 5 + Math.sin(pulse * 3 + i) * 2;
         });
 
         // Magnetic field animation
         magneticFieldRef.current.forEach((line, i) => {
-          line.visible = params.showMagneticField;
-          if (params.showMagneticField) {
-            line.rotation.y = time * 0.15 * params.spinParameter * params.magneticFieldStrength;
-            line.material.opacity = 0.5 + Math.sin(time * 2 + i * 0.3) * 0.2;
+          line.visible = live.showMagneticField;
+          if (live.showMagneticField) {
+            // Field lines threading the horizon rotate at Ω_F ≈ Ω_H / 2
+            line.rotation.y = time * Math.sign(params.spinParameter) * jetStats.horizonAngularVelocity * 0.5;
+            line.material.opacity = 0.5 + Math.sin(pulse * 2 + i * 0.3) * 0.2;
           }
         });
 
         // Frame dragging
         frameDraggingRings.forEach(ring => {
-          ring.visible = params.showFrameDragging;
-          if (params.showFrameDragging) {
+          ring.visible = live.showFrameDragging;
+          if (live.showFrameDragging) {
             const dragRate = (2 * params.spinParameter * 100) / Math.pow(ring.userData.radius, 3);
-            ring.rotation.y += dragRate * 0.01 * params.frameDragging * params.timeScale;
+            ring.rotation.y += dragRate * 0.01 * params.frameDragging * frames;
           }
         });
 
-        // Spawn photon orbiters
-        if (params.showPhotonOrbiters && Math.random() < 0.05) {
-          const theta = Math.random() * Math.PI * 2;
-          const phi = Math.random() * Math.PI;
+        // Spawn photon orbiters (hidden, not skipped, while they are switched off, so
+        // the toggle leaves the random streams alone)
+        if (sceneRandom.next() < 0.05) {
+          const theta = sceneRandom.next() * Math.PI * 2;
+          const phi = sceneRandom.next() * Math.PI;
           
           const photon = {
             position: new THREE.Vector3(
@@ -707,7 +921,7 @@ const AdvancedAccretionPhysics = () => {
           
           const geom = new THREE.SphereGeometry(0.4, 8, 8);
           const mat = new THREE.MeshBasicMaterial({
-            color: Math.random() > 0.5 ? 0xffaa00 : 0x00aaff,
+            color: sceneRandom.next() > 0.5 ? 0xffaa00 : 0x00aaff,
             transparent: true,
             opacity: 0.9
           });
@@ -732,7 +946,7 @@ const AdvancedAccretionPhysics = () => {
           }
           
           photon.angle += photon.speed * params.spinParameter;
-          photon.phi += Math.sin(time * 2 + photon.angle) * 0.01;
+          photon.phi += Math.sin(pulse * 2 + photon.angle) * 0.01;
           
           photon.position.set(
             PHOTON_SPHERE * Math.sin(photon.phi) * Math.cos(photon.angle),
@@ -742,6 +956,7 @@ const AdvancedAccretionPhysics = () => {
           
           photon.mesh.position.copy(photon.position);
           photon.mesh.material.opacity = 0.9 * (1 - photon.age / photon.maxAge);
+          photon.mesh.visible = live.showPhotonOrbiters;
         }
 
         // Update shock waves
@@ -751,6 +966,7 @@ const AdvancedAccretionPhysics = () => {
           wave.scale.multiplyScalar(1.05);
           wave.material.opacity *= 0.96;
           wave.rotation.z += 0.02;
+          wave.visible = live.showShockWaves;
           
           if (wave.userData.age > 50 || wave.material.opacity < 0.02) {
             scene.remove(wave);
@@ -760,11 +976,53 @@ const AdvancedAccretionPhysics = () => {
           }
         }
 
+        // Jet knots: internal-shock shells from the knot model
+        // Shells are only ejected and propagated forward in time
+        knotModel.update(KNOT_TIME_STEP * frames);
+        knotModel.knots.forEach(knot => {
+          if (knotsWithMesh.has(knot)) return;
+          knotsWithMesh.add(knot);
+          const mesh = new THREE.Mesh(
+            new THREE.SphereGeometry(2, 12, 12),
+            new THREE.MeshBasicMaterial({ color: 0x99ddff, transparent: true, opacity: 0.9 })
+          );
+          scene.add(mesh);
+          jetParticles.push({ knot, mesh, isUpper: knot.isUpper, age: 0, maxAge: Infinity });
+        });
+        knotMapFrame++;
+        if (knotMapFrame % 10 === 0) {
+          setKnotMap(knotModel.skyMap(Math.cos(cameraAngleRef.current.phi)));
+        }
+
         // Update jet particles - CONFINED BY MAGNETIC FIELD
         let totalJetSpeed = 0;
+        let jetParticleCount = 0;
+        const jetViewDirection = new THREE.Vector3();
         for (let i = jetParticles.length - 1; i >= 0; i--) {
           const jet = jetParticles[i];
+
+          // Knot: position from the shell model, flare × δ^(3+α) brightness
+          if (jet.knot) {
+            if (!jet.knot.alive) {
+              scene.remove(jet.mesh);
+              jet.mesh.geometry.dispose();
+              jet.mesh.material.dispose();
+              jetParticles.splice(i, 1);
+              continue;
+            }
+            const height = jet.knot.z / knotModel.length * KNOT_JET_HEIGHT;
+            jet.mesh.position.set(0, jet.isUpper ? height : -height, 0);
+            jet.mesh.visible = live.showJets;
+            jetViewDirection.subVectors(camera.position, jet.mesh.position).normalize();
+            const knotBrightness = boostBrightness(knotModel.observedBrightness(jet.knot, jetViewDirection.y), 0.25, 3);
+            jet.mesh.material.color.setRGB(0.6, 0.87, 1).multiplyScalar(knotBrightness);
+            jet.mesh.material.opacity = Math.min(0.95, knotBrightness);
+            jet.mesh.scale.setScalar(1 + jet.knot.flare * 0.5);
+            continue;
+          }
+
           jet.age++;
+          jetParticleCount++;
           
           if (jet.age > jet.maxAge) {
             if (jet.mesh) {
@@ -778,11 +1036,12 @@ const AdvancedAccretionPhysics = () => {
           
           // ACCELERATION along field line
           const baseProgress = jet.age / jet.maxAge;
-          const accelFactor = Math.pow(jet.age / 30, 1.5) * params.jetAcceleration;
-          const speedFactor = 1 + accelFactor * 5;
+          // Accelerates toward the bulk speed β of the jet
+          const accelFactor = Math.min(1, Math.pow(jet.age / 30, 1.5) * params.jetAcceleration / 10) * jet.speed;
+          const speedFactor = 1 + accelFactor * 20;
           
-          jet.progress += 0.004 * speedFactor * params.timeScale;
-          jet.progress = Math.min(1, jet.progress);
+          jet.progress += 0.004 * speedFactor * frames;
+          jet.progress = Math.min(1, Math.max(0, jet.progress));
           
           // FOLLOW MAGNETIC FIELD LINE PRECISELY
           const newPos = getFieldLinePosition(
@@ -798,11 +1057,18 @@ const AdvancedAccretionPhysics = () => {
           totalJetSpeed += velocityMagnitude;
           
           if (jet.mesh) {
+            // Synchrotron beaming δ^(2+α) toward the camera; the counter-jet fades on its own
+            jetViewDirection.subVectors(camera.position, jet.position).normalize();
+            const cosTheta = jet.isUpper ? jetViewDirection.y : -jetViewDirection.y;
+            const beaming = boostBrightness(synchrotronBoost(jet.speed, cosTheta, jet.spectralIndex));
+
             jet.mesh.position.copy(jet.position);
-            jet.mesh.material.opacity = (1 - jet.age / jet.maxAge) * 0.9;
+            jet.mesh.visible = live.showJets;
+            jet.mesh.material.color.copy(jet.color).multiplyScalar(beaming);
+            jet.mesh.material.opacity = (1 - jet.age / jet.maxAge) * 0.9 * Math.min(1, beaming);
             
             // Size increases with speed
-            const sizeScale = 0.7 + accelFactor * 0.15;
+            const sizeScale = 0.7 + accelFactor * Math.log(jet.lorentzFactor) * 0.5;
             jet.mesh.scale.set(sizeScale, sizeScale * 1.5, sizeScale);
           }
         }
@@ -813,6 +1079,11 @@ const AdvancedAccretionPhysics = () => {
         const updateMatrix = new THREE.Matrix4();
         const updateColor = new THREE.Color();
         const updateScale = new THREE.Vector3();
+        const diskPosition = new THREE.Vector3();
+
+        // Camera in the disk frame, for the per-particle redshift factor
+        diskInstance.updateMatrixWorld();
+        const observer = diskInstance.worldToLocal(camera.position.clone());
 
         // Reusable vectors to avoid per-frame allocations (performance optimization)
         const reusableParticlePos = new THREE.Vector3();
@@ -834,7 +1105,7 @@ const AdvancedAccretionPhysics = () => {
 
           const distToISCO = p.radius - ISCO;
           const infallAcceleration = distToISCO < 10 ? (1 + (10 - distToISCO) * 0.3) : 1;
-          const baseRadialAccel = -p.infallSpeed * params.accretionRate * params.viscosity * infallAcceleration * 60;
+          const baseRadialAccel = -p.infallSpeed * diskInflowScale * params.viscosity * infallAcceleration * 60;
           let radialForce = 0;
           let tangentialForce = 0;
           let verticalForce = 0;
@@ -872,15 +1143,22 @@ const AdvancedAccretionPhysics = () => {
         }
 
         // Calculate adaptive time step (CFL condition)
-        const baseTimestep = 0.016 * params.timeScale; // ~60 FPS adjusted for timeScale
+        const baseTimestep = 0.016; // ~60 FPS
         const courantFactor = 0.3; // Safety factor
         const characteristicLength = 1.0; // Approximate particle spacing
 
         let adaptiveDt = baseTimestep;
         if (maxAccelMagnitude > 0.1) {
-          const safeDt = courantFactor * Math.sqrt(characteristicLength / maxAccelMagnitude) * params.timeScale;
-          adaptiveDt = Math.min(baseTimestep, Math.max(safeDt, 0.001 * params.timeScale)); // Clamp between 0.001 and 0.016 (scaled by timeScale)
+          const safeDt = courantFactor * Math.sqrt(characteristicLength / maxAccelMagnitude);
+          adaptiveDt = Math.min(baseTimestep, Math.max(safeDt, 0.001)); // Clamp between 0.001 and 0.016
         }
+        adaptiveDt *= frames; // On the simulation clock
+
+        // The orbits themselves run on the clock: a particle sweeps 2π per Keplerian
+        // period P(r, a) (units of M) and a step is FRAME_SECONDS · timeScale M; gas
+        // plunging inside the ISCO keeps the ISCO rate
+        const rg = blackHoleRef.current.gravitationalRadius;
+        const orbitTime = 2 * Math.PI * FRAME_SECONDS * clock.timeScale * frames;
 
         // === PHYSICS INTEGRATION WITH ADAPTIVE TIME STEP ===
         for (let i = 0; i < diskData.length; i++) {
@@ -894,8 +1172,7 @@ const AdvancedAccretionPhysics = () => {
           const infallAcceleration = distToISCO < 10 ? (1 + (10 - distToISCO) * 0.3) : 1;
 
           // 1. Calculate intrinsic forces (gravity, viscosity)
-          const baseRadialAccel = -p.infallSpeed * params.accretionRate * params.viscosity * infallAcceleration * 60; // Inward acceleration
-          const baseTangentialVel = p.speed * 60; // Orbital velocity
+          const baseRadialAccel = -p.infallSpeed * diskInflowScale * params.viscosity * infallAcceleration * 60; // Inward acceleration
           const baseVerticalAccel = 0; // No base vertical forces
 
           totalInfallSpeed += p.infallSpeed * infallAcceleration;
@@ -930,9 +1207,9 @@ const AdvancedAccretionPhysics = () => {
           }
 
           // 3. Calculate turbulence and vertical oscillations
-          p.verticalPhase += 0.02 * params.timeScale * params.verticalMotion;
+          p.verticalPhase += 0.02 * frames * params.verticalMotion;
           const verticalOscillation = Math.sin(p.verticalPhase) * 3;
-          const turbulentHeight = Math.sin(time * 2 + i * 0.01) * params.turbulence * 2;
+          const turbulentHeight = Math.sin(pulse * 2 + i * 0.01) * params.turbulence * 2;
           const turbulentVerticalAccel = (verticalOscillation + turbulentHeight) * 0.5;
 
           // 4. Calculate total acceleration (F/m, using particle mass)
@@ -942,7 +1219,7 @@ const AdvancedAccretionPhysics = () => {
 
           // 5. Update velocities: v += a × Δt (using adaptive timestep)
           p.vRadial += totalRadialAccel * adaptiveDt;
-          p.vTangential = baseTangentialVel + totalTangentialAccel; // Mix with base orbital velocity
+          p.vTangential = totalTangentialAccel; // Companion's push along the orbit
           p.vVertical += totalVerticalAccel * adaptiveDt;
 
           // 6. Apply damping to prevent runaway velocities
@@ -952,22 +1229,23 @@ const AdvancedAccretionPhysics = () => {
 
           // 7. Update positions: x += v × Δt (using adaptive timestep)
           p.radius += p.vRadial * adaptiveDt;
-          p.angle += (p.vTangential / (p.radius + 1)) * adaptiveDt; // Convert linear to angular velocity
+          p.angle += orbitTime / keplerianPeriod(Math.max(p.radius, ISCO) / rg, blackHoleRef.current.spin) +
+            (p.vTangential / (p.radius + 1)) * adaptiveDt; // Convert linear to angular velocity
           p.height += p.vVertical * adaptiveDt;
 
           // Clamp height to reasonable bounds
           p.height = Math.max(-20, Math.min(20, p.height));
           
-          p.orbitalTilt += 0.001 * params.frameDragging * params.spinParameter * params.timeScale;
+          p.orbitalTilt += 0.001 * params.frameDragging * params.spinParameter * frames;
           const tiltedHeight = p.height * Math.cos(p.orbitalTilt);
           
           p.angularMomentum *= 0.999;
           p.speed = p.angularMomentum / p.radius;
           
-          // Temperature
-          const tempFactor = Math.pow(Math.max(0, (p.initialRadius - p.radius) / p.initialRadius), 2);
+          // Temperature: accretion-flow profile plus shock heating near the ISCO
+          const profile = diskModelRef.current.sample(p.radius / blackHoleRef.current.gravitationalRadius);
           const iscoProximity = Math.max(0, 1 - distToISCO / 20);
-          p.temp = 0.3 + tempFactor * 0.4 + iscoProximity * 0.8 * params.shockHeating;
+          p.temp = profile.temperature + iscoProximity * 0.8 * params.shockHeating;
           
           const shearRate = Math.abs(p.speed - 0.012 * Math.pow(100 / p.radius, 1.5));
           p.temp += shearRate * params.viscosity * 0.5;
@@ -975,17 +1253,17 @@ const AdvancedAccretionPhysics = () => {
           
           maxTemp = Math.max(maxTemp, p.temp);
           
-          if (params.showSpaghettification && distToISCO < 5) {
+          if (live.showSpaghettification && distToISCO < 5) {
             p.stretchFactor = 1 + (5 - distToISCO) * 0.4 * params.tidalForce;
           } else {
             p.stretchFactor = 1.0;
           }
           
-          p.brightness = 0.5 + p.temp * 0.3 + iscoProximity * 1.5;
+          p.brightness = 0.5 + p.temp * 0.3 + Math.sqrt(profile.flux) * 1.5;
           powerOutput += p.brightness;
           
           // Trails
-          if (params.showTrails && p.age % 3 === 0) {
+          if (live.showTrails && p.age % 3 === 0) {
             const pos = new THREE.Vector3(
               Math.cos(p.angle) * p.radius,
               tiltedHeight,
@@ -1021,7 +1299,7 @@ const AdvancedAccretionPhysics = () => {
             particlesAccreted++;
             
             // Shock wave
-            if (params.showShockWaves && Math.random() < 0.3) {
+            if (sceneRandom.next() < 0.3) {
               const waveGeometry = new THREE.RingGeometry(0.5, 2, 32);
               const waveMaterial = new THREE.MeshBasicMaterial({
                 color: p.temp > 0.8 ? 0xffffff : 0xff6600,
@@ -1042,9 +1320,9 @@ const AdvancedAccretionPhysics = () => {
             }
             
             // JET LAUNCH - confined to magnetic field line
-            if (params.showJets && Math.random() < 0.05 * params.jetLaunchRate) {
-              const isUpper = Math.random() < 0.5;
-              const fieldLineIndex = Math.floor(Math.random() * 32);
+            if (sceneRandom.next() < 0.02 * jetPowerScale) {
+              const isUpper = sceneRandom.next() < 0.5;
+              const fieldLineIndex = Math.floor(sceneRandom.next() * 32);
               
               const jetParticle = {
                 position: new THREE.Vector3(
@@ -1055,15 +1333,19 @@ const AdvancedAccretionPhysics = () => {
                 fieldLineIndex: fieldLineIndex,
                 isUpper: isUpper,
                 progress: 0,
+                speed: jetVelocity,
+                lorentzFactor: jetLorentzFactor,
+                spectralIndex: randomSpectralIndex(sceneRandom),
+                color: new THREE.Color(0, 1, 1).multiplyScalar(0.4 + 0.12 * jetPowerScale),
                 age: 0,
                 maxAge: 250,
                 mesh: null
               };
               
-              // SMALLER jet particles
+              // SMALLER jet particles, brighter for a more powerful jet
               const jetGeom = new THREE.SphereGeometry(1, 6, 6);
               const jetMat = new THREE.MeshBasicMaterial({
-                color: 0x00ffff,
+                color: jetParticle.color,
                 transparent: true,
                 opacity: 0.9
               });
@@ -1077,13 +1359,13 @@ const AdvancedAccretionPhysics = () => {
             
             // Reset
             p.radius = p.initialRadius;
-            p.angle = Math.random() * Math.PI * 2;
+            p.angle = sceneRandom.next() * Math.PI * 2;
             p.temp = 0.3;
             p.angularMomentum = p.radius * 0.012 * Math.pow(100 / p.radius, 1.5);
             p.stretchFactor = 1.0;
             p.brightness = 0.5;
             p.trail = [];
-            p.orbitalTilt = (Math.random() - 0.5) * 0.3;
+            p.orbitalTilt = (sceneRandom.next() - 0.5) * 0.3;
           }
           
           // Update position
@@ -1112,22 +1394,9 @@ const AdvancedAccretionPhysics = () => {
           // Blackbody temperature colors
           const brightness = 0.5 + p.brightness * 0.5;
 
-          if (p.temp > 1.0 || p.temp > 0.8) {
-            // Very hot - blue-white (10000K+)
-            updateColor.setRGB(0.8, 0.9, 1.0).multiplyScalar(1.5 + brightness);
-          } else if (p.temp > 0.6) {
-            // Hot - white (6000-10000K)
-            updateColor.setRGB(1.0, 1.0, 0.95).multiplyScalar(1.3 + brightness);
-          } else if (p.temp > 0.4) {
-            // Warm - yellow-white (4000-6000K)
-            updateColor.setRGB(1.0, 0.95, 0.7).multiplyScalar(1.2 + brightness * 0.8);
-          } else if (p.temp > 0.2) {
-            // Cool - orange (3000-4000K)
-            updateColor.setRGB(1.0, 0.7, 0.4).multiplyScalar(1.0 + brightness * 0.6);
-          } else {
-            // Very cool - red (2000-3000K)
-            updateColor.setRGB(1.0, 0.5, 0.2).multiplyScalar(0.8 + brightness * 0.4);
-          }
+          diskPosition.set(x, y, z);
+          const g = getDiskRedshift(diskPosition, p.angle, observer);
+          getDiskColor(p.temp, g, updateColor).multiplyScalar(1 + brightness * 0.5);
 
           diskInstance.setColorAt(i, updateColor);
         }
@@ -1137,29 +1406,56 @@ const AdvancedAccretionPhysics = () => {
           diskInstance.instanceColor.needsUpdate = true;
         }
         
-        // Update stats
-        const avgJetSpeed = jetParticles.length > 0 ? totalJetSpeed / jetParticles.length : 0;
-        setStats(prev => ({
-          ...prev,
-          particlesAccreted: particlesAccreted,
-          jetsLaunched: jetsLaunched,
-          avgInfallSpeed: (totalInfallSpeed / diskData.length).toFixed(2),
-          maxTemperature: maxTemp.toFixed(2),
-          powerOutput: (powerOutput / 1000).toFixed(1),
-          avgJetSpeed: avgJetSpeed.toFixed(2)
-        }));
+        // Update stats (once per frame, from its last step)
+        if (step === steps - 1) {
+          const avgJetSpeed = jetParticleCount > 0 ? totalJetSpeed / jetParticleCount : 0;
+          setStats(prev => ({
+            ...prev,
+            particlesAccreted: particlesAccreted,
+            jetsLaunched: jetsLaunched,
+            avgInfallSpeed: (totalInfallSpeed / diskData.length).toFixed(2),
+            maxTemperature: maxTemp.toFixed(2),
+            powerOutput: (powerOutput / 1000).toFixed(1),
+            avgJetSpeed: avgJetSpeed.toFixed(2)
+          }));
+        }
+        diskInterpolator.capture();
       }
+      stepper.measure(steps, performance.now() - stepsStart);
+      diskInterpolator.apply(stepper.alpha);
+
+      accretionTrails.forEach(trail => { trail.visible = live.showTrails; });
 
       // Update camera
-      const distance = params.cameraDistance;
+      const distance = live.cameraDistance;
       camera.position.x = distance * Math.sin(cameraAngleRef.current.phi) * Math.cos(cameraAngleRef.current.theta);
       camera.position.y = distance * Math.cos(cameraAngleRef.current.phi);
       camera.position.z = distance * Math.sin(cameraAngleRef.current.phi) * Math.sin(cameraAngleRef.current.theta);
       camera.lookAt(0, 0, 0);
 
+      // Jet glow follows the beaming of each side (mean α = 0.75)
+      const cosPolar = Math.cos(cameraAngleRef.current.phi);
+      const spectralIndex = (MIN_SPECTRAL_INDEX + MAX_SPECTRAL_INDEX) / 2;
+      jetLight1.intensity = 8 * boostBrightness(synchrotronBoost(jetVelocity, cosPolar, spectralIndex));
+      jetLight2.intensity = 8 * boostBrightness(synchrotronBoost(jetVelocity, -cosPolar, spectralIndex));
+
+      const polarDegrees = Math.round(THREE.MathUtils.radToDeg(cameraAngleRef.current.phi));
+      const view = jetViewRef.current;
+      if (!view || view.polarDegrees !== polarDegrees || view.speed !== jetVelocity) {
+        jetViewRef.current = {
+          polarDegrees,
+          speed: jetVelocity,
+          viewingAngle: THREE.MathUtils.radToDeg(Math.acos(Math.abs(cosPolar))),
+          ratio: jetCounterJetRatio(jetVelocity, Math.abs(cosPolar), spectralIndex)
+        };
+        setJetView(jetViewRef.current);
+      }
+
       // Update companion star
       if (params.showCompanionStar && companionStar) {
-        companionStar.update(deltaTime);
+        for (let step = 0; step < steps; step++) {
+          companionStar.update(FRAME_SECONDS);
+        }
 
         // Update star statistics
         const starStatsData = companionStar.getStats();
@@ -1201,7 +1497,7 @@ const AdvancedAccretionPhysics = () => {
       container.removeChild(renderer.domElement);
       renderer.dispose();
     };
-  }, [params, isPlaying]);
+  }, [sceneParams, rewinds]);
 
   return (
     <div className="w-full h-screen bg-black flex">
@@ -1269,18 +1565,35 @@ const AdvancedAccretionPhysics = () => {
         <div className="p-4 space-y-4">
           <div>
             <h2 className="text-lg font-bold text-white mb-2">Controls</h2>
+            <TimeControls
+              stats={clockStats}
+              mass={params.blackHoleMass * 1e9}
+              timescales={clockRef.current.timescales({
+                innerRadius: diskModelRef.current.getStats().peakRadius,
+                jetLength: KNOT_JET_HEIGHT,
+                jetSpeed: jetVelocity
+              })}
+              onToggle={() => updateClock(clock => clock.setParameters({ playing: !clock.playing }))}
+              onStep={(frames) => updateClock(clock => clock.step(frames))}
+              onSpeed={(speed) => updateClock(clock => clock.setParameters({ speed, playing: true }))}
+              onScrub={(time) => updateClock(clock => clock.scrub(time))}
+            />
+            <SeedControl
+              seed={params.seed}
+              onSeed={(seed) => {
+                // A new seed starts a fresh run
+                updateClock(clock => clock.reset());
+                knotModelRef.current.reset();
+                setParams(p => ({ ...p, seed }));
+              }}
+              className="my-2"
+            />
             <div className="grid grid-cols-2 gap-2">
-              <Button 
-                onClick={() => setIsPlaying(!isPlaying)}
-                className="bg-gradient-to-r from-cyan-600 to-blue-600 hover:from-cyan-700 hover:to-blue-700 text-sm"
-              >
-                {isPlaying ? '⏸' : '▶'}
-              </Button>
               <Button 
                 onClick={resetSimulation}
-                className="bg-gradient-to-r from-orange-600 to-red-600 hover:from-orange-700 hover:to-red-700 text-sm"
+                className="col-span-2 bg-gradient-to-r from-orange-600 to-red-600 hover:from-orange-700 hover:to-red-700 text-sm"
               >
-                🔄
+                🔄 Reset
               </Button>
               <Button 
                 onClick={zoomIn}
@@ -1312,15 +1625,35 @@ const AdvancedAccretionPhysics = () => {
             </div>
 
             <div>
-              <Label className="text-gray-200 text-xs font-semibold">Accretion Rate: {params.accretionRate.toFixed(1)}×</Label>
+              <Label className="text-gray-200 text-xs font-semibold">Spin (a/M): {params.spinParameter.toFixed(3)}</Label>
               <Slider
-                value={[params.accretionRate]}
-                onValueChange={(v) => setParams(p => ({ ...p, accretionRate: v[0] }))}
-                min={0.1}
-                max={5}
-                step={0.1}
+                value={[params.spinParameter]}
+                onValueChange={(v) => setParams(p => ({ ...p, spinParameter: v[0] }))}
+                min={-MAX_SPIN}
+                max={MAX_SPIN}
+                step={0.001}
+                className="mt-1"
+              />
+              <p className="text-xs text-gray-500 mt-1">
+                ISCO {iscoRadius(params.spinParameter).toFixed(2)} M • η = {(radiativeEfficiency(params.spinParameter) * 100).toFixed(1)}% • negative = retrograde
+              </p>
+            </div>
+
+            <div>
+              <Label className="text-gray-200 text-xs font-semibold">
+                Eddington Ratio: ṁ = {params.eddingtonRatio.toPrecision(2)} ({diskRegime.label})
+              </Label>
+              <Slider
+                value={[Math.log10(params.eddingtonRatio)]}
+                onValueChange={(v) => setParams(p => ({ ...p, eddingtonRatio: Number(Math.pow(10, v[0]).toPrecision(3)) }))}
+                min={Math.log10(MIN_EDDINGTON_RATIO)}
+                max={Math.log10(MAX_EDDINGTON_RATIO)}
+                step={0.05}
                 className="mt-1"
               />
+              <p className="text-xs text-gray-400 mt-1">
+                L = {preview.disk.luminosityRatio.toPrecision(2)} L_Edd, H/R = {(preview.disk.scaleHeight(20) / 20).toFixed(2)} at 20M
+              </p>
             </div>
 
             <div>
@@ -1335,6 +1668,33 @@ const AdvancedAccretionPhysics = () => {
               />
             </div>
 
+            <div>
+              <Label className="text-gray-200 text-xs font-semibold">Jet Velocity: {jetVelocity.toFixed(3)}c (Γ = {jetLorentzFactor.toFixed(2)})</Label>
+              <Slider
+                value={[jetVelocity]}
+                onValueChange={(v) => setParams(p => ({ ...p, jetVelocity: v[0] }))}
+                min={MIN_JET_SPEED}
+                max={maxJetVelocity}
+                disabled={maxJetVelocity <= MIN_JET_SPEED}
+                step={0.001}
+                className="mt-1"
+              />
+              {jetView && (
+                <p className="text-[10px] text-cyan-300 mt-1">
+                  θ = {jetView.viewingAngle.toFixed(0)}° • jet/counter-jet ∝ δ^(2+α) ratio {jetView.ratio.toExponential(1)}
+                </p>
+              )}
+            </div>
+
+            <div>
+              <Label className="text-gray-200 text-xs font-semibold">VLBI Map (slope = β_app)</Label>
+              <VlbiMap
+                map={knotMap}
+                timeUnitSeconds={gravitationalTimeSeconds(params.blackHoleMass * 1e9)}
+                className="mt-1"
+              />
+            </div>
+
             <div>
               <Label className="text-gray-200 text-xs font-semibold">Vertical Motion: {params.verticalMotion.toFixed(1)}×</Label>
               <Slider
@@ -1372,27 +1732,27 @@ const AdvancedAccretionPhysics = () => {
             </div>
 
             <div>
-              <Label className="text-gray-200 text-xs font-semibold">Magnetic Field: {params.magneticFieldStrength.toFixed(1)}×</Label>
-              <Slider
-                value={[params.magneticFieldStrength]}
-                onValueChange={(v) => setParams(p => ({ ...p, magneticFieldStrength: v[0] }))}
-                min={0}
-                max={3}
-                step={0.1}
+              <Label className="text-gray-200 text-xs font-semibold">Disk Redshift</Label>
+              <RedshiftModeSelector
+                value={params.redshiftMode}
+                onChange={(mode) => setParams(p => ({ ...p, redshiftMode: mode }))}
                 className="mt-1"
               />
             </div>
 
             <div>
-              <Label className="text-gray-200 text-xs font-semibold">Jet Launch Rate: {params.jetLaunchRate.toFixed(1)}×</Label>
+              <Label className="text-gray-200 text-xs font-semibold">Horizon Flux φ_BH: {params.magneticFlux.toFixed(0)} (MAD ≈ {MAD_MAGNETIC_FLUX})</Label>
               <Slider
-                value={[params.jetLaunchRate]}
-                onValueChange={(v) => setParams(p => ({ ...p, jetLaunchRate: v[0] }))}
+                value={[params.magneticFlux]}
+                onValueChange={(v) => setParams(p => ({ ...p, magneticFlux: v[0] }))}
                 min={0}
-                max={5}
-                step={0.1}
+                max={MAD_MAGNETIC_FLUX}
+                step={1}
                 className="mt-1"
               />
+              <p className="text-[10px] text-cyan-300 mt-1">
+                η_jet = {(jetStats.efficiency * 100).toFixed(1)}% • P_jet = {jetStats.eddingtonRatio.toPrecision(2)} L_Edd • Γ_∞ = {jetStats.lorentzFactor.toFixed(1)} (caps the jet velocity)
+              </p>
             </div>
 
             <div>
@@ -1418,18 +1778,6 @@ const AdvancedAccretionPhysics = () => {
                 className="mt-1"
               />
             </div>
-
-            <div>
-              <Label className="text-gray-200 text-xs font-semibold">Time Scale: {params.timeScale.toFixed(1)}×</Label>
-              <Slider
-                value={[params.timeScale]}
-                onValueChange={(v) => setParams(p => ({ ...p, timeScale: v[0] }))}
-                min={0.1}
-                max={5}
-                step={0.1}
-                className="mt-1"
-              />
-            </div>
           </div>
 
           <div className="space-y-2 pt-3 border-t border-gray-700">
@@ -1521,7 +1869,7 @@ const AdvancedAccretionPhysics = () => {
                     step={5}
                     className="mt-1"
                   />
-                  <p className="text-xs text-gray-500 mt-1">Distance from black hole (ISCO≈18)</p>
+                  <p className="text-xs text-gray-500 mt-1">Distance from black hole (ISCO≈{ISCO.toFixed(0)})</p>
                 </div>
 
                 <div>
@@ -1728,9 +2076,11 @@ const AdvancedAccretionPhysics = () => {
 
                 <div className="pt-2 border-t border-gray-600 text-xs">
                   <h4 className="text-xs font-semibold text-white mb-1">Star Statistics</h4>
+                  <UnitSelector value={starStatsUnit} onChange={setStarStatsUnit} className="mb-1" />
                   <p className="text-gray-400">Wind Particles: <span className="text-cyan-400">{starStats.windParticleCount}</span></p>
                   <p className="text-gray-400">Quantum Particles: <span className="text-green-400">{starStats.quantumParticleCount}</span></p>
-                  <p className="text-gray-400">Hill Radius: <span className="text-purple-400">{starStats.influenceRadius} units</span></p>
+                  <p className="text-gray-400">Orbital Radius: <span className="text-blue-400">{formatLength(params.companionStarDistance, starStatsUnit, blackHoleRef.current)}</span></p>
+                  <p className="text-gray-400">Hill Radius: <span className="text-purple-400">{formatLength(starStats.influenceRadius, starStatsUnit, blackHoleRef.current)}</span></p>
                   <p className="text-gray-400">Mass Loss: <span className="text-yellow-400">{starStats.massLossRate} M☉/yr</span></p>
                 </div>
               </div>
@@ -1,4 +1,4 @@
-import React, { useEffect, useRef, useState } from 'react';
+import React, { useEffect, useMemo, useRef, useState } from 'react';
 import * as THREE from 'three';
 import { Card } from '@/components/ui/card';
 import { Slider } from '@/components/ui/slider';
@@ -10,15 +10,115 @@ import OrbitalMechanics from '../physics/OrbitalMechanics';
 import LymanAlphaBlob from '../physics/LymanAlphaBlob';
 import CompanionStar from '../physics/CompanionStar';
 import HawkingRadiation from '../physics/HawkingRadiation';
+import BlackHole from '../physics/BlackHole';
+import { LIGHT_YEAR, formatLength, gravitationalRadiusMeters, gravitationalTimeSeconds } from '../physics/Units';
+import UnitSelector from './UnitSelector';
+import GravityLab from './GravityLab';
+import HoverTooltip from './HoverTooltip';
+import ParticleInspector from './ParticleInspector';
+import TimeControls from './TimeControls';
+import SeedControl from './SeedControl';
+import SnapshotControls from './SnapshotControls';
+import EmbeddingDiagram from './EmbeddingDiagram';
+import PenroseDiagram from './PenroseDiagram';
+import Worldlines from '../physics/Worldlines';
+import SimulationClock, { FRAME_SECONDS } from '../physics/SimulationClock';
+import FixedTimestep, { InstanceInterpolator } from '../physics/FixedTimestep';
+import Random, { MAX_SEED, randomSeed } from '../physics/Random';
+import { createSnapshot, readSnapshot, packParticles, unpackParticles } from '../physics/Snapshot';
+import AccretionFlow, { MIN_EDDINGTON_RATIO, MAX_EDDINGTON_RATIO } from '../physics/AccretionFlow';
+import { blackbodyColor } from '../physics/Blackbody';
+import RedshiftModeSelector, { REDSHIFT_MODES } from './RedshiftModeSelector';
+import { linkedCameraAngle, withLinkedView } from '../lib/viewLink';
+import { mergeParams } from '../lib/params';
+import {
+  MAX_SPIN,
+  iscoRadius,
+  radiativeEfficiency,
+  circularOrbitRedshift,
+  circularOrbitSpeed,
+  properTimeRate,
+  movingEmitterRedshift,
+  parabolicInfallSpeed,
+  keplerianPeriod
+} from '../physics/KerrMetric';
+
+const PULSE_RATE = 0.03; // Phase (rad) per M of clock time of the cosmetic glows and flickers
+
+// What a loaded snapshot or shared link may set, matching the controls (see mergeParams)
+const PARAM_RANGES = {
+  seed: [0, MAX_SEED],
+  observerDistance: [0.5, 10],
+  viewingAngle: [0, 90],
+  redshiftMode: Object.keys(REDSHIFT_MODES),
+  eddingtonRatio: [MIN_EDDINGTON_RATIO, MAX_EDDINGTON_RATIO],
+  variabilityAmplitude: [0, 1],
+  cameraDistance: [50, 500],
+  starMass: [0.5, 10],
+  starVelocity: [0.1, 2],
+  companionStarDistance: [25, 500],
+  companionStarMass: [15, 90],
+  companionStarTemperature: [30000, 50000],
+  orbitalSpeedMultiplier: [0.001, 2],
+  windVelocity: [1000, 3000],
+  windDensity: [0.1, 3],
+  gravitationalStrength: [0.1, 5],
+  hawkingRadiationIntensity: [0.1, 2],
+  blackHoleMass: [10, 100],
+  blackHoleSpin: [-MAX_SPIN, MAX_SPIN]
+};
+
+// Settings that only change how the run is drawn or observed; the running scene reads
+// them as they change, so they neither rebuild the scene nor rewind the clock
+const DISPLAY_PARAMS = [
+  'observerDistance',
+  'viewingAngle',
+  'redshiftMode',
+  'variabilityAmplitude',
+  'cameraDistance',
+  'showJets',
+  'showDisk',
+  'showLightCurves',
+  'showEmbedding',
+  'showPenrose',
+  'showInfluenceSphere'
+];
+
+// Sections a snapshot must carry for loadSnapshot, as written by saveSnapshot (see readSnapshot)
+const SNAPSHOT_SECTIONS = {
+  params: 'object',
+  clock: { time: 'number', speed: 'number', playing: 'boolean', timeScale: 'number' },
+  camera: { angle: { theta: 'number', phi: 'number' }, 'dive?': { r: 'number', r0: 'number' } },
+  sceneRandom: 'random',
+  disk: 'particles',
+  star: {
+    position: 'vector3',
+    velocity: 'vector3',
+    mass: 'number',
+    health: 'number',
+    stretchFactor: 'vector3',
+    isDisrupted: 'boolean',
+    random: 'random'
+  },
+  debris: { particles: 'particles', random: 'random' },
+  blob: { particles: 'particles', time: 'number', random: 'random' },
+  companionStar: { angle: 'number', random: 'random', 'wind?': 'particles', 'quantum?': 'particles', 'accretion?': 'particles' },
+  hawking: { particles: 'particles', random: 'random' },
+  'loop?': {
+    stepper: { accumulator: 'number' },
+    worldlines: { time: 'number', lines: [{ events: 'array' }], ended: [{ events: 'array' }] }
+  }
+};
 
-const Ton618Observatory = () => {
+const Ton618Observatory = ({ linkedView = null, onViewChange }) => {
   const containerRef = useRef(null);
   const rendererRef = useRef(null);
   const cameraRef = useRef(null);
   const sceneRef = useRef(null);
   const animationRef = useRef(null);
   const diskInstanceRef = useRef(null);
-  const cameraAngleRef = useRef({ theta: Math.PI / 4, phi: Math.PI / 3 });
+  const diskDataRef = useRef([]);
+  const cameraAngleRef = useRef(linkedCameraAngle(linkedView, { theta: Math.PI / 4, phi: Math.PI / 3 }));
 
   // TDE (Tidal Disruption Event) refs
   const starRef = useRef(null);
@@ -27,6 +127,16 @@ const Ton618Observatory = () => {
   const lymanAlphaBlobRef = useRef(null);
   const companionStarRef = useRef(null);
   const hawkingRadiationRef = useRef(null);
+  const blackHoleRef = useRef(null);
+  const diskModelRef = useRef(null);
+  const worldlinesRef = useRef(null);
+  const clockRef = useRef(null);
+  const diveRef = useRef(null); // { r, r0 } in M while the camera free-falls
+  const hoverRef = useRef(null); // Disk-plane point under the cursor, read by the light curves
+  const inspectedRef = useRef(null); // { kind, index, target, pinned, following, lastAge, fate }
+  const sceneRandomRef = useRef(null);
+  const pendingSnapshotRef = useRef(null); // Loaded snapshot, restored once the scene is rebuilt
+  const loopStateRef = useRef(null); // () => the animation loop's own state, for snapshots
 
   // Light curve data
   const lightCurveDataRef = useRef({
@@ -38,15 +148,19 @@ const Ton618Observatory = () => {
     gamma: []
   });
 
-  const [params, setParams] = useState({
+  const [params, setParams] = useState(withLinkedView({
+    seed: randomSeed(), // Fixes every random stream of the run
     observerDistance: 2.5, // billion light years (TON 618 actual distance)
     viewingAngle: 45, // degrees from face-on
-    accretionRate: 1.0,
+    redshiftMode: 'total', // Disk redshift: doppler, gravitational or total
+    eddingtonRatio: 0.1, // ṁ = Ṁ / Ṁ_Edd
     variabilityAmplitude: 0.3,
     cameraDistance: 200,
     showJets: true,
     showDisk: true,
     showLightCurves: true,
+    showEmbedding: true,
+    showPenrose: true,
     // TDE parameters
     showTDE: true,
     starMass: 1.0,
@@ -74,8 +188,13 @@ const Ton618Observatory = () => {
     hawkingRadiationIntensity: 0.5,
     // Black hole parameters
     blackHoleMass: 66, // billions of solar masses
-    blackHoleSpin: 0.9 // 0 to 1
-  });
+    blackHoleSpin: 0.9 // -0.998 to 0.998 (negative = retrograde disk)
+  }, linkedView, PARAM_RANGES));
+  // The scene reads display settings from liveParamsRef and is rebuilt from the seed
+  // (rewinding the clock) only when one of the others changes
+  const liveParamsRef = useRef({});
+  Object.assign(liveParamsRef.current, params);
+  const sceneParams = JSON.stringify(params, (key, value) => (DISPLAY_PARAMS.includes(key) ? undefined : value));
 
   const [starStats, setStarStats] = useState({
     windParticleCount: 0,
@@ -88,22 +207,128 @@ const Ton618Observatory = () => {
     starHealth: 1.0,
     debrisCount: 0,
     streamCount: 0,
-    diskCount: 0
+    diskCount: 0,
+    starDistance: 0,
+    tidalRadius: 0
   });
 
+  // Display units for the readout panels
+  const [infoUnit, setInfoUnit] = useState('au');
+  const [starStatsUnit, setStarStatsUnit] = useState('au');
+
   const [blobStats, setBlobStats] = useState({
     particleCount: 0,
     avgTemperature: 0,
     avgIonization: 0
   });
 
-  const [isPlaying, setIsPlaying] = useState(true);
+  const [penrose, setPenrose] = useState({ diagram: null, cameraRadius: 0, diving: false });
+  const [hover, setHover] = useState(null);
+  const [inspection, setInspection] = useState(null);
+
   const [fps, setFps] = useState(60);
 
   // Physical constants
-  const TON618_MASS = 66e9; // solar masses
-  const EVENT_HORIZON = 13;
-  const ISCO = 18;
+  // Shared black hole model (radii in scene units) with the accretion flow on it. The
+  // scene effect keeps them in sync with the sliders; the hole's onChange listeners
+  // (Star, CompanionStar) must not run during render.
+  if (!blackHoleRef.current) blackHoleRef.current = new BlackHole();
+  if (!diskModelRef.current) diskModelRef.current = new AccretionFlow(blackHoleRef.current);
+
+  // The same hole and flow at this render's sliders, for the values derived below;
+  // ṁ picks the flow's regime (ADAF, thin, slim, super-Eddington)
+  const preview = useMemo(() => {
+    const blackHole = new BlackHole({ mass: params.blackHoleMass * 1e9, spin: params.blackHoleSpin });
+    return { blackHole, disk: new AccretionFlow(blackHole, { eddingtonRatio: params.eddingtonRatio }) };
+  }, [params.blackHoleMass, params.blackHoleSpin, params.eddingtonRatio]);
+  const EVENT_HORIZON = preview.blackHole.horizonRadius;
+  const ISCO = preview.blackHole.iscoRadius();
+
+  // Radial worldlines (in M) for the Penrose diagram, kept across scene rebuilds
+  if (!worldlinesRef.current) worldlinesRef.current = new Worldlines();
+
+  // Physical clock (M, GM/c³) driving every module; each scene rebuild rewinds it to 0.
+  // An earlier time is reached by rebuilding the run from its seed and replaying it.
+  if (!clockRef.current) clockRef.current = new SimulationClock(blackHoleRef.current);
+  const [clockStats, setClockStats] = useState(() => clockRef.current.getStats());
+  const [rewinds, setRewinds] = useState(0);
+  const updateClock = (change) => {
+    change(clockRef.current);
+    setClockStats(clockRef.current.getStats());
+    if (clockRef.current.needsRewind) setRewinds(count => count + 1);
+  };
+
+  // Snapshots: a paused moment of the whole observatory, as JSON
+  const saveSnapshot = () => {
+    updateClock(clock => clock.setParameters({ playing: false }));
+    return createSnapshot('observatory', {
+      params,
+      clock: clockRef.current.getState(),
+      camera: { angle: { ...cameraAngleRef.current }, dive: diveRef.current },
+      sceneRandom: sceneRandomRef.current.getState(),
+      disk: packParticles(diskDataRef.current),
+      star: starRef.current.getState(),
+      debris: debrisRef.current.getState(),
+      blob: lymanAlphaBlobRef.current.getState(),
+      companionStar: companionStarRef.current.getState(),
+      hawking: hawkingRadiationRef.current.getState(),
+      loop: loopStateRef.current()
+    });
+  };
+
+  // The camera is restored here (within the drag's polar limits); the clock and scene
+  // state once the effect rebuilds it
+  const loadSnapshot = (text) => {
+    const snapshot = readSnapshot(text, 'observatory', SNAPSHOT_SECTIONS);
+    const { theta, phi } = snapshot.camera.angle;
+    cameraAngleRef.current = { theta, phi: Math.max(0.1, Math.min(Math.PI - 0.1, phi)) };
+    diveRef.current = snapshot.camera.dive;
+    pendingSnapshotRef.current = snapshot;
+    setParams(p => mergeParams(p, snapshot.params, PARAM_RANGES));
+    // Rebuild even when only display settings differ, to restore the saved state
+    setRewinds(count => count + 1);
+  };
+  const diskRegime = preview.disk.regime;
+
+  // Regime-driven inflow speed and display brightness, relative to a thin disk at ṁ ≈ 0.1
+  const diskInflowScale = Math.min(5, Math.max(0.1, preview.disk.inflowFactor()));
+  const diskLuminosityScale = Math.pow(preview.disk.luminosityRatio / 0.1, 0.25);
+
+  // Disk half-thickness H(r) in scene units
+  const getDiskScaleHeight = (radius) => {
+    const rg = blackHoleRef.current.gravitationalRadius;
+    return Math.max(diskModelRef.current.scaleHeight(radius / rg) * rg, 0.05);
+  };
+
+  // Pin or follow toggles on the inspected particle
+  const toggleInspector = (flag) => {
+    const selection = inspectedRef.current;
+    if (!selection) return;
+    selection[flag] = !selection[flag];
+    setInspection(prev => prev && { ...prev, [flag]: selection[flag] });
+  };
+
+  // Disk particle color: blackbody at the normalized temperature × the flow's peak temperature,
+  // seen with redshift factor g and scaled by the regime's luminosity; sRGB-encoded for the raw disk shader
+  const getDiskColor = (normalizedTemperature, g, target) => {
+    const peakTemperature = diskModelRef.current.getStats().peakTemperature;
+    return blackbodyColor(normalizedTemperature * peakTemperature, g, target, {
+      referenceTemperature: peakTemperature,
+      exposure: 0.25,
+      encoding: 'srgb'
+    }).multiplyScalar(diskLuminosityScale);
+  };
+
+  // Redshift factor of a disk particle on a Keplerian orbit seen from the observer
+  // (both in the disk frame); the redshift mode picks Doppler, gravitational or both
+  const getDiskRedshift = (position, angle, observer) => {
+    const dx = observer.x - position.x;
+    const dy = observer.y - position.y;
+    const dz = observer.z - position.z;
+    const cosPsi = (-Math.sin(angle) * dx + Math.cos(angle) * dz) / Math.sqrt(dx * dx + dy * dy + dz * dz);
+    const r = Math.sqrt(position.x * position.x + position.z * position.z) / blackHoleRef.current.gravitationalRadius;
+    return circularOrbitRedshift(r, blackHoleRef.current.spin, cosPsi)[liveParamsRef.current.redshiftMode];
+  };
   const ACTUAL_DISTANCE_GLY = 2.5; // billion light years
 
   // Calculate apparent magnitude based on distance
@@ -115,21 +340,35 @@ const Ton618Observatory = () => {
     return absoluteMag + distanceModulus;
   };
 
-  // Calculate angular size
+  // Calculate angular size of the Schwarzschild radius (~1300 AU for TON 618)
   const getAngularSize = (distance) => {
-    // Schwarzschild radius of TON 618 ~ 1300 AU
-    const radiusAU = 1300;
-    const distanceAU = distance * 1e9 * 63241; // Gly to AU
-    const radians = radiusAU / distanceAU;
+    const radiusMeters = 2 * gravitationalRadiusMeters(blackHoleRef.current.mass);
+    const distanceMeters = distance * 1e9 * LIGHT_YEAR; // Gly to meters
+    const radians = radiusMeters / distanceMeters;
     return radians * 206265000; // to milliarcseconds
   };
 
+  // Share link: report every parameter change, display settings included
+  useEffect(() => {
+    if (onViewChange) onViewChange({ params, camera: { ...cameraAngleRef.current, distance: params.cameraDistance } });
+  }, [params]);
+
   useEffect(() => {
     if (!containerRef.current) return;
 
     const container = containerRef.current;
     const width = container.clientWidth;
     const height = container.clientHeight;
+    const live = liveParamsRef.current;
+
+    blackHoleRef.current.setParameters({ mass: params.blackHoleMass * 1e9, spin: params.blackHoleSpin });
+    diskModelRef.current.setParameters({ eddingtonRatio: params.eddingtonRatio });
+    worldlinesRef.current.setParameters({ spin: params.blackHoleSpin });
+
+    // Random streams of the run, one per module, all fixed by the seed
+    const random = new Random(params.seed);
+    const sceneRandom = random.fork('scene');
+    sceneRandomRef.current = sceneRandom;
 
     // Scene
     const scene = new THREE.Scene();
@@ -162,7 +401,7 @@ const Ton618Observatory = () => {
       const light = new THREE.PointLight(0xffffff, 8, 150);
       light.position.set(
         Math.cos(i * Math.PI / 3) * 30,
-        (Math.random() - 0.5) * 5,
+        (sceneRandom.next() - 0.5) * 5,
         Math.sin(i * Math.PI / 3) * 30
       );
       scene.add(light);
@@ -260,29 +499,28 @@ const Ton618Observatory = () => {
     const tempColor = new THREE.Color();
 
     for (let i = 0; i < particleCount; i++) {
-      const angle = Math.random() * Math.PI * 2;
-      const radius = ISCO + Math.pow(Math.random(), 0.7) * 100;
-      const height = (Math.random() - 0.5) * radius * 0.1;
-      const speed = 0.01 * Math.pow(80 / radius, 1.5);
+      const angle = sceneRandom.next() * Math.PI * 2;
+      const radius = ISCO + Math.pow(sceneRandom.next(), 0.7) * 100;
+      const height = (sceneRandom.next() - 0.5) * 2 * getDiskScaleHeight(radius);
 
       // Particle mass varies based on radius (inner particles more massive due to compression)
-      const particleMass = 0.8 + Math.random() * 0.4 + (1.0 - (radius - ISCO) / 100) * 0.3;
+      const particleMass = 0.8 + sceneRandom.next() * 0.4 + (1.0 - (radius - ISCO) / 100) * 0.3;
 
       diskData.push({
         angle: angle,
         radius: radius,
         initialRadius: radius,
         height: height,
-        speed: speed,
         infallSpeed: 0.02 * (1 / radius),
-        temp: Math.pow(1 - (radius - ISCO) / 100, 0.75),
-        phase: Math.random() * Math.PI * 2,
+        temp: diskModelRef.current.sample(radius / blackHoleRef.current.gravitationalRadius).temperature,
+        phase: sceneRandom.next() * Math.PI * 2,
         // Velocity fields for proper F=ma integration
         vRadial: 0,      // Radial velocity (inward/outward)
-        vTangential: 0,  // Tangential velocity (orbital motion)
+        vTangential: 0,  // Tangential velocity on top of the orbit (companion's pull)
         vVertical: 0,    // Vertical velocity (perpendicular to disk)
         // Particle mass (inner particles more massive due to compression)
-        mass: particleMass
+        mass: particleMass,
+        age: 0 // Frames since (re)spawning at the outer disk
       });
 
       const x = Math.cos(angle) * radius;
@@ -292,9 +530,10 @@ const Ton618Observatory = () => {
       diskInstance.setMatrixAt(i, tempMatrix);
 
       const temp = diskData[i].temp;
-      tempColor.setHSL(0.6 - temp * 0.6, 1, 0.4 + temp * 0.4);
+      getDiskColor(temp, 1, tempColor);
       diskInstance.setColorAt(i, tempColor);
     }
+    diskDataRef.current = diskData;
 
     // Jets - simple cone geometry
     const jetGeometry = new THREE.CylinderGeometry(0.5, 8, 200, 32);
@@ -320,9 +559,9 @@ const Ton618Observatory = () => {
     const starColors = [];
 
     for (let i = 0; i < 5000; i++) {
-      const theta = Math.random() * Math.PI * 2;
-      const phi = Math.acos(2 * Math.random() - 1);
-      const radius = 500 + Math.random() * 1500;
+      const theta = sceneRandom.next() * Math.PI * 2;
+      const phi = Math.acos(2 * sceneRandom.next() - 1);
+      const radius = 500 + sceneRandom.next() * 1500;
 
       starPositions.push(
         radius * Math.sin(phi) * Math.cos(theta),
@@ -330,7 +569,7 @@ const Ton618Observatory = () => {
         radius * Math.cos(phi)
       );
 
-      const brightness = 0.3 + Math.random() * 0.7;
+      const brightness = 0.3 + sceneRandom.next() * 0.7;
       starColors.push(brightness, brightness, brightness * 1.1);
     }
 
@@ -347,17 +586,74 @@ const Ton618Observatory = () => {
     const stars = new THREE.Points(starsGeometry, starsMaterial);
     scene.add(stars);
 
+    // Hover picking on the (tilted) disk plane, linked to the analytics panels
+    const hoverRaycaster = new THREE.Raycaster();
+    const diskPlane = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0);
+    const HOVER_INTERVAL = 40; // ms between readout updates
+    let lastHoverTime = 0;
+
+    const updateHover = (next) => {
+      hoverRef.current = next;
+      setHover(next);
+    };
+
+    const pickHover = (clientX, clientY) => {
+      const now = performance.now();
+      if (now - lastHoverTime < HOVER_INTERVAL) return;
+      lastHoverTime = now;
+
+      const rect = renderer.domElement.getBoundingClientRect();
+      const pointer = new THREE.Vector2(
+        (clientX - rect.left) / rect.width * 2 - 1,
+        -(clientY - rect.top) / rect.height * 2 + 1
+      );
+      hoverRaycaster.setFromCamera(pointer, camera);
+      diskInstance.updateMatrixWorld();
+      const ray = hoverRaycaster.ray.clone().applyMatrix4(diskInstance.matrixWorld.clone().invert());
+      const hit = ray.intersectPlane(diskPlane, new THREE.Vector3());
+      if (!hit) {
+        updateHover(null);
+        return;
+      }
+
+      // Orbital velocity (+φ) against the direction to the camera, and the extra light
+      // path of an echo reprocessed at the hit point relative to the center
+      const rg = blackHoleRef.current.gravitationalRadius;
+      const observer = diskInstance.worldToLocal(camera.position.clone());
+      const angle = Math.atan2(hit.z, hit.x);
+      const toObserver = observer.clone().sub(hit);
+      updateHover({
+        x: clientX - rect.left,
+        y: clientY - rect.top,
+        r: Math.round(Math.hypot(hit.x, hit.z) / rg * 50) / 50,
+        phi: THREE.MathUtils.radToDeg(angle),
+        cosPsi: (-Math.sin(angle) * toObserver.x + Math.cos(angle) * toObserver.z) / toObserver.length(),
+        lag: (hit.length() + toObserver.length() - observer.length()) / rg
+      });
+    };
+
+    // Share link: report the parameters and camera after each drag
+    const reportView = () => {
+      if (onViewChange) onViewChange({ params: { ...live }, camera: { ...cameraAngleRef.current, distance: live.cameraDistance } });
+    };
+
     // Mouse controls
     let isDragging = false;
     let previousMousePosition = { x: 0, y: 0 };
+    let mouseDownPosition = { x: 0, y: 0 };
 
     const onMouseDown = (e) => {
       isDragging = true;
       previousMousePosition = { x: e.clientX, y: e.clientY };
+      mouseDownPosition = { x: e.clientX, y: e.clientY };
+      updateHover(null);
     };
 
     const onMouseMove = (e) => {
-      if (!isDragging) return;
+      if (!isDragging) {
+        pickHover(e.clientX, e.clientY);
+        return;
+      }
 
       const deltaX = e.clientX - previousMousePosition.x;
       const deltaY = e.clientY - previousMousePosition.y;
@@ -369,8 +665,21 @@ const Ton618Observatory = () => {
       previousMousePosition = { x: e.clientX, y: e.clientY };
     };
 
-    const onMouseUp = () => {
+    // A click (press released without dragging) selects the particle under it, unless one is pinned
+    const onMouseUp = (e) => {
       isDragging = false;
+      reportView();
+      const pinned = inspectedRef.current && inspectedRef.current.pinned && !inspectedRef.current.fate;
+      if (!pinned && Math.hypot(e.clientX - mouseDownPosition.x, e.clientY - mouseDownPosition.y) < 4) {
+        const picked = pickParticle(e.clientX, e.clientY);
+        if (picked) selectParticle(picked);
+      }
+    };
+
+    const onMouseLeave = () => {
+      if (isDragging) reportView();
+      isDragging = false;
+      updateHover(null);
     };
 
     const onWheel = (e) => {
@@ -384,27 +693,28 @@ const Ton618Observatory = () => {
     renderer.domElement.addEventListener('mousedown', onMouseDown);
     renderer.domElement.addEventListener('mousemove', onMouseMove);
     renderer.domElement.addEventListener('mouseup', onMouseUp);
+    renderer.domElement.addEventListener('mouseleave', onMouseLeave);
     renderer.domElement.addEventListener('wheel', onWheel, { passive: false });
 
     // Initialize TDE (Tidal Disruption Event)
-    const star = new Star(scene, TON618_MASS);
+    const star = new Star(scene, blackHoleRef.current, { random: random.fork('star') });
     starRef.current = star;
 
-    const debris = new StellarDebris(scene, TON618_MASS);
+    const debris = new StellarDebris(scene, blackHoleRef.current, { random: random.fork('debris') });
     debrisRef.current = debris;
 
     // Initialize orbital mechanics
-    const orbitalMechanics = new OrbitalMechanics(TON618_MASS);
+    const orbitalMechanics = new OrbitalMechanics(blackHoleRef.current);
     orbitalMechanicsRef.current = orbitalMechanics;
 
     // Initialize Lyman-alpha blob
-    const lymanAlphaBlob = new LymanAlphaBlob(scene, TON618_MASS);
+    const lymanAlphaBlob = new LymanAlphaBlob(scene, blackHoleRef.current.mass, { random: random.fork('blob') });
     lymanAlphaBlobRef.current = lymanAlphaBlob;
     lymanAlphaBlob.setVisible(params.showLymanAlphaBlob);
 
     // Initialize companion star (massive O-type supergiant)
     // Note: Quantum effects removed from star, now at black hole event horizon
-    const companionStar = new CompanionStar(scene, TON618_MASS, {
+    const companionStar = new CompanionStar(scene, blackHoleRef.current, {
       mass: params.companionStarMass,
       temperature: params.companionStarTemperature,
       orbitalRadius: params.companionStarDistance,
@@ -414,24 +724,262 @@ const Ton618Observatory = () => {
       windDensity: params.windDensity,
       enableGravity: params.enableGravitationalForce,
       gravitationalStrength: params.gravitationalStrength,
-      showInfluenceSphere: params.showInfluenceSphere
+      showInfluenceSphere: live.showInfluenceSphere,
+      random: random.fork('companion')
     });
     companionStarRef.current = companionStar;
 
     // Initialize Hawking radiation (quantum effects at black hole event horizon)
     // This is where Hawking radiation actually occurs - NOT at stellar surfaces!
-    const hawkingRadiation = new HawkingRadiation(scene, TON618_MASS, EVENT_HORIZON, {
+    const hawkingRadiation = new HawkingRadiation(scene, blackHoleRef.current, {
       intensity: params.hawkingRadiationIntensity,
       particleCount: 1000,
-      enabled: params.enableQuantumEffects
+      enabled: params.enableQuantumEffects,
+      random: random.fork('hawking')
     });
     hawkingRadiationRef.current = hawkingRadiation;
 
+    const worldlines = worldlinesRef.current;
+    // The scene is built at t = 0, so the clock, worldlines and light curves restart
+    // with it (and replay up to the scrub target when this rebuild is a rewind)
+    const clock = clockRef.current;
+    clock.rewind();
+    worldlines.reset();
+    Object.values(lightCurveDataRef.current).forEach(data => {
+      data.length = 0;
+    });
+    setClockStats(clock.getStats());
+    const stepper = new FixedTimestep();
+    const diskInterpolator = new InstanceInterpolator(diskInstance);
+
+    // Worldline keys in a snapshot: particle bodies are stored by their index
+    const keyForBody = (body) => {
+      if (typeof body === 'string') return body;
+      const debrisIndex = debris.particles.indexOf(body);
+      if (debrisIndex >= 0) return { debris: debrisIndex };
+      const hawkingIndex = hawkingRadiation.particleData.indexOf(body);
+      return hawkingIndex >= 0 ? { hawking: hawkingIndex } : null;
+    };
+    const bodyForKey = (key) => {
+      if (!key || typeof key === 'string') return key;
+      return key.debris !== undefined ? debris.particles[key.debris] : hawkingRadiation.particleData[key.hawking];
+    };
+
+    // A loaded snapshot replaces the freshly built scene state
+    const snapshot = pendingSnapshotRef.current;
+    if (snapshot) {
+      pendingSnapshotRef.current = null;
+      unpackParticles(snapshot.disk).slice(0, particleCount).forEach((p, i) => {
+        diskData[i] = p;
+        tempMatrix.setPosition(Math.cos(p.angle) * p.radius, p.height, Math.sin(p.angle) * p.radius);
+        diskInstance.setMatrixAt(i, tempMatrix);
+        getDiskColor(p.temp, 1, tempColor);
+        diskInstance.setColorAt(i, tempColor);
+      });
+      diskInstance.instanceMatrix.needsUpdate = true;
+      diskInstance.instanceColor.needsUpdate = true;
+      diskInterpolator.reset();
+
+      clock.setState(snapshot.clock);
+      setClockStats(clock.getStats());
+      sceneRandom.setState(snapshot.sceneRandom);
+      star.setState(snapshot.star);
+      debris.setState(snapshot.debris);
+      lymanAlphaBlob.setState(snapshot.blob);
+      companionStar.setState(snapshot.companionStar);
+      hawkingRadiation.setState(snapshot.hawking);
+      if (snapshot.loop) {
+        stepper.setState(snapshot.loop.stepper);
+        worldlines.setState(snapshot.loop.worldlines, bodyForKey);
+      }
+    }
+
+    // Penrose diagram bodies: the innermost debris fragments (the likeliest to be
+    // swallowed) and freshly created Hawking quanta that escape
+    const TRACKED_DEBRIS = 4;
+    const TRACKED_ESCAPEES = 4;
+    const escapeeAges = new Map();
+
+    const followDebris = (rg) => {
+      const present = new Set(debris.particles);
+      worldlines.keys('debris').forEach(p => {
+        if (!present.has(p)) worldlines.end(p, p.accreted ? 'horizon' : null);
+      });
+      for (let n = worldlines.keys('debris').length; n < TRACKED_DEBRIS; n++) {
+        let innermost = null;
+        debris.particles.forEach(p => {
+          if (!worldlines.has(p) && (!innermost || p.position.length() < innermost.position.length())) innermost = p;
+        });
+        if (!innermost) break;
+        worldlines.record(innermost, 'debris', innermost.position.length() / rg);
+      }
+      worldlines.keys('debris').forEach(p => worldlines.record(p, 'debris', p.position.length() / rg));
+    };
+
+    const followEscapees = (rg) => {
+      // A quantum whose age restarted has been recycled: the tracked one got away
+      worldlines.keys('hawking').forEach(p => {
+        if (p.age < escapeeAges.get(p) || p.type !== 'particle') {
+          worldlines.end(p, 'escaped');
+          escapeeAges.delete(p);
+        }
+      });
+      let tracked = worldlines.keys('hawking').length;
+      hawkingRadiation.particleData.forEach(p => {
+        if (tracked < TRACKED_ESCAPEES && p.type === 'particle' && p.age < 5 && !worldlines.has(p)) {
+          escapeeAges.set(p, p.age);
+          worldlines.record(p, 'hawking', p.position.length() / rg);
+          tracked++;
+        }
+      });
+      worldlines.keys('hawking').forEach(p => {
+        escapeeAges.set(p, p.age);
+        worldlines.record(p, 'hawking', p.position.length() / rg);
+      });
+    };
+
+    // Particle inspector: a click near a disk or debris particle selects it (screen space)
+    const PICK_RADIUS = 8; // px
+    const pickMatrix = new THREE.Matrix4();
+    const pickPoint = new THREE.Vector3();
+    const selectionMarker = new THREE.Mesh(
+      new THREE.SphereGeometry(3, 12, 8),
+      new THREE.MeshBasicMaterial({ color: 0xffffff, wireframe: true, transparent: true, opacity: 0.8 })
+    );
+    selectionMarker.visible = false;
+    scene.add(selectionMarker);
+
+    // World position of the selected particle into `target`; false once it is gone
+    const particlePosition = (selection, target) => {
+      if (selection.kind === 'disk') {
+        diskInstance.getMatrixAt(selection.index, pickMatrix);
+        target.setFromMatrixPosition(pickMatrix).applyMatrix4(diskInstance.matrixWorld);
+        return true;
+      }
+      if (!debris.particles.includes(selection.target)) return false;
+      target.copy(selection.target.position);
+      return true;
+    };
+
+    const pickParticle = (clientX, clientY) => {
+      const rect = renderer.domElement.getBoundingClientRect();
+      const x = clientX - rect.left;
+      const y = clientY - rect.top;
+      let best = null;
+      let bestDistance = PICK_RADIUS;
+      const consider = (candidate) => {
+        pickPoint.project(camera);
+        if (pickPoint.z > 1) return;
+        const distance = Math.hypot((pickPoint.x + 1) / 2 * rect.width - x, (1 - pickPoint.y) / 2 * rect.height - y);
+        if (distance < bestDistance) {
+          bestDistance = distance;
+          best = candidate;
+        }
+      };
+
+      if (live.showDisk) {
+        diskInstance.updateMatrixWorld();
+        diskData.forEach((p, index) => {
+          particlePosition({ kind: 'disk', index }, pickPoint);
+          consider({ kind: 'disk', index, target: p });
+        });
+      }
+      if (params.showTDE) {
+        debris.particles.forEach((p, index) => {
+          pickPoint.copy(p.position);
+          consider({ kind: 'debris', index, target: p });
+        });
+      }
+      return best;
+    };
+
+    // Physical state for ParticleInspector. Disk gas is on a circular Keplerian orbit
+    // with the flow's T and ρ at its radius; circularized debris orbits in the sense of
+    // its angular momentum (+φ has L_y < 0 in the scene), stream debris falls in at the
+    // parabolic speed along its velocity
+    const inspectSelection = (selection) => {
+      const rg = blackHoleRef.current.gravitationalRadius;
+      const spin = blackHoleRef.current.spin;
+      const flow = diskModelRef.current;
+
+      if (selection.kind === 'disk') {
+        const p = selection.target;
+        if (p.age < selection.lastAge) selection.fate = 'Fell through the ISCO; recycled to the outer disk';
+        selection.lastAge = p.age;
+
+        diskInstance.getMatrixAt(selection.index, pickMatrix);
+        const local = new THREE.Vector3().setFromMatrixPosition(pickMatrix);
+        diskInstance.updateMatrixWorld();
+        const toObserver = diskInstance.worldToLocal(camera.position.clone()).sub(local);
+        const angle = Math.atan2(local.z, local.x);
+        const cosPsi = (-Math.sin(angle) * toObserver.x + Math.cos(angle) * toObserver.z) / toObserver.length();
+        const r = Math.hypot(local.x, local.z) / rg;
+        const speed = circularOrbitSpeed(r, spin, true);
+        const scaleHeight = flow.scaleHeight(r);
+
+        return {
+          kind: 'disk',
+          index: selection.index,
+          r,
+          speed: Number.isFinite(speed) ? speed : null,
+          lapse: properTimeRate(r, spin, Number.isFinite(speed) ? speed : 0),
+          g: circularOrbitRedshift(r, spin, cosPsi).total,
+          temperature: flow.temperature(r),
+          density: scaleHeight > 0 ? flow.density(r) * Math.exp(-Math.abs(local.y) / (scaleHeight * rg)) : 0,
+          age: p.age,
+          maxAge: null,
+          state: `Keplerian orbit (${flow.regime.label})`,
+          fate: selection.fate,
+          pinned: selection.pinned,
+          following: selection.following
+        };
+      }
+
+      const p = selection.target;
+      if (!debris.particles.includes(p)) {
+        selection.fate = p.accreted ? 'Crossed the event horizon' : 'Dissipated at its maximum age';
+      }
+      const debrisState = debris.getParticleState(p);
+      const r = p.position.length() / rg;
+      const speed = debrisState.phase === 'circularized'
+        ? circularOrbitSpeed(r, spin, p.angularMomentum.y < 0)
+        : parabolicInfallSpeed(r, spin);
+      const toObserver = camera.position.clone().sub(p.position).normalize();
+      const cosPsi = p.velocity.lengthSq() > 0 ? p.velocity.clone().normalize().dot(toObserver) : 0;
+      const moving = Number.isFinite(speed) ? speed : 0;
+
+      return {
+        kind: 'debris',
+        index: selection.index,
+        r,
+        speed: Number.isFinite(speed) ? speed : null,
+        lapse: properTimeRate(r, spin, moving),
+        g: movingEmitterRedshift(r, spin, moving, cosPsi),
+        temperature: debrisState.temperature,
+        density: debrisState.density,
+        age: debrisState.age,
+        maxAge: debrisState.maxAge,
+        state: debrisState.phase === 'circularized' ? 'Circularized into the debris disk' : 'Tidal stream, falling back',
+        fate: selection.fate,
+        pinned: selection.pinned,
+        following: selection.following
+      };
+    };
+
+    const selectParticle = (picked) => {
+      inspectedRef.current = { ...picked, pinned: false, following: false, lastAge: picked.target.age, fate: null };
+      setInspection(inspectSelection(inspectedRef.current));
+    };
+    const followCenter = new THREE.Vector3();
+
     // Animation loop
-    let time = 0;
     let lastTime = performance.now();
     let frameCount = 0;
     let fpsUpdateTime = 0;
+    loopStateRef.current = () => ({
+      stepper: stepper.getState(),
+      worldlines: worldlines.getState(keyForBody)
+    });
 
     const animate = () => {
       animationRef.current = requestAnimationFrame(animate);
@@ -448,12 +996,30 @@ const Ton618Observatory = () => {
         fpsUpdateTime = 0;
       }
 
-      if (isPlaying) {
-        time += 0.01;
+      // Clock seconds this frame, run as whole fixed physics steps (a scrub runs as
+      // many as the frame has time for)
+      const { delta: clockDelta, steps } = stepper.advanceClock(clock, deltaTime);
+      const stepsStart = performance.now();
+      if (frameCount % 10 === 0) setClockStats(clock.getStats());
+
+      // Clock time (M) before this frame's steps; the clock has run past the last
+      // one by the stepper's carried remainder
+      let time = clock.time - (stepper.accumulator + steps * stepper.step) * clock.timeScale;
+
+      for (let step = 0; step < steps; step++) {
+        const frames = 1; // Each step is one nominal 60 fps frame
+        const stepDelta = FRAME_SECONDS;
+        time += stepper.step * clock.timeScale * frames;
+        const pulse = time * PULSE_RATE;
 
         // Update disk particles
         const updateMatrix = new THREE.Matrix4();
         const updateColor = new THREE.Color();
+        const diskPosition = new THREE.Vector3();
+
+        // Camera in the (tilted) disk frame, for the per-particle redshift factor
+        diskInstance.updateMatrixWorld();
+        const observer = diskInstance.worldToLocal(camera.position.clone());
 
         // Reusable vectors to avoid per-frame allocations (performance optimization)
         const reusableParticlePos = new THREE.Vector3();
@@ -478,7 +1044,7 @@ const Ton618Observatory = () => {
         for (let i = 0; i < diskData.length; i++) {
           const p = diskData[i];
 
-          const baseRadialAccel = -p.infallSpeed * params.accretionRate * 60;
+          const baseRadialAccel = -p.infallSpeed * diskInflowScale * 60;
           let radialForce = 0;
           let tangentialForce = 0;
           let verticalForce = 0;
@@ -526,17 +1092,24 @@ const Ton618Observatory = () => {
           const safeDt = courantFactor * Math.sqrt(characteristicLength / maxAccelMagnitude);
           adaptiveDt = Math.min(baseTimestep, Math.max(safeDt, 0.001)); // Clamp between 0.001 and 0.016
         }
+        adaptiveDt *= frames; // On the simulation clock
+
+        // The orbits themselves run on the clock: a particle sweeps 2π per Keplerian
+        // period P(r, a) (units of M) and a step is FRAME_SECONDS · timeScale M; gas
+        // plunging inside the ISCO keeps the ISCO rate
+        const rg = blackHoleRef.current.gravitationalRadius;
+        const orbitTime = 2 * Math.PI * stepDelta * clock.timeScale;
 
         // === PHYSICS INTEGRATION WITH ADAPTIVE TIME STEP ===
         for (let i = 0; i < diskData.length; i++) {
           const p = diskData[i];
+          p.age++;
 
           // === PHYSICS: PROPER VELOCITY-BASED FORCE INTEGRATION ===
           // F = ma → a = F/m → v += a×Δt → x += v×Δt
 
           // 1. Calculate intrinsic forces (gravity, viscosity)
-          const baseRadialAccel = -p.infallSpeed * params.accretionRate * 60; // Inward acceleration
-          const baseTangentialVel = p.speed * params.accretionRate * 60; // Orbital velocity
+          const baseRadialAccel = -p.infallSpeed * diskInflowScale * 60; // Inward acceleration
           const baseVerticalAccel = 0; // No base vertical forces
 
           // 2. Apply companion star gravitational/magnetic influence
@@ -586,7 +1159,7 @@ const Ton618Observatory = () => {
 
           // 4. Update velocities: v += a × Δt (using adaptive timestep)
           p.vRadial += totalRadialAccel * adaptiveDt;
-          p.vTangential = baseTangentialVel + totalTangentialAccel; // Mix with base orbital velocity
+          p.vTangential = totalTangentialAccel; // Companion's push along the orbit
           p.vVertical += totalVerticalAccel * adaptiveDt;
 
           // 5. Apply damping to prevent runaway velocities
@@ -595,20 +1168,22 @@ const Ton618Observatory = () => {
 
           // 6. Update positions: x += v × Δt (using adaptive timestep)
           p.radius += p.vRadial * adaptiveDt;
-          p.angle += (p.vTangential / (p.radius + 1)) * adaptiveDt; // Convert linear to angular velocity
+          p.angle += orbitTime / keplerianPeriod(Math.max(p.radius, ISCO) / rg, blackHoleRef.current.spin) +
+            (p.vTangential / (p.radius + 1)) * adaptiveDt; // Convert linear to angular velocity
           p.height += p.vVertical * adaptiveDt;
 
           // Clamp height to reasonable bounds
           p.height = Math.max(-10, Math.min(10, p.height));
 
           // Variability
-          p.phase += 0.02;
-          const variability = 1 + Math.sin(p.phase + time * 2) * params.variabilityAmplitude;
+          p.phase += 0.02 * frames;
+          const variability = 1 + Math.sin(p.phase + pulse * 2) * live.variabilityAmplitude;
 
           // Reset if fallen in
           if (p.radius < ISCO) {
             p.radius = p.initialRadius;
-            p.angle = Math.random() * Math.PI * 2;
+            p.angle = sceneRandom.next() * Math.PI * 2;
+            p.age = 0;
           }
 
           // Position
@@ -618,45 +1193,33 @@ const Ton618Observatory = () => {
           updateMatrix.setPosition(x, p.height, z);
           diskInstance.setMatrixAt(i, updateMatrix);
 
-          // Temperature-based emission
-          const temp = Math.pow(1 - (p.radius - ISCO) / 100, 0.75);
-          const brightness = (0.5 + temp * 0.5) * variability;
+          // Temperature-based emission from the accretion-flow profile
+          const profile = diskModelRef.current.sample(p.radius / blackHoleRef.current.gravitationalRadius);
+          const temp = profile.temperature;
+          const brightness = (0.5 + Math.sqrt(profile.flux) * 0.5) * variability;
+          const emission = brightness * diskLuminosityScale;
 
           // Multi-wavelength contributions
           if (temp > 0.8) {
-            totalLuminosity.xray += brightness * 2;
-            totalLuminosity.gamma += brightness * 0.5;
-            totalLuminosity.ultraviolet += brightness * 1.5;
+            totalLuminosity.xray += emission * 2;
+            totalLuminosity.gamma += emission * 0.5;
+            totalLuminosity.ultraviolet += emission * 1.5;
           } else if (temp > 0.5) {
-            totalLuminosity.ultraviolet += brightness * 1.2;
-            totalLuminosity.optical += brightness * 1.5;
-            totalLuminosity.xray += brightness * 0.8;
+            totalLuminosity.ultraviolet += emission * 1.2;
+            totalLuminosity.optical += emission * 1.5;
+            totalLuminosity.xray += emission * 0.8;
           } else if (temp > 0.3) {
-            totalLuminosity.optical += brightness * 2;
-            totalLuminosity.infrared += brightness * 1.2;
+            totalLuminosity.optical += emission * 2;
+            totalLuminosity.infrared += emission * 1.2;
           } else {
-            totalLuminosity.infrared += brightness * 1.5;
-            totalLuminosity.radio += brightness * 1.0;
+            totalLuminosity.infrared += emission * 1.5;
+            totalLuminosity.radio += emission * 1.0;
           }
 
-          // Temperature-based color (blackbody radiation)
-          // Blue-white (hot) -> Yellow-orange -> Red (cool)
-          if (temp > 0.8) {
-            // Very hot - blue-white (10000K+)
-            updateColor.setRGB(0.8, 0.9, 1.0).multiplyScalar(1.5 + brightness);
-          } else if (temp > 0.6) {
-            // Hot - white (6000-10000K)
-            updateColor.setRGB(1.0, 1.0, 0.95).multiplyScalar(1.3 + brightness);
-          } else if (temp > 0.4) {
-            // Warm - yellow-white (4000-6000K)
-            updateColor.setRGB(1.0, 0.95, 0.7).multiplyScalar(1.2 + brightness * 0.8);
-          } else if (temp > 0.2) {
-            // Cool - orange (3000-4000K)
-            updateColor.setRGB(1.0, 0.7, 0.4).multiplyScalar(1.0 + brightness * 0.6);
-          } else {
-            // Very cool - red (2000-3000K)
-            updateColor.setRGB(1.0, 0.5, 0.2).multiplyScalar(0.8 + brightness * 0.4);
-          }
+          // Blackbody color seen with the particle's redshift factor g
+          diskPosition.set(x, p.height, z);
+          const g = getDiskRedshift(diskPosition, p.angle, observer);
+          getDiskColor(temp, g, updateColor).multiplyScalar(1 + brightness * 0.5);
 
           // Add visual feedback for companion star influence
           if (starInfluence && starInfluence.influenceStrength > 0.1) {
@@ -685,13 +1248,13 @@ const Ton618Observatory = () => {
         const maxPoints = 100;
         Object.keys(totalLuminosity).forEach(band => {
           const data = lightCurveDataRef.current[band];
-          data.push({ time: time, flux: totalLuminosity[band] / particleCount });
+          data.push({ time, flux: totalLuminosity[band] / particleCount });
           if (data.length > maxPoints) data.shift();
         });
 
         // Update TDE (Tidal Disruption Event)
         if (params.showTDE && star && debris) {
-          star.update(deltaTime);
+          star.update(stepDelta);
 
           // Check if star should be disrupted
           if (star.shouldDisrupt()) {
@@ -699,16 +1262,20 @@ const Ton618Observatory = () => {
             debris.generateDebrisFromStar(starState);
           }
 
-          debris.update(deltaTime);
+          debris.update(stepDelta);
 
-          // Update TDE stats
+          // Update TDE stats (once per frame, from its last step)
           const debrisStats = debris.getStats();
-          setTdeStats({
-            starHealth: star.health,
-            debrisCount: debrisStats.total,
-            streamCount: debrisStats.inStream,
-            diskCount: debrisStats.inDisk
-          });
+          if (step === steps - 1) {
+            setTdeStats({
+              starHealth: star.health,
+              debrisCount: debrisStats.total,
+              streamCount: debrisStats.inStream,
+              diskCount: debrisStats.inDisk,
+              starDistance: star.position.length(),
+              tidalRadius: star.tidalRadius
+            });
+          }
 
           // Add debris contribution to light curves
           const debrisTemp = debrisStats.avgTemperature;
@@ -722,15 +1289,17 @@ const Ton618Observatory = () => {
         // Update Lyman-alpha blob
         if (params.showLymanAlphaBlob && lymanAlphaBlob) {
           const quasarLuminosity = (totalLuminosity.optical + totalLuminosity.ultraviolet + totalLuminosity.xray) * params.blobIntensity;
-          lymanAlphaBlob.update(deltaTime, quasarLuminosity);
+          lymanAlphaBlob.update(stepDelta, quasarLuminosity);
 
           // Update blob stats
           const blobStatsData = lymanAlphaBlob.getStats();
-          setBlobStats({
-            particleCount: blobStatsData.particleCount,
-            avgTemperature: blobStatsData.avgTemperature,
-            avgIonization: blobStatsData.avgIonization
-          });
+          if (step === steps - 1) {
+            setBlobStats({
+              particleCount: blobStatsData.particleCount,
+              avgTemperature: blobStatsData.avgTemperature,
+              avgIonization: blobStatsData.avgIonization
+            });
+          }
 
           // Lyman-alpha emission contribution to light curves
           totalLuminosity.ultraviolet += blobStatsData.avgIonization * 0.5;
@@ -739,21 +1308,23 @@ const Ton618Observatory = () => {
 
         // Update companion star
         if (params.showCompanionStar && companionStar) {
-          companionStar.update(deltaTime);
+          companionStar.update(stepDelta);
 
           // Update star statistics (quantum particles now from Hawking radiation)
-          const stats = companionStar.getStats();
-          setStarStats({
-            windParticleCount: stats.windParticleCount,
-            quantumParticleCount: hawkingRadiation ? hawkingRadiation.getStats().totalParticles : 0,
-            influenceRadius: parseFloat(stats.influenceRadius),
-            massLossRate: parseFloat(stats.massLossRate)
-          });
+          if (step === steps - 1) {
+            const stats = companionStar.getStats();
+            setStarStats({
+              windParticleCount: stats.windParticleCount,
+              quantumParticleCount: hawkingRadiation ? hawkingRadiation.getStats().totalParticles : 0,
+              influenceRadius: parseFloat(stats.influenceRadius),
+              massLossRate: parseFloat(stats.massLossRate)
+            });
+          }
         }
 
         // Update Hawking radiation (quantum effects at event horizon)
         if (hawkingRadiation) {
-          hawkingRadiation.update(deltaTime);
+          hawkingRadiation.update(stepDelta);
         }
 
         // Update dynamic disk lights to track hot particles
@@ -777,45 +1348,81 @@ const Ton618Observatory = () => {
             const z = Math.sin(hotParticle.angle) * hotParticle.radius;
             light.position.set(x, hotParticle.height, z);
 
-            // Color based on temperature
-            if (maxTemp > 0.8) {
-              light.color.setRGB(0.8, 0.9, 1.0); // Blue-white
-              light.intensity = 10;
-            } else if (maxTemp > 0.6) {
-              light.color.setRGB(1.0, 1.0, 0.95); // White
-              light.intensity = 8;
-            } else {
-              light.color.setRGB(1.0, 0.8, 0.6); // Yellow-orange
-              light.intensity = 6;
-            }
+            // Blackbody chromaticity of the hottest gas (linear for the light)
+            const peakTemperature = diskModelRef.current.getStats().peakTemperature;
+            blackbodyColor(maxTemp * peakTemperature, 1, light.color, { exposure: 0 });
+            light.intensity = maxTemp > 0.8 ? 10 : (maxTemp > 0.6 ? 8 : 6);
           }
         });
 
         // Pulsing inner disk light
-        innerDiskLight.intensity = 10 + Math.sin(time * 3) * 2;
+        innerDiskLight.intensity = 10 + Math.sin(pulse * 3) * 2;
 
         // Animate jets
-        jetUpper.visible = params.showJets;
-        jetLower.visible = params.showJets;
-        if (params.showJets) {
-          jetUpper.material.opacity = 0.2 + Math.sin(time * 2) * 0.1;
-          jetLower.material.opacity = 0.2 + Math.sin(time * 2) * 0.1;
+        jetUpper.visible = live.showJets;
+        jetLower.visible = live.showJets;
+        if (live.showJets) {
+          jetUpper.material.opacity = 0.2 + Math.sin(pulse * 2) * 0.1;
+          jetLower.material.opacity = 0.2 + Math.sin(pulse * 2) * 0.1;
         }
 
         // Disk visibility
-        diskInstance.visible = params.showDisk;
+        diskInstance.visible = live.showDisk;
+        diskInterpolator.capture();
+      }
+      stepper.measure(steps, performance.now() - stepsStart);
+      diskInterpolator.apply(stepper.alpha);
+
+      // Update camera (free-falling along a radial geodesic while diving)
+      const rg = blackHoleRef.current.gravitationalRadius;
+      if (clockDelta > 0 && diveRef.current) {
+        diveRef.current.r = worldlines.fall(diveRef.current.r, diveRef.current.r0, clockDelta);
+      }
+      const distance = diveRef.current ? diveRef.current.r * rg : live.cameraDistance;
+
+      // Inspected particle: marker, live readout, and the camera orbiting it when following
+      // (a dive always centers on the hole)
+      const selection = inspectedRef.current;
+      const selectionAlive = Boolean(selection && !selection.fate && particlePosition(selection, selectionMarker.position));
+      selectionMarker.visible = selectionAlive;
+      if (selection && !selection.fate && frameCount % 10 === 0) {
+        setInspection(inspectSelection(selection));
       }
+      followCenter.set(0, 0, 0);
+      if (selectionAlive && selection.following && !diveRef.current) followCenter.copy(selectionMarker.position);
 
-      // Update camera
-      const distance = params.cameraDistance;
       camera.position.x = distance * Math.sin(cameraAngleRef.current.phi) * Math.cos(cameraAngleRef.current.theta);
       camera.position.y = distance * Math.cos(cameraAngleRef.current.phi);
       camera.position.z = distance * Math.sin(cameraAngleRef.current.phi) * Math.sin(cameraAngleRef.current.theta);
-      camera.lookAt(0, 0, 0);
+      camera.position.add(followCenter);
+      camera.lookAt(followCenter);
+
+      // Penrose diagram worldlines: histories are recorded only while the clock runs
+      if (clockDelta > 0) {
+        worldlines.advance(clockDelta);
+        worldlines.record('camera', 'camera', distance / rg);
+
+        // The dive ends on r = 0 or the Cauchy horizon; the camera restarts outside
+        if (diveRef.current && diveRef.current.r <= Math.max(worldlines.interiorEdge * 1.001, 0.02)) {
+          worldlines.end('camera', 'interior');
+          diveRef.current = null;
+        }
+
+        if (params.showTDE) {
+          if (!star.isDisrupted) worldlines.record('star', 'star', star.position.length() / rg);
+          else worldlines.end('star', 'disrupted');
+          followDebris(rg);
+        }
+        if (hawkingRadiation.enabled) followEscapees(rg);
+
+        if (live.showPenrose && frameCount % 10 === 0) {
+          setPenrose({ diagram: worldlines.project(), cameraRadius: distance / rg, diving: Boolean(diveRef.current) });
+        }
+      }
 
       // Apply viewing angle to disk
-      diskInstance.rotation.x = (params.viewingAngle / 180) * Math.PI;
-      iscoRing.rotation.x = Math.PI / 2 + (params.viewingAngle / 180) * Math.PI;
+      diskInstance.rotation.x = (live.viewingAngle / 180) * Math.PI;
+      iscoRing.rotation.x = Math.PI / 2 + (live.viewingAngle / 180) * Math.PI;
 
       renderer.render(scene, camera);
     };
@@ -842,11 +1449,22 @@ const Ton618Observatory = () => {
       if (lymanAlphaBlob) lymanAlphaBlob.destroy();
       if (companionStar) companionStar.destroy();
       if (hawkingRadiation) hawkingRadiation.destroy();
+      // Debris and Hawking quanta are recreated with the scene
+      worldlines.keys('debris').forEach(key => worldlines.end(key));
+      worldlines.keys('hawking').forEach(key => worldlines.end(key));
+      hoverRef.current = null;
+
+      // The inspected particle does not survive the rebuild
+      scene.remove(selectionMarker);
+      selectionMarker.geometry.dispose();
+      selectionMarker.material.dispose();
+      inspectedRef.current = null;
+      setInspection(null);
 
       container.removeChild(renderer.domElement);
       renderer.dispose();
     };
-  }, [params, isPlaying]);
+  }, [sceneParams, rewinds]);
 
   // Light curve canvas rendering
   useEffect(() => {
@@ -911,6 +1529,34 @@ const Ton618Observatory = () => {
         ctx.fillText(band.label, 5, 15 + index * 12);
       });
 
+      // Reverberation echo of the hovered disk point: flux reprocessed there arrives
+      // τ = (r + |observer - x| - |observer|)/c after the central flare
+      const hovered = hoverRef.current;
+      const samples = lightCurveDataRef.current.optical;
+      if (hovered && samples.length > 1) {
+        const latest = samples[samples.length - 1].time;
+        const index = samples.findIndex(point => point.time >= latest - hovered.lag);
+        const days = hovered.lag * gravitationalTimeSeconds(blackHoleRef.current.mass) / 86400;
+        const x = (Math.max(index, 0) / 100) * width;
+        const inWindow = latest - hovered.lag >= samples[0].time;
+
+        ctx.strokeStyle = '#ffffff';
+        ctx.lineWidth = 1;
+        ctx.setLineDash([4, 3]);
+        ctx.beginPath();
+        ctx.moveTo(x, 0);
+        ctx.lineTo(x, height);
+        ctx.stroke();
+        ctx.setLineDash([]);
+        ctx.fillStyle = '#fff';
+        ctx.font = '10px monospace';
+        ctx.fillText(
+          `echo τ = ${hovered.lag.toFixed(1)} M ≈ ${days.toFixed(0)} d${inWindow ? '' : ' (before window)'}`,
+          Math.min(x + 4, width - 210),
+          height - 20
+        );
+      }
+
       // Axes labels
       ctx.fillStyle = '#888';
       ctx.font = '11px monospace';
@@ -933,16 +1579,21 @@ const Ton618Observatory = () => {
     <div className="w-full h-screen bg-black flex">
       <div className="flex-1 relative">
         <div ref={containerRef} className="w-full h-full" />
+        <HoverTooltip hover={hover} spin={params.blackHoleSpin} />
 
         {/* Info Panel */}
         <div className="absolute top-4 left-4 bg-black/90 text-white px-5 py-4 rounded-lg backdrop-blur-sm border border-blue-500/50 shadow-xl max-w-md">
           <h1 className="text-2xl font-bold text-blue-300 mb-1">TON 618</h1>
-          <p className="text-xs text-gray-400 mb-3">Observable Universe View</p>
+          <p className="text-xs text-gray-400 mb-2">Observable Universe View</p>
+          <UnitSelector value={infoUnit} onChange={setInfoUnit} className="mb-3" />
 
           <div className="space-y-2 text-xs">
             <div className="grid grid-cols-2 gap-x-4">
               <p className="text-gray-300">Mass:</p>
-              <p className="text-white font-mono">66 billion M☉</p>
+              <p className="text-white font-mono">{params.blackHoleMass} billion M☉</p>
+
+              <p className="text-gray-300">Schwarzschild r_s:</p>
+              <p className="text-white font-mono">{formatLength(blackHoleRef.current.schwarzschildRadius, infoUnit, blackHoleRef.current)}</p>
 
               <p className="text-gray-300">Distance:</p>
               <p className="text-white font-mono">{params.observerDistance.toFixed(2)} Gly</p>
@@ -975,6 +1626,12 @@ const Ton618Observatory = () => {
 
                   <p className="text-gray-300">In Disk:</p>
                   <p className="text-purple-400 font-mono">{tdeStats.diskCount}</p>
+
+                  <p className="text-gray-300">Star Distance:</p>
+                  <p className="text-white font-mono">{formatLength(tdeStats.starDistance, infoUnit, blackHoleRef.current)}</p>
+
+                  <p className="text-gray-300">Tidal Radius:</p>
+                  <p className="text-white font-mono">{formatLength(tdeStats.tidalRadius, infoUnit, blackHoleRef.current)}</p>
                 </div>
               </div>
             )}
@@ -1000,7 +1657,62 @@ const Ton618Observatory = () => {
         <div className="absolute top-4 right-4 bg-black/80 text-white px-4 py-3 rounded-lg text-xs">
           <p className="text-gray-400">🖱️ Drag to rotate</p>
           <p className="text-gray-400">🖱️ Scroll to zoom</p>
+          <p className="text-gray-400">🖱️ Click a particle to inspect</p>
         </div>
+
+        <ParticleInspector
+          inspection={inspection}
+          onPin={() => toggleInspector('pinned')}
+          onFollow={() => toggleInspector('following')}
+          onClose={() => {
+            inspectedRef.current = null;
+            setInspection(null);
+          }}
+          className="absolute top-24 left-1/2 -translate-x-1/2"
+        />
+
+        {/* Embedding diagram */}
+        {params.showEmbedding && (
+          <div className="absolute top-24 right-4 bg-black/90 text-white px-3 py-2 rounded-lg border border-blue-500/50 shadow-xl">
+            <h3 className="text-xs font-bold text-blue-300">Equatorial Embedding (Flamm / Kerr)</h3>
+            <p className="text-[10px] text-gray-400 mb-1">Proper radial distance drawn as depth; horizon at the throat</p>
+            <EmbeddingDiagram
+              blackHole={blackHoleRef.current}
+              markers={[
+                { key: 'camera', label: 'Camera', color: 0xffffff, source: cameraRef, visible: true },
+                { key: 'companion', label: 'Companion star', color: 0x66aaff, source: companionStarRef, visible: params.showCompanionStar },
+                { key: 'tde', label: 'TDE star', color: 0xffaa33, source: starRef, visible: params.showTDE }
+              ]}
+            />
+          </div>
+        )}
+
+        {/* Penrose diagram */}
+        {params.showPenrose && (
+          <div className="absolute bottom-4 right-4 bg-black/90 text-white px-3 py-2 rounded-lg border border-purple-500/50 shadow-xl">
+            <h3 className="text-xs font-bold text-purple-300">Penrose Diagram</h3>
+            <p className="text-[10px] text-gray-400 mb-1">Radial worldlines; light moves at 45°</p>
+            <PenroseDiagram diagram={penrose.diagram} />
+            {penrose.diagram && (
+              <p className={`text-[10px] font-mono mt-1 ${penrose.cameraRadius < blackHoleRef.current.horizonRadius / blackHoleRef.current.gravitationalRadius ? 'text-red-400' : 'text-gray-300'}`}>
+                Camera r = {penrose.cameraRadius.toFixed(2)} M
+                {penrose.cameraRadius < blackHoleRef.current.horizonRadius / blackHoleRef.current.gravitationalRadius &&
+                  ` • inside r₊, bound for ${params.blackHoleSpin === 0 ? 'r = 0' : 'r₋'}`}
+              </p>
+            )}
+            <Button
+              onClick={() => {
+                const r0 = params.cameraDistance / blackHoleRef.current.gravitationalRadius;
+                diveRef.current = { r: r0 * 0.999, r0 };
+              }}
+              disabled={penrose.diving}
+              className="w-full mt-1 bg-purple-700 hover:bg-purple-800 text-xs"
+              size="sm"
+            >
+              {penrose.diving ? 'Falling…' : '🕳️ Dive into the hole'}
+            </Button>
+          </div>
+        )}
       </div>
 
       {/* Control Panel */}
@@ -1008,12 +1720,30 @@ const Ton618Observatory = () => {
         <div className="p-5 space-y-5">
           <div>
             <h2 className="text-lg font-bold text-white mb-3">Observatory Controls</h2>
-            <Button
-              onClick={() => setIsPlaying(!isPlaying)}
-              className="w-full bg-blue-600 hover:bg-blue-700"
-            >
-              {isPlaying ? '⏸ Pause' : '▶ Play'}
-            </Button>
+            <TimeControls
+              stats={clockStats}
+              mass={params.blackHoleMass * 1e9}
+              timescales={clockRef.current.timescales({
+                innerRadius: diskModelRef.current.getStats().peakRadius,
+                jetLength: 200, // Drawn jet cylinders
+                jetSpeed: 0.98 // The drawn jets carry no speed; β of a typical quasar jet
+              })}
+              onToggle={() => updateClock(clock => clock.setParameters({ playing: !clock.playing }))}
+              onStep={(frames) => updateClock(clock => clock.step(frames))}
+              onSpeed={(speed) => updateClock(clock => clock.setParameters({ speed, playing: true }))}
+              onScrub={(time) => updateClock(clock => clock.scrub(time))}
+            />
+            <SeedControl
+              seed={params.seed}
+              onSeed={(seed) => {
+                // A new seed starts a fresh run
+                updateClock(clock => clock.reset());
+                worldlinesRef.current.reset();
+                setParams(p => ({ ...p, seed }));
+              }}
+              className="mt-3"
+            />
+            <SnapshotControls onSave={saveSnapshot} onLoad={loadSnapshot} className="mt-3" />
           </div>
 
           <div className="space-y-4">
@@ -1044,16 +1774,30 @@ const Ton618Observatory = () => {
             </div>
 
             <div>
-              <Label className="text-gray-200 text-sm">Accretion Rate: {params.accretionRate.toFixed(1)}×</Label>
+              <Label className="text-gray-200 text-sm">Disk Redshift</Label>
+              <RedshiftModeSelector
+                value={params.redshiftMode}
+                onChange={(mode) => setParams(p => ({ ...p, redshiftMode: mode }))}
+                className="mt-2"
+              />
+              <p className="text-xs text-gray-500 mt-1">Doppler beaming, gravitational redshift or both</p>
+            </div>
+
+            <div>
+              <Label className="text-gray-200 text-sm">
+                Eddington Ratio: ṁ = {params.eddingtonRatio.toPrecision(2)} ({diskRegime.label})
+              </Label>
               <Slider
-                value={[params.accretionRate]}
-                onValueChange={(v) => setParams(p => ({ ...p, accretionRate: v[0] }))}
-                min={0.1}
-                max={3}
-                step={0.1}
+                value={[Math.log10(params.eddingtonRatio)]}
+                onValueChange={(v) => setParams(p => ({ ...p, eddingtonRatio: Number(Math.pow(10, v[0]).toPrecision(3)) }))}
+                min={Math.log10(MIN_EDDINGTON_RATIO)}
+                max={Math.log10(MAX_EDDINGTON_RATIO)}
+                step={0.05}
                 className="mt-2"
               />
-              <p className="text-xs text-gray-500 mt-1">Controls overall luminosity</p>
+              <p className="text-xs text-gray-500 mt-1">
+                L = {preview.disk.luminosityRatio.toPrecision(2)} L_Edd, H/R = {(preview.disk.scaleHeight(20) / 20).toFixed(2)} at 20M
+              </p>
             </div>
 
             <div>
@@ -1112,6 +1856,24 @@ const Ton618Observatory = () => {
               {params.showLightCurves ? "✓" : "○"} Light Curves
             </Button>
 
+            <Button
+              variant={params.showEmbedding ? "default" : "outline"}
+              onClick={() => setParams(p => ({ ...p, showEmbedding: !p.showEmbedding }))}
+              className="w-full text-xs justify-start"
+              size="sm"
+            >
+              {params.showEmbedding ? "✓" : "○"} Embedding Diagram
+            </Button>
+
+            <Button
+              variant={params.showPenrose ? "default" : "outline"}
+              onClick={() => setParams(p => ({ ...p, showPenrose: !p.showPenrose }))}
+              className="w-full text-xs justify-start"
+              size="sm"
+            >
+              {params.showPenrose ? "✓" : "○"} Penrose Diagram
+            </Button>
+
             <Button
               variant={params.showTDE ? "default" : "outline"}
               onClick={() => setParams(p => ({ ...p, showTDE: !p.showTDE }))}
@@ -1199,7 +1961,7 @@ const Ton618Observatory = () => {
                     step={5}
                     className="mt-2"
                   />
-                  <p className="text-xs text-gray-500 mt-1">Distance from black hole (ISCO=18)</p>
+                  <p className="text-xs text-gray-500 mt-1">Distance from black hole (ISCO={ISCO.toFixed(0)})</p>
                 </div>
 
                 <div>
@@ -1408,9 +2170,11 @@ const Ton618Observatory = () => {
 
                 <div className="pt-2 border-t border-gray-600 text-xs">
                   <h4 className="text-xs font-semibold text-white mb-1">Star Statistics</h4>
+                  <UnitSelector value={starStatsUnit} onChange={setStarStatsUnit} className="mb-1" />
                   <p className="text-gray-400">Wind Particles: <span className="text-cyan-400">{starStats.windParticleCount}</span></p>
                   <p className="text-gray-400">Quantum Particles: <span className="text-green-400">{starStats.quantumParticleCount}</span></p>
-                  <p className="text-gray-400">Hill Radius: <span className="text-purple-400">{starStats.influenceRadius} units</span></p>
+                  <p className="text-gray-400">Orbital Radius: <span className="text-blue-400">{formatLength(params.companionStarDistance, starStatsUnit, blackHoleRef.current)}</span></p>
+                  <p className="text-gray-400">Hill Radius: <span className="text-purple-400">{formatLength(starStats.influenceRadius, starStatsUnit, blackHoleRef.current)}</span></p>
                   <p className="text-gray-400">Mass Loss: <span className="text-yellow-400">{starStats.massLossRate} M☉/yr</span></p>
                 </div>
               </>
@@ -1438,15 +2202,24 @@ const Ton618Observatory = () => {
               <Slider
                 value={[params.blackHoleSpin]}
                 onValueChange={(v) => setParams(p => ({ ...p, blackHoleSpin: v[0] }))}
-                min={0}
-                max={1}
-                step={0.05}
+                min={-MAX_SPIN}
+                max={MAX_SPIN}
+                step={0.01}
                 className="mt-2"
               />
-              <p className="text-xs text-gray-500 mt-1">0 = no rotation, 1 = maximum</p>
+              <p className="text-xs text-gray-500 mt-1">0 = no rotation, ±0.998 = maximum (negative = retrograde disk)</p>
+              <p className="text-xs text-purple-300 mt-1">
+                ISCO {iscoRadius(params.blackHoleSpin).toFixed(2)} M • η = {(radiativeEfficiency(params.blackHoleSpin) * 100).toFixed(1)}%
+              </p>
             </div>
           </div>
 
+          <div className="pt-3 border-t border-gray-700 space-y-2">
+            <h3 className="text-sm font-bold text-gray-300">Gravity Lab</h3>
+            <p className="text-xs text-gray-500">Equatorial profiles for {params.blackHoleMass} billion M☉, a = {params.blackHoleSpin.toFixed(2)}</p>
+            <GravityLab mass={params.blackHoleMass * 1e9} spin={params.blackHoleSpin} cursorRadius={hover ? hover.r : null} />
+          </div>
+
           <div className="pt-3 border-t border-gray-700 text-xs text-gray-400 space-y-2">
             <h3 className="font-semibold text-white mb-2">About TON 618</h3>
             <p>TON 618 is one of the most luminous known quasars, powered by a supermassive black hole of 66 billion solar masses.</p>
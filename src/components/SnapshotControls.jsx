@@ -0,0 +1,55 @@
+import React, { useRef, useState } from 'react';
+import { Button } from '@/components/ui/button';
+
+/**
+ * Save / load buttons for simulation snapshots. onSave() returns the snapshot
+ * object, downloaded as JSON; onLoad(text) restores one from a chosen file and
+ * throws an Error to reject it, whose message is shown here.
+ */
+const SnapshotControls = ({ onSave, onLoad, className = '' }) => {
+  const fileRef = useRef(null);
+  const [message, setMessage] = useState(null);
+
+  const save = () => {
+    const snapshot = onSave();
+    const url = URL.createObjectURL(new Blob([JSON.stringify(snapshot)], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${snapshot.simulation}-t${Math.round(snapshot.clock.time)}M.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+    setMessage({ ok: true, text: `Saved ${link.download}` });
+  };
+
+  const load = (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    file.text()
+      .then(text => {
+        onLoad(text);
+        setMessage({ ok: true, text: `Loaded ${file.name}` });
+      })
+      .catch(error => setMessage({ ok: false, text: error.message }));
+  };
+
+  return (
+    <div className={className}>
+      <div className="flex gap-2">
+        <Button onClick={save} variant="outline" size="sm" className="flex-1">
+          💾 Save snapshot
+        </Button>
+        <Button onClick={() => fileRef.current.click()} variant="outline" size="sm" className="flex-1">
+          📂 Load snapshot
+        </Button>
+        <input ref={fileRef} type="file" accept="application/json,.json" onChange={load} className="hidden" />
+      </div>
+      {message && (
+        <p className={`text-[10px] mt-1 ${message.ok ? 'text-gray-400' : 'text-red-400'}`}>{message.text}</p>
+      )}
+    </div>
+  );
+};
+
+export default SnapshotControls;
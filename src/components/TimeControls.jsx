@@ -0,0 +1,108 @@
+import React, { useRef } from 'react';
+import { Button } from '@/components/ui/button';
+import { CLOCK_SPEEDS } from '../physics/SimulationClock';
+import { formatDuration, gravitationalTimeSeconds } from '../physics/Units';
+
+const TIMELINE_MIN = 1; // M, left end of the log timeline
+
+const speedLabel = (speed) => `${speed === 0.25 ? '¼' : speed}×`;
+
+/**
+ * Play / pause / single-step / speed controls and a log timeline of the simulation
+ * clock. `stats` is SimulationClock.getStats(); `timescales` are { key, label, time (M),
+ * color } from SimulationClock.timescales(), marked on the timeline with their physical
+ * durations for `mass` (M☉). Pressing or dragging on the timeline scrubs to that time;
+ * scrubbing or stepping back replays the run from its start.
+ */
+const TimeControls = ({ stats, timescales, mass, onToggle, onStep, onSpeed, onScrub, className = '' }) => {
+  const timelineRef = useRef(null);
+  const unit = gravitationalTimeSeconds(mass);
+
+  const finite = timescales.filter(scale => Number.isFinite(scale.time));
+  const timelineMax = Math.max(1e3, stats.time, ...finite.map(scale => scale.time)) * 3;
+  const span = Math.log10(timelineMax / TIMELINE_MIN);
+  const toFraction = (time) => Math.max(0, Math.log10(Math.max(time, TIMELINE_MIN) / TIMELINE_MIN) / span);
+
+  const scrubAt = (e) => {
+    const rect = timelineRef.current.getBoundingClientRect();
+    const fraction = Math.min(1, Math.max(0, (e.clientX - rect.left) / rect.width));
+    onScrub(fraction < 0.01 ? 0 : TIMELINE_MIN * Math.pow(timelineMax / TIMELINE_MIN, fraction));
+  };
+
+  return (
+    <div className={className}>
+      <div className="flex gap-1">
+        <Button onClick={() => onStep(-1)} variant="outline" size="sm" className="flex-1" title="Step back one frame (replays the run)">
+          ⏮
+        </Button>
+        <Button onClick={onToggle} size="sm" className="flex-[2]">
+          {stats.playing ? '⏸ Pause' : '▶ Play'}
+        </Button>
+        <Button onClick={() => onStep(1)} variant="outline" size="sm" className="flex-1" title="Step forward one frame">
+          ⏭
+        </Button>
+      </div>
+
+      <div className="flex flex-wrap gap-1 mt-2">
+        {CLOCK_SPEEDS.map(speed => (
+          <button
+            key={speed}
+            onClick={() => onSpeed(speed)}
+            className={`px-1.5 py-0.5 rounded text-[10px] font-mono transition-colors ${
+              stats.speed === speed ? 'bg-blue-600 text-white' : 'bg-gray-800 text-gray-400 hover:bg-gray-700'
+            }`}
+          >
+            {speedLabel(speed)}
+          </button>
+        ))}
+      </div>
+
+      <p className="text-xs font-mono text-gray-200 mt-2">
+        t = {stats.time.toFixed(1)} M = {formatDuration(stats.physicalTime)}
+        {stats.scrubbing && <span className="text-orange-300"> • scrubbing…</span>}
+      </p>
+
+      <div
+        ref={timelineRef}
+        onPointerDown={(e) => {
+          e.currentTarget.setPointerCapture(e.pointerId);
+          scrubAt(e);
+        }}
+        onPointerMove={(e) => {
+          if (e.buttons & 1) scrubAt(e);
+        }}
+        className="relative h-6 mt-1 rounded bg-gray-900 border border-gray-700 cursor-ew-resize"
+      >
+        {finite.map(scale => (
+          <div
+            key={scale.key}
+            className="absolute top-0 bottom-0 w-px"
+            style={{ left: `${toFraction(scale.time) * 100}%`, backgroundColor: scale.color }}
+          />
+        ))}
+        <div
+          className="absolute -top-1 -bottom-1 w-0.5 bg-white"
+          style={{ left: `${toFraction(stats.time) * 100}%` }}
+        />
+      </div>
+      <div className="flex justify-between text-[9px] font-mono text-gray-500">
+        <span>{TIMELINE_MIN} M</span>
+        <span>{timelineMax.toExponential(0)} M (log)</span>
+      </div>
+
+      <div className="mt-1 space-y-0.5 text-[10px] font-mono">
+        {timescales.map(scale => (
+          <p key={scale.key}>
+            <span style={{ color: scale.color }}>┃</span>{' '}
+            <span className="text-gray-300">{scale.label}:</span>{' '}
+            {Number.isFinite(scale.time)
+              ? `${scale.time.toFixed(scale.time < 100 ? 1 : 0)} M = ${formatDuration(scale.time * unit)}`
+              : '∞ (a = 0)'}
+          </p>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default TimeControls;
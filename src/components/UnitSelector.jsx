@@ -0,0 +1,25 @@
+import React from 'react';
+import { LENGTH_UNITS } from '../physics/Units';
+
+/**
+ * Compact selector for the length unit used by a readout panel
+ */
+const UnitSelector = ({ value, onChange, className = '' }) => {
+  return (
+    <div className={`flex flex-wrap gap-1 ${className}`}>
+      {Object.entries(LENGTH_UNITS).map(([key, unit]) => (
+        <button
+          key={key}
+          onClick={() => onChange(key)}
+          className={`px-1.5 py-0.5 rounded text-[10px] font-mono transition-colors ${
+            value === key ? 'bg-blue-600 text-white' : 'bg-gray-800 text-gray-400 hover:bg-gray-700'
+          }`}
+        >
+          {unit.label}
+        </button>
+      ))}
+    </div>
+  );
+};
+
+export default UnitSelector;
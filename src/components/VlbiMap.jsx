@@ -0,0 +1,82 @@
+import React, { useEffect, useRef } from 'react';
+
+const YEAR_SECONDS = 365.25 * 86400;
+const DYNAMIC_RANGE = 3; // Decades of brightness shown, as in a VLBI image
+
+/**
+ * VLBI-style space-time map of jet knots: core separation (light-years) against
+ * observed epoch (years), so each knot track's slope is its β_app.
+ * `map` is JetKnots.skyMap(); `timeUnitSeconds` is r_g/c in seconds.
+ */
+const VlbiMap = ({ map, timeUnitSeconds, width = 320, height = 150, className = '' }) => {
+  const canvasRef = useRef(null);
+  const years = timeUnitSeconds / YEAR_SECONDS; // r_g/c → yr and r_g → lt-yr alike
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || !map) return;
+
+    const ctx = canvas.getContext('2d');
+    const w = canvas.width;
+    const h = canvas.height;
+    const left = 34;
+    const bottom = 16;
+
+    ctx.fillStyle = '#000';
+    ctx.fillRect(0, 0, w, h);
+
+    const span = map.epochEnd - map.epochStart;
+    const maxSeparation = Math.max(map.maxSeparation, 1);
+    const toX = (epoch) => left + (epoch - map.epochStart) / span * (w - left - 4);
+    const toY = (separation) => (h - bottom) / 2 - separation / maxSeparation * ((h - bottom) / 2 - 4);
+
+    // Core and axes
+    ctx.strokeStyle = '#333';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(left, toY(0));
+    ctx.lineTo(w, toY(0));
+    ctx.moveTo(left, 0);
+    ctx.lineTo(left, h - bottom);
+    ctx.stroke();
+
+    ctx.fillStyle = '#888';
+    ctx.font = '9px monospace';
+    ctx.fillText(`${(maxSeparation * years).toFixed(1)}`, 2, toY(maxSeparation) + 8);
+    ctx.fillText('core', 2, toY(0) + 3);
+    ctx.fillText(`-${(span * years).toFixed(0)} yr`, left, h - 4);
+    ctx.fillText('now', w - 22, h - 4);
+
+    const peak = Math.max(...map.points.map(point => point.brightness), 1e-12);
+    map.points.forEach(point => {
+      const level = (Math.log10(point.brightness / peak) + DYNAMIC_RANGE) / DYNAMIC_RANGE;
+      if (level <= 0) return;
+      const hue = (point.id * 47) % 360;
+      ctx.fillStyle = `hsla(${hue}, 90%, 65%, ${Math.min(1, level)})`;
+      ctx.beginPath();
+      ctx.arc(toX(point.epoch), toY(point.separation), 1 + level * 2, 0, Math.PI * 2);
+      ctx.fill();
+    });
+  }, [map, years]);
+
+  // Brightest approaching knots with their apparent speeds
+  const knots = map
+    ? map.knots.filter(knot => knot.isUpper).sort((a, b) => b.brightness - a.brightness).slice(0, 4)
+    : [];
+
+  return (
+    <div className={className}>
+      <canvas ref={canvasRef} width={width} height={height} className="rounded w-full" />
+      <div className="grid grid-cols-2 gap-x-2 mt-1 text-[10px] font-mono text-gray-300">
+        {knots.map(knot => (
+          <p key={knot.id}>
+            <span style={{ color: `hsl(${(knot.id * 47) % 360}, 90%, 65%)` }}>K{knot.id}</span>{' '}
+            Γ {knot.gamma.toFixed(1)} β_app {knot.apparentSpeed.toFixed(2)}c{knot.collisions > 0 ? ` ✶${knot.collisions}` : ''}
+          </p>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default VlbiMap;
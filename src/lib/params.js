@@ -0,0 +1,36 @@
+/**
+ * params - Checks parameter values that come from outside the app (a snapshot file,
+ * a shared link) against a simulation's own parameter set.
+ *
+ * Each simulation lists the parameters its controls can set in a ranges table:
+ * [min, max] for a number, clamped into that range as its slider would, or the
+ * allowed values of a string. Booleans need no entry. Anything else is ignored: keys
+ * the simulation does not have, values of another type, and numbers with no range
+ * (settings no control changes).
+ */
+
+/**
+ * `params` with the acceptable entries of `values` laid over them
+ */
+export function mergeParams(params, values, ranges) {
+  const merged = { ...params };
+  if (!values || typeof values !== 'object') return merged;
+
+  Object.keys(params).forEach(key => {
+    if (!Object.prototype.hasOwnProperty.call(values, key)) return;
+    const value = values[key];
+    const range = ranges[key];
+    if (typeof value !== typeof params[key]) return;
+
+    if (typeof value === 'boolean') {
+      merged[key] = value;
+    } else if (typeof value === 'number' && range && Number.isFinite(value)) {
+      merged[key] = Math.min(range[1], Math.max(range[0], value));
+    } else if (typeof value === 'string' && range && range.includes(value)) {
+      merged[key] = value;
+    }
+  });
+  return merged;
+}
+
+export default mergeParams;
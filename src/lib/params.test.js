@@ -0,0 +1,37 @@
+import { describe, expect, it } from 'vitest';
+import { mergeParams } from './params';
+
+const DEFAULTS = { spin: 0.5, seed: 618, mode: 'total', showJets: true, label: 'disk' };
+const RANGES = { spin: [0, 0.998], mode: ['total', 'doppler', 'gravitational'] };
+
+describe('mergeParams', () => {
+  it('clamps numbers into their slider range', () => {
+    expect(mergeParams(DEFAULTS, { spin: 0.7 }, RANGES).spin).toBe(0.7);
+    expect(mergeParams(DEFAULTS, { spin: 5 }, RANGES).spin).toBe(0.998);
+    expect(mergeParams(DEFAULTS, { spin: -1 }, RANGES).spin).toBe(0);
+  });
+
+  it('takes only the allowed values of a string and any boolean', () => {
+    expect(mergeParams(DEFAULTS, { mode: 'doppler', showJets: false }, RANGES)).toMatchObject({
+      mode: 'doppler', showJets: false
+    });
+    expect(mergeParams(DEFAULTS, { mode: 'kinetic' }, RANGES).mode).toBe('total');
+  });
+
+  it('ignores unknown keys, other types, non-finite numbers and entries without a range', () => {
+    const merged = mergeParams(DEFAULTS, {
+      extra: 1, spin: '0.9', showJets: 'no', seed: 7, label: 'jet', __proto__: { spin: 0.9 }
+    }, RANGES);
+    expect(merged).toEqual(DEFAULTS);
+    expect(mergeParams(DEFAULTS, { spin: NaN }, RANGES).spin).toBe(0.5);
+    expect(mergeParams(DEFAULTS, { spin: Infinity }, RANGES).spin).toBe(0.5);
+  });
+
+  it('copies the defaults for a missing or non-object source', () => {
+    for (const values of [undefined, null, 'spin=1', 3]) {
+      const merged = mergeParams(DEFAULTS, values, RANGES);
+      expect(merged).toEqual(DEFAULTS);
+      expect(merged).not.toBe(DEFAULTS);
+    }
+  });
+});
@@ -0,0 +1,117 @@
+/**
+ * viewLink - The open simulation, its full parameter set and the camera, carried in
+ * the URL hash so a link reopens exactly that view (the seed is a parameter, so the
+ * same link also replays the same run).
+ *
+ * The hash is `#view=<version><codec>.<payload>`: the payload is the JSON view,
+ * deflated ('z') where the browser has CompressionStream and plain ('j') where not,
+ * then base64url-encoded. Links from a newer version, or ones that do not decode,
+ * are ignored and the app opens with its defaults. Values that do decode are
+ * checked against the simulation's controls (see mergeParams) before use.
+ *
+ * Only the page's own URL is read and written, never the parent's, so a link works
+ * the same as the src of the embedded iframe; an embedded page also posts each new
+ * hash to its parent ({ type: VIEW_MESSAGE, hash }) for the host to mirror.
+ */
+
+import { mergeParams } from './params';
+
+export const VIEW_LINK_VERSION = 1;
+export const VIEW_MESSAGE = 'ton618-view';
+
+const CAMERA_PHI_LIMIT = 0.1; // rad from the poles, as the camera drag allows
+
+const HASH_KEY = 'view';
+const canDeflate = typeof CompressionStream !== 'undefined';
+
+const toBase64Url = (bytes) => {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i++) binary += String.fromCharCode(bytes[i]);
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const fromBase64Url = (text) => {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, (c) => c.charCodeAt(0));
+};
+
+const pipe = (bytes, transform) => new Response(new Blob([bytes]).stream().pipeThrough(transform)).arrayBuffer();
+
+const isFiniteNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+/**
+ * Hash (with the leading '#') for { simulation, params, camera: { theta, phi, distance } }
+ */
+export async function encodeViewLink(view) {
+  const json = JSON.stringify({
+    s: view.simulation,
+    p: view.params,
+    c: [view.camera.theta, view.camera.phi, view.camera.distance]
+  });
+  const bytes = new TextEncoder().encode(json);
+  const payload = canDeflate ? new Uint8Array(await pipe(bytes, new CompressionStream('deflate-raw'))) : bytes;
+
+  return `#${HASH_KEY}=${VIEW_LINK_VERSION}${canDeflate ? 'z' : 'j'}.${toBase64Url(payload)}`;
+}
+
+/**
+ * The view in `hash`, or null when it holds none this build can read
+ */
+export async function decodeViewLink(hash) {
+  const match = new RegExp(`^#?${HASH_KEY}=(\\d+)([zj])\\.([\\w-]+)$`).exec(hash);
+  if (!match) return null;
+
+  if (Number(match[1]) > VIEW_LINK_VERSION) return null;
+
+  try {
+    let bytes = fromBase64Url(match[3]);
+    if (match[2] === 'z') bytes = new Uint8Array(await pipe(bytes, new DecompressionStream('deflate-raw')));
+    const { s, p, c } = JSON.parse(new TextDecoder().decode(bytes));
+
+    if (!Number.isInteger(s) || !p || typeof p !== 'object' || !Array.isArray(c) || !c.every(isFiniteNumber)) {
+      return null;
+    }
+    return { simulation: s, params: p, camera: { theta: c[0], phi: c[1], distance: c[2] } };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * `defaults` with the linked view's parameters and camera distance laid over them,
+ * within the simulation's `ranges` (see mergeParams)
+ */
+export function withLinkedView(defaults, view, ranges) {
+  if (!view) return defaults;
+  return mergeParams(defaults, { ...view.params, cameraDistance: view.camera.distance }, ranges);
+}
+
+/**
+ * Camera angles { theta, phi } of the linked view, or `fallback` without one
+ */
+export function linkedCameraAngle(view, fallback) {
+  if (!view) return fallback;
+  return {
+    theta: view.camera.theta,
+    phi: Math.min(Math.PI - CAMERA_PHI_LIMIT, Math.max(CAMERA_PHI_LIMIT, view.camera.phi))
+  };
+}
+
+/**
+ * Replace the page's hash (an empty one removes it) without a history entry or a
+ * hashchange event. Sandboxed frames may refuse history access; those fall back
+ * to location.replace().
+ */
+export function writeViewHash(hash) {
+  try {
+    window.history.replaceState(window.history.state, '', hash || window.location.pathname + window.location.search);
+  } catch (error) {
+    window.location.replace(hash || '#');
+  }
+
+  if (window.parent !== window) {
+    window.parent.postMessage({ type: VIEW_MESSAGE, hash }, '*');
+  }
+}
+
+export default encodeViewLink;
@@ -0,0 +1,57 @@
+import { describe, expect, it } from 'vitest';
+import { VIEW_LINK_VERSION, decodeViewLink, encodeViewLink, linkedCameraAngle, withLinkedView } from './viewLink';
+
+const VIEW = {
+  simulation: 2,
+  params: { spinParameter: 0.93, seed: 618, redshiftMode: 'total', showJets: false },
+  camera: { theta: -0.4, phi: 1.1, distance: 140 }
+};
+
+const base64Url = (text) => btoa(text).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+describe('encodeViewLink / decodeViewLink', () => {
+  it('round-trips the simulation, parameters and camera', async () => {
+    const hash = await encodeViewLink(VIEW);
+    expect(hash).toMatch(new RegExp(`^#view=${VIEW_LINK_VERSION}z\\.[\\w-]+$`));
+    expect(await decodeViewLink(hash)).toEqual(VIEW);
+    expect(await decodeViewLink(hash.slice(1))).toEqual(VIEW);
+  });
+
+  it('reads the plain codec of browsers without CompressionStream', async () => {
+    const json = JSON.stringify({ s: 0, p: { seed: 3 }, c: [0, 1.5, 80] });
+    expect(await decodeViewLink(`#view=1j.${base64Url(json)}`)).toEqual({
+      simulation: 0, params: { seed: 3 }, camera: { theta: 0, phi: 1.5, distance: 80 }
+    });
+  });
+
+  it('ignores links from a newer version, damaged payloads and malformed views', async () => {
+    const hash = await encodeViewLink(VIEW);
+    const plain = (view) => `#view=1j.${base64Url(JSON.stringify(view))}`;
+
+    expect(await decodeViewLink('')).toBeNull();
+    expect(await decodeViewLink('#other=1')).toBeNull();
+    expect(await decodeViewLink(hash.replace(`=${VIEW_LINK_VERSION}z`, `=${VIEW_LINK_VERSION + 1}z`))).toBeNull();
+    expect(await decodeViewLink(hash.slice(0, -6))).toBeNull();
+    expect(await decodeViewLink(`#view=1j.${base64Url('{"s":')}`)).toBeNull();
+    expect(await decodeViewLink(plain({ s: 1.5, p: {}, c: [0, 1, 2] }))).toBeNull();
+    expect(await decodeViewLink(plain({ s: 1, p: null, c: [0, 1, 2] }))).toBeNull();
+    expect(await decodeViewLink(plain({ s: 1, p: {}, c: [0, '1', 2] }))).toBeNull();
+  });
+});
+
+describe('withLinkedView / linkedCameraAngle', () => {
+  it('lays the linked view over the defaults within the ranges', () => {
+    const defaults = { spinParameter: 0.5, cameraDistance: 100 };
+    const ranges = { spinParameter: [0, 0.998], cameraDistance: [20, 200] };
+    const view = { params: { spinParameter: 2 }, camera: { theta: 0, phi: 1, distance: 500 } };
+    expect(withLinkedView(defaults, view, ranges)).toEqual({ spinParameter: 0.998, cameraDistance: 200 });
+    expect(withLinkedView(defaults, null, ranges)).toBe(defaults);
+  });
+
+  it('keeps the camera off the poles', () => {
+    const fallback = { theta: 0, phi: 1 };
+    expect(linkedCameraAngle(null, fallback)).toBe(fallback);
+    expect(linkedCameraAngle({ camera: { theta: 2, phi: 0 } }, fallback)).toEqual({ theta: 2, phi: 0.1 });
+    expect(linkedCameraAngle({ camera: { theta: 2, phi: 4 } }, fallback).phi).toBeCloseTo(Math.PI - 0.1, 12);
+  });
+});
@@ -0,0 +1,145 @@
+import NovikovThorneDisk from './NovikovThorneDisk';
+
+/**
+ * AccretionFlow - Accretion regime set by the Eddington ratio ṁ = Ṁ / Ṁ_Edd
+ * Radii are in units of M; physical outputs are SI.
+ *
+ * ṁ < 0.01        ADAF / RIAF: hot, geometrically thick, optically thin (Narayan & Yi 1995)
+ *                 H/R ≈ 0.5, T_e ≈ min(T_vir, 10¹⁰ K), L ≈ ṁ L_Edd (ṁ / 0.01)
+ * 0.01 ≤ ṁ < 0.3  Thin disk: Shakura–Sunyaev / Novikov–Thorne, L = ṁ L_Edd
+ * 0.3 ≤ ṁ < 1     Slim disk: advection traps photons inside r_trap ≈ 3 (Ṁc²/L_Edd)(H/R) M
+ *                 (Ohsuga et al. 2002), where T ∝ r^{-1/2} (Watarai et al. 2000); H/R → 1
+ * ṁ ≥ 1           Super-Eddington: slim disk with L ≈ L_Edd (1 + ln ṁ) (Poutanen et al. 2007)
+ */
+
+export const ACCRETION_REGIMES = [
+  { key: 'adaf', label: 'ADAF / RIAF', maxEddingtonRatio: 0.01 },
+  { key: 'thin', label: 'Thin disk', maxEddingtonRatio: 0.3 },
+  { key: 'slim', label: 'Slim disk', maxEddingtonRatio: 1 },
+  { key: 'superEddington', label: 'Super-Eddington', maxEddingtonRatio: Infinity }
+];
+
+export const MIN_EDDINGTON_RATIO = 0.001;
+export const MAX_EDDINGTON_RATIO = 10;
+
+const ADAF_ASPECT_RATIO = 0.5; // H/R of the hot flow
+const ADAF_ELECTRON_TEMPERATURE = 1e10; // K, electrons saturate by synchrotron/Compton cooling
+const VIRIAL_TEMPERATURE = 3.6e12; // K at r = M: m_p c² / 3k
+const SLIM_MAX_ASPECT_RATIO = 1; // Puffed-up H/R at and above Eddington
+const REFERENCE_ASPECT_RATIO = 0.05; // Typical thin disk near ṁ ≈ 0.1, the inflow reference
+
+/**
+ * Regime for an Eddington ratio
+ */
+export function accretionRegime(eddingtonRatio) {
+  return ACCRETION_REGIMES.find(regime => eddingtonRatio < regime.maxEddingtonRatio);
+}
+
+export class AccretionFlow extends NovikovThorneDisk {
+  /**
+   * Current regime { key, label, maxEddingtonRatio }
+   */
+  get regime() {
+    return accretionRegime(this.eddingtonRatio);
+  }
+
+  /**
+   * Bolometric luminosity (W), regime dependent
+   */
+  get luminosity() {
+    const thinLuminosity = this.eddingtonRatio * this.eddingtonLuminosity;
+    switch (this.regime.key) {
+      case 'adaf':
+        return thinLuminosity * this.eddingtonRatio / ACCRETION_REGIMES[0].maxEddingtonRatio;
+      case 'superEddington':
+        return this.eddingtonLuminosity * (1 + Math.log(this.eddingtonRatio));
+      default:
+        return thinLuminosity;
+    }
+  }
+
+  /**
+   * Luminosity in units of L_Edd
+   */
+  get luminosityRatio() {
+    return this.luminosity / this.eddingtonLuminosity;
+  }
+
+  /**
+   * Photon-trapping radius in units of M (inner edge when nothing is trapped)
+   */
+  get trappingRadius() {
+    const key = this.regime.key;
+    if (key !== 'slim' && key !== 'superEddington') return this.innerRadius;
+
+    const dimensionlessRate = this.eddingtonRatio / this.efficiency; // Ṁc² / L_Edd
+    return Math.max(3 * dimensionlessRate * SLIM_MAX_ASPECT_RATIO, 2 * this.innerRadius);
+  }
+
+  /**
+   * Emitted flux per face F(r)  (W/m²)
+   */
+  flux(r) {
+    switch (this.regime.key) {
+      case 'adaf':
+        // Most of the heat is advected; the radiated fraction falls as ṁ / ṁ_crit
+        return super.flux(r) * this.eddingtonRatio / ACCRETION_REGIMES[0].maxEddingtonRatio;
+      case 'slim':
+      case 'superEddington': {
+        const rTrap = this.trappingRadius;
+        if (r >= rTrap) return super.flux(r);
+        return super.flux(rTrap) * (rTrap / r) ** 2;
+      }
+      default:
+        return super.flux(r);
+    }
+  }
+
+  /**
+   * Temperature (K): electron temperature of the hot flow, effective temperature otherwise
+   */
+  temperature(r) {
+    if (this.regime.key === 'adaf') {
+      return Math.min(VIRIAL_TEMPERATURE / r, ADAF_ELECTRON_TEMPERATURE);
+    }
+    return super.temperature(r);
+  }
+
+  /**
+   * Half-thickness H(r) in units of M
+   */
+  scaleHeight(r) {
+    switch (this.regime.key) {
+      case 'adaf':
+        return ADAF_ASPECT_RATIO * r;
+      case 'slim':
+      case 'superEddington':
+        return Math.min(super.scaleHeight(r), SLIM_MAX_ASPECT_RATIO * r);
+      default:
+        return super.scaleHeight(r);
+    }
+  }
+
+  /**
+   * Radial drift relative to a thin disk with H/R = 0.05
+   * v_r ≈ α (H/R)² v_K, so thick advective flows drain far faster
+   */
+  inflowFactor(r = 20) {
+    const aspectRatio = this.scaleHeight(r) / r;
+    return (aspectRatio / REFERENCE_ASPECT_RATIO) ** 2;
+  }
+
+  /**
+   * Get statistics
+   */
+  getStats() {
+    return {
+      ...super.getStats(),
+      regime: this.regime.label,
+      luminosityRatio: this.luminosityRatio,
+      trappingRadius: this.trappingRadius
+    };
+  }
+}
+
+export default AccretionFlow;
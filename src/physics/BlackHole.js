@@ -0,0 +1,147 @@
+import {
+  clampSpin,
+  horizonRadius,
+  ergosphereRadius,
+  photonOrbitRadius,
+  polarPhotonOrbitRadius,
+  iscoRadius,
+  radiativeEfficiency
+} from './KerrMetric';
+
+/**
+ * BlackHole - Single source of truth for the central black hole
+ * Mass (M☉), spin a/M and charge Q/M (Kerr–Newman ready; 0 for astrophysical holes).
+ *
+ * Every radius is returned in scene units. The scene has a fixed physical scale:
+ * r_g = GM/c² is 6.5 scene units for TON 618 (66 billion M☉), so r_s = 13,
+ * and the gravitational radius grows linearly with mass.
+ *
+ * Simulations create one instance and hand it to Star, StellarDebris,
+ * CompanionStar, HawkingRadiation and OrbitalMechanics. Modules read radii
+ * on demand; modules that cache derived values subscribe with onChange().
+ */
+
+export const TON618_MASS = 66e9; // Solar masses
+export const TON618_GRAVITATIONAL_RADIUS = 6.5; // Scene units
+
+export class BlackHole {
+  constructor(params = {}) {
+    this.mass = params.mass || TON618_MASS; // Solar masses
+    this.spin = clampSpin(params.spin || 0); // a/M, negative = retrograde disk
+    this.charge = params.charge || 0; // Q/M
+
+    this.listeners = [];
+  }
+
+  /**
+   * Gravitational radius r_g = GM/c² in scene units
+   */
+  get gravitationalRadius() {
+    return TON618_GRAVITATIONAL_RADIUS * this.mass / TON618_MASS;
+  }
+
+  /**
+   * Schwarzschild radius r_s = 2GM/c² in scene units
+   */
+  get schwarzschildRadius() {
+    return 2 * this.gravitationalRadius;
+  }
+
+  /**
+   * Outer event horizon r_+ in scene units
+   */
+  get horizonRadius() {
+    return horizonRadius(this.spin, this.gravitationalRadius, this.charge);
+  }
+
+  /**
+   * Static limit r_ergo(θ) in scene units (θ from the spin axis)
+   */
+  ergosphereRadius(theta = Math.PI / 2) {
+    return ergosphereRadius(this.spin, theta, this.gravitationalRadius, this.charge);
+  }
+
+  /**
+   * Equatorial circular photon orbit in scene units
+   */
+  photonOrbitRadius(prograde = true) {
+    return photonOrbitRadius(this.spin, this.gravitationalRadius, prograde);
+  }
+
+  /**
+   * Polar spherical photon orbit in scene units, used for the photon sphere mesh
+   */
+  get photonSphereRadius() {
+    return polarPhotonOrbitRadius(this.spin, this.gravitationalRadius);
+  }
+
+  /**
+   * Innermost stable circular orbit in scene units
+   */
+  iscoRadius(prograde = true) {
+    return iscoRadius(this.spin, this.gravitationalRadius, prograde);
+  }
+
+  /**
+   * Thin-disk radiative efficiency η(a)
+   */
+  get radiativeEfficiency() {
+    return radiativeEfficiency(this.spin);
+  }
+
+  /**
+   * Subscribe to parameter changes; returns an unsubscribe function
+   */
+  onChange(callback) {
+    this.listeners.push(callback);
+    return () => {
+      this.listeners = this.listeners.filter(listener => listener !== callback);
+    };
+  }
+
+  /**
+   * Set parameters and notify subscribers
+   */
+  setParameters(params) {
+    let changed = false;
+
+    if (params.mass !== undefined && params.mass !== this.mass) {
+      this.mass = params.mass;
+      changed = true;
+    }
+    if (params.spin !== undefined && clampSpin(params.spin) !== this.spin) {
+      this.spin = clampSpin(params.spin);
+      changed = true;
+    }
+    if (params.charge !== undefined && params.charge !== this.charge) {
+      this.charge = params.charge;
+      changed = true;
+    }
+
+    if (changed) {
+      this.listeners.forEach(listener => listener(this));
+    }
+  }
+
+  /**
+   * Get current state
+   */
+  getState() {
+    return {
+      mass: this.mass,
+      spin: this.spin,
+      charge: this.charge,
+      gravitationalRadius: this.gravitationalRadius,
+      horizonRadius: this.horizonRadius,
+      ergosphereRadius: this.ergosphereRadius(),
+      photonOrbitRadius: {
+        prograde: this.photonOrbitRadius(true),
+        retrograde: this.photonOrbitRadius(false)
+      },
+      iscoRadius: this.iscoRadius(),
+      radiativeEfficiency: this.radiativeEfficiency
+    };
+  }
+}
+
+export default BlackHole;
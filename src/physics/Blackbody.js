@@ -0,0 +1,171 @@
+import * as THREE from 'three';
+
+/**
+ * Blackbody - Physically based color for thermal emitters
+ * Planck spectrum → CIE 1931 XYZ → linear sRGB (D65), with a redshift factor
+ * g = E_obs / E_emit applied through the invariance of I_ν/ν³:
+ *
+ * I_obs(ν) = g³ I_emit(ν/g) = B_ν(ν, gT)
+ *
+ * so an emitter at temperature T seen with shift g is exactly a blackbody at gT.
+ * Chromaticity comes from gT, brightness from the luminance Y(gT) (which carries
+ * the g³ and the Wien shift), and the bolometric intensity scales as g⁴.
+ *
+ * Color matching functions use the multi-lobe Gaussian fit of
+ * Wyman, Sloan & Shirley (2013), accurate to the CIE tables within ~1%.
+ */
+
+const PLANCK = 6.62607015e-34; // J s
+const LIGHT_SPEED = 2.99792458e8; // m/s
+const BOLTZMANN = 1.380649e-23; // J/K
+
+const TABLE_MIN_TEMPERATURE = 500; // K
+const TABLE_MAX_TEMPERATURE = 1e6; // K
+const TABLE_SIZE = 512;
+
+/**
+ * Piecewise Gaussian lobe
+ */
+function lobe(lambda, mu, sigmaLow, sigmaHigh) {
+  const t = (lambda - mu) / (lambda < mu ? sigmaLow : sigmaHigh);
+  return Math.exp(-0.5 * t * t);
+}
+
+/**
+ * CIE 1931 2° color matching functions (λ in nm)
+ */
+export function colorMatching(lambda) {
+  return {
+    x: 1.056 * lobe(lambda, 599.8, 37.9, 31.0) + 0.362 * lobe(lambda, 442.0, 16.0, 26.7) - 0.065 * lobe(lambda, 501.1, 20.4, 26.2),
+    y: 0.821 * lobe(lambda, 568.8, 46.9, 40.5) + 0.286 * lobe(lambda, 530.9, 16.3, 31.1),
+    z: 1.217 * lobe(lambda, 437.0, 11.8, 36.0) + 0.681 * lobe(lambda, 459.0, 26.0, 13.8)
+  };
+}
+
+/**
+ * Planck spectral radiance B_λ(T)  (W sr⁻¹ m⁻³), λ in nm
+ */
+export function planck(lambda, temperature) {
+  const l = lambda * 1e-9;
+  const exponent = (PLANCK * LIGHT_SPEED) / (l * BOLTZMANN * temperature);
+  return (2 * PLANCK * LIGHT_SPEED * LIGHT_SPEED) / (Math.pow(l, 5) * Math.expm1(exponent));
+}
+
+/**
+ * Integrate a blackbody against the color matching functions (380–780 nm)
+ */
+export function blackbodyXYZ(temperature) {
+  let X = 0;
+  let Y = 0;
+  let Z = 0;
+  for (let lambda = 380; lambda <= 780; lambda += 5) {
+    const radiance = planck(lambda, temperature);
+    const cmf = colorMatching(lambda);
+    X += radiance * cmf.x;
+    Y += radiance * cmf.y;
+    Z += radiance * cmf.z;
+  }
+  return { X, Y, Z };
+}
+
+/**
+ * CIE XYZ → linear sRGB (D65 white)
+ */
+export function xyzToLinearSRGB({ X, Y, Z }) {
+  return {
+    r: 3.2406 * X - 1.5372 * Y - 0.4986 * Z,
+    g: -0.9689 * X + 1.8758 * Y + 0.0415 * Z,
+    b: 0.0557 * X - 0.2040 * Y + 1.0570 * Z
+  };
+}
+
+/**
+ * Linear → sRGB transfer function
+ */
+function encodeSRGB(c) {
+  return c <= 0.0031308 ? 12.92 * c : 1.055 * Math.pow(c, 1 / 2.4) - 0.055;
+}
+
+// Chromaticity (max channel = 1, out-of-gamut clipped) and luminance, log-spaced in T
+let table = null;
+
+function getTable() {
+  if (table) return table;
+
+  table = [];
+  const logRange = Math.log(TABLE_MAX_TEMPERATURE / TABLE_MIN_TEMPERATURE);
+  for (let i = 0; i < TABLE_SIZE; i++) {
+    const temperature = TABLE_MIN_TEMPERATURE * Math.exp(logRange * i / (TABLE_SIZE - 1));
+    const xyz = blackbodyXYZ(temperature);
+    const rgb = xyzToLinearSRGB(xyz);
+    const r = Math.max(0, rgb.r);
+    const g = Math.max(0, rgb.g);
+    const b = Math.max(0, rgb.b);
+    const peak = Math.max(r, g, b);
+    table.push({ r: r / peak, g: g / peak, b: b / peak, Y: xyz.Y });
+  }
+  return table;
+}
+
+/**
+ * Interpolated table entry at temperature T
+ */
+function lookup(temperature) {
+  const entries = getTable();
+  const T = Math.max(TABLE_MIN_TEMPERATURE, Math.min(TABLE_MAX_TEMPERATURE, temperature));
+  const position = Math.log(T / TABLE_MIN_TEMPERATURE) / Math.log(TABLE_MAX_TEMPERATURE / TABLE_MIN_TEMPERATURE) * (TABLE_SIZE - 1);
+  const i = Math.min(TABLE_SIZE - 2, Math.floor(position));
+  const t = position - i;
+  const a = entries[i];
+  const b = entries[i + 1];
+  return {
+    r: a.r + (b.r - a.r) * t,
+    g: a.g + (b.g - a.g) * t,
+    b: a.b + (b.b - a.b) * t,
+    Y: a.Y + (b.Y - a.Y) * t
+  };
+}
+
+/**
+ * Observed temperature of a blackbody seen with redshift factor g
+ */
+export function observedTemperature(temperature, g = 1) {
+  return temperature * g;
+}
+
+/**
+ * Bolometric intensity ratio I_obs / I_emit = g⁴
+ */
+export function bolometricBoost(g = 1) {
+  return Math.pow(g, 4);
+}
+
+/**
+ * Color of a blackbody at T seen with redshift factor g
+ * Brightness is the visible luminance relative to a blackbody at referenceTemperature
+ * (g = 1), compressed by exposure (1 = linear) and capped at maxBrightness.
+ * encoding 'linear' for built-in materials, 'srgb' for raw ShaderMaterial output.
+ */
+export function blackbodyColor(temperature, g = 1, target = new THREE.Color(), options = {}) {
+  const referenceTemperature = options.referenceTemperature || 6500;
+  const exposure = options.exposure !== undefined ? options.exposure : 0.5;
+  const maxBrightness = options.maxBrightness || 4;
+  const encoding = options.encoding || 'linear';
+
+  const entry = lookup(observedTemperature(temperature, g));
+  const reference = lookup(referenceTemperature);
+  const brightness = Math.min(maxBrightness, Math.pow(entry.Y / reference.Y, exposure));
+
+  let r = entry.r * brightness;
+  let gg = entry.g * brightness;
+  let b = entry.b * brightness;
+  if (encoding === 'srgb') {
+    r = encodeSRGB(r);
+    gg = encodeSRGB(gg);
+    b = encodeSRGB(b);
+  }
+
+  return target.setRGB(r, gg, b);
+}
+
+export default blackbodyColor;
@@ -1,4 +1,8 @@
 import * as THREE from 'three';
+import BlackHole from './BlackHole';
+import Random from './Random';
+import { SCENE_G } from './Units';
+import { packParticles, unpackParticles } from './Snapshot';
 
 /**
  * CompanionStar - Massive O-type supergiant in stable orbit around TON 618
@@ -6,11 +10,12 @@ import * as THREE from 'three';
  * O-type supergiants: 15-90 solar masses, very hot (30,000-50,000K), blue-white
  */
 export class CompanionStar {
-  constructor(scene, blackHoleMass = 66e9, params = {}) {
+  constructor(scene, blackHole = new BlackHole(), params = {}) {
     this.scene = scene;
-    // Note: blackHoleMass in simulation uses scaled units where 1e9 = 1 unit
-    // So 66e9 represents "66 billion solar mass equivalent" in scaled coordinates
-    this.blackHoleMass = blackHoleMass;
+    // Note: blackHoleMass is in M☉ (66e9 for TON 618); the orbit uses it with SCENE_G,
+    // while mass ratios and the accretion forces divide it by 1e9 to keep them in range
+    this.blackHole = blackHole;
+    this.random = params.random || new Random(); // Wind and quantum particle draws
 
     // Companion star properties (O-type supergiant defaults)
     this.mass = params.mass || 40; // Solar masses (O-type range: 15-90)
@@ -80,6 +85,28 @@ export class CompanionStar {
     this.createInfluenceSphere();
     this.createQuantumEffects();
     this.createAccretionSphere();
+
+    this.unsubscribeBlackHole = blackHole.onChange(() => this.handleBlackHoleChange());
+  }
+
+  /**
+   * Black hole mass (see scaling note in constructor)
+   */
+  get blackHoleMass() {
+    return this.blackHole.mass;
+  }
+
+  /**
+   * Re-derive orbit and influence radii after the black hole changes
+   */
+  handleBlackHoleChange() {
+    this.orbitalVelocity = this.calculateOrbitalVelocity(this.orbitalRadius);
+    this.influenceRadius = this.calculateHillRadius();
+    this.rocheRadius = this.calculateRocheLobeRadius();
+    if (this.influenceSphere) {
+      this.influenceSphere.geometry.dispose();
+      this.influenceSphere.geometry = new THREE.SphereGeometry(this.influenceRadius, 32, 32);
+    }
   }
 
   /**
@@ -96,8 +123,7 @@ export class CompanionStar {
    * v = sqrt(G * M / r)
    */
   calculateOrbitalVelocity(radius) {
-    const G = 0.1; // Scaled gravitational constant
-    return Math.sqrt((G * this.blackHoleMass) / radius);
+    return Math.sqrt((SCENE_G * this.blackHoleMass) / radius);
   }
 
   /**
@@ -259,22 +285,22 @@ export class CompanionStar {
     const visualRadius = this.radius * 0.5;
     for (let i = 0; i < this.windParticleCount; i++) {
       // Random position on star surface
-      const theta = Math.random() * Math.PI * 2;
-      const phi = Math.acos(2 * Math.random() - 1);
+      const theta = this.random.next() * Math.PI * 2;
+      const phi = Math.acos(2 * this.random.next() - 1);
 
       const x = Math.sin(phi) * Math.cos(theta);
       const y = Math.sin(phi) * Math.sin(theta);
       const z = Math.cos(phi);
 
-      const startRadius = visualRadius * (1.1 + Math.random() * 0.3);
+      const startRadius = visualRadius * (1.1 + this.random.next() * 0.3);
 
       this.windData.push({
         position: new THREE.Vector3(x * startRadius, y * startRadius, z * startRadius),
         direction: new THREE.Vector3(x, y, z).normalize(),
-        velocity: this.windVelocity * 0.05 * (0.8 + Math.random() * 0.4), // 5x faster for visibility
-        age: Math.random() * 300,
+        velocity: this.windVelocity * 0.05 * (0.8 + this.random.next() * 0.4), // 5x faster for visibility
+        age: this.random.next() * 300,
         maxAge: 300, // Longer lifetime
-        color: new THREE.Color(0.7 + Math.random() * 0.2, 0.85, 1.0)
+        color: new THREE.Color(0.7 + this.random.next() * 0.2, 0.85, 1.0)
       });
     }
 
@@ -346,10 +372,10 @@ export class CompanionStar {
     // Initialize quantum particles (near the star surface for now)
     const visualRadius = this.radius * 0.5;
     for (let i = 0; i < particleCount; i++) {
-      const theta = Math.random() * Math.PI * 2;
-      const phi = Math.acos(2 * Math.random() - 1);
+      const theta = this.random.next() * Math.PI * 2;
+      const phi = Math.acos(2 * this.random.next() - 1);
 
-      const distance = visualRadius * (1.0 + Math.random() * 0.5);
+      const distance = visualRadius * (1.0 + this.random.next() * 0.5);
 
       this.quantumData.push({
         position: new THREE.Vector3(
@@ -358,14 +384,14 @@ export class CompanionStar {
           Math.cos(phi) * distance
         ),
         velocity: new THREE.Vector3(
-          (Math.random() - 0.5) * 0.1,
-          (Math.random() - 0.5) * 0.1,
-          (Math.random() - 0.5) * 0.1
+          (this.random.next() - 0.5) * 0.1,
+          (this.random.next() - 0.5) * 0.1,
+          (this.random.next() - 0.5) * 0.1
         ),
-        age: Math.random() * 100,
+        age: this.random.next() * 100,
         maxAge: 100,
-        type: Math.random() > 0.5 ? 'particle' : 'antiparticle',
-        color: Math.random() > 0.5 ?
+        type: this.random.next() > 0.5 ? 'particle' : 'antiparticle',
+        color: this.random.next() > 0.5 ?
           new THREE.Color(0.3, 1.0, 0.3) :  // Green for particles
           new THREE.Color(1.0, 0.3, 1.0)    // Magenta for antiparticles
       });
@@ -422,9 +448,9 @@ export class CompanionStar {
     const visualRadius = this.radius * 0.5;
     for (let i = 0; i < this.accretionParticleCount; i++) {
       // Random position in accretion sphere (1.5-4x star radius)
-      const theta = Math.random() * Math.PI * 2;
-      const phi = Math.acos(2 * Math.random() - 1);
-      const distance = visualRadius * (1.5 + Math.random() * 2.5);
+      const theta = this.random.next() * Math.PI * 2;
+      const phi = Math.acos(2 * this.random.next() - 1);
+      const distance = visualRadius * (1.5 + this.random.next() * 2.5);
 
       const x = Math.sin(phi) * Math.cos(theta) * distance;
       const y = Math.sin(phi) * Math.sin(theta) * distance;
@@ -432,23 +458,23 @@ export class CompanionStar {
 
       // Particle mass: scaled units, clamped to reasonable range
       // Smaller particles (0.001-0.01 in our scaled system)
-      const particleMass = 0.001 + Math.random() * 0.009;
+      const particleMass = 0.001 + this.random.next() * 0.009;
 
       this.accretionData.push({
         position: new THREE.Vector3(x, y, z),
         velocity: new THREE.Vector3(
-          (Math.random() - 0.5) * 0.05,  // Small initial random velocity
-          (Math.random() - 0.5) * 0.05,
-          (Math.random() - 0.5) * 0.05
+          (this.random.next() - 0.5) * 0.05,  // Small initial random velocity
+          (this.random.next() - 0.5) * 0.05,
+          (this.random.next() - 0.5) * 0.05
         ),
         mass: particleMass,  // Particle mass for gravitational calculations
         age: 0,
         maxAge: 1000,  // Long lifetime
         captured: false,  // Track if captured by black hole
         color: new THREE.Color(
-          0.9 + Math.random() * 0.1,  // Orange-red
-          0.5 + Math.random() * 0.2,
-          0.2 + Math.random() * 0.2
+          0.9 + this.random.next() * 0.1,  // Orange-red
+          0.5 + this.random.next() * 0.2,
+          0.2 + this.random.next() * 0.2
         )
       });
     }
@@ -478,8 +504,8 @@ export class CompanionStar {
 
       // Reset particle if too old
       if (particle.age > particle.maxAge) {
-        const theta = Math.random() * Math.PI * 2;
-        const phi = Math.acos(2 * Math.random() - 1);
+        const theta = this.random.next() * Math.PI * 2;
+        const phi = Math.acos(2 * this.random.next() - 1);
 
         const x = Math.sin(phi) * Math.cos(theta);
         const y = Math.sin(phi) * Math.sin(theta);
@@ -489,7 +515,7 @@ export class CompanionStar {
         particle.position.set(x * visualRadius, y * visualRadius, z * visualRadius);
         particle.direction.set(x, y, z).normalize();
         particle.age = 0;
-        particle.velocity = this.windVelocity * 0.05 * (0.8 + Math.random() * 0.4); // Match initialization
+        particle.velocity = this.windVelocity * 0.05 * (0.8 + this.random.next() * 0.4); // Match initialization
         particle.maxAge = 300; // Update maxAge too
       }
 
@@ -529,9 +555,9 @@ export class CompanionStar {
 
       // Quantum uncertainty - jittery motion
       const jitter = new THREE.Vector3(
-        (Math.random() - 0.5) * 0.05,
-        (Math.random() - 0.5) * 0.05,
-        (Math.random() - 0.5) * 0.05
+        (this.random.next() - 0.5) * 0.05,
+        (this.random.next() - 0.5) * 0.05,
+        (this.random.next() - 0.5) * 0.05
       );
 
       particle.position.add(particle.velocity).add(jitter);
@@ -539,9 +565,9 @@ export class CompanionStar {
 
       // Pair annihilation - reset particle
       if (particle.age > particle.maxAge) {
-        const theta = Math.random() * Math.PI * 2;
-        const phi = Math.acos(2 * Math.random() - 1);
-        const distance = this.radius * 0.5 * (1.0 + Math.random() * 0.5);
+        const theta = this.random.next() * Math.PI * 2;
+        const phi = Math.acos(2 * this.random.next() - 1);
+        const distance = this.radius * 0.5 * (1.0 + this.random.next() * 0.5);
 
         particle.position.set(
           Math.sin(phi) * Math.cos(theta) * distance,
@@ -549,7 +575,7 @@ export class CompanionStar {
           Math.cos(phi) * distance
         );
         particle.age = 0;
-        particle.type = Math.random() > 0.5 ? 'particle' : 'antiparticle';
+        particle.type = this.random.next() > 0.5 ? 'particle' : 'antiparticle';
         particle.color = particle.type === 'particle' ?
           new THREE.Color(0.3, 1.0, 0.3) :
           new THREE.Color(1.0, 0.3, 1.0);
@@ -586,7 +612,9 @@ export class CompanionStar {
     const matrix = new THREE.Matrix4();
     const color = new THREE.Color();
 
-    // Gravitational constant (scaled for simulation)
+    // Not SCENE_G: these particles sit in the star's frame and only need to fall
+    // visibly onto it over a few seconds, with both masses clamped below (the black
+    // hole's in units of 1e9 M☉), so this is a display constant tuned for that
     const G = 0.01;
 
     // Mass clamping to prevent extreme forces
@@ -646,10 +674,10 @@ export class CompanionStar {
       const distFromStar = particle.position.length();
       if (particle.age > particle.maxAge || distFromStar > this.radius * 10) {
         // Respawn near star
-        const theta = Math.random() * Math.PI * 2;
-        const phi = Math.acos(2 * Math.random() - 1);
+        const theta = this.random.next() * Math.PI * 2;
+        const phi = Math.acos(2 * this.random.next() - 1);
         const visualRadius = this.radius * 0.5;
-        const distance = visualRadius * (1.5 + Math.random() * 2.5);
+        const distance = visualRadius * (1.5 + this.random.next() * 2.5);
 
         particle.position.set(
           Math.sin(phi) * Math.cos(theta) * distance,
@@ -657,16 +685,16 @@ export class CompanionStar {
           Math.cos(phi) * distance
         );
         particle.velocity.set(
-          (Math.random() - 0.5) * 0.05,
-          (Math.random() - 0.5) * 0.05,
-          (Math.random() - 0.5) * 0.05
+          (this.random.next() - 0.5) * 0.05,
+          (this.random.next() - 0.5) * 0.05,
+          (this.random.next() - 0.5) * 0.05
         );
         particle.age = 0;
         particle.captured = false;
         particle.color.setRGB(
-          0.9 + Math.random() * 0.1,
-          0.5 + Math.random() * 0.2,
-          0.2 + Math.random() * 0.2
+          0.9 + this.random.next() * 0.1,
+          0.5 + this.random.next() * 0.2,
+          0.2 + this.random.next() * 0.2
         );
       }
 
@@ -707,7 +735,9 @@ export class CompanionStar {
     // Simplified: F ∝ mass / r^2
     const forceMagnitude = (this.mass * this.gravitationalStrength) / (distance * distance + 1); // +1 to prevent singularity
 
-    return toStar.normalize().multiplyScalar(forceMagnitude * 0.001); // Scale for simulation
+    // 0.001 is a display scale, not SCENE_G: it sets how far the Gravity Strength
+    // slider bends the simulations' particles passing the star, with no physical units
+    return toStar.normalize().multiplyScalar(forceMagnitude * 0.001);
   }
 
   /**
@@ -904,10 +934,50 @@ export class CompanionStar {
       angle: this.angle,
       influenceRadius: this.influenceRadius,
       windVelocity: this.windVelocity,
-      windDensity: this.windDensity
+      windDensity: this.windDensity,
+      wind: packParticles(this.windData),
+      quantum: packParticles(this.quantumData),
+      accretion: packParticles(this.accretionData),
+      random: this.random.getState()
     };
   }
 
+  /**
+   * Restore the orbital phase, the wind, quantum and accretion particles and the
+   * random stream from getState(); the rest of the state follows the star's parameters
+   */
+  setState(state) {
+    this.angle = state.angle;
+    this.updateOrbitalPosition();
+    this.random.setState(state.random);
+
+    if (this.mesh) this.mesh.position.copy(this.position);
+    if (this.influenceSphere) this.influenceSphere.position.copy(this.position);
+
+    // Older snapshots carry the orbit only
+    if (state.wind) {
+      this.windData = unpackParticles(state.wind).slice(0, this.windData.length);
+      this.quantumData = unpackParticles(state.quantum).slice(0, this.quantumData.length);
+      this.accretionData = unpackParticles(state.accretion).slice(0, this.accretionData.length);
+      this.drawParticlePositions(this.windInstance, this.windData);
+      this.drawParticlePositions(this.quantumInstance, this.quantumData);
+      this.drawParticlePositions(this.accretionInstance, this.accretionData);
+    }
+  }
+
+  /**
+   * Place each particle of `data` on `instance` around the star without advancing it
+   */
+  drawParticlePositions(instance, data) {
+    if (!instance) return;
+    const matrix = new THREE.Matrix4();
+    data.forEach((particle, i) => {
+      matrix.setPosition(particle.position.clone().add(this.position));
+      instance.setMatrixAt(i, matrix);
+    });
+    instance.instanceMatrix.needsUpdate = true;
+  }
+
   /**
    * Get statistics for UI display
    */
@@ -926,6 +996,8 @@ export class CompanionStar {
    * Clean up
    */
   destroy() {
+    this.unsubscribeBlackHole();
+
     if (this.mesh) {
       this.scene.remove(this.mesh);
       this.mesh.geometry.dispose();
@@ -0,0 +1,142 @@
+import { FRAME_SECONDS, MAX_CLOCK_DELTA } from './SimulationClock';
+
+/**
+ * FixedTimestep - Splits the clock delta of each rendered frame into whole physics
+ * steps of fixed length, so trajectories depend only on simulation time, not on the
+ * frame rate: a 30 fps frame runs two steps, a 144 fps frame usually none or one.
+ * The remainder is carried to the next frame; `alpha` is how far the clock has run
+ * into the next step, for interpolating what is drawn between the last two steps.
+ *
+ * The clock never hands over more than MAX_CLOCK_DELTA per tick (clipped real frame
+ * time at the fastest speed or while scrubbing), so `maxSubsteps` covers every tick
+ * and the physics keeps pace with the clock. A smaller cap passed in spreads a
+ * backlog over the following frames instead of dropping it.
+ *
+ * While the clock scrubs, the replay after a rewind included, advanceClock() ticks it
+ * again within the same frame for as long as the steps fit in `replayBudget` ms at the
+ * measured cost of a step, so stepping back replays the run as fast as the frame rate
+ * allows rather than at SCRUB_SPEED.
+ */
+export class FixedTimestep {
+  constructor(params = {}) {
+    this.step = params.step || FRAME_SECONDS; // Clock seconds per physics step
+    this.maxSubsteps = params.maxSubsteps || Math.ceil(MAX_CLOCK_DELTA / this.step) + 1;
+    this.replayBudget = params.replayBudget || 12; // ms of steps per frame while scrubbing
+    this.stepCost = Infinity; // ms per step, from measure()
+
+    this.reset();
+  }
+
+  /**
+   * Tick the clock for a rendered frame of realSeconds; returns the clock delta (s)
+   * and the number of steps to run
+   */
+  advanceClock(clock, realSeconds) {
+    let delta = clock.tick(realSeconds);
+    let steps = this.advance(delta);
+
+    while (clock.scrubbing && steps * this.stepCost < this.replayBudget) {
+      const more = clock.tick(realSeconds);
+      if (more <= 0) break; // Waiting for a rewind, or a zero-length frame
+      delta += more;
+      steps += this.advance(more);
+    }
+    return { delta, steps };
+  }
+
+  /**
+   * Record how long a frame's steps took, for the replay budget
+   */
+  measure(steps, milliseconds) {
+    if (steps > 0) this.stepCost = milliseconds / steps;
+  }
+
+  /**
+   * Add a clock delta (s); returns the number of steps to run
+   */
+  advance(deltaTime) {
+    this.accumulator += deltaTime;
+    // The epsilon keeps an exact single-frame step from rounding down to none
+    const steps = Math.min(Math.floor(this.accumulator / this.step + 1e-9), this.maxSubsteps);
+    this.accumulator -= steps * this.step;
+    return steps;
+  }
+
+  /**
+   * Fraction (0–1) of the next step already elapsed on the clock
+   */
+  get alpha() {
+    return Math.min(1, Math.max(0, this.accumulator) / this.step);
+  }
+
+  reset() {
+    this.accumulator = 0;
+  }
+
+  /**
+   * Clock time carried toward the next step, for a snapshot
+   */
+  getState() {
+    return { accumulator: this.accumulator };
+  }
+
+  setState(state) {
+    this.accumulator = state.accumulator;
+  }
+}
+
+/**
+ * InstanceInterpolator - Draws an InstancedMesh between its last two physics steps.
+ * capture() after each step keeps that step's matrices; apply(alpha) writes the
+ * element-wise blend into the mesh. That is exact for translation and scale, which is
+ * all the particle meshes use; an instance that jumped farther than `maxJump` (a
+ * respawn) is drawn where it landed instead of streaking across the scene.
+ */
+export class InstanceInterpolator {
+  constructor(mesh, params = {}) {
+    this.mesh = mesh;
+    this.maxJump = params.maxJump || 20; // Scene units per step
+
+    this.reset();
+  }
+
+  /**
+   * Keep the mesh's current matrices as the newest step
+   */
+  capture() {
+    const swap = this.previous;
+    this.previous = this.current;
+    this.current = swap;
+    this.current.set(this.mesh.instanceMatrix.array);
+  }
+
+  /**
+   * Draw the mesh `alpha` of the way from the previous step to the newest
+   */
+  apply(alpha) {
+    const drawn = this.mesh.instanceMatrix.array;
+    const maxJumpSq = this.maxJump * this.maxJump;
+
+    for (let offset = 0; offset < drawn.length; offset += 16) {
+      const dx = this.current[offset + 12] - this.previous[offset + 12];
+      const dy = this.current[offset + 13] - this.previous[offset + 13];
+      const dz = this.current[offset + 14] - this.previous[offset + 14];
+      const blend = dx * dx + dy * dy + dz * dz > maxJumpSq ? 1 : alpha;
+
+      for (let k = offset; k < offset + 16; k++) {
+        drawn[k] = this.previous[k] + (this.current[k] - this.previous[k]) * blend;
+      }
+    }
+    this.mesh.instanceMatrix.needsUpdate = true;
+  }
+
+  /**
+   * Snap to the mesh as it is now (after writing matrices outside a step)
+   */
+  reset() {
+    this.previous = Float32Array.from(this.mesh.instanceMatrix.array);
+    this.current = Float32Array.from(this.mesh.instanceMatrix.array);
+  }
+}
+
+export default FixedTimestep;
@@ -0,0 +1,83 @@
+import { describe, expect, it } from 'vitest';
+import BlackHole from './BlackHole';
+import FixedTimestep from './FixedTimestep';
+import SimulationClock, { FRAME_SECONDS, MAX_CLOCK_DELTA } from './SimulationClock';
+
+describe('FixedTimestep', () => {
+  it('runs whole steps and carries the remainder', () => {
+    const stepper = new FixedTimestep();
+    expect(stepper.advance(FRAME_SECONDS * 2.5)).toBe(2);
+    expect(stepper.accumulator).toBeCloseTo(FRAME_SECONDS * 0.5, 12);
+    expect(stepper.alpha).toBeCloseTo(0.5, 9);
+
+    expect(stepper.advance(FRAME_SECONDS * 0.5)).toBe(1);
+    expect(stepper.alpha).toBeCloseTo(0, 9);
+  });
+
+  it('takes an exact single-frame delta as one step', () => {
+    const stepper = new FixedTimestep();
+    for (let i = 0; i < 600; i++) expect(stepper.advance(FRAME_SECONDS)).toBe(1);
+  });
+
+  it('runs the same steps for the same clock time at any frame rate', () => {
+    const count = (frameSeconds, frames) => {
+      const stepper = new FixedTimestep();
+      let steps = 0;
+      for (let i = 0; i < frames; i++) steps += stepper.advance(frameSeconds);
+      return steps;
+    };
+    expect(count(1 / 30, 60)).toBe(120);
+    expect(count(1 / 144, 288)).toBe(120);
+  });
+
+  it('covers the longest clock delta in one frame', () => {
+    const stepper = new FixedTimestep();
+    expect(stepper.advance(MAX_CLOCK_DELTA)).toBe(Math.round(MAX_CLOCK_DELTA / FRAME_SECONDS));
+    expect(stepper.accumulator).toBeLessThan(FRAME_SECONDS);
+  });
+
+  it('spreads a backlog over later frames under a smaller cap', () => {
+    const stepper = new FixedTimestep({ maxSubsteps: 2 });
+    expect(stepper.advance(FRAME_SECONDS * 5)).toBe(2);
+    expect(stepper.advance(0)).toBe(2);
+    expect(stepper.advance(0)).toBe(1);
+    expect(stepper.alpha).toBe(0);
+  });
+
+  it('restores the carried remainder', () => {
+    const stepper = new FixedTimestep();
+    stepper.advance(FRAME_SECONDS * 1.25);
+    const restored = new FixedTimestep();
+    restored.setState(stepper.getState());
+    expect(restored.alpha).toBeCloseTo(stepper.alpha, 12);
+    expect(restored.advance(FRAME_SECONDS * 0.75)).toBe(1);
+  });
+
+  it('replays a scrub within the frame budget at the measured step cost', () => {
+    const clock = new SimulationClock(new BlackHole(), { timeScale: 20 });
+    clock.scrub(200);
+
+    const stepper = new FixedTimestep({ replayBudget: 12 });
+    const first = stepper.advanceClock(clock, FRAME_SECONDS);
+    expect(first.steps).toBe(8); // No cost measured yet: one tick at SCRUB_SPEED
+
+    stepper.measure(first.steps, 8 * 0.1);
+    const next = stepper.advanceClock(clock, FRAME_SECONDS);
+    expect(next.steps).toBeGreaterThanOrEqual(120);
+    expect(next.steps).toBeLessThan(120 + 8);
+    expect(clock.time - stepper.accumulator * 20).toBeCloseTo((first.steps + next.steps) * FRAME_SECONDS * 20, 9);
+  });
+
+  it('stops ticking at the scrub target or while a rewind is pending', () => {
+    const clock = new SimulationClock(new BlackHole(), { timeScale: 20 });
+    const stepper = new FixedTimestep();
+    stepper.measure(1, 0.001);
+
+    clock.scrub(2);
+    expect(stepper.advanceClock(clock, FRAME_SECONDS).steps).toBe(6);
+    expect(clock.scrubbing).toBe(false);
+
+    clock.scrub(1);
+    expect(stepper.advanceClock(clock, FRAME_SECONDS)).toEqual({ delta: 0, steps: 0 });
+  });
+});
@@ -1,4 +1,8 @@
 import * as THREE from 'three';
+import BlackHole from './BlackHole';
+import { FRAME_SECONDS } from './SimulationClock';
+import Random from './Random';
+import { packParticles, unpackParticles } from './Snapshot';
 
 /**
  * HawkingRadiation - Quantum effects near black hole event horizon
@@ -14,10 +18,10 @@ import * as THREE from 'three';
  * Note: For visualization, we amplify this effect dramatically!
  */
 export class HawkingRadiation {
-  constructor(scene, blackHoleMass, eventHorizonRadius, params = {}) {
+  constructor(scene, blackHole = new BlackHole(), params = {}) {
     this.scene = scene;
-    this.blackHoleMass = blackHoleMass;
-    this.eventHorizonRadius = eventHorizonRadius;
+    this.blackHole = blackHole;
+    this.random = params.random || new Random(); // Pair creation draws
 
     // Quantum effect parameters
     this.intensity = params.intensity || 0.5;
@@ -34,6 +38,20 @@ export class HawkingRadiation {
     this.createQuantumParticles();
   }
 
+  /**
+   * Black hole mass in solar masses
+   */
+  get blackHoleMass() {
+    return this.blackHole.mass;
+  }
+
+  /**
+   * Pairs are created just outside r_+
+   */
+  get eventHorizonRadius() {
+    return this.blackHole.horizonRadius;
+  }
+
   /**
    * Create quantum particle system near event horizon
    */
@@ -78,14 +96,14 @@ export class HawkingRadiation {
     // Initialize particles near event horizon (slightly outside)
     // Hawking radiation occurs at the horizon surface
     for (let i = 0; i < this.particleCount; i++) {
-      const theta = Math.random() * Math.PI * 2;
-      const phi = Math.acos(2 * Math.random() - 1);
+      const theta = this.random.next() * Math.PI * 2;
+      const phi = Math.acos(2 * this.random.next() - 1);
 
       // Particles appear just outside event horizon
-      const distance = this.eventHorizonRadius * (1.0 + Math.random() * 0.3);
+      const distance = this.eventHorizonRadius * (1.0 + this.random.next() * 0.3);
 
       // Particle or antiparticle
-      const isParticle = Math.random() > 0.5;
+      const isParticle = this.random.next() > 0.5;
 
       // Particles escape outward, antiparticles fall inward
       const radialVelocity = isParticle ? 0.05 : -0.05;
@@ -101,8 +119,8 @@ export class HawkingRadiation {
           Math.sin(phi) * Math.sin(theta) * radialVelocity,
           Math.cos(phi) * radialVelocity
         ),
-        age: Math.random() * 100,
-        maxAge: 100 + Math.random() * 50,
+        age: this.random.next() * 100,
+        maxAge: 100 + this.random.next() * 50,
         type: isParticle ? 'particle' : 'antiparticle',
         color: isParticle ?
           new THREE.Color(0.3, 1.0, 0.3) :  // Green for escaping particles
@@ -114,9 +132,10 @@ export class HawkingRadiation {
   }
 
   /**
-   * Update quantum particle positions and states
+   * Update quantum particle positions and states over `frames` nominal 60 fps frames
+   * (0 just redraws them)
    */
-  updateParticles() {
+  updateParticles(frames = 1) {
     if (!this.particleInstance || !this.enabled) {
       if (this.particleInstance) this.particleInstance.visible = false;
       return;
@@ -125,28 +144,29 @@ export class HawkingRadiation {
     this.particleInstance.visible = true;
     const matrix = new THREE.Matrix4();
     const color = new THREE.Color();
+    const jitterScale = 0.08 * Math.sqrt(frames); // Random walk
 
     for (let i = 0; i < this.particleData.length; i++) {
       const particle = this.particleData[i];
 
       // Quantum uncertainty - jittery motion
       const jitter = new THREE.Vector3(
-        (Math.random() - 0.5) * 0.08,
-        (Math.random() - 0.5) * 0.08,
-        (Math.random() - 0.5) * 0.08
+        (this.random.next() - 0.5) * jitterScale,
+        (this.random.next() - 0.5) * jitterScale,
+        (this.random.next() - 0.5) * jitterScale
       );
 
       // Update position with velocity and quantum uncertainty
-      particle.position.add(particle.velocity.clone().multiplyScalar(this.intensity)).add(jitter);
-      particle.age++;
+      particle.position.add(particle.velocity.clone().multiplyScalar(this.intensity * frames)).add(jitter);
+      particle.age += frames;
 
       // Pair annihilation/creation - reset particle
       if (particle.age > particle.maxAge) {
-        const theta = Math.random() * Math.PI * 2;
-        const phi = Math.acos(2 * Math.random() - 1);
-        const distance = this.eventHorizonRadius * (1.0 + Math.random() * 0.3);
+        const theta = this.random.next() * Math.PI * 2;
+        const phi = Math.acos(2 * this.random.next() - 1);
+        const distance = this.eventHorizonRadius * (1.0 + this.random.next() * 0.3);
 
-        const isParticle = Math.random() > 0.5;
+        const isParticle = this.random.next() > 0.5;
         const radialVelocity = isParticle ? 0.05 : -0.05;
 
         particle.position.set(
@@ -186,10 +206,10 @@ export class HawkingRadiation {
   }
 
   /**
-   * Update quantum effects each frame
+   * Advance the quantum effects by deltaTime seconds of simulation clock
    */
-  update(deltaTime = 0.016) {
-    this.updateParticles();
+  update(deltaTime = FRAME_SECONDS) {
+    this.updateParticles(deltaTime / FRAME_SECONDS);
   }
 
   /**
@@ -204,6 +224,25 @@ export class HawkingRadiation {
     }
   }
 
+  /**
+   * Every pair particle and the random stream, for a snapshot
+   */
+  getState() {
+    return {
+      particles: packParticles(this.particleData),
+      random: this.random.getState()
+    };
+  }
+
+  /**
+   * Restore a state from getState() and draw it without advancing
+   */
+  setState(state) {
+    this.particleData = unpackParticles(state.particles);
+    this.updateParticles(0);
+    this.random.setState(state.random); // After drawing, which still draws (zero) jitter
+  }
+
   /**
    * Get statistics
    */
@@ -0,0 +1,234 @@
+import { lorentzFactor, jetSpeed, apparentSpeed, synchrotronBoost, randomSpectralIndex } from './RelativisticJet';
+import Random from './Random';
+
+/**
+ * JetKnots - Internal-shock model of a variable jet (Rees & Mészáros 1994,
+ * Kobayashi, Piran & Sari 1997). The engine ejects twin shells (jet and
+ * counter-jet) at random intervals with Γ scattered about the mean jet Γ;
+ * a faster shell catching a slower one collides inelastically:
+ *
+ * Γ_m = √[(m₁Γ₁ + m₂Γ₂) / (m₁/Γ₁ + m₂/Γ₂)]
+ * ε = 1 - (m₁ + m₂)Γ_m / (m₁Γ₁ + m₂Γ₂)   (fraction of bulk energy dissipated)
+ *
+ * The dissipated energy lights up the merged knot (a flare decaying over a
+ * cooling time). Positions z are along the jet axis in r_g, times in r_g/c.
+ *
+ * A knot emitting at (t, z) is seen at t_obs = t - z cos θ with sky separation
+ * z sin θ, so the sky map traces β_app = β sin θ / (1 - β cos θ).
+ */
+
+const BASE_BRIGHTNESS = 0.3; // Quiescent knot emissivity relative to a fresh flare
+const FLARE_GAIN = 20; // Flare emissivity per unit dissipated fraction ε
+const COOLING_TIME = 400; // r_g/c, e-folding of a shock flare
+const MAX_SAMPLES = 6000;
+
+export class JetKnots {
+  constructor(params = {}) {
+    this.length = params.length || 3000; // r_g, knots fade out beyond this
+    this.launchRadius = params.launchRadius || 50; // r_g, where shells are injected
+    this.lorentzFactor = params.lorentzFactor || 5; // Mean Γ of the ejecta
+    this.spread = params.spread || 0.8; // Fractional scatter of Γ - 1 between shells
+    this.minInterval = params.minInterval || 30; // r_g/c between ejections
+    this.maxInterval = params.maxInterval || 150;
+    this.sampleInterval = params.sampleInterval || 200; // r_g/c between map epochs
+    this.mapWindow = params.mapWindow || 15000; // r_g/c of observed time kept on the map
+    this.random = params.random || new Random(); // Shell Γ and ejection times
+
+    this.reset();
+  }
+
+  /**
+   * Random shell Lorentz factor around the mean
+   */
+  sampleLorentzFactor() {
+    const excess = (this.lorentzFactor - 1) * (1 + this.spread * (2 * this.random.next() - 1));
+    return 1 + Math.max(excess, 0.001);
+  }
+
+  /**
+   * Eject a shell pair; returns the two new knots
+   */
+  eject() {
+    const gamma = this.sampleLorentzFactor();
+    const spectralIndex = randomSpectralIndex(this.random);
+    const pair = [true, false].map(isUpper => ({
+      id: this.nextId,
+      isUpper,
+      z: this.launchRadius,
+      gamma,
+      beta: jetSpeed(gamma),
+      mass: 1,
+      spectralIndex,
+      flare: 0,
+      collisions: 0,
+      alive: true
+    }));
+    this.nextId++;
+    this.knots.push(...pair);
+    return pair;
+  }
+
+  /**
+   * Inelastic merger of the trailing shell into the leading one
+   */
+  collide(leading, trailing) {
+    const momentum = leading.mass * leading.gamma + trailing.mass * trailing.gamma;
+    const gamma = Math.sqrt(momentum / (leading.mass / leading.gamma + trailing.mass / trailing.gamma));
+    const mass = leading.mass + trailing.mass;
+    const dissipated = 1 - mass * gamma / momentum;
+
+    leading.gamma = gamma;
+    leading.beta = jetSpeed(gamma);
+    leading.mass = mass;
+    leading.flare += dissipated * FLARE_GAIN;
+    leading.collisions++;
+    trailing.alive = false;
+
+    return { id: leading.id, isUpper: leading.isUpper, z: leading.z, gamma, efficiency: dissipated };
+  }
+
+  /**
+   * Advance by dt (r_g/c); returns { ejected, collisions }
+   */
+  update(dt) {
+    this.time += dt;
+    const ejected = [];
+    const collisions = [];
+
+    while (this.time >= this.nextEjection) {
+      ejected.push(...this.eject());
+      this.nextEjection += this.minInterval + this.random.next() * (this.maxInterval - this.minInterval);
+    }
+
+    const cooling = Math.exp(-dt / COOLING_TIME);
+    this.knots.forEach(knot => {
+      knot.z += knot.beta * dt;
+      knot.flare *= cooling;
+      if (knot.z > this.length) knot.alive = false;
+    });
+
+    // Shells in ejection order on each side; a later shell that overtakes merges forward
+    [true, false].forEach(isUpper => {
+      const side = this.knots
+        .filter(knot => knot.alive && knot.isUpper === isUpper)
+        .sort((a, b) => a.id - b.id);
+      for (let i = 1; i < side.length; i++) {
+        const leading = side[i - 1];
+        const trailing = side[i];
+        if (trailing.z >= leading.z) {
+          collisions.push(this.collide(leading, trailing));
+          side[i] = leading;
+        }
+      }
+    });
+
+    this.knots = this.knots.filter(knot => knot.alive);
+
+    if (this.time >= this.nextSample) {
+      this.knots.forEach(knot => {
+        this.samples.push({
+          id: knot.id,
+          isUpper: knot.isUpper,
+          t: this.time,
+          z: knot.z,
+          beta: knot.beta,
+          spectralIndex: knot.spectralIndex,
+          emissivity: this.emissivity(knot)
+        });
+      });
+      this.nextSample = this.time + this.sampleInterval;
+      const oldest = this.time - this.length - this.mapWindow;
+      this.samples = this.samples.filter(sample => sample.t >= oldest).slice(-MAX_SAMPLES);
+    }
+
+    return { ejected, collisions };
+  }
+
+  /**
+   * Rest-frame emissivity of a knot: quiescent glow plus shock flare
+   */
+  emissivity(knot) {
+    return BASE_BRIGHTNESS + knot.flare;
+  }
+
+  /**
+   * Observed brightness at cos θ to the jet axis (θ measured for the upper jet)
+   */
+  observedBrightness(knot, cosTheta) {
+    const cosSide = knot.isUpper ? cosTheta : -cosTheta;
+    return this.emissivity(knot) * synchrotronBoost(knot.beta, cosSide, knot.spectralIndex, true);
+  }
+
+  /**
+   * Sky map for a viewer at cos θ to the upper jet: observed epochs and separations
+   * (counter-jet on the negative side), plus β_app of each live knot
+   */
+  skyMap(cosTheta) {
+    const sinTheta = Math.sqrt(Math.max(0, 1 - cosTheta * cosTheta));
+    const observedNow = this.time - this.length * Math.abs(cosTheta);
+
+    const points = this.samples
+      .map(sample => {
+        const cosSide = sample.isUpper ? cosTheta : -cosTheta;
+        return {
+          id: sample.id,
+          isUpper: sample.isUpper,
+          epoch: sample.t - sample.z * cosSide,
+          separation: sample.z * sinTheta * (sample.isUpper ? 1 : -1),
+          brightness: sample.emissivity * synchrotronBoost(sample.beta, cosSide, sample.spectralIndex, true)
+        };
+      })
+      .filter(point => point.epoch <= observedNow && point.epoch >= observedNow - this.mapWindow);
+
+    const knots = this.knots.map(knot => {
+      const cosSide = knot.isUpper ? cosTheta : -cosTheta;
+      return {
+        id: knot.id,
+        isUpper: knot.isUpper,
+        z: knot.z,
+        gamma: knot.gamma,
+        apparentSpeed: apparentSpeed(knot.beta, cosSide),
+        collisions: knot.collisions,
+        brightness: this.observedBrightness(knot, cosTheta)
+      };
+    });
+
+    return { points, knots, epochStart: observedNow - this.mapWindow, epochEnd: observedNow, maxSeparation: this.length * sinTheta };
+  }
+
+  /**
+   * Set parameters
+   */
+  setParameters(params) {
+    if (params.lorentzFactor !== undefined) this.lorentzFactor = params.lorentzFactor;
+    if (params.speed !== undefined) this.lorentzFactor = lorentzFactor(params.speed);
+    if (params.spread !== undefined) this.spread = params.spread;
+    if (params.random !== undefined) this.random = params.random;
+  }
+
+  /**
+   * Clear all shells and map history
+   */
+  reset() {
+    if (this.knots) this.knots.forEach(knot => { knot.alive = false; });
+    this.time = 0;
+    this.nextEjection = 0;
+    this.nextSample = 0;
+    this.nextId = 1;
+    this.knots = [];
+    this.samples = [];
+  }
+
+  /**
+   * Get statistics
+   */
+  getStats() {
+    return {
+      knotCount: this.knots.length,
+      sampleCount: this.samples.length,
+      time: this.time
+    };
+  }
+}
+
+export default JetKnots;
@@ -0,0 +1,518 @@
+import { shadowBoundary, keplerianRedshift } from './KerrMetric';
+
+/**
+ * KerrGeodesic - Null geodesic integrator for a rotating (Kerr) black hole
+ * Integrates photon paths in Cartesian Kerr-Schild coordinates, which stay
+ * regular across the event horizon, with an adaptive RK45 (Dormand-Prince) stepper.
+ *
+ * Units are geometrized (G = c = 1) with the spin axis along +z.
+ * The state is the 8D phase-space point (t, x, y, z, p_t, p_x, p_y, p_z).
+ *
+ * Hamiltonian form: H = ½ g^μν p_μ p_ν = 0 for photons
+ *   dx^μ/dλ = g^μν p_ν
+ *   dp_μ/dλ = -½ ∂_μ g^αβ p_α p_β
+ *
+ * Kerr-Schild metric: g^μν = η^μν - f l^μ l^ν
+ *   f   = 2Mr³ / (r⁴ + a²z²)
+ *   l_μ = (1, (rx + ay)/(r² + a²), (ry - ax)/(r² + a²), z/r)
+ *
+ * Each ray reports the Boyer-Lindquist constants of motion (E, L_z, Carter Q)
+ * at launch and termination so integration accuracy can be checked.
+ *
+ * No three.js or DOM dependencies: this runs headless in node or a worker.
+ */
+
+// Dormand-Prince 5(4) tableau
+const A21 = 1 / 5;
+const A31 = 3 / 40, A32 = 9 / 40;
+const A41 = 44 / 45, A42 = -56 / 15, A43 = 32 / 9;
+const A51 = 19372 / 6561, A52 = -25360 / 2187, A53 = 64448 / 6561, A54 = -212 / 729;
+const A61 = 9017 / 3168, A62 = -355 / 33, A63 = 46732 / 5247, A64 = 49 / 176, A65 = -5103 / 18656;
+const B1 = 35 / 384, B3 = 500 / 1113, B4 = 125 / 192, B5 = -2187 / 6784, B6 = 11 / 84;
+const E1 = 71 / 57600, E3 = -71 / 16695, E4 = 71 / 1920, E5 = -17253 / 339200, E6 = 22 / 525, E7 = -1 / 40;
+
+export class KerrGeodesic {
+  constructor(params = {}) {
+    this.mass = params.mass || 1; // M (geometrized length)
+    this.spin = params.spin || 0; // a/M, dimensionless (-1 < a < 1)
+
+    // Integration controls
+    this.tolerance = params.tolerance || 1e-10; // Relative + absolute error per step
+    this.maxSteps = params.maxSteps || 20000;
+    this.maxStepFactor = params.maxStepFactor || 0.1; // Step ≤ factor × r
+    this.celestialRadius = params.celestialRadius || 1000 * this.mass;
+    this.horizonEpsilon = params.horizonEpsilon || 1e-3; // Stop at r_+ (1 + ε)
+
+    // Scratch buffers (reused between steps to avoid allocations)
+    this.k = Array.from({ length: 7 }, () => new Float64Array(8));
+    this.tmp = new Float64Array(8);
+    this.next = new Float64Array(8);
+  }
+
+  /**
+   * Kerr rotation parameter a = J/M in length units
+   */
+  get a() {
+    return this.spin * this.mass;
+  }
+
+  /**
+   * Outer event horizon r_+ = M + √(M² - a²)
+   */
+  get horizonRadius() {
+    const M = this.mass;
+    const a = this.a;
+    return M + Math.sqrt(Math.max(0, M * M - a * a));
+  }
+
+  /**
+   * Update black hole parameters
+   */
+  setParameters(params) {
+    if (params.mass !== undefined) this.mass = params.mass;
+    if (params.spin !== undefined) this.spin = params.spin;
+    if (params.tolerance !== undefined) this.tolerance = params.tolerance;
+    if (params.maxSteps !== undefined) this.maxSteps = params.maxSteps;
+    if (params.celestialRadius !== undefined) this.celestialRadius = params.celestialRadius;
+  }
+
+  /**
+   * Kerr-Schild radial coordinate from Cartesian position
+   * (x² + y²)/(r² + a²) + z²/r² = 1
+   */
+  radius(x, y, z) {
+    const a2 = this.a * this.a;
+    const w = x * x + y * y + z * z - a2;
+    const r2 = 0.5 * (w + Math.sqrt(w * w + 4 * a2 * z * z));
+    return Math.sqrt(Math.max(r2, 0));
+  }
+
+  /**
+   * Hamilton's equations dy/dλ for the 8D state y = (x^μ, p_μ)
+   */
+  derivatives(y, out) {
+    const M = this.mass;
+    const a = this.a;
+    const a2 = a * a;
+    const x = y[1], yy = y[2], z = y[3];
+    const pt = y[4], px = y[5], py = y[6], pz = y[7];
+
+    const r = this.radius(x, yy, z);
+    const r2 = r * r;
+    const R2 = x * x + yy * yy + z * z;
+    const Q = r2 + a2;
+    const N = r2 * r2 + a2 * z * z;
+
+    // Metric functions
+    const f = 2 * M * r2 * r / N;
+    const lx = (r * x + a * yy) / Q;
+    const ly = (r * yy - a * x) / Q;
+    const lz = z / r;
+
+    // s = l^μ p_μ with l^t = -1
+    const s = -pt + lx * px + ly * py + lz * pz;
+
+    // Positions: dx^μ/dλ = η^μν p_ν - f l^μ s
+    out[0] = -pt + f * s;
+    out[1] = px - f * lx * s;
+    out[2] = py - f * ly * s;
+    out[3] = pz - f * lz * s;
+
+    // ∂r/∂x^j = (x_j r² + a² z δ_jz) / (r (2r² - R² + a²))
+    const denom = r * (2 * r2 - R2 + a2);
+    const rx = x * r2 / denom;
+    const ry = yy * r2 / denom;
+    const rz = (z * r2 + a2 * z) / denom;
+
+    // Momenta: dp_j/dλ = ½ s² ∂_j f + f s ∂_j s
+    const N2 = N * N;
+    const fr = 2 * M * (3 * r2 * N - r2 * r * 4 * r2 * r) / N2; // ∂f/∂r at fixed z
+    const fz = -2 * M * r2 * r * 2 * a2 * z / N2; // explicit ∂f/∂z
+
+    const Q2 = Q * Q;
+    const gradS = (j, rj) => {
+      const dx = j === 0 ? 1 : 0;
+      const dy = j === 1 ? 1 : 0;
+      const dz = j === 2 ? 1 : 0;
+      const dlx = ((rj * x + r * dx + a * dy) * Q - (r * x + a * yy) * 2 * r * rj) / Q2;
+      const dly = ((rj * yy + r * dy - a * dx) * Q - (r * yy - a * x) * 2 * r * rj) / Q2;
+      const dlz = (dz * r - z * rj) / r2;
+      return dlx * px + dly * py + dlz * pz;
+    };
+
+    const half = 0.5 * s * s;
+    out[4] = 0; // Stationary: E = -p_t conserved
+    out[5] = half * fr * rx + f * s * gradS(0, rx);
+    out[6] = half * fr * ry + f * s * gradS(1, ry);
+    out[7] = half * (fr * rz + fz) + f * s * gradS(2, rz);
+
+    return out;
+  }
+
+  /**
+   * Hamiltonian H = ½ g^μν p_μ p_ν (zero along an exact null geodesic)
+   */
+  hamiltonian(y) {
+    const { f, lx, ly, lz } = this.metricFunctions(y[1], y[2], y[3]);
+    const pt = y[4], px = y[5], py = y[6], pz = y[7];
+    const s = -pt + lx * px + ly * py + lz * pz;
+    return 0.5 * (-pt * pt + px * px + py * py + pz * pz - f * s * s);
+  }
+
+  /**
+   * Kerr-Schild scalar f and null covector l_i at a position
+   */
+  metricFunctions(x, y, z) {
+    const M = this.mass;
+    const a = this.a;
+    const r = this.radius(x, y, z);
+    const Q = r * r + a * a;
+    return {
+      r,
+      f: 2 * M * r * r * r / (r * r * r * r + a * a * z * z),
+      lx: (r * x + a * y) / Q,
+      ly: (r * y - a * x) / Q,
+      lz: z / r
+    };
+  }
+
+  /**
+   * Build a future-directed null covector p_μ at a position
+   * Spatial components follow the given direction; p_t solves H = 0.
+   * Normalized so the photon energy E = -p_t = 1.
+   */
+  nullMomentum(position, direction) {
+    const [x, y, z] = position;
+    const len = Math.hypot(direction[0], direction[1], direction[2]) || 1;
+    const px = direction[0] / len;
+    const py = direction[1] / len;
+    const pz = direction[2] / len;
+
+    const { f, lx, ly, lz } = this.metricFunctions(x, y, z);
+    const lp = lx * px + ly * py + lz * pz;
+
+    // g^tt p_t² + 2 g^ti p_i p_t + g^ij p_i p_j = 0
+    const A = -1 - f;
+    const B = f * lp;
+    const C = px * px + py * py + pz * pz - f * lp * lp;
+    const disc = Math.sqrt(Math.max(0, B * B - A * C));
+    const pt = (-B + disc) / A; // More negative root: dt/dλ > 0
+
+    const E = -pt;
+    return [pt / E, px / E, py / E, pz / E];
+  }
+
+  /**
+   * Boyer-Lindquist constants of motion for a photon
+   * E = -p_t, L_z = x p_y - y p_x
+   * Q = p_θ² + cos²θ (L_z²/sin²θ - a²E²)
+   */
+  constantsOfMotion(y) {
+    const a = this.a;
+    const x = y[1], yy = y[2], z = y[3];
+    const px = y[5], py = y[6], pz = y[7];
+    const r = this.radius(x, yy, z);
+
+    const E = -y[4];
+    const Lz = x * py - yy * px;
+
+    const cosTheta = Math.max(-1, Math.min(1, z / r));
+    const sin2 = Math.max(1 - cosTheta * cosTheta, 1e-300);
+    const sinTheta = Math.sqrt(sin2);
+
+    // ∂x/∂θ = x cotθ, ∂y/∂θ = y cotθ, ∂z/∂θ = -r sinθ (at fixed r, φ)
+    const pTheta = (cosTheta / sinTheta) * (x * px + yy * py) - r * sinTheta * pz;
+    const Q = pTheta * pTheta + cosTheta * cosTheta * (Lz * Lz / sin2 - a * a * E * E);
+
+    return { E, Lz, Q };
+  }
+
+  /**
+   * One Dormand-Prince step of size h; writes the 5th-order result to this.next
+   * and returns the scaled error norm (≤ 1 means the step is accepted)
+   */
+  step(y, h, k1) {
+    const [, k2, k3, k4, k5, k6, k7] = this.k;
+    const tmp = this.tmp;
+    const next = this.next;
+
+    for (let i = 0; i < 8; i++) tmp[i] = y[i] + h * A21 * k1[i];
+    this.derivatives(tmp, k2);
+    for (let i = 0; i < 8; i++) tmp[i] = y[i] + h * (A31 * k1[i] + A32 * k2[i]);
+    this.derivatives(tmp, k3);
+    for (let i = 0; i < 8; i++) tmp[i] = y[i] + h * (A41 * k1[i] + A42 * k2[i] + A43 * k3[i]);
+    this.derivatives(tmp, k4);
+    for (let i = 0; i < 8; i++) tmp[i] = y[i] + h * (A51 * k1[i] + A52 * k2[i] + A53 * k3[i] + A54 * k4[i]);
+    this.derivatives(tmp, k5);
+    for (let i = 0; i < 8; i++) tmp[i] = y[i] + h * (A61 * k1[i] + A62 * k2[i] + A63 * k3[i] + A64 * k4[i] + A65 * k5[i]);
+    this.derivatives(tmp, k6);
+    for (let i = 0; i < 8; i++) next[i] = y[i] + h * (B1 * k1[i] + B3 * k3[i] + B4 * k4[i] + B5 * k5[i] + B6 * k6[i]);
+    this.derivatives(next, k7);
+
+    let errNorm = 0;
+    for (let i = 0; i < 8; i++) {
+      const err = h * (E1 * k1[i] + E3 * k3[i] + E4 * k4[i] + E5 * k5[i] + E6 * k6[i] + E7 * k7[i]);
+      const scale = this.tolerance * (1 + Math.max(Math.abs(y[i]), Math.abs(next[i])));
+      errNorm = Math.max(errNorm, Math.abs(err) / scale);
+    }
+    return errNorm;
+  }
+
+  /**
+   * Trace a photon from a position along a spatial direction
+   * Options:
+   *   recordPath - keep every accepted position (for drawing)
+   *   backward   - integrate into the past (camera ray tracing)
+   *   disk       - { innerRadius, outerRadius } thin equatorial disk that stops the ray
+   * Returns termination ('horizon' | 'escaped' | 'disk' | 'max-steps'), final state,
+   * constants of motion at both ends and their relative drift, the number of
+   * equator crossings and the azimuth swept (windings = |Δφ| / 2π).
+   */
+  traceRay(position, direction, options = {}) {
+    const sign = options.backward ? -1 : 1;
+
+    // Backward: the physical photon arrives travelling against the look direction,
+    // so launch it with reversed momentum and step λ into the past
+    const travel = options.backward
+      ? [-direction[0], -direction[1], -direction[2]]
+      : direction;
+    const p = this.nullMomentum(position, travel);
+    const y = new Float64Array([0, position[0], position[1], position[2], p[0], p[1], p[2], p[3]]);
+    return this.integrate(y, { ...options, sign });
+  }
+
+  /**
+   * Integrate an initial phase-space state until a termination condition
+   */
+  integrate(initialState, options = {}) {
+    const sign = options.sign || 1;
+    const y = Float64Array.from(initialState);
+    const k1 = this.k[0];
+    const k7 = this.k[6];
+    const rHorizon = this.horizonRadius * (1 + this.horizonEpsilon);
+    const path = options.recordPath ? [[y[1], y[2], y[3]]] : null;
+    const disk = options.disk || null;
+
+    const initial = this.constantsOfMotion(y);
+    const initialH = this.hamiltonian(y);
+
+    let r = this.radius(y[1], y[2], y[3]);
+    let h = sign * Math.min(0.01 * r, 0.1 * this.mass);
+    let steps = 0;
+    let rejected = 0;
+    let termination = 'max-steps';
+    let equatorCrossings = 0;
+    let sweptAzimuth = 0;
+    let diskHit = null;
+
+    this.derivatives(y, k1);
+
+    while (steps < this.maxSteps) {
+      // Cap the step relative to radius so strong-field regions stay resolved
+      const hMax = this.maxStepFactor * Math.max(r, this.mass);
+      if (Math.abs(h) > hMax) h = sign * hMax;
+
+      const errNorm = this.step(y, h, k1);
+
+      if (errNorm <= 1 || Math.abs(h) < 1e-12 * this.mass) {
+        const [x0, y0, z0] = [y[1], y[2], y[3]];
+        y.set(this.next);
+        k1.set(k7); // First-same-as-last
+        steps++;
+
+        r = this.radius(y[1], y[2], y[3]);
+        if (path) path.push([y[1], y[2], y[3]]);
+
+        let dPhi = Math.atan2(y[2], y[1]) - Math.atan2(y0, x0);
+        if (dPhi > Math.PI) dPhi -= 2 * Math.PI;
+        if (dPhi < -Math.PI) dPhi += 2 * Math.PI;
+        sweptAzimuth += dPhi;
+
+        // Equator crossing: interpolate to z = 0 and test against the disk annulus
+        if ((z0 > 0) !== (y[3] > 0)) {
+          equatorCrossings++;
+          const t = z0 / (z0 - y[3]);
+          const cx = x0 + (y[1] - x0) * t;
+          const cy = y0 + (y[2] - y0) * t;
+          const crossingRadius = this.radius(cx, cy, 0);
+          if (disk && crossingRadius >= disk.innerRadius && crossingRadius <= disk.outerRadius) {
+            diskHit = { radius: crossingRadius, phi: Math.atan2(cy, cx), position: [cx, cy, 0] };
+            if (path) path[path.length - 1] = diskHit.position;
+            termination = 'disk';
+            break;
+          }
+        }
+
+        if (r <= rHorizon) {
+          termination = 'horizon';
+          break;
+        }
+        const radialVelocity = (y[1] * k1[1] + y[2] * k1[2] + y[3] * k1[3]) * sign;
+        if (r >= this.celestialRadius && radialVelocity > 0) {
+          termination = 'escaped';
+          break;
+        }
+      } else {
+        rejected++;
+      }
+
+      // Standard step-size controller
+      const factor = errNorm > 0 ? 0.9 * Math.pow(errNorm, -0.2) : 5;
+      h *= Math.min(5, Math.max(0.2, factor));
+    }
+
+    const final = this.constantsOfMotion(y);
+    const M = this.mass;
+    const E0 = Math.abs(initial.E) || 1;
+
+    return {
+      termination,
+      steps,
+      rejected,
+      state: y,
+      position: [y[1], y[2], y[3]],
+      direction: this.escapeDirection(y, sign),
+      radius: r,
+      path,
+      diskHit,
+      equatorCrossings,
+      windings: Math.abs(sweptAzimuth) / (2 * Math.PI),
+      constants: { initial, final },
+      drift: {
+        E: Math.abs(final.E - initial.E) / E0,
+        Lz: Math.abs(final.Lz - initial.Lz) / Math.max(Math.abs(initial.Lz), E0 * M),
+        Q: Math.abs(final.Q - initial.Q) / Math.max(Math.abs(initial.Q), E0 * E0 * M * M),
+        hamiltonian: Math.abs(this.hamiltonian(y) - initialH) / (E0 * E0)
+      }
+    };
+  }
+
+  /**
+   * Unit spatial direction of travel at the end of a ray
+   * (asymptotic sky direction for escaped photons)
+   */
+  escapeDirection(y, sign = 1) {
+    const d = this.derivatives(y, this.tmp);
+    const len = Math.hypot(d[1], d[2], d[3]) || 1;
+    return [sign * d[1] / len, sign * d[2] / len, sign * d[3] / len];
+  }
+}
+
+/**
+ * Check the analytic Bardeen shadow against traced rays (M = 1)
+ * For points on the curve, rays traced back from a distant observer at impact
+ * parameters scaled by (1 - margin) must end on the horizon and by (1 + margin) escape.
+ * α runs along (spin axis × line of sight), β along the projected spin axis.
+ */
+export function validateShadow(spin, inclination, points = 12, margin = 0.03) {
+  const tracer = new KerrGeodesic({ spin, tolerance: 1e-8 });
+  const curve = shadowBoundary(spin, inclination, 90);
+  const i = Math.min(Math.PI - 1e-3, Math.max(1e-3, inclination));
+  const distance = 500;
+
+  const toObserver = [Math.sin(i), 0, Math.cos(i)];
+  const alphaAxis = [0, 1, 0];
+  const betaAxis = [-Math.cos(i), 0, Math.sin(i)];
+  const lookDirection = toObserver.map(c => -c);
+
+  const center = curve.reduce((sum, p) => ({
+    alpha: sum.alpha + p.alpha / curve.length,
+    beta: sum.beta + p.beta / curve.length
+  }), { alpha: 0, beta: 0 });
+
+  const fallsIn = (alpha, beta) => {
+    const position = [0, 1, 2].map(k =>
+      distance * toObserver[k] + alpha * alphaAxis[k] + beta * betaAxis[k]);
+    return tracer.traceRay(position, lookDirection, { backward: true }).termination === 'horizon';
+  };
+
+  let agreed = 0;
+  for (let k = 0; k < points; k++) {
+    const p = curve[Math.floor(k * curve.length / points)];
+    const dAlpha = p.alpha - center.alpha;
+    const dBeta = p.beta - center.beta;
+    const inside = fallsIn(center.alpha + dAlpha * (1 - margin), center.beta + dBeta * (1 - margin));
+    const outside = fallsIn(center.alpha + dAlpha * (1 + margin), center.beta + dBeta * (1 + margin));
+    if (inside && !outside) agreed++;
+  }
+
+  return { spin, inclination, points, agreed, margin };
+}
+
+/**
+ * Check that traced rays keep their constants of motion (M = 1)
+ * Rays are traced back from a distant observer at impact parameters spread from the
+ * shadow centre out to well beyond its edge, so some end on the horizon and some
+ * escape after passing close to the photon orbits. Reports the worst relative drift
+ * of E, L_z and Q over all rays and how many ended each way, at the default tolerance.
+ */
+export function validateConservation(spin, inclination, rays = 8) {
+  const tracer = new KerrGeodesic({ spin });
+  const i = Math.min(Math.PI - 1e-3, Math.max(1e-3, inclination));
+  const distance = 500;
+
+  const toObserver = [Math.sin(i), 0, Math.cos(i)];
+  const alphaAxis = [0, 1, 0];
+  const betaAxis = [-Math.cos(i), 0, Math.sin(i)];
+  const lookDirection = toObserver.map(c => -c);
+
+  const maxDrift = { E: 0, Lz: 0, Q: 0 };
+  const terminations = {};
+  for (let k = 0; k < rays; k++) {
+    // Impact parameters 1 to 10 M, turning around the line of sight
+    const b = 1 + 9 * k / Math.max(1, rays - 1);
+    const angle = 2 * Math.PI * k / rays;
+    const alpha = b * Math.cos(angle);
+    const beta = b * Math.sin(angle);
+    const position = [0, 1, 2].map(n =>
+      distance * toObserver[n] + alpha * alphaAxis[n] + beta * betaAxis[n]);
+
+    const result = tracer.traceRay(position, lookDirection, { backward: true });
+    terminations[result.termination] = (terminations[result.termination] || 0) + 1;
+    maxDrift.E = Math.max(maxDrift.E, result.drift.E);
+    maxDrift.Lz = Math.max(maxDrift.Lz, result.drift.Lz);
+    maxDrift.Q = Math.max(maxDrift.Q, result.drift.Q);
+  }
+
+  return { spin, inclination, rays, maxDrift, terminations };
+}
+
+/**
+ * Trace the photon arriving at a camera pixel back through the metric (M = 1)
+ * Ends on the disk, the horizon or the sky. The redshift g = E_obs / E_emit is
+ * measured by the zero-angular-momentum observer at the camera, E_obs = (E - ωL_z) / α,
+ * who exists everywhere outside the horizon (static observers do not inside the
+ * ergosphere), with disk gas on Keplerian orbits and sky sources at rest at infinity.
+ * The redshift is null for a camera inside the horizon.
+ */
+export function backTracePhoton(spin, position, lookDirection, disk = null) {
+  const cameraRadius = Math.hypot(position[0], position[1], position[2]);
+  const tracer = new KerrGeodesic({
+    spin,
+    tolerance: 1e-9,
+    celestialRadius: Math.max(1000, 2 * cameraRadius)
+  });
+  const result = tracer.traceRay(position, lookDirection, { backward: true, recordPath: true, disk });
+  const { E, Lz, Q } = result.constants.initial;
+
+  const r = tracer.radius(position[0], position[1], position[2]);
+  const a = tracer.a;
+  const cosTheta = position[2] / r;
+  const sigma = r * r + a * a * cosTheta * cosTheta;
+  const delta = r * r - 2 * r + a * a;
+  const A = (r * r + a * a) ** 2 - a * a * delta * (1 - cosTheta * cosTheta);
+  const lapse = Math.sqrt(Math.max(0, sigma * delta / A));
+  const omega = 2 * a * r / A;
+  const observerBoost = delta > 0 ? (1 - omega * Lz / E) / lapse : null;
+
+  let redshift = null;
+  if (observerBoost !== null && result.termination === 'disk') {
+    redshift = keplerianRedshift(result.diskHit.radius, spin, Lz / E) * observerBoost;
+  } else if (observerBoost !== null && result.termination === 'escaped') {
+    redshift = observerBoost;
+  }
+
+  return { ...result, E, Lz, Q, redshift };
+}
+
+export default KerrGeodesic;
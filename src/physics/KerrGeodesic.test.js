@@ -0,0 +1,28 @@
+import { describe, expect, it } from 'vitest';
+import { validateConservation, validateShadow } from './KerrGeodesic';
+
+// Horizon-bound rays drift most: the Boyer-Lindquist constants are read back from
+// Kerr-Schild coordinates, which grows ill-conditioned next to r_+
+const MAX_DRIFT = 1e-5;
+
+describe('KerrGeodesic', () => {
+  it.each([
+    [0, 1.2],
+    [0.7, 1.4],
+    [0.998, 0.3],
+    [-0.9, 1.5]
+  ])('conserves E, L_z and Q (a = %s, i = %s)', (spin, inclination) => {
+    const { maxDrift, terminations } = validateConservation(spin, inclination);
+
+    expect(terminations.horizon).toBeGreaterThan(0);
+    expect(terminations.escaped).toBeGreaterThan(0);
+    expect(maxDrift.E).toBeLessThan(MAX_DRIFT);
+    expect(maxDrift.Lz).toBeLessThan(MAX_DRIFT);
+    expect(maxDrift.Q).toBeLessThan(MAX_DRIFT);
+  });
+
+  it('matches the analytic shadow', () => {
+    const { points, agreed } = validateShadow(0.9, Math.PI / 3, 8);
+    expect(agreed).toBe(points);
+  });
+});
@@ -0,0 +1,461 @@
+/**
+ * KerrMetric - Closed-form radii and efficiencies of the Kerr spacetime
+ * Geometrized units (G = c = 1); radii are returned in units of M unless a mass is given.
+ *
+ * Spin is the dimensionless a/M ∈ [-0.998, 0.998] (Thorne limit). A negative spin
+ * means the hole rotates against the disk, i.e. the disk orbits are retrograde.
+ */
+
+export const MAX_SPIN = 0.998;
+
+/**
+ * Clamp spin to the Thorne limit
+ */
+export function clampSpin(a) {
+  return Math.max(-MAX_SPIN, Math.min(MAX_SPIN, a));
+}
+
+/**
+ * Outer event horizon (Kerr–Newman, q = Q/M)
+ * r_+ = M + √(M² - a² - Q²)
+ */
+export function horizonRadius(a, M = 1, q = 0) {
+  const spin = clampSpin(a);
+  return M * (1 + Math.sqrt(Math.max(0, 1 - spin * spin - q * q)));
+}
+
+/**
+ * Outer boundary of the ergosphere (static limit) at polar angle θ
+ * r_ergo(θ) = M + √(M² - a² cos²θ - Q²)
+ * Touches the horizon at the poles, 2M at the equator for Q = 0
+ */
+export function ergosphereRadius(a, theta, M = 1, q = 0) {
+  const spin = clampSpin(a);
+  const cosTheta = Math.cos(theta);
+  return M * (1 + Math.sqrt(Math.max(0, 1 - spin * spin * cosTheta * cosTheta - q * q)));
+}
+
+/**
+ * Frame-dragging angular velocity of zero-angular-momentum observers (Boyer–Lindquist)
+ * ω = -g_tφ / g_φφ = 2Mar / [(r² + a²)² - a²Δ sin²θ],  Δ = r² - 2Mr + a²
+ * In units of 1/M (c³/GM); r in units of M, θ from the spin axis. Equals Ω_H on the horizon.
+ */
+export function frameDraggingRate(r, theta, a) {
+  const spin = clampSpin(a);
+  const delta = r * r - 2 * r + spin * spin;
+  const sinTheta = Math.sin(theta);
+  const A = (r * r + spin * spin) ** 2 - spin * spin * delta * sinTheta * sinTheta;
+  return 2 * spin * r / A;
+}
+
+/**
+ * Angular velocity of the horizon
+ * Ω_H = a / (r_+² + a²) = a / 2Mr_+  (Q = 0), in units of 1/M (c³/GM)
+ * 0 for a = 0, 1/2 as a → 1
+ */
+export function horizonAngularVelocity(a, q = 0) {
+  const spin = clampSpin(a);
+  const rPlus = horizonRadius(spin, 1, q);
+  return spin / (rPlus * rPlus + spin * spin);
+}
+
+/**
+ * Embedding of the equatorial slice (t = const, θ = π/2) as a surface of revolution in
+ * flat 3-space (Flamm's paraboloid for a = 0, z = √(8M(r - 2M))). The slice metric
+ * dl² = (r²/Δ) dr² + R² dφ² has circumferential radius R = √(r² + a² + 2Ma²/r), so
+ * (dz/dr)² = r²/Δ - (dR/dr)²
+ * Integrated outward from r_+ with r = r_+ + u², which removes the 1/√Δ singularity.
+ * Returns samples { r, R, z } in units of M, z = 0 on the horizon.
+ */
+export function equatorialEmbedding(a, rMax, samples = 160) {
+  const spin = clampSpin(a);
+  const a2 = spin * spin;
+  const rPlus = horizonRadius(spin);
+  const uMax = Math.sqrt(Math.max(rMax - rPlus, 0));
+  const circumferential = (r) => Math.sqrt(r * r + a2 + 2 * a2 / r);
+  const slope = (u) => {
+    const r = rPlus + u * u;
+    const dRdr = (r - a2 / (r * r)) / circumferential(r);
+    const grr = r * r / (r * r - 2 * r + a2);
+    return 2 * u * Math.sqrt(Math.max(0, grr - dRdr * dRdr));
+  };
+
+  const points = [{ r: rPlus, R: circumferential(rPlus), z: 0 }];
+  const du = uMax / (samples - 1);
+  let z = 0;
+  for (let i = 1; i < samples; i++) {
+    z += slope((i - 0.5) * du) * du; // Midpoint rule stays off the u = 0 endpoint
+    const r = rPlus + (i * du) ** 2;
+    points.push({ r, R: circumferential(r), z });
+  }
+  return points;
+}
+
+/**
+ * Inner (Cauchy) horizon (Kerr–Newman, q = Q/M)
+ * r_- = M - √(M² - a² - Q²), 0 for a = Q = 0
+ */
+export function innerHorizonRadius(a, M = 1, q = 0) {
+  const spin = clampSpin(a);
+  return M * (1 - Math.sqrt(Math.max(0, 1 - spin * spin - q * q)));
+}
+
+/**
+ * Surface gravity of the outer horizon
+ * κ = (r_+ - r_-) / 2(r_+² + a²), in units of 1/M; 1/4M for a = 0, → 0 as a → 1
+ */
+export function surfaceGravity(a, q = 0) {
+  const spin = clampSpin(a);
+  const rPlus = horizonRadius(spin, 1, q);
+  const rMinus = innerHorizonRadius(spin, 1, q);
+  return (rPlus - rMinus) / (2 * (rPlus * rPlus + spin * spin));
+}
+
+/**
+ * Tortoise coordinate of the radial (t, r) plane, dr*∕dr = (r² + a²) / Δ (Q = 0):
+ * r* = r + 2Mr_+/(r_+ - r_-) ln|r/r_+ - 1| - 2Mr_-/(r_+ - r_-) ln|r/r_- - 1|
+ * → -∞ at r_+; → +∞ at r_- (Flamm's r + 2M ln|r/2M - 1| for a = 0)
+ */
+export function tortoiseCoordinate(r, a) {
+  const spin = clampSpin(a);
+  const rPlus = horizonRadius(spin);
+  const rMinus = innerHorizonRadius(spin);
+  let rStar = r + 2 * rPlus / (rPlus - rMinus) * Math.log(Math.abs(r / rPlus - 1));
+  if (rMinus > 0) rStar -= 2 * rMinus / (rPlus - rMinus) * Math.log(Math.abs(r / rMinus - 1));
+  return rStar;
+}
+
+/**
+ * Penrose (compactified Kruskal) coordinates of an event (r, v) on the radial plane,
+ * v = t + r* the ingoing Eddington–Finkelstein time, both in units of M:
+ *
+ * V = e^{κv},  UV = -sign(r - r_+) e^{2κr*}
+ * T = (arctan V + arctan U) / π,  X = (arctan V - arctan U) / π
+ *
+ * Regular across r_+ (U = 0). The exterior (region I) is the diamond X ∈ [0, 1]
+ * with i⁰ at (1, 0). The black-hole interior (region II) above it is the triangle
+ * capped at T = 1/2 by r = 0 for a = 0, and for a ≠ 0 the diamond closed by the
+ * Cauchy horizon r_- (U → ∞), beyond which the maximally extended Kerr diagram
+ * repeats; radii at or below r_- are placed on it.
+ *
+ * Only κ = surface gravity makes (U, V) analytic at r_+; any other κ rescales U and
+ * V monotonically, giving the same causal diagram with a gentler conformal factor.
+ */
+export function penroseCoordinates(r, v, a, kappa = surfaceGravity(a)) {
+  const spin = clampSpin(a);
+  const rPlus = horizonRadius(spin);
+  const rMinus = innerHorizonRadius(spin);
+  const V = Math.exp(kappa * v);
+  let U = Infinity; // On the Cauchy horizon
+  if (r > rMinus || rMinus === 0) {
+    const radius = Math.max(r, 1e-9);
+    U = (radius < rPlus ? 1 : -1) * Math.exp(2 * kappa * tortoiseCoordinate(radius, spin)) / V;
+  }
+  return {
+    T: (Math.atan(V) + Math.atan(U)) / Math.PI,
+    X: (Math.atan(V) - Math.atan(U)) / Math.PI
+  };
+}
+
+/**
+ * Radial free fall from rest at r₀ (on the spin axis, exact for a = 0), per unit
+ * ingoing time v:
+ * E² = Δ₀ / (r₀² + a²),  R = √(E² - Δ / (r² + a²)),  dr/dv = -R (E + R)
+ * Finite through r_+, since dv/dτ = 1 / (E + R).
+ */
+export function radialInfallRate(r, a, r0) {
+  const spin = clampSpin(a);
+  const a2 = spin * spin;
+  const E2 = (r0 * r0 - 2 * r0 + a2) / (r0 * r0 + a2);
+  const R = Math.sqrt(Math.max(0, E2 - (r * r - 2 * r + a2) / (r * r + a2)));
+  return -R * (Math.sqrt(E2) + R);
+}
+
+/**
+ * Circular equatorial photon orbit (Bardeen, Press & Teukolsky 1972)
+ * r_ph = 2M [1 + cos(⅔ arccos(∓a))]  (upper sign prograde)
+ * M (prograde) to 4M (retrograde) as a → 1; 3M for a = 0
+ */
+export function photonOrbitRadius(a, M = 1, prograde = true) {
+  const spin = clampSpin(a);
+  const corotating = prograde === (spin >= 0);
+  const s = Math.abs(spin);
+  return 2 * M * (1 + Math.cos((2 / 3) * Math.acos(corotating ? -s : s)));
+}
+
+/**
+ * Polar spherical photon orbit (Teo 2003), between the two equatorial orbits
+ * r = M [1 + 2√(1 - a²/3) cos(⅓ arccos((1 - a²) / (1 - a²/3)^{3/2}))]
+ */
+export function polarPhotonOrbitRadius(a, M = 1) {
+  const a2 = clampSpin(a) ** 2;
+  const k = 1 - a2 / 3;
+  return M * (1 + 2 * Math.sqrt(k) * Math.cos(Math.acos((1 - a2) / Math.pow(k, 1.5)) / 3));
+}
+
+/**
+ * Innermost stable circular orbit (Bardeen, Press & Teukolsky 1972)
+ * Z₁ = 1 + (1 - a²)^⅓ [(1 + a)^⅓ + (1 - a)^⅓],  Z₂ = √(3a² + Z₁²)
+ * r_isco = M [3 + Z₂ ∓ √((3 - Z₁)(3 + Z₁ + 2Z₂))]  (upper sign prograde)
+ *
+ * The orbit is prograde when the disk co-rotates with the hole: a ≥ 0 with
+ * prograde = true, or a < 0 with prograde = false.
+ */
+export function iscoRadius(a, M = 1, prograde = true) {
+  const spin = clampSpin(a);
+  const s = Math.abs(spin);
+  const corotating = prograde === (spin >= 0);
+
+  const z1 = 1 + Math.cbrt(1 - s * s) * (Math.cbrt(1 + s) + Math.cbrt(1 - s));
+  const z2 = Math.sqrt(3 * s * s + z1 * z1);
+  const root = Math.sqrt((3 - z1) * (3 + z1 + 2 * z2));
+
+  return M * (3 + z2 + (corotating ? -root : root));
+}
+
+/**
+ * Radiative efficiency of a thin disk: binding energy released down to the ISCO
+ * η = 1 - E_isco = 1 - √(1 - 2M / (3 r_isco))
+ * 5.7% for a = 0, 32% at a = 0.998 prograde, 3.8% at a = 0.998 retrograde
+ */
+export function radiativeEfficiency(a, prograde = true) {
+  return 1 - Math.sqrt(1 - 2 / (3 * iscoRadius(a, 1, prograde)));
+}
+
+/**
+ * Redshift factor g = E_obs / E_emit of gas on a circular equatorial Keplerian orbit
+ * (r in units of M, signed a, the disk orbiting in +φ). Split at the
+ * zero-angular-momentum observer (ZAMO):
+ *
+ * A = (r² + a²)² - a²Δ,  α = √(r²Δ / A),  ω = 2ar / A,  ϖ = √A / r
+ * Ω = 1 / (r^{3/2} + a),  v = (Ω - ω) ϖ / α
+ * gravitational g = α (lapse, including frame dragging)
+ * Doppler       δ = 1 / γ(1 - v cosψ)
+ * total         g = α δ = 1 / u^t (1 - Ωλ)
+ *
+ * ψ is the angle between the orbital velocity and the photon's direction toward
+ * the observer, taken locally (no light bending). Inside the photon orbit the
+ * speed is capped below c; inside the horizon the emitter is placed just outside it.
+ */
+export function circularOrbitRedshift(r, a, cosPsi = 0) {
+  const spin = clampSpin(a);
+  const x = Math.max(r, horizonRadius(spin) * 1.001);
+
+  const delta = x * x - 2 * x + spin * spin;
+  const A = (x * x + spin * spin) ** 2 - spin * spin * delta;
+  const lapse = Math.sqrt(x * x * delta / A);
+  const frameDragging = 2 * spin * x / A;
+  const cylindricalRadius = Math.sqrt(A) / x;
+  const omega = 1 / (Math.pow(x, 1.5) + spin);
+
+  const speed = Math.min(0.999, Math.abs((omega - frameDragging) * cylindricalRadius / lapse));
+  const lorentz = 1 / Math.sqrt(1 - speed * speed);
+  const doppler = 1 / (lorentz * (1 - speed * cosPsi));
+
+  return {
+    gravitational: lapse,
+    doppler,
+    total: lapse * doppler
+  };
+}
+
+/**
+ * Exact redshift factor for a photon with λ = L_z / E emitted by Keplerian disk gas
+ * (Cunningham 1975): g = 1 / u^t (1 - Ωλ), with
+ * u^t = (r^{3/2} + a) / r^{3/4} √(r^{3/2} - 3r^{1/2} + 2a)
+ * Valid outside the photon orbit (in practice, at or beyond the ISCO).
+ */
+export function keplerianRedshift(r, a, lambda) {
+  const spin = clampSpin(a);
+  const sqrtR = Math.sqrt(r);
+  const omega = 1 / (r * sqrtR + spin);
+  const ut = (r * sqrtR + spin) / (Math.pow(r, 0.75) * Math.sqrt(r * sqrtR - 3 * sqrtR + 2 * spin));
+  return 1 / (ut * (1 - omega * lambda));
+}
+
+/**
+ * Lapse of the zero-angular-momentum observer on the equator, α = √(r²Δ / A)
+ * = dτ/dt, the gravitational time dilation (√(1 - 2M/r) for a = 0); 0 at r_+
+ */
+export function zamoLapse(r, a) {
+  const spin = clampSpin(a);
+  const delta = r * r - 2 * r + spin * spin;
+  const A = (r * r + spin * spin) ** 2 - spin * spin * delta;
+  return Math.sqrt(Math.max(0, r * r * delta / A));
+}
+
+/**
+ * Proper acceleration needed to hover at fixed r on the equator (ZAMO; the static
+ * observer for a = 0), |∇ ln α| = (√Δ / r) ∂_r ln α, in units of c⁴/GM:
+ * M / r²√(1 - 2M/r) for a = 0; diverges at r_+
+ */
+export function zamoAcceleration(r, a) {
+  const spin = clampSpin(a);
+  const a2 = spin * spin;
+  const delta = r * r - 2 * r + a2;
+  if (delta <= 0) return Infinity;
+  const A = (r * r + a2) ** 2 - a2 * delta;
+  const dDelta = 2 * r - 2;
+  const dA = 4 * r * (r * r + a2) - a2 * dDelta;
+  return Math.sqrt(delta) / r * (1 / r + dDelta / (2 * delta) - dA / (2 * A));
+}
+
+/**
+ * Proper radial distance on the equator from the horizon out to r
+ * ℓ = ∫ r dr / √Δ = √Δ + ln[(r - M + √Δ) / (r_+ - M)]
+ * Grows faster than r - r_+ near the hole (dℓ/dr → ∞ at r_+)
+ */
+export function properRadialDistance(r, a) {
+  const spin = clampSpin(a);
+  const rPlus = horizonRadius(spin);
+  if (r <= rPlus) return 0;
+  const sqrtDelta = Math.sqrt(r * r - 2 * r + spin * spin);
+  return sqrtDelta + Math.log((r - 1 + sqrtDelta) / (rPlus - 1));
+}
+
+/**
+ * Speed of a circular equatorial orbit measured by the local ZAMO, v = (Ω - ω) ϖ / α,
+ * with Ω = ±1 / (r^{3/2} ± a) (prograde as in iscoRadius: +φ for signed a).
+ * Reaches c at the photon orbit; NaN inside it, where no circular orbit exists.
+ */
+export function circularOrbitSpeed(r, a, prograde = true) {
+  const spin = clampSpin(a);
+  const sign = prograde ? 1 : -1;
+  const sqrtR = Math.sqrt(r);
+  if (r * sqrtR - 3 * sqrtR + 2 * sign * spin <= 0) return NaN;
+
+  const delta = r * r - 2 * r + spin * spin;
+  const A = (r * r + spin * spin) ** 2 - spin * spin * delta;
+  const omega = sign / (r * sqrtR + sign * spin);
+  const frameDragging = 2 * spin * r / A;
+  return Math.abs((omega - frameDragging) * Math.sqrt(A) / r / zamoLapse(r, spin));
+}
+
+/**
+ * Period of a circular equatorial orbit in coordinate time (units of M)
+ * P = 2π / Ω = 2π |r^{3/2} ± a|  (prograde as in circularOrbitSpeed)
+ */
+export function keplerianPeriod(r, a, prograde = true) {
+  const sign = prograde ? 1 : -1;
+  return 2 * Math.PI * Math.abs(Math.pow(r, 1.5) + sign * clampSpin(a));
+}
+
+/**
+ * Nodal (Lense–Thirring) precession period of a slightly tilted circular orbit of the
+ * +φ disk (Kato 1990), in units of M:
+ * Ω_θ = Ω_φ √(1 - 4a r^{-3/2} + 3a²/r²),  P = 2π / |Ω_φ - Ω_θ|
+ * → π r³ / |a| far out (Ω_LT = 2a/r³); Infinity for a = 0
+ */
+export function nodalPrecessionPeriod(r, a) {
+  const spin = clampSpin(a);
+  const orbital = 1 / (Math.pow(r, 1.5) + spin);
+  const vertical = orbital * Math.sqrt(Math.max(0, 1 - 4 * spin / Math.pow(r, 1.5) + 3 * spin * spin / (r * r)));
+  const precession = Math.abs(orbital - vertical);
+  return precession > 0 ? 2 * Math.PI / precession : Infinity;
+}
+
+/**
+ * Radial tidal acceleration gradient on the equator, in units of c⁴/G²M²
+ * Δg / L = 2M / r³, exact for Kerr in the Carter frame (Ψ₂ = -M / (r - ia cos θ)³ is
+ * spin-independent at θ = π/2); it scales as 1/M² at the horizon, so the tides at
+ * r_+ of a supermassive hole are gentle
+ */
+export function tidalGradient(r) {
+  return 2 / (r * r * r);
+}
+
+/**
+ * Proper-time rate of a body moving at local speed v (measured by the ZAMO) on the
+ * equator: dτ/dt = α / γ = α √(1 - v²)
+ */
+export function properTimeRate(r, a, speed = 0) {
+  return zamoLapse(r, a) * Math.sqrt(Math.max(0, 1 - speed * speed));
+}
+
+/**
+ * Redshift factor g = E_obs / E_emit of an emitter moving at local speed v (ZAMO
+ * frame) at angle ψ to the photon's direction toward the observer:
+ * g = α δ,  δ = 1 / γ(1 - v cosψ)
+ * The lapse is the equatorial one and, as in circularOrbitRedshift, no light bending.
+ */
+export function movingEmitterRedshift(r, a, speed, cosPsi = 0) {
+  return properTimeRate(r, a, speed) / (1 - speed * cosPsi);
+}
+
+/**
+ * Local speed of a marginally bound (E = 1), zero-angular-momentum infaller, measured
+ * by the ZAMO it momentarily rides with: γ = E / α, so v = √(1 - α²)
+ * √(2M/r) for a = 0; reaches c at r_+
+ */
+export function parabolicInfallSpeed(r, a) {
+  const lapse = zamoLapse(r, a);
+  return Math.sqrt(Math.max(0, 1 - lapse * lapse));
+}
+
+/**
+ * Constants of motion of the spherical photon orbit at radius r (Bardeen 1973, M = 1)
+ * ξ = L/E = -(r³ - 3r² + a²r + a²) / a(r - 1)
+ * η = Q/E² = r³ (4a² - r(r - 3)²) / a²(r - 1)²
+ */
+export function sphericalPhotonOrbit(r, a) {
+  const spin = Math.abs(a) < 1e-4 ? (a < 0 ? -1e-4 : 1e-4) : a;
+  const xi = -(r ** 3 - 3 * r * r + spin * spin * r + spin * spin) / (spin * (r - 1));
+  const eta = r ** 3 * (4 * spin * spin - r * (r - 3) ** 2) / (spin * spin * (r - 1) ** 2);
+  return { xi, eta, spin };
+}
+
+/**
+ * Shadow boundary on the observer's sky for a distant observer at inclination i
+ * from the spin axis (Bardeen 1973), in units of M:
+ * α = -ξ / sin i,  β = ±√(η + a² cos²i - ξ² cot²i)
+ * α is measured along (spin axis × line of sight), β along the projected spin axis.
+ * Returns a closed loop of { alpha, beta } points.
+ */
+export function shadowBoundary(a, inclination, samples = 180) {
+  const spin = clampSpin(a);
+  const i = Math.min(Math.PI - 1e-3, Math.max(1e-3, inclination));
+  const sinI = Math.sin(i);
+  const cosI = Math.cos(i);
+  const s = Math.max(Math.abs(spin), 1e-4); // Keeps a finite orbit interval at a = 0
+  const rMin = 2 * (1 + Math.cos((2 / 3) * Math.acos(-s)));
+  const rMax = 2 * (1 + Math.cos((2 / 3) * Math.acos(s)));
+
+  const betaSquared = (r) => {
+    const orbit = sphericalPhotonOrbit(r, spin);
+    return orbit.eta + orbit.spin ** 2 * cosI * cosI - orbit.xi ** 2 * (cosI / sinI) ** 2;
+  };
+
+  // Orbits seen by this observer form one interval around the maximum of β²
+  let rPeak = rMin;
+  let peak = -Infinity;
+  for (let k = 0; k <= 200; k++) {
+    const r = rMin + (rMax - rMin) * k / 200;
+    const value = betaSquared(r);
+    if (value > peak) {
+      peak = value;
+      rPeak = r;
+    }
+  }
+  const root = (inside, outside) => {
+    let lo = inside;
+    let hi = outside;
+    for (let k = 0; k < 60; k++) {
+      const mid = (lo + hi) / 2;
+      if (betaSquared(mid) > 0) lo = mid;
+      else hi = mid;
+    }
+    return lo;
+  };
+  const rStart = betaSquared(rMin) > 0 ? rMin : root(rPeak, rMin);
+  const rEnd = betaSquared(rMax) > 0 ? rMax : root(rPeak, rMax);
+
+  const upper = [];
+  for (let k = 0; k <= samples; k++) {
+    // Cosine spacing resolves the sharp ends of the curve
+    const r = rStart + (rEnd - rStart) * (1 - Math.cos(Math.PI * k / samples)) / 2;
+    const { xi } = sphericalPhotonOrbit(r, spin);
+    upper.push({ alpha: -xi / sinI, beta: Math.sqrt(Math.max(0, betaSquared(r))) });
+  }
+  const lower = upper.slice(1, -1).reverse().map(p => ({ alpha: p.alpha, beta: -p.beta }));
+  return upper.concat(lower);
+}
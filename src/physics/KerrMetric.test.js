@@ -0,0 +1,41 @@
+import { describe, expect, it } from 'vitest';
+import { MAX_SPIN, iscoRadius, radiativeEfficiency } from './KerrMetric';
+
+describe('iscoRadius', () => {
+  it('is 6 M for a Schwarzschild hole', () => {
+    expect(iscoRadius(0)).toBeCloseTo(6, 10);
+    expect(iscoRadius(0, 1, false)).toBeCloseTo(6, 10);
+  });
+
+  it('nears the extremal 1 M (prograde) and 9 M (retrograde) at the spin cap', () => {
+    expect(iscoRadius(MAX_SPIN)).toBeCloseTo(1.2370, 3);
+    expect(iscoRadius(MAX_SPIN, 1, false)).toBeCloseTo(8.9944, 3);
+  });
+
+  it('clamps the spin to MAX_SPIN', () => {
+    expect(iscoRadius(1)).toBe(iscoRadius(MAX_SPIN));
+    expect(iscoRadius(-1)).toBe(iscoRadius(-MAX_SPIN));
+  });
+
+  it('counter-rotates for a negative spin with a prograde disk', () => {
+    expect(iscoRadius(-0.5)).toBeCloseTo(iscoRadius(0.5, 1, false), 12);
+    expect(iscoRadius(-0.5, 1, false)).toBeCloseTo(iscoRadius(0.5), 12);
+  });
+
+  it('scales with M and moves in as a co-rotating spin rises', () => {
+    expect(iscoRadius(0.7, 3)).toBeCloseTo(3 * iscoRadius(0.7), 12);
+    expect(iscoRadius(0.9)).toBeLessThan(iscoRadius(0.5));
+    expect(iscoRadius(0.9, 1, false)).toBeGreaterThan(iscoRadius(0.5, 1, false));
+  });
+});
+
+describe('radiativeEfficiency', () => {
+  it('is 1 - √(8/9) ≈ 5.7% for a = 0', () => {
+    expect(radiativeEfficiency(0)).toBeCloseTo(1 - Math.sqrt(8 / 9), 12);
+  });
+
+  it('reaches about 32% prograde and 3.8% retrograde at the spin cap', () => {
+    expect(radiativeEfficiency(MAX_SPIN)).toBeCloseTo(0.321, 3);
+    expect(radiativeEfficiency(MAX_SPIN, false)).toBeCloseTo(0.0380, 3);
+  });
+});
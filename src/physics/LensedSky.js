@@ -0,0 +1,348 @@
+import * as THREE from 'three';
+import Random from './Random';
+
+/**
+ * LensedSky - Ray-traced, gravitationally lensed celestial sphere
+ * Fullscreen background pass that traces every pixel's photon backwards from
+ * the camera through the Kerr metric and samples an equirectangular starfield
+ * where it escapes. The Einstein ring, secondary images and the black hole
+ * shadow are not drawn explicitly: they emerge from the geodesics.
+ *
+ * Geodesics use the same Kerr-Schild Hamiltonian as KerrGeodesic.js (G = c = M = 1),
+ * integrated with RK4 on the GPU. Scene units are converted with sceneM
+ * (scene units per M), and scene +y maps to the Kerr spin axis +z.
+ *
+ * The Newtonian mode keeps straight rays with the weak-field bending
+ * α = (M/b)(1 - s/√(s² + b²)) toward the hole (half the GR value), which is
+ * what a Newtonian corpuscle would feel.
+ */
+
+// Starfield is expensive to build and identical between scene rebuilds
+let sharedStarfield = null;
+const STARFIELD_SEED = 618; // The same sky in every run
+
+/**
+ * Procedural equirectangular starfield (stars + faint galactic band)
+ */
+export function createStarfieldTexture(width = 2048, height = 1024, starCount = 7000) {
+  if (sharedStarfield) return sharedStarfield;
+
+  const random = new Random(STARFIELD_SEED);
+
+  const data = new Float32Array(width * height * 3);
+
+  // Galactic band along a tilted great circle
+  const bandNormal = new THREE.Vector3(0.3, 0.9, 0.3).normalize();
+  const dir = new THREE.Vector3();
+  for (let j = 0; j < height; j++) {
+    const lat = (j / height - 0.5) * Math.PI;
+    for (let i = 0; i < width; i++) {
+      const lon = (i / width) * Math.PI * 2 - Math.PI;
+      dir.set(Math.cos(lat) * Math.cos(lon), Math.sin(lat), Math.cos(lat) * Math.sin(lon));
+      const bandDistance = dir.dot(bandNormal);
+      const glow = 0.05 * Math.exp(-bandDistance * bandDistance * 40);
+      const idx = (j * width + i) * 3;
+      data[idx] = glow * 0.9;
+      data[idx + 1] = glow * 0.85;
+      data[idx + 2] = glow;
+    }
+  }
+
+  // Point stars, widened in longitude to counter equirectangular stretching
+  for (let s = 0; s < starCount; s++) {
+    const u = random.next();
+    const v = Math.acos(2 * random.next() - 1) / Math.PI;
+    const brightness = Math.pow(random.next(), 3) * 2.5 + 0.15;
+    const temp = random.next();
+    const color = [0.75 + temp * 0.25, 0.8 + temp * 0.15, 1.0 - temp * 0.2];
+
+    const cx = u * width;
+    const cy = v * height;
+    const stretch = Math.min(8, 1 / Math.max(Math.sin(v * Math.PI), 0.05));
+    const radius = brightness > 1.5 ? 1.6 : 1.0;
+
+    for (let dy = -2; dy <= 2; dy++) {
+      for (let dx = -Math.ceil(2 * stretch); dx <= Math.ceil(2 * stretch); dx++) {
+        const px = (Math.floor(cx) + dx + width) % width;
+        const py = Math.floor(cy) + dy;
+        if (py < 0 || py >= height) continue;
+
+        const ex = dx / stretch;
+        const falloff = Math.exp(-(ex * ex + dy * dy) / (radius * radius));
+        const idx = (py * width + px) * 3;
+        data[idx] += color[0] * brightness * falloff;
+        data[idx + 1] += color[1] * brightness * falloff;
+        data[idx + 2] += color[2] * brightness * falloff;
+      }
+    }
+  }
+
+  // Pack to 8-bit RGBA
+  const pixels = new Uint8Array(width * height * 4);
+  for (let p = 0; p < width * height; p++) {
+    pixels[p * 4] = Math.min(255, data[p * 3] * 255);
+    pixels[p * 4 + 1] = Math.min(255, data[p * 3 + 1] * 255);
+    pixels[p * 4 + 2] = Math.min(255, data[p * 3 + 2] * 255);
+    pixels[p * 4 + 3] = 255;
+  }
+
+  const texture = new THREE.DataTexture(pixels, width, height, THREE.RGBAFormat);
+  texture.wrapS = THREE.RepeatWrapping;
+  texture.wrapT = THREE.ClampToEdgeWrapping;
+  texture.magFilter = THREE.LinearFilter;
+  texture.minFilter = THREE.LinearFilter;
+  texture.needsUpdate = true;
+
+  sharedStarfield = texture;
+  return texture;
+}
+
+export class LensedSky {
+  constructor(scene, params = {}) {
+    this.scene = scene;
+
+    this.sceneM = params.sceneM || 5; // Scene units per M
+    this.spin = params.spin || 0;
+    this.metricLensing = params.metricLensing !== undefined ? params.metricLensing : true;
+    this.maxSteps = params.maxSteps || 220;
+
+    this.mesh = null;
+    this.createSkyMesh();
+  }
+
+  /**
+   * Outer horizon r_+ in units of M
+   */
+  horizonRadius() {
+    return 1 + Math.sqrt(Math.max(0, 1 - this.spin * this.spin));
+  }
+
+  /**
+   * Fullscreen quad drawn behind everything else
+   */
+  createSkyMesh() {
+    const geometry = new THREE.PlaneGeometry(2, 2);
+    const material = new THREE.ShaderMaterial({
+      depthTest: false,
+      depthWrite: false,
+      uniforms: {
+        skyMap: { value: createStarfieldTexture() },
+        cameraWorldMatrix: { value: new THREE.Matrix4() },
+        cameraProjectionInverse: { value: new THREE.Matrix4() },
+        sceneM: { value: this.sceneM },
+        spin: { value: this.spin },
+        horizonRadius: { value: this.horizonRadius() },
+        metricLensing: { value: this.metricLensing }
+      },
+      vertexShader: `
+        varying vec2 vUv;
+
+        void main() {
+          vUv = uv;
+          gl_Position = vec4(position.xy, 0.0, 1.0);
+        }
+      `,
+      fragmentShader: `
+        #define MAX_STEPS ${this.maxSteps}
+        #define PI 3.141592653589793
+
+        uniform sampler2D skyMap;
+        uniform mat4 cameraWorldMatrix;
+        uniform mat4 cameraProjectionInverse;
+        uniform float sceneM;
+        uniform float spin;
+        uniform float horizonRadius;
+        uniform bool metricLensing;
+        varying vec2 vUv;
+
+        // Kerr-Schild radius: (x² + y²)/(r² + a²) + z²/r² = 1
+        float kerrRadius(vec3 x) {
+          float a2 = spin * spin;
+          float w = dot(x, x) - a2;
+          return sqrt(0.5 * (w + sqrt(w * w + 4.0 * a2 * x.z * x.z)));
+        }
+
+        // Hamilton's equations with p_t fixed (stationary metric)
+        void geodesicRHS(vec3 x, vec3 p, float pt, out vec3 dx, out vec3 dp) {
+          float a = spin;
+          float a2 = a * a;
+          float R2 = dot(x, x);
+          float w = R2 - a2;
+          float r2 = 0.5 * (w + sqrt(w * w + 4.0 * a2 * x.z * x.z));
+          float r = sqrt(r2);
+          float Q = r2 + a2;
+          float N = r2 * r2 + a2 * x.z * x.z;
+
+          float f = 2.0 * r2 * r / N;
+          float nx = r * x.x + a * x.y;
+          float ny = r * x.y - a * x.x;
+          vec3 l = vec3(nx / Q, ny / Q, x.z / r);
+          float s = -pt + dot(l, p);
+
+          dx = p - f * s * l;
+
+          vec3 gr = vec3(x.x * r2, x.y * r2, x.z * r2 + a2 * x.z) / (r * (2.0 * r2 - R2 + a2));
+          float fr = 2.0 * (3.0 * r2 * N - 4.0 * r2 * r2 * r2) / (N * N);
+          float fz = -4.0 * r2 * r * a2 * x.z / (N * N);
+          vec3 gf = fr * gr + vec3(0.0, 0.0, fz);
+
+          float Q2 = Q * Q;
+          vec3 glx = ((gr * x.x + vec3(r, a, 0.0)) * Q - nx * 2.0 * r * gr) / Q2;
+          vec3 gly = ((gr * x.y + vec3(-a, r, 0.0)) * Q - ny * 2.0 * r * gr) / Q2;
+          vec3 glz = (vec3(0.0, 0.0, r) - x.z * gr) / r2;
+          vec3 gs = glx * p.x + gly * p.y + glz * p.z;
+
+          dp = 0.5 * s * s * gf + f * s * gs;
+        }
+
+        // Weak-field bending for the rest of a straight ray from x along d
+        // α = (kM/b)(1 - s/√(s² + b²)), k = 2 in GR, k = 1 Newtonian
+        vec3 weakDeflection(vec3 x, vec3 d, float k) {
+          float s = dot(x, d);
+          vec3 c = x - s * d;
+          float b = length(c);
+          if (b < 1e-4) return d;
+          float alpha = (k / b) * (1.0 - s / sqrt(s * s + b * b));
+          return normalize(d * cos(alpha) - (c / b) * sin(alpha));
+        }
+
+        vec3 sampleSky(vec3 kerrDir) {
+          vec3 d = kerrDir.xzy; // Kerr frame → scene frame (y up)
+          float u = atan(d.z, d.x) / (2.0 * PI) + 0.5;
+          float v = asin(clamp(d.y, -1.0, 1.0)) / PI + 0.5;
+          return texture2D(skyMap, vec2(u, v)).rgb;
+        }
+
+        void main() {
+          // Pixel → world ray
+          vec4 view = cameraProjectionInverse * vec4(vUv * 2.0 - 1.0, 1.0, 1.0);
+          view /= view.w;
+          vec3 worldDir = normalize((cameraWorldMatrix * vec4(view.xyz, 0.0)).xyz);
+          vec3 worldPos = cameraWorldMatrix[3].xyz;
+
+          // Scene → Kerr frame (units of M, spin axis +z)
+          vec3 x = worldPos.xzy / sceneM;
+          vec3 d = worldDir.xzy;
+
+          if (!metricLensing) {
+            gl_FragColor = vec4(sampleSky(weakDeflection(x, d, 1.0)), 1.0);
+            return;
+          }
+
+          // Distant, outgoing rays: analytic weak-field limit is exact enough
+          float impact = length(cross(x, d));
+          if (impact > 30.0 && dot(x, d) > 0.0) {
+            gl_FragColor = vec4(sampleSky(weakDeflection(x, d, 2.0)), 1.0);
+            return;
+          }
+
+          // Backward trace: integrate q = -p forward (H is even in p)
+          float a = spin;
+          float r0 = kerrRadius(x);
+          float Q0 = r0 * r0 + a * a;
+          vec3 l0 = vec3((r0 * x.x + a * x.y) / Q0, (r0 * x.y - a * x.x) / Q0, x.z / r0);
+          float f0 = 2.0 * r0 * r0 * r0 / (r0 * r0 * r0 * r0 + a * a * x.z * x.z);
+          vec3 v = -d;
+          float lv = dot(l0, v);
+          float A = -1.0 - f0;
+          float B = f0 * lv;
+          float C = dot(v, v) - f0 * lv * lv;
+          float ptPhysical = (-B + sqrt(max(0.0, B * B - A * C))) / A;
+          vec3 p = d / -ptPhysical;
+          float pt = 1.0;
+
+          float escapeRadius = max(1.5 * r0, 50.0);
+          vec3 dx;
+          vec3 dp;
+          bool captured = true;
+
+          for (int i = 0; i < MAX_STEPS; i++) {
+            float r = kerrRadius(x);
+            if (r < horizonRadius * 1.01) break;
+
+            geodesicRHS(x, p, pt, dx, dp);
+            if (r > escapeRadius && dot(x, dx) > 0.0) {
+              captured = false;
+              break;
+            }
+
+            float h = max(0.02, 0.07 * (r - horizonRadius * 0.9));
+
+            vec3 k1x = dx, k1p = dp;
+            vec3 k2x, k2p, k3x, k3p, k4x, k4p;
+            geodesicRHS(x + 0.5 * h * k1x, p + 0.5 * h * k1p, pt, k2x, k2p);
+            geodesicRHS(x + 0.5 * h * k2x, p + 0.5 * h * k2p, pt, k3x, k3p);
+            geodesicRHS(x + h * k3x, p + h * k3p, pt, k4x, k4p);
+
+            x += h / 6.0 * (k1x + 2.0 * k2x + 2.0 * k3x + k4x);
+            p += h / 6.0 * (k1p + 2.0 * k2p + 2.0 * k3p + k4p);
+          }
+
+          if (captured) {
+            gl_FragColor = vec4(0.0, 0.0, 0.0, 1.0); // Shadow
+            return;
+          }
+
+          // Remaining bending beyond the escape radius
+          vec3 skyDir = weakDeflection(x, normalize(dx), 2.0);
+          gl_FragColor = vec4(sampleSky(skyDir), 1.0);
+        }
+      `
+    });
+
+    this.mesh = new THREE.Mesh(geometry, material);
+    this.mesh.frustumCulled = false;
+    this.mesh.renderOrder = -1;
+    this.scene.add(this.mesh);
+  }
+
+  /**
+   * Track the camera used for rendering
+   */
+  update(camera) {
+    if (!this.mesh) return;
+    camera.updateMatrixWorld();
+    const uniforms = this.mesh.material.uniforms;
+    uniforms.cameraWorldMatrix.value.copy(camera.matrixWorld);
+    uniforms.cameraProjectionInverse.value.copy(camera.projectionMatrixInverse);
+  }
+
+  /**
+   * Set parameters
+   */
+  setParameters(params) {
+    if (params.sceneM !== undefined) this.sceneM = params.sceneM;
+    if (params.spin !== undefined) this.spin = params.spin;
+    if (params.metricLensing !== undefined) this.metricLensing = params.metricLensing;
+
+    if (this.mesh) {
+      const uniforms = this.mesh.material.uniforms;
+      uniforms.sceneM.value = this.sceneM;
+      uniforms.spin.value = this.spin;
+      uniforms.horizonRadius.value = this.horizonRadius();
+      uniforms.metricLensing.value = this.metricLensing;
+    }
+  }
+
+  /**
+   * Toggle visibility
+   */
+  setVisible(visible) {
+    if (this.mesh) {
+      this.mesh.visible = visible;
+    }
+  }
+
+  /**
+   * Cleanup (the shared starfield texture is kept for the next scene)
+   */
+  destroy() {
+    if (this.mesh) {
+      this.scene.remove(this.mesh);
+      this.mesh.geometry.dispose();
+      this.mesh.material.dispose();
+    }
+  }
+}
+
+export default LensedSky;
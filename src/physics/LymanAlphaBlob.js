@@ -1,4 +1,6 @@
 import * as THREE from 'three';
+import Random from './Random';
+import { packParticles, unpackParticles } from './Snapshot';
 
 /**
  * LymanAlphaBlob - Giant cloud of ionized hydrogen around TON 618
@@ -6,9 +8,10 @@ import * as THREE from 'three';
  * Lyman-alpha blobs are enormous (~100-300 kpc) clouds of hydrogen
  */
 export class LymanAlphaBlob {
-  constructor(scene, quasarMass = 66e9) {
+  constructor(scene, quasarMass = 66e9, params = {}) {
     this.scene = scene;
     this.quasarMass = quasarMass;
+    this.random = params.random || new Random(); // Cloud layout
 
     // Blob properties
     this.particleCount = 50000; // Massive cloud
@@ -69,8 +72,8 @@ export class LymanAlphaBlob {
     for (let i = 0; i < this.particleCount; i++) {
       // Use power-law distribution for more realistic cloud structure
       const r = this.generateRadialPosition();
-      const theta = Math.random() * Math.PI * 2;
-      const phi = Math.acos(2 * Math.random() - 1);
+      const theta = this.random.next() * Math.PI * 2;
+      const phi = Math.acos(2 * this.random.next() - 1);
 
       const x = r * Math.sin(phi) * Math.cos(theta);
       const y = r * Math.sin(phi) * Math.sin(theta);
@@ -80,9 +83,9 @@ export class LymanAlphaBlob {
 
       // Velocity - turbulent motion + rotation
       const turbulence = new THREE.Vector3(
-        (Math.random() - 0.5) * 0.05,
-        (Math.random() - 0.5) * 0.05,
-        (Math.random() - 0.5) * 0.05
+        (this.random.next() - 0.5) * 0.05,
+        (this.random.next() - 0.5) * 0.05,
+        (this.random.next() - 0.5) * 0.05
       );
 
       // Add rotational component
@@ -99,8 +102,8 @@ export class LymanAlphaBlob {
         initialRadius: r,
         temperature,
         density,
-        ionization: 0.5 + Math.random() * 0.5, // Partially ionized
-        phase: Math.random() * Math.PI * 2
+        ionization: 0.5 + this.random.next() * 0.5, // Partially ionized
+        phase: this.random.next() * Math.PI * 2
       });
 
       // Initial matrix
@@ -118,11 +121,11 @@ export class LymanAlphaBlob {
    * More particles in core, exponential falloff
    */
   generateRadialPosition() {
-    const u = Math.random();
+    const u = this.random.next();
     // Exponential + core component
-    const core = this.coreRadius * Math.pow(Math.random(), 0.5);
+    const core = this.coreRadius * Math.pow(this.random.next(), 0.5);
     const halo = this.blobRadius * Math.pow(u, 2);
-    return Math.random() > 0.7 ? core : halo;
+    return this.random.next() > 0.7 ? core : halo;
   }
 
   /**
@@ -206,15 +209,49 @@ export class LymanAlphaBlob {
       // Update temperature (radiation heating)
       p.temperature = 10000 + (1 - p.density) * 20000 + quasarLuminosity * p.ionization * 5000;
 
-      // Update visuals
-      updateMatrix.setPosition(p.position);
-      this.particleSystem.setMatrixAt(i, updateMatrix);
+      this.drawParticle(i, p, updateMatrix, updateColor);
+    }
 
-      this.updateParticleColor(i, p.temperature, p.density, updateColor);
-      updateColor.multiplyScalar(0.5 + p.ionization * 0.5);
-      this.particleSystem.setColorAt(i, updateColor);
+    this.particleSystem.instanceMatrix.needsUpdate = true;
+    if (this.particleSystem.instanceColor) {
+      this.particleSystem.instanceColor.needsUpdate = true;
     }
+  }
+
+  /**
+   * Instance i at the particle, colored by temperature, density and ionization
+   */
+  drawParticle(i, p, matrix, color) {
+    matrix.setPosition(p.position);
+    this.particleSystem.setMatrixAt(i, matrix);
+
+    this.updateParticleColor(i, p.temperature, p.density, color);
+    color.multiplyScalar(0.5 + p.ionization * 0.5);
+    this.particleSystem.setColorAt(i, color);
+  }
 
+  /**
+   * Every cloud particle, the shader clock and the random stream, for a snapshot
+   */
+  getState() {
+    return {
+      particles: packParticles(this.particles),
+      time: this.particleSystem.material.uniforms.time.value,
+      random: this.random.getState()
+    };
+  }
+
+  /**
+   * Restore a state from getState() and draw it
+   */
+  setState(state) {
+    this.particles = unpackParticles(state.particles);
+    this.particleSystem.material.uniforms.time.value = state.time;
+    this.random.setState(state.random);
+
+    const matrix = new THREE.Matrix4();
+    const color = new THREE.Color();
+    this.particles.forEach((p, i) => this.drawParticle(i, p, matrix, color));
     this.particleSystem.instanceMatrix.needsUpdate = true;
     if (this.particleSystem.instanceColor) {
       this.particleSystem.instanceColor.needsUpdate = true;
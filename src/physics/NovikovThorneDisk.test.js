@@ -0,0 +1,23 @@
+import { describe, expect, it } from 'vitest';
+import { validateAgainstReference } from './NovikovThorneDisk';
+
+describe('NovikovThorneDisk', () => {
+  it.each([-0.9, 0, 0.5, 0.9, 0.998])('matches the quadrature reference at 10¹⁰ M☉ (a = %s)', (spin) => {
+    const { maxFluxError, maxTemperatureError } = validateAgainstReference(spin);
+    expect(maxFluxError).toBeLessThan(1e-5);
+    expect(maxTemperatureError).toBeLessThan(1e-5);
+  });
+
+  it('peaks near 9.5 M for a Schwarzschild hole', () => {
+    const { peakRadius } = validateAgainstReference(0);
+    expect(peakRadius).toBeGreaterThan(9);
+    expect(peakRadius).toBeLessThan(10);
+  });
+
+  it('runs hotter and closer in as the spin rises', () => {
+    const slow = validateAgainstReference(0.5);
+    const fast = validateAgainstReference(0.9);
+    expect(fast.peakTemperature).toBeGreaterThan(slow.peakTemperature);
+    expect(fast.peakRadius).toBeLessThan(slow.peakRadius);
+  });
+});
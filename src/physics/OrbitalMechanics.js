@@ -1,16 +1,32 @@
 import * as THREE from 'three';
+import BlackHole from './BlackHole';
+import { SCENE_G } from './Units';
 
 /**
  * OrbitalMechanics - Handles gravitational interactions and orbital transfers
  * Simulates n-body gravity between star, debris, and black hole
  */
 export class OrbitalMechanics {
-  constructor(blackHoleMass = 66e9) {
-    this.blackHoleMass = blackHoleMass;
-    this.G = 0.1; // Scaled gravitational constant
+  constructor(blackHole = new BlackHole()) {
+    this.blackHole = blackHole;
+    this.G = SCENE_G;
     this.bodies = []; // All gravitating bodies
   }
 
+  /**
+   * Black hole mass in solar masses
+   */
+  get blackHoleMass() {
+    return this.blackHole.mass;
+  }
+
+  /**
+   * Whether a position lies inside the event horizon
+   */
+  isCaptured(position) {
+    return position.length() < this.blackHole.horizonRadius;
+  }
+
   /**
    * Register a body that can exert gravitational influence
    */
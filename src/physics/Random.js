@@ -0,0 +1,74 @@
+/**
+ * Random - Seedable pseudo-random numbers (mulberry32), a drop-in for Math.random()
+ * so a run can be replayed exactly from its seed.
+ *
+ * Each module draws from its own stream, fork(label), derived from the run seed and
+ * the label alone: a module that draws more or fewer numbers (more debris, a longer
+ * run of the disk) does not shift what every other module sees.
+ */
+
+export const MAX_SEED = 0xffffffff;
+
+/**
+ * A fresh seed for a new run (the one place the unseeded generator is used)
+ */
+export function randomSeed() {
+  return Math.floor(Math.random() * MAX_SEED);
+}
+
+/**
+ * Mix a label into a seed (FNV-1a over the label's characters)
+ */
+function hashLabel(seed, label) {
+  let hash = (0x811c9dc5 ^ seed) >>> 0;
+  for (let i = 0; i < label.length; i++) {
+    hash = Math.imul(hash ^ label.charCodeAt(i), 0x01000193) >>> 0;
+  }
+  return hash;
+}
+
+export class Random {
+  constructor(seed = randomSeed()) {
+    this.setSeed(seed);
+  }
+
+  /**
+   * Restart the stream from `seed` (an integer, taken mod 2³²)
+   */
+  setSeed(seed) {
+    this.seed = seed >>> 0;
+    this.state = this.seed;
+  }
+
+  /**
+   * Uniform in [0, 1), like Math.random()
+   */
+  next() {
+    this.state = (this.state + 0x6d2b79f5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * Independent stream for `label`, fixed by this stream's seed
+   */
+  fork(label) {
+    return new Random(hashLabel(this.seed, label));
+  }
+
+  /**
+   * Position in the stream, to resume it later with setState()
+   */
+  getState() {
+    return { seed: this.seed, state: this.state };
+  }
+
+  setState(state) {
+    this.seed = state.seed >>> 0;
+    this.state = state.state >>> 0;
+  }
+}
+
+export default Random;
@@ -0,0 +1,47 @@
+import { describe, expect, it } from 'vitest';
+import Random from './Random';
+
+const draw = (random, count) => Array.from({ length: count }, () => random.next());
+
+describe('Random', () => {
+  it('replays the same stream from the same seed', () => {
+    expect(draw(new Random(42), 20)).toEqual(draw(new Random(42), 20));
+    expect(draw(new Random(42), 20)).not.toEqual(draw(new Random(43), 20));
+  });
+
+  it('stays in [0, 1)', () => {
+    draw(new Random(7), 1000).forEach(value => {
+      expect(value).toBeGreaterThanOrEqual(0);
+      expect(value).toBeLessThan(1);
+    });
+  });
+
+  it('forks streams fixed by the seed and label alone', () => {
+    const a = new Random(42);
+    const b = new Random(42);
+    draw(b, 100); // Drawing from the parent does not move its forks
+    expect(draw(a.fork('disk'), 10)).toEqual(draw(b.fork('disk'), 10));
+    expect(draw(a.fork('disk'), 10)).not.toEqual(draw(a.fork('debris'), 10));
+    expect(draw(a.fork('disk'), 10)).not.toEqual(draw(new Random(43).fork('disk'), 10));
+  });
+
+  it('keeps forks independent of how much their siblings draw', () => {
+    const run = (diskDraws) => {
+      const random = new Random(9);
+      const disk = random.fork('disk');
+      const star = random.fork('star');
+      draw(disk, diskDraws);
+      return draw(star, 10);
+    };
+    expect(run(5)).toEqual(run(500));
+  });
+
+  it('resumes a stream from getState()', () => {
+    const random = new Random(11);
+    draw(random, 37);
+    const resumed = new Random(0);
+    resumed.setState(random.getState());
+    expect(draw(resumed, 10)).toEqual(draw(random, 10));
+    expect(resumed.fork('x').seed).toBe(random.fork('x').seed);
+  });
+});
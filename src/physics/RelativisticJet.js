@@ -0,0 +1,82 @@
+/**
+ * RelativisticJet - Beaming of optically thin synchrotron emission from a jet
+ * moving at speed β (units of c) at angle θ to the line of sight:
+ *
+ * Γ = 1 / √(1 - β²),  δ = 1 / Γ(1 - β cos θ)
+ *
+ * A power-law spectrum S_ν ∝ ν^-α is boosted by δ^(2+α) for a continuous
+ * jet and δ^(3+α) for a discrete blob (Blandford & Königl 1979). The counter-jet
+ * moves at π - θ, so the jet/counter-jet brightness ratio is
+ *
+ * R = [(1 + β cos θ) / (1 - β cos θ)]^(2+α)
+ *
+ * Light-travel time compresses the approach: a blob seen at θ crosses the sky at
+ * β_app = β sin θ / (1 - β cos θ), which exceeds c for fast jets near the line of sight.
+ *
+ * Pole-on (blazar) views are dominated by one hugely boosted jet; edge-on
+ * (radio galaxy) views see two comparable, de-boosted (δ = 1/Γ) jets.
+ */
+
+export const MIN_JET_SPEED = 0.1;
+export const MAX_JET_SPEED = 0.999;
+export const MIN_SPECTRAL_INDEX = 0.5;
+export const MAX_SPECTRAL_INDEX = 1;
+
+/**
+ * Bulk Lorentz factor Γ for speed β
+ */
+export function lorentzFactor(beta) {
+  return 1 / Math.sqrt(1 - beta * beta);
+}
+
+/**
+ * Speed β for bulk Lorentz factor Γ
+ */
+export function jetSpeed(gamma) {
+  return Math.sqrt(1 - 1 / (gamma * gamma));
+}
+
+/**
+ * Doppler factor δ = 1 / Γ(1 - β cos θ)
+ */
+export function dopplerFactor(beta, cosTheta) {
+  return 1 / (lorentzFactor(beta) * (1 - beta * cosTheta));
+}
+
+/**
+ * Observed / rest-frame intensity δ^(2+α) (δ^(3+α) for a discrete blob)
+ */
+export function synchrotronBoost(beta, cosTheta, spectralIndex, discrete = false) {
+  return Math.pow(dopplerFactor(beta, cosTheta), (discrete ? 3 : 2) + spectralIndex);
+}
+
+/**
+ * Apparent transverse speed β_app = β sin θ / (1 - β cos θ)
+ * Exceeds 1 (superluminal) for β > 1/√2 near θ = arccos β, peaking at βΓ
+ */
+export function apparentSpeed(beta, cosTheta) {
+  const sinTheta = Math.sqrt(Math.max(0, 1 - cosTheta * cosTheta));
+  return beta * sinTheta / (1 - beta * cosTheta);
+}
+
+/**
+ * Jet / counter-jet brightness ratio for the approaching jet at angle θ
+ */
+export function jetCounterJetRatio(beta, cosTheta, spectralIndex) {
+  return Math.pow((1 + beta * cosTheta) / (1 - beta * cosTheta), 2 + spectralIndex);
+}
+
+/**
+ * Random spectral index α ∈ [0.5, 1] (optically thin synchrotron), drawn from `random`
+ */
+export function randomSpectralIndex(random) {
+  return MIN_SPECTRAL_INDEX + random.next() * (MAX_SPECTRAL_INDEX - MIN_SPECTRAL_INDEX);
+}
+
+/**
+ * Display brightness for a boost factor, compressed by exposure and capped
+ * (the boost itself spans many decades between blazar and counter-jet)
+ */
+export function boostBrightness(boost, exposure = 0.25, maxBrightness = 2) {
+  return Math.min(maxBrightness, Math.pow(boost, exposure));
+}
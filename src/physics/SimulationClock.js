@@ -0,0 +1,190 @@
+import BlackHole from './BlackHole';
+import { keplerianPeriod, nodalPrecessionPeriod } from './KerrMetric';
+import { gravitationalTimeSeconds } from './Units';
+
+/**
+ * SimulationClock - Maps animation frames to physical time around the hole
+ * The clock runs in units of M (GM/c³), so its physical duration scales with mass:
+ * t_phys = t · GM/c³ (about 3.8 days per M for TON 618).
+ *
+ * Each frame tick() turns the real frame time into a clock delta in seconds, the
+ * unit every module's update(deltaTime) already takes: at speed 1 one real second is
+ * one clock second, which is `timeScale` M. Stepping advances one nominal frame;
+ * scrubbing drives the clock toward a target time at SCRUB_SPEED.
+ *
+ * The clock only runs forward, because the dynamics do (particles age, stars are
+ * disrupted, debris circularizes). An earlier time is reached by a rewind: scrubbing
+ * or stepping back sets `needsRewind`, the simulation rebuilds its scene from the
+ * seed and calls rewind(), and the clock replays forward from 0 to the target.
+ */
+
+export const CLOCK_SPEEDS = [0.25, 1, 4]; // Multipliers offered in the UI
+export const FRAME_SECONDS = 1 / 60; // One nominal frame of clock time
+export const MAX_FRAME_SECONDS = 0.1; // Longer real frames (tab switches) are clipped
+export const SCRUB_SPEED = 8; // Speed while driving toward a scrub target
+
+// Most clock seconds a single tick() can return
+export const MAX_CLOCK_DELTA = Math.max(SCRUB_SPEED, ...CLOCK_SPEEDS) * MAX_FRAME_SECONDS;
+
+export class SimulationClock {
+  constructor(blackHole = new BlackHole(), params = {}) {
+    this.blackHole = blackHole;
+    this.timeScale = params.timeScale || 20; // M per clock second
+    this.speed = params.speed || 1;
+    this.playing = params.playing !== undefined ? params.playing : true;
+
+    this.reset();
+  }
+
+  /**
+   * Elapsed physical time in seconds for the current mass
+   */
+  get physicalTime() {
+    return this.time * gravitationalTimeSeconds(this.blackHole.mass);
+  }
+
+  /**
+   * Whether the clock is driving toward a scrub target
+   */
+  get scrubbing() {
+    return this.scrubTarget !== null;
+  }
+
+  /**
+   * Whether a scrub target lies behind the clock, so the run must be replayed
+   */
+  get needsRewind() {
+    return this.scrubTarget !== null && this.scrubTarget < this.time;
+  }
+
+  /**
+   * Advance by one rendered frame of realSeconds; returns the clock delta (s, ≥ 0)
+   */
+  tick(realSeconds) {
+    const frameSeconds = Math.min(Math.max(realSeconds, 0), MAX_FRAME_SECONDS);
+    let delta = 0;
+
+    if (this.scrubTarget !== null) {
+      const remaining = (this.scrubTarget - this.time) / this.timeScale;
+      const reach = frameSeconds * SCRUB_SPEED;
+      // A target behind the clock waits for the rewind
+      if (remaining >= 0) {
+        delta = Math.min(remaining, reach);
+        if (remaining <= reach) this.scrubTarget = null;
+      }
+    } else if (this.pendingSteps > 0) {
+      delta = FRAME_SECONDS;
+      this.pendingSteps--;
+    } else if (this.playing) {
+      delta = frameSeconds * this.speed;
+    }
+
+    this.time += delta * this.timeScale;
+    return delta;
+  }
+
+  /**
+   * Step `frames` nominal frames; pauses the clock. Steps back are a scrub to the
+   * earlier time, so they replay the run.
+   */
+  step(frames = 1) {
+    this.playing = false;
+    if (frames < 0) {
+      this.scrub(this.time + frames * FRAME_SECONDS * this.timeScale);
+      return;
+    }
+    this.scrubTarget = null;
+    this.pendingSteps += frames;
+  }
+
+  /**
+   * Drive the clock to `time` (M); an earlier time than now needs a rewind
+   */
+  scrub(time) {
+    this.pendingSteps = 0;
+    this.scrubTarget = Math.max(0, time);
+  }
+
+  /**
+   * Back to t = 0 for a scene rebuilt from the seed, keeping any scrub target to
+   * replay up to
+   */
+  rewind() {
+    this.time = 0;
+    this.pendingSteps = 0;
+  }
+
+  /**
+   * Characteristic timescales (units of M) for the timeline:
+   * ISCO orbital period       P = 2π (r^{3/2} + a)
+   * inner-disk dynamical time t_dyn = r^{3/2} at `innerRadius` (M)
+   * nodal precession period   Lense–Thirring, at `innerRadius`
+   * jet propagation time      L / βc along the drawn jet (`jetLength` in scene units)
+   */
+  timescales({ innerRadius, jetLength, jetSpeed }) {
+    const rg = this.blackHole.gravitationalRadius;
+    const spin = this.blackHole.spin;
+    const isco = this.blackHole.iscoRadius() / rg;
+
+    return [
+      { key: 'isco', label: 'ISCO orbit', time: keplerianPeriod(isco, spin), color: '#ff00ff' },
+      { key: 'dynamical', label: 'Inner-disk t_dyn', time: Math.pow(innerRadius, 1.5), color: '#33ccff' },
+      { key: 'precession', label: 'LT precession', time: nodalPrecessionPeriod(innerRadius, spin), color: '#aa66ff' },
+      { key: 'jet', label: 'Jet crossing', time: jetLength / rg / jetSpeed, color: '#00ffff' }
+    ];
+  }
+
+  /**
+   * Set parameters
+   */
+  setParameters(params) {
+    if (params.speed !== undefined) this.speed = params.speed;
+    if (params.playing !== undefined) this.playing = params.playing;
+    if (params.timeScale !== undefined) this.timeScale = params.timeScale;
+  }
+
+  /**
+   * Clock state for a snapshot
+   */
+  getState() {
+    return {
+      time: this.time,
+      speed: this.speed,
+      playing: this.playing,
+      timeScale: this.timeScale
+    };
+  }
+
+  /**
+   * Restore a state from getState(); pending steps and scrubs are dropped
+   */
+  setState(state) {
+    this.setParameters(state);
+    this.reset();
+    this.time = state.time;
+  }
+
+  /**
+   * Back to t = 0, playing state unchanged
+   */
+  reset() {
+    this.time = 0;
+    this.pendingSteps = 0;
+    this.scrubTarget = null;
+  }
+
+  /**
+   * Get state for the UI
+   */
+  getStats() {
+    return {
+      time: this.time,
+      physicalTime: this.physicalTime,
+      speed: this.speed,
+      playing: this.playing,
+      scrubbing: this.scrubbing
+    };
+  }
+}
+
+export default SimulationClock;
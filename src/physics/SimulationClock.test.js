@@ -0,0 +1,87 @@
+import { describe, expect, it } from 'vitest';
+import BlackHole from './BlackHole';
+import SimulationClock, { FRAME_SECONDS, MAX_FRAME_SECONDS, SCRUB_SPEED } from './SimulationClock';
+
+const runUntilIdle = (clock, frames = 10000) => {
+  for (let i = 0; i < frames && (clock.scrubbing || clock.pendingSteps > 0); i++) clock.tick(FRAME_SECONDS);
+};
+
+describe('SimulationClock', () => {
+  it('runs timeScale M per clock second at the chosen speed', () => {
+    const clock = new SimulationClock(new BlackHole(), { timeScale: 20 });
+    expect(clock.tick(0.05)).toBeCloseTo(0.05, 12);
+    expect(clock.time).toBeCloseTo(1, 12);
+
+    clock.setParameters({ speed: 4 });
+    expect(clock.tick(0.05)).toBeCloseTo(0.2, 12);
+    expect(clock.time).toBeCloseTo(5, 12);
+  });
+
+  it('clips long real frames and stands still while paused', () => {
+    const clock = new SimulationClock(new BlackHole());
+    expect(clock.tick(5)).toBeCloseTo(MAX_FRAME_SECONDS, 12);
+    expect(clock.tick(-1)).toBe(0);
+
+    clock.setParameters({ playing: false });
+    expect(clock.tick(0.1)).toBe(0);
+  });
+
+  it('steps whole nominal frames and pauses', () => {
+    const clock = new SimulationClock(new BlackHole(), { timeScale: 20 });
+    clock.step(3);
+    expect(clock.playing).toBe(false);
+    const deltas = [0, 1, 2, 3].map(() => clock.tick(0.05));
+    expect(deltas).toEqual([FRAME_SECONDS, FRAME_SECONDS, FRAME_SECONDS, 0]);
+    expect(clock.time).toBeCloseTo(3 * FRAME_SECONDS * 20, 12);
+  });
+
+  it('scrubs forward at SCRUB_SPEED and stops on the target', () => {
+    const clock = new SimulationClock(new BlackHole(), { timeScale: 20 });
+    clock.scrub(10);
+    expect(clock.needsRewind).toBe(false);
+    expect(clock.tick(0.05)).toBeCloseTo(0.05 * SCRUB_SPEED, 12);
+
+    runUntilIdle(clock);
+    expect(clock.scrubbing).toBe(false);
+    expect(clock.time).toBeCloseTo(10, 9);
+  });
+
+  it('steps back by replaying from t = 0 after a rewind', () => {
+    const clock = new SimulationClock(new BlackHole(), { timeScale: 20 });
+    clock.tick(0.1);
+    const before = clock.time;
+
+    clock.step(-1);
+    expect(clock.needsRewind).toBe(true);
+    expect(clock.tick(0.05)).toBe(0); // Waits for the scene to rebuild
+
+    clock.rewind();
+    expect(clock.time).toBe(0);
+    expect(clock.needsRewind).toBe(false);
+    runUntilIdle(clock);
+    expect(clock.time).toBeCloseTo(before - FRAME_SECONDS * 20, 9);
+  });
+
+  it('labels the ISCO orbit with the Kerr Keplerian period', () => {
+    const blackHole = new BlackHole({ spin: 0.7 });
+    const clock = new SimulationClock(blackHole);
+    const isco = clock.timescales({ innerRadius: 6, jetLength: 100, jetSpeed: 0.9 }).find(t => t.key === 'isco');
+    const r = blackHole.iscoRadius() / blackHole.gravitationalRadius;
+    expect(isco.time).toBeCloseTo(2 * Math.PI * (Math.pow(r, 1.5) + 0.7), 9);
+    expect(isco.time).toBeCloseTo(43.7, 1);
+  });
+
+  it('restores a saved state without pending steps or scrubs', () => {
+    const clock = new SimulationClock(new BlackHole());
+    clock.setParameters({ speed: 0.25 });
+    clock.tick(0.1);
+    const state = clock.getState();
+
+    const restored = new SimulationClock(new BlackHole());
+    restored.step(5);
+    restored.setState(state);
+    expect(restored.getState()).toEqual(state);
+    expect(restored.pendingSteps).toBe(0);
+    expect(restored.scrubbing).toBe(false);
+  });
+});
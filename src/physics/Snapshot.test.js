@@ -0,0 +1,96 @@
+import * as THREE from 'three';
+import { describe, expect, it } from 'vitest';
+import {
+  SNAPSHOT_FORMAT,
+  SNAPSHOT_VERSION,
+  createSnapshot,
+  packParticles,
+  readSnapshot,
+  unpackParticles
+} from './Snapshot';
+
+const SECTIONS = {
+  clock: { time: 'number', playing: 'boolean' },
+  camera: { angle: { theta: 'number', phi: 'number' }, 'dive?': { r: 'number' } },
+  disk: 'particles',
+  'loop?': { lines: [{ events: 'array' }] }
+};
+
+const sections = () => ({
+  clock: { time: 12.5, playing: false },
+  camera: { angle: { theta: 0.3, phi: 1.2 }, dive: null },
+  disk: packParticles([{ radius: 10, angle: 0.1 }, { radius: 12, angle: 2.3 }])
+});
+
+const write = (snapshot) => JSON.stringify(snapshot);
+
+describe('packParticles / unpackParticles', () => {
+  it('round-trips plain, vector and color fields exactly', () => {
+    const particles = [
+      { radius: 1 / 3, alive: true, position: new THREE.Vector3(1, -2, Math.PI), color: new THREE.Color(0.2, 0.4, 0.6) },
+      { radius: 7e-12, alive: false, position: new THREE.Vector3(0, 0.1, 0), color: new THREE.Color(1, 0, 0) }
+    ];
+    const packed = JSON.parse(JSON.stringify(packParticles(particles)));
+    expect(packed.count).toBe(2);
+    expect(packed.types).toEqual({ radius: 'plain', alive: 'plain', position: 'vector3', color: 'color' });
+
+    const restored = unpackParticles(packed);
+    expect(restored[0].radius).toBe(1 / 3);
+    expect(restored[1].alive).toBe(false);
+    expect(restored[0].position.isVector3).toBe(true);
+    expect(restored[0].position.equals(particles[0].position)).toBe(true);
+    expect(restored[1].color.isColor).toBe(true);
+    expect(restored[1].color.equals(particles[1].color)).toBe(true);
+  });
+
+  it('leaves out fields a particle did not have', () => {
+    const restored = unpackParticles(packParticles([{ a: 1 }, { a: 2, b: 3 }]));
+    expect(restored).toEqual([{ a: 1 }, { a: 2, b: 3 }]);
+    expect(unpackParticles(packParticles([]))).toEqual([]);
+  });
+});
+
+describe('readSnapshot', () => {
+  it('reads back what createSnapshot wrote', () => {
+    const snapshot = readSnapshot(write(createSnapshot('observatory', sections())), 'observatory', SECTIONS);
+    expect(snapshot.format).toBe(SNAPSHOT_FORMAT);
+    expect(snapshot.version).toBe(SNAPSHOT_VERSION);
+    expect(snapshot.clock.time).toBe(12.5);
+    expect(unpackParticles(snapshot.disk)[1].angle).toBe(2.3);
+  });
+
+  it('rejects text that is not a snapshot of this simulation and version', () => {
+    const good = createSnapshot('observatory', sections());
+    expect(() => readSnapshot('{not json', 'observatory')).toThrow('Not a JSON file');
+    expect(() => readSnapshot('null', 'observatory')).toThrow('Not a simulation snapshot');
+    expect(() => readSnapshot(write({ ...good, format: 'other' }), 'observatory')).toThrow('Not a simulation snapshot');
+    expect(() => readSnapshot(write({ ...good, version: '2' }), 'observatory')).toThrow('no valid version');
+    expect(() => readSnapshot(write({ ...good, version: 0 }), 'observatory')).toThrow('no valid version');
+    expect(() => readSnapshot(write({ ...good, version: SNAPSHOT_VERSION + 1 }), 'observatory')).toThrow('is newer than');
+    expect(() => readSnapshot(write(good), 'accretion')).toThrow('from the observatory view');
+  });
+
+  it('names the first missing or damaged section', () => {
+    const read = (changes) => () => readSnapshot(
+      write(createSnapshot('observatory', { ...sections(), ...changes })), 'observatory', SECTIONS
+    );
+    expect(read({ clock: undefined })).toThrow('Snapshot section "clock" is missing or damaged');
+    expect(read({ clock: { time: 'soon', playing: false } })).toThrow('"clock"');
+    expect(read({ camera: { angle: { theta: 0.3 } } })).toThrow('"camera"');
+    expect(read({ camera: { angle: { theta: 0.3, phi: 1 }, dive: { r: null } } })).toThrow('"camera"');
+
+    const disk = packParticles([{ radius: 10 }, { radius: 12 }]);
+    disk.columns.radius.pop();
+    expect(read({ disk })).toThrow('"disk"');
+    expect(read({ disk: { ...disk, count: -1 } })).toThrow('"disk"');
+  });
+
+  it('accepts a missing optional section and checks it when present', () => {
+    const read = (loop) => () => readSnapshot(
+      write(createSnapshot('observatory', { ...sections(), loop })), 'observatory', SECTIONS
+    );
+    expect(read(undefined)).not.toThrow();
+    expect(read({ lines: [{ events: [] }, { events: [1, 2] }] })).not.toThrow();
+    expect(read({ lines: [{ events: 'none' }] })).toThrow('Snapshot section "loop" is missing or damaged');
+  });
+});
@@ -1,17 +1,23 @@
 import * as THREE from 'three';
+import BlackHole from './BlackHole';
+import { blackbodyColor } from './Blackbody';
+import { SCENE_G } from './Units';
+import Random from './Random';
 
 /**
  * Star class - represents a star approaching TON 618
  * Handles star physics, tidal stretching, and disruption
  */
 export class Star {
-  constructor(scene, blackHoleMass = 66e9) {
+  constructor(scene, blackHole = new BlackHole(), params = {}) {
     this.scene = scene;
-    this.blackHoleMass = blackHoleMass;
+    this.blackHole = blackHole;
+    this.random = params.random || new Random(); // Tidal tail scatter
 
     // Star properties
     this.mass = 1; // Solar masses
     this.radius = 1; // Solar radii (visual scale will be larger)
+    this.effectiveTemperature = 5778; // Photosphere temperature (K)
     this.position = new THREE.Vector3(300, 0, 0); // Start far away
     this.velocity = new THREE.Vector3(-0.5, 0, 0.3); // Initial velocity
 
@@ -26,6 +32,18 @@ export class Star {
     this.debrisParticles = [];
 
     this.createStarMesh();
+
+    // Tidal radius depends on the hole's mass
+    this.unsubscribeBlackHole = blackHole.onChange(() => {
+      this.tidalRadius = this.calculateTidalRadius();
+    });
+  }
+
+  /**
+   * Black hole mass in solar masses
+   */
+  get blackHoleMass() {
+    return this.blackHole.mass;
   }
 
   /**
@@ -33,12 +51,30 @@ export class Star {
    * R_t ≈ R_star * (M_bh / M_star)^(1/3)
    */
   calculateTidalRadius() {
-    const schwarzschildRadius = 13; // TON 618 event horizon radius
+    const schwarzschildRadius = this.blackHole.schwarzschildRadius;
     // Simplified tidal radius calculation
     const tidalRadius = schwarzschildRadius * 3 * Math.pow(this.blackHoleMass / this.mass, 1/3);
     return Math.min(tidalRadius, 80); // Cap for visualization
   }
 
+  /**
+   * Surface temperature with tidal heating
+   * T = T_eff (1 + h), h = 0 far out and 1 at the tidal radius
+   */
+  getSurfaceTemperature(heatFactor = 0) {
+    return this.effectiveTemperature * (1 + heatFactor);
+  }
+
+  /**
+   * Blackbody surface color, sRGB-encoded for the star shader
+   */
+  getSurfaceColor(heatFactor = 0, target = new THREE.Color()) {
+    return blackbodyColor(this.getSurfaceTemperature(heatFactor), 1, target, {
+      referenceTemperature: this.effectiveTemperature,
+      encoding: 'srgb'
+    });
+  }
+
   /**
    * Create the visual mesh for the star with multiple layers
    */
@@ -49,6 +85,7 @@ export class Star {
       uniforms: {
         time: { value: 0 },
         temperature: { value: 1.0 },
+        surfaceColor: { value: this.getSurfaceColor() },
         stretch: { value: new THREE.Vector3(1, 1, 1) }
       },
       vertexShader: `
@@ -68,6 +105,7 @@ export class Star {
       fragmentShader: `
         uniform float time;
         uniform float temperature;
+        uniform vec3 surfaceColor;
         varying vec3 vPosition;
         varying vec3 vNormal;
 
@@ -129,10 +167,8 @@ export class Star {
           float noise2 = snoise(vPosition * 4.0 - time * 0.5);
           float surfaceDetail = noise1 * 0.3 + noise2 * 0.15;
 
-          // Color based on temperature (blue-white hot to yellow-orange cool)
-          vec3 coldColor = vec3(1.0, 0.85, 0.5);   // Yellow-orange
-          vec3 hotColor = vec3(1.0, 0.95, 0.9);    // Blue-white
-          vec3 baseColor = mix(coldColor, hotColor, temperature);
+          // Blackbody color of the (tidally heated) photosphere
+          vec3 baseColor = surfaceColor;
 
           // Add surface detail
           vec3 color = baseColor + surfaceDetail * 0.2;
@@ -191,8 +227,7 @@ export class Star {
    */
   calculateTidalForce(distance) {
     if (distance < 0.1) distance = 0.1; // Prevent division by zero
-    const G = 1; // Normalized gravitational constant
-    const tidalForce = (2 * G * this.blackHoleMass * this.radius) / Math.pow(distance, 3);
+    const tidalForce = (2 * SCENE_G * this.blackHoleMass * this.radius) / Math.pow(distance, 3);
     return tidalForce;
   }
 
@@ -202,8 +237,7 @@ export class Star {
    */
   calculateGravity(distance) {
     if (distance < 0.1) distance = 0.1;
-    const G = 0.1; // Scaled for visualization
-    return (G * this.blackHoleMass) / Math.pow(distance, 2);
+    return (SCENE_G * this.blackHoleMass) / Math.pow(distance, 2);
   }
 
   /**
@@ -262,6 +296,7 @@ export class Star {
       const heatFactor = Math.max(0, 1 - (distance / this.tidalRadius));
       const temperature = 0.3 + heatFactor * 0.7;
       this.mesh.material.uniforms.temperature.value = temperature;
+      this.getSurfaceColor(heatFactor, this.mesh.material.uniforms.surfaceColor.value);
     }
 
     // Rotate star (differential rotation faster at equator)
@@ -323,7 +358,7 @@ export class Star {
    * Create visible tidal tail particles
    */
   createTidalTail(direction, intensity) {
-    const geometry = new THREE.SphereGeometry(0.3 + Math.random() * 0.3, 8, 8);
+    const geometry = new THREE.SphereGeometry(0.3 + this.random.next() * 0.3, 8, 8);
     const material = new THREE.MeshBasicMaterial({
       color: 0xffaa66,
       transparent: true,
@@ -334,16 +369,16 @@ export class Star {
     const tail = new THREE.Mesh(geometry, material);
 
     // Position along stretch axis
-    const offset = (Math.random() - 0.5) * this.stretchFactor.x * 3;
+    const offset = (this.random.next() - 0.5) * this.stretchFactor.x * 3;
     tail.position.copy(this.position).add(direction.clone().multiplyScalar(offset));
 
     // Add some perpendicular spread
     const perpDir = new THREE.Vector3(
-      Math.random() - 0.5,
-      Math.random() - 0.5,
-      Math.random() - 0.5
+      this.random.next() - 0.5,
+      this.random.next() - 0.5,
+      this.random.next() - 0.5
     ).normalize();
-    tail.position.add(perpDir.multiplyScalar((Math.random() - 0.5) * 2));
+    tail.position.add(perpDir.multiplyScalar((this.random.next() - 0.5) * 2));
 
     tail.age = 0;
     this.scene.add(tail);
@@ -366,10 +401,33 @@ export class Star {
       velocity: this.velocity.clone(),
       mass: this.mass,
       health: this.health,
-      stretchFactor: this.stretchFactor.clone()
+      stretchFactor: this.stretchFactor.clone(),
+      isDisrupted: this.isDisrupted,
+      random: this.random.getState()
     };
   }
 
+  /**
+   * Restore a state from getState() (vectors may be plain { x, y, z } from JSON);
+   * tidal tails are not kept and regrow while the star is stretched
+   */
+  setState(state) {
+    this.reset(state.position, state.velocity);
+    this.mass = state.mass;
+    this.tidalRadius = this.calculateTidalRadius();
+    this.health = state.health;
+    this.isDisrupted = state.isDisrupted;
+    this.stretchFactor.copy(state.stretchFactor);
+    this.random.setState(state.random);
+
+    if (this.mesh && this.mesh.material.uniforms) {
+      this.mesh.material.uniforms.stretch.value.copy(this.stretchFactor);
+    }
+    if (this.chromosphere) {
+      this.chromosphere.scale.copy(this.stretchFactor);
+    }
+  }
+
   /**
    * Reset star to initial state
    */
@@ -397,6 +455,7 @@ export class Star {
       if (this.mesh.material.uniforms) {
         this.mesh.material.uniforms.time.value = 0;
         this.mesh.material.uniforms.temperature.value = 1.0;
+        this.getSurfaceColor(0, this.mesh.material.uniforms.surfaceColor.value);
         this.mesh.material.uniforms.stretch.value.set(1, 1, 1);
       }
     }
@@ -419,6 +478,8 @@ export class Star {
    * Remove star from scene
    */
   destroy() {
+    this.unsubscribeBlackHole();
+
     // Cleanup tidal tails
     this.tidalTails.forEach(tail => {
       this.scene.remove(tail);
@@ -1,13 +1,26 @@
 import * as THREE from 'three';
+import BlackHole from './BlackHole';
+import { blackbodyColor } from './Blackbody';
+import { SCENE_G, SOLAR_MASS, gravitationalRadiusMeters } from './Units';
+import Random from './Random';
+import { packParticles, unpackParticles } from './Snapshot';
+
+// Kelvin per unit of normalized debris temperature: the cold stream sits near 6000 K,
+// shocked gas near the ISCO reaches ~3×10⁴ K as observed in optical/UV TDEs
+const DEBRIS_TEMPERATURE_SCALE = 2e4;
+
+// Scene units around a particle over which its neighbours' mass is smeared for ρ
+const DENSITY_RADIUS = 5;
 
 /**
  * StellarDebris class - represents disrupted stellar material
  * Handles debris streams, circularization, and accretion onto black hole
  */
 export class StellarDebris {
-  constructor(scene, blackHoleMass = 66e9) {
+  constructor(scene, blackHole = new BlackHole(), params = {}) {
     this.scene = scene;
-    this.blackHoleMass = blackHoleMass;
+    this.blackHole = blackHole;
+    this.random = params.random || new Random(); // Debris spray
 
     // Debris properties
     this.particles = [];
@@ -18,13 +31,30 @@ export class StellarDebris {
     this.particleSystem = null;
     this.streamLines = [];
 
-    // Physics parameters
-    this.ISCO = 18; // Innermost stable circular orbit
-    this.eventHorizon = 13;
-
     this.createParticleSystem();
   }
 
+  /**
+   * Black hole mass in solar masses
+   */
+  get blackHoleMass() {
+    return this.blackHole.mass;
+  }
+
+  /**
+   * Innermost stable circular orbit
+   */
+  get ISCO() {
+    return this.blackHole.iscoRadius();
+  }
+
+  /**
+   * Outer event horizon r_+
+   */
+  get eventHorizon() {
+    return this.blackHole.horizonRadius;
+  }
+
   /**
    * Create instanced particle system for debris
    */
@@ -64,11 +94,11 @@ export class StellarDebris {
     for (let i = 0; i < debrisCount; i++) {
       if (this.particleCount >= this.maxParticles) break;
 
-      const spreadFactor = (Math.random() - 0.5) * 10;
+      const spreadFactor = (this.random.next() - 0.5) * 10;
       const perpVector = new THREE.Vector3(
-        Math.random() - 0.5,
-        Math.random() - 0.5,
-        Math.random() - 0.5
+        this.random.next() - 0.5,
+        this.random.next() - 0.5,
+        this.random.next() - 0.5
       ).normalize();
 
       const particlePos = position.clone().add(
@@ -77,9 +107,9 @@ export class StellarDebris {
 
       // Velocity inherits from star plus some spread
       const velocitySpread = new THREE.Vector3(
-        (Math.random() - 0.5) * 0.2,
-        (Math.random() - 0.5) * 0.2,
-        (Math.random() - 0.5) * 0.2
+        (this.random.next() - 0.5) * 0.2,
+        (this.random.next() - 0.5) * 0.2,
+        (this.random.next() - 0.5) * 0.2
       );
       const particleVel = velocity.clone().add(velocitySpread);
 
@@ -92,7 +122,7 @@ export class StellarDebris {
         angularMomentum: angularMomentum,
         temperature: 0.3,
         age: 0,
-        maxAge: 1000 + Math.random() * 500,
+        maxAge: 1000 + this.random.next() * 500,
         mass: mass / debrisCount,
         inStream: true,
         circularized: false
@@ -107,8 +137,7 @@ export class StellarDebris {
    */
   calculateOrbitalVelocity(radius) {
     if (radius < this.ISCO) radius = this.ISCO;
-    const G = 0.1; // Scaled gravitational constant
-    return Math.sqrt((G * this.blackHoleMass) / radius);
+    return Math.sqrt((SCENE_G * this.blackHoleMass) / radius);
   }
 
   /**
@@ -133,13 +162,14 @@ export class StellarDebris {
 
       // Particle fell into black hole
       if (distance < this.eventHorizon) {
+        p.accreted = true;
         this.particles.splice(i, 1);
         this.particleCount--;
         continue;
       }
 
       // Gravitational force
-      const gravity = (0.1 * this.blackHoleMass) / Math.pow(distance, 2);
+      const gravity = (SCENE_G * this.blackHoleMass) / Math.pow(distance, 2);
       const gravDirection = p.position.clone().normalize().multiplyScalar(-1);
       const gravAccel = gravDirection.multiplyScalar(gravity);
 
@@ -185,25 +215,7 @@ export class StellarDebris {
         p.temperature += 0.3;
       }
 
-      // Update visual representation
-      const scale = 0.5 + p.temperature * 0.5;
-      updateMatrix.identity();
-      updateMatrix.setPosition(p.position);
-      updateMatrix.scale(new THREE.Vector3(scale, scale, scale));
-
-      // Color based on temperature (blue = cool, red = hot, white = very hot)
-      if (p.temperature > 1.2) {
-        updateColor.setRGB(1, 1, 1); // White hot
-      } else if (p.temperature > 0.8) {
-        updateColor.setHSL(0.05, 1, 0.6); // Orange-yellow
-      } else if (p.temperature > 0.5) {
-        updateColor.setHSL(0.1, 1, 0.5); // Orange
-      } else {
-        updateColor.setHSL(0.6, 1, 0.4); // Blue-ish
-      }
-
-      this.particleSystem.setMatrixAt(i, updateMatrix);
-      this.particleSystem.setColorAt(i, updateColor);
+      this.drawParticle(i, p, updateMatrix, updateColor);
     }
 
     // Update instance matrices
@@ -215,6 +227,72 @@ export class StellarDebris {
     }
   }
 
+  /**
+   * Instance i: sized and colored (blackbody) by the gas temperature
+   */
+  drawParticle(i, p, matrix, color) {
+    const scale = 0.5 + p.temperature * 0.5;
+    matrix.identity();
+    matrix.setPosition(p.position);
+    matrix.scale(new THREE.Vector3(scale, scale, scale));
+
+    blackbodyColor(p.temperature * DEBRIS_TEMPERATURE_SCALE, 1, color, {
+      referenceTemperature: DEBRIS_TEMPERATURE_SCALE
+    });
+
+    this.particleSystem.setMatrixAt(i, matrix);
+    this.particleSystem.setColorAt(i, color);
+  }
+
+  /**
+   * Every debris particle and the random stream, for a snapshot
+   */
+  getState() {
+    return {
+      particles: packParticles(this.particles),
+      random: this.random.getState()
+    };
+  }
+
+  /**
+   * Restore a state from getState() and draw it
+   */
+  setState(state) {
+    this.clear();
+    this.particles = unpackParticles(state.particles);
+    this.particleCount = this.particles.length;
+    this.random.setState(state.random);
+
+    const matrix = new THREE.Matrix4();
+    const color = new THREE.Color();
+    this.particles.forEach((p, i) => this.drawParticle(i, p, matrix, color));
+    this.particleSystem.instanceMatrix.needsUpdate = true;
+    if (this.particleSystem.instanceColor) {
+      this.particleSystem.instanceColor.needsUpdate = true;
+    }
+  }
+
+  /**
+   * Physical state of one debris particle: temperature (K), density of the debris
+   * within DENSITY_RADIUS (kg/m³), age and phase ('stream' or 'circularized')
+   */
+  getParticleState(particle) {
+    let neighbourMass = 0;
+    this.particles.forEach(p => {
+      if (p.position.distanceToSquared(particle.position) < DENSITY_RADIUS * DENSITY_RADIUS) neighbourMass += p.mass;
+    });
+    const metersPerUnit = gravitationalRadiusMeters(this.blackHoleMass) / this.blackHole.gravitationalRadius;
+    const volume = 4 / 3 * Math.PI * (DENSITY_RADIUS * metersPerUnit) ** 3;
+
+    return {
+      temperature: particle.temperature * DEBRIS_TEMPERATURE_SCALE,
+      density: neighbourMass * SOLAR_MASS / volume,
+      age: particle.age,
+      maxAge: particle.maxAge,
+      phase: particle.circularized ? 'circularized' : 'stream'
+    };
+  }
+
   /**
    * Get statistics about debris
    */
@@ -0,0 +1,125 @@
+/**
+ * Units - Geometrized unit system (G = c = M = 1)
+ * Physics is done in units of the black hole mass M: lengths in r_g = GM/c²,
+ * times in GM/c³. From there lengths convert to scene units (through the
+ * shared BlackHole model) and to physical display units.
+ *
+ * Scene scale: r_g of TON 618 (66 billion M☉) is 6.5 scene units, so one scene
+ * unit is ≈ 100 AU regardless of the mass slider.
+ */
+
+// SI constants
+export const G = 6.674e-11; // m³ kg⁻¹ s⁻²
+export const C = 2.998e8; // m/s
+export const SOLAR_MASS = 1.989e30; // kg
+export const AU = 1.495978707e11; // m
+export const LIGHT_HOUR = C * 3600; // m
+export const LIGHT_DAY = LIGHT_HOUR * 24; // m
+export const LIGHT_YEAR = LIGHT_DAY * 365.25; // m
+
+/**
+ * Gravitational constant of the scene's Newtonian orbits (star, debris, companion),
+ * in scene units³ M☉⁻¹ s⁻² with masses in M☉ and time in simulation seconds.
+ * Deliberately not G: at one scene unit ≈ 100 AU the physical value is ≈ 4e-20, and
+ * 0.1 runs those orbits ≈ 1.6e9 times faster (one simulation second ≈ 50 yr). The
+ * factor is the same at every mass, since the scene unit is a fixed length.
+ */
+export const SCENE_G = 0.1;
+
+/**
+ * Gravitational radius in meters
+ * r_g = GM/c² ≈ 1.477 km per M☉
+ */
+export function gravitationalRadiusMeters(massSolar) {
+  return G * massSolar * SOLAR_MASS / (C * C);
+}
+
+/**
+ * Gravitational time in seconds
+ * t_g = GM/c³ ≈ 4.93 μs per M☉
+ */
+export function gravitationalTimeSeconds(massSolar) {
+  return G * massSolar * SOLAR_MASS / (C * C * C);
+}
+
+/**
+ * Acceleration unit c⁴/GM in m/s² (geometrized accelerations are in units of 1/M)
+ */
+export function gravitationalAcceleration(massSolar) {
+  return C * C / gravitationalRadiusMeters(massSolar);
+}
+
+/**
+ * Scene length → geometrized length (units of M)
+ */
+export function sceneToGeometric(sceneLength, blackHole) {
+  return sceneLength / blackHole.gravitationalRadius;
+}
+
+/**
+ * Geometrized length (units of M) → scene length
+ */
+export function geometricToScene(r, blackHole) {
+  return r * blackHole.gravitationalRadius;
+}
+
+/**
+ * Geometrized length (units of M) → meters
+ */
+export function geometricToMeters(r, massSolar) {
+  return r * gravitationalRadiusMeters(massSolar);
+}
+
+/**
+ * Display units for lengths; each converts from units of M
+ */
+export const LENGTH_UNITS = {
+  rg: { label: 'r_g', fromGeometric: (r) => r },
+  rs: { label: 'r_s', fromGeometric: (r) => r / 2 },
+  au: { label: 'AU', fromGeometric: (r, massSolar) => geometricToMeters(r, massSolar) / AU },
+  lh: { label: 'lt-hr', fromGeometric: (r, massSolar) => geometricToMeters(r, massSolar) / LIGHT_HOUR },
+  ld: { label: 'lt-day', fromGeometric: (r, massSolar) => geometricToMeters(r, massSolar) / LIGHT_DAY },
+  ly: { label: 'lt-yr', fromGeometric: (r, massSolar) => geometricToMeters(r, massSolar) / LIGHT_YEAR }
+};
+
+/**
+ * Scene length → value in a display unit
+ */
+export function convertLength(sceneLength, unit, blackHole) {
+  const r = sceneToGeometric(sceneLength, blackHole);
+  return LENGTH_UNITS[unit].fromGeometric(r, blackHole.mass);
+}
+
+/**
+ * Scene length → readable string with unit label
+ */
+export function formatLength(sceneLength, unit, blackHole) {
+  const value = convertLength(sceneLength, unit, blackHole);
+  const magnitude = Math.abs(value);
+  const text = magnitude !== 0 && (magnitude >= 1e4 || magnitude < 1e-2)
+    ? value.toExponential(2)
+    : value.toFixed(2);
+  return `${text} ${LENGTH_UNITS[unit].label}`;
+}
+
+/**
+ * Display units for durations, in seconds (Julian year)
+ */
+export const DURATION_UNITS = [
+  { label: 's', seconds: 1 },
+  { label: 'min', seconds: 60 },
+  { label: 'hr', seconds: 3600 },
+  { label: 'days', seconds: 86400 },
+  { label: 'yr', seconds: 3.15576e7 }
+];
+
+/**
+ * Duration in seconds → readable string in the largest unit it fills
+ */
+export function formatDuration(seconds) {
+  const magnitude = Math.abs(seconds);
+  const unit = [...DURATION_UNITS].reverse().find(u => magnitude >= u.seconds) || DURATION_UNITS[0];
+  const value = seconds / unit.seconds;
+  const text = Math.abs(value) >= 1e4 ? value.toExponential(2) : value.toFixed(2);
+  return `${text} ${unit.label}`;
+}
@@ -0,0 +1,52 @@
+import { describe, expect, it } from 'vitest';
+import BlackHole from './BlackHole';
+import {
+  AU,
+  LIGHT_DAY,
+  convertLength,
+  formatDuration,
+  formatLength,
+  geometricToScene,
+  gravitationalRadiusMeters,
+  gravitationalTimeSeconds,
+  sceneToGeometric
+} from './Units';
+
+describe('Units', () => {
+  it('gives r_g ≈ 1.477 km and t_g ≈ 4.93 μs per solar mass', () => {
+    expect(gravitationalRadiusMeters(1)).toBeCloseTo(1477, 0);
+    expect(gravitationalTimeSeconds(1) * 1e6).toBeCloseTo(4.93, 2);
+    expect(gravitationalTimeSeconds(66e9) / 86400).toBeCloseTo(3.76, 2);
+  });
+
+  it('round-trips scene and geometrized lengths', () => {
+    const blackHole = new BlackHole({ mass: 20e9 });
+    expect(sceneToGeometric(geometricToScene(6, blackHole), blackHole)).toBeCloseTo(6, 12);
+    expect(convertLength(blackHole.gravitationalRadius, 'rg', blackHole)).toBeCloseTo(1, 12);
+    expect(convertLength(blackHole.gravitationalRadius, 'rs', blackHole)).toBeCloseTo(0.5, 12);
+  });
+
+  it('converts to physical units through r_g of the current mass', () => {
+    const blackHole = new BlackHole({ mass: 66e9 });
+    const r = 10 * blackHole.gravitationalRadius;
+    expect(convertLength(r, 'au', blackHole)).toBeCloseTo(10 * gravitationalRadiusMeters(66e9) / AU, 6);
+    expect(convertLength(r, 'ld', blackHole)).toBeCloseTo(10 * gravitationalRadiusMeters(66e9) / LIGHT_DAY, 6);
+  });
+
+  it('keeps one scene unit near 100 AU at any mass', () => {
+    const light = new BlackHole({ mass: 10e9 });
+    const heavy = new BlackHole({ mass: 100e9 });
+    expect(convertLength(1, 'au', light)).toBeCloseTo(convertLength(1, 'au', heavy), 6);
+    expect(convertLength(1, 'au', heavy)).toBeGreaterThan(90);
+    expect(convertLength(1, 'au', heavy)).toBeLessThan(110);
+  });
+
+  it('formats lengths and durations in readable units', () => {
+    const blackHole = new BlackHole({ mass: 66e9 });
+    expect(formatLength(blackHole.gravitationalRadius, 'rg', blackHole)).toBe('1.00 r_g');
+    expect(formatLength(0, 'au', blackHole)).toBe('0.00 AU');
+    expect(formatDuration(90)).toBe('1.50 min');
+    expect(formatDuration(2 * 86400)).toBe('2.00 days');
+    expect(formatDuration(0.5)).toBe('0.50 s');
+  });
+});
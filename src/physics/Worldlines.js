@@ -0,0 +1,221 @@
+import { horizonRadius, innerHorizonRadius, tortoiseCoordinate, penroseCoordinates, radialInfallRate } from './KerrMetric';
+
+/**
+ * Worldlines - Radial histories of bodies around the hole, for the Penrose diagram.
+ * Events are (v, r) in units of M, with v the ingoing Eddington–Finkelstein time
+ * (v = t + r*), which stays finite through the horizon; the simulation clock
+ * advances v at `timeScale` M per second.
+ *
+ * The diagram is drawn boosted (v → v - v_now + r*(r_ref)), a symmetry of the
+ * stationary hole, so a static observer at the reference radius always sits at
+ * T = 0 "now" and older events slide down toward i⁻. It is compactified with
+ * κ = 1 / r*(r_ref) rather than the surface gravity, which would crowd everything
+ * beyond a few M into the corner at i⁰.
+ *
+ * A body seen back outside after crossing r_+ cannot be the same worldline (the
+ * simulation moved it, nothing physical did): its old line is closed at the
+ * interior edge and a new one begins.
+ */
+
+const SAMPLE_INTERVAL = 1.5; // M of v between recorded events
+const MAX_EVENTS = 400; // Per worldline
+const MAX_ENDED = 12; // Finished worldlines kept on the diagram
+
+export class Worldlines {
+  constructor(params = {}) {
+    this.spin = params.spin || 0;
+    this.timeScale = params.timeScale || 20; // M of v per second
+    this.referenceRadius = params.referenceRadius || 30; // M, static observer drawn at T = 0
+
+    this.reset();
+  }
+
+  /**
+   * Outer horizon r_+ (M)
+   */
+  get horizonRadius() {
+    return horizonRadius(this.spin);
+  }
+
+  /**
+   * Where interior worldlines end: r = 0 (a = 0) or the Cauchy horizon r_- (M)
+   */
+  get interiorEdge() {
+    return innerHorizonRadius(this.spin);
+  }
+
+  /**
+   * Advance the clock by deltaTime seconds; returns v (M)
+   */
+  advance(deltaTime) {
+    this.time += deltaTime * this.timeScale;
+    return this.time;
+  }
+
+  /**
+   * Record body `key` (of `kind`) at radius r (M) at the current v
+   */
+  record(key, kind, r) {
+    let line = this.lines.get(key);
+
+    if (line && line.events[line.events.length - 1].r < this.horizonRadius && r >= this.horizonRadius) {
+      this.end(key, 'interior');
+      line = null;
+    }
+
+    if (!line) {
+      line = { key, kind, events: [], fate: null };
+      this.lines.set(key, line);
+    }
+
+    const last = line.events[line.events.length - 1];
+    const event = { v: this.time, r };
+    if (!last || this.time - last.v >= SAMPLE_INTERVAL || (last.r >= this.horizonRadius) !== (r >= this.horizonRadius)) {
+      line.events.push(event);
+      if (line.events.length > MAX_EVENTS) line.events.shift();
+    }
+    line.head = event;
+  }
+
+  /**
+   * Whether body `key` has a live worldline
+   */
+  has(key) {
+    return this.lines.has(key);
+  }
+
+  /**
+   * Keys of live worldlines of one kind
+   */
+  keys(kind) {
+    return [...this.lines.values()].filter(line => line.kind === kind).map(line => line.key);
+  }
+
+  /**
+   * Close a worldline with its fate ('horizon', 'interior', 'escaped', 'disrupted'),
+   * or drop it altogether when fate is null
+   */
+  end(key, fate = null) {
+    const line = this.lines.get(key);
+    if (!line) return;
+    this.lines.delete(key);
+    if (!fate) return;
+
+    if (line.head !== line.events[line.events.length - 1]) line.events.push(line.head);
+    if (fate === 'horizon' && line.head.r > this.horizonRadius) line.events.push({ v: line.head.v, r: this.horizonRadius });
+    if (fate === 'interior') line.events.push({ v: line.head.v, r: this.interiorEdge });
+    line.fate = fate;
+    this.ended.push(line);
+    if (this.ended.length > MAX_ENDED) this.ended.shift();
+  }
+
+  /**
+   * Step a radial free fall from rest at r0 over deltaTime seconds; returns the new r (M)
+   */
+  fall(r, r0, deltaTime, steps = 40) {
+    const dv = deltaTime * this.timeScale / steps;
+    const floor = Math.max(this.interiorEdge * 1.001, 0.02);
+    for (let i = 0; i < steps && r > floor; i++) {
+      r = Math.max(floor, r + radialInfallRate(r, this.spin, r0) * dv);
+    }
+    return r;
+  }
+
+  /**
+   * Penrose-diagram coordinates of every worldline at the current time:
+   * [{ key, kind, fate, inside, points: [{ T, X }] }]
+   */
+  project() {
+    const referenceTortoise = tortoiseCoordinate(this.referenceRadius, this.spin);
+    const offset = referenceTortoise - this.time;
+    const toPoint = (event) => penroseCoordinates(event.r, event.v + offset, this.spin, 1 / referenceTortoise);
+    const lines = [...this.ended, ...this.lines.values()];
+
+    return {
+      spin: this.spin,
+      lines: lines.map(line => {
+        const events = line.fate || line.head === line.events[line.events.length - 1]
+          ? line.events
+          : [...line.events, line.head];
+        return {
+          key: line.key,
+          kind: line.kind,
+          fate: line.fate,
+          inside: events[events.length - 1].r < this.horizonRadius,
+          points: events.map(toPoint)
+        };
+      })
+    };
+  }
+
+  /**
+   * Set parameters; a new spin changes the spacetime, so the histories are cleared
+   */
+  setParameters(params) {
+    if (params.spin !== undefined && params.spin !== this.spin) {
+      this.spin = params.spin;
+      this.reset();
+    }
+    if (params.timeScale !== undefined) this.timeScale = params.timeScale;
+  }
+
+  /**
+   * Histories for a snapshot. Bodies that are not strings (particle objects) are
+   * stored as toKey(body); setState() maps those back with fromKey(key), and a live
+   * worldline whose body is gone is dropped.
+   */
+  getState(toKey = body => body) {
+    const pack = (line) => ({
+      key: toKey(line.key),
+      kind: line.kind,
+      fate: line.fate,
+      events: line.events,
+      head: line.head === line.events[line.events.length - 1] ? null : line.head
+    });
+
+    return {
+      time: this.time,
+      lines: [...this.lines.values()].map(pack),
+      ended: this.ended.map(pack)
+    };
+  }
+
+  setState(state, fromKey = key => key) {
+    const unpack = (line) => ({
+      key: fromKey(line.key),
+      kind: line.kind,
+      fate: line.fate,
+      events: line.events,
+      head: line.head || line.events[line.events.length - 1]
+    });
+
+    this.time = state.time;
+    this.ended = state.ended.map(unpack);
+    this.lines = new Map();
+    state.lines.map(unpack).forEach(line => {
+      if (line.key) this.lines.set(line.key, line);
+    });
+  }
+
+  /**
+   * Clear all worldlines
+   */
+  reset() {
+    this.time = 0;
+    this.lines = new Map();
+    this.ended = [];
+  }
+
+  /**
+   * Get statistics
+   */
+  getStats() {
+    return {
+      time: this.time,
+      liveCount: this.lines.size,
+      endedCount: this.ended.length
+    };
+  }
+}
+
+export default Worldlines;